@@ -0,0 +1,2 @@
+-- 为月度工作数据增加自定义绩效指标字段（JSON，键为指标标识）
+ALTER TABLE monthly_work_data ADD COLUMN metrics TEXT NOT NULL DEFAULT '{}';
@@ -0,0 +1,7 @@
+-- 医生入科/离科日期及在岗天数折算方式
+ALTER TABLE doctors ADD COLUMN start_date TEXT;
+ALTER TABLE doctors ADD COLUMN end_date TEXT;
+ALTER TABLE doctors ADD COLUMN proration_mode TEXT NOT NULL DEFAULT 'auto';
+
+-- 月度工作数据的各类请假天数（JSON，如 {"sick": 3}）
+ALTER TABLE monthly_work_data ADD COLUMN leave_days TEXT NOT NULL DEFAULT '{}';
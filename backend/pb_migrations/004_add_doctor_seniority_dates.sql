@@ -0,0 +1,3 @@
+-- 医生入职日期和取证日期，用于按计算月份推算资历和新入职人员系数
+ALTER TABLE doctors ADD COLUMN hire_date TEXT;
+ALTER TABLE doctors ADD COLUMN certification_date TEXT;
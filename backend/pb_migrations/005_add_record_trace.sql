@@ -0,0 +1,2 @@
+-- 绩效记录保存计算审计轨迹（输入快照、各步骤公式与警告），用于复核历史月份的分配
+ALTER TABLE performance_records ADD COLUMN trace TEXT;
@@ -0,0 +1,6 @@
+-- 医生所属治疗组；月度工作数据可记录当月所属治疗组（优先于医生档案）
+ALTER TABLE doctors ADD COLUMN group_id TEXT NOT NULL DEFAULT '';
+ALTER TABLE monthly_work_data ADD COLUMN group_id TEXT NOT NULL DEFAULT '';
+
+-- 绩效记录保存各治疗组的分配汇总
+ALTER TABLE performance_records ADD COLUMN group_results TEXT;
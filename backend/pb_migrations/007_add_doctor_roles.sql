@@ -0,0 +1,2 @@
+-- 医生担任的岗位/职务（JSON数组，如 ["总住院医师"]），用于发放按岗位设置的专项奖金
+ALTER TABLE doctors ADD COLUMN roles TEXT NOT NULL DEFAULT '[]';
@@ -0,0 +1,2 @@
+-- 月度工作数据的质量安全事件次数（JSON，如 {"complaints": 1}），用于计算质量系数
+ALTER TABLE monthly_work_data ADD COLUMN quality_events TEXT NOT NULL DEFAULT '{}';
@@ -0,0 +1,3 @@
+-- 月度工作数据按DRG分组录入的出院人数（JSON，如 {"ES31": 3}）和病例组合指数，用于出院人数的病例组合加权
+ALTER TABLE monthly_work_data ADD COLUMN drg_discharges TEXT NOT NULL DEFAULT '{}';
+ALTER TABLE monthly_work_data ADD COLUMN case_mix_index REAL;
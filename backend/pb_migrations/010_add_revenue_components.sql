@@ -0,0 +1,2 @@
+-- 月度工作数据的医疗收入构成（JSON，如 {"service": 30000, "drugs": 12000, "consumables": 3000, "exams": 8000}），用于按净收入计分和药占比、耗占比考核
+ALTER TABLE monthly_work_data ADD COLUMN revenue_components TEXT NOT NULL DEFAULT '{}';
@@ -0,0 +1,14 @@
+-- 年终结算记录：按年度配置复算的全年应得金额与各月预发金额的差额（每个年度保留一条）
+CREATE TABLE settlement_records (
+    id TEXT PRIMARY KEY,
+    year INTEGER NOT NULL,
+    method TEXT NOT NULL DEFAULT 'monthly', -- monthly：逐月复算后汇总；annual：全年数据汇总计算
+    annual_bonus REAL NOT NULL DEFAULT 0,
+    lines TEXT NOT NULL, -- JSON格式存储各人结算明细
+    summary TEXT, -- JSON格式存储结算汇总
+    months TEXT, -- JSON格式存储参与结算的月份
+    calculation_config TEXT, -- JSON格式存储年度配置
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(year)
+);
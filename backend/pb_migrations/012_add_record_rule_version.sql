@@ -0,0 +1,2 @@
+-- 绩效记录引用计算时使用的规则版本（JSON，如 {"id": "rules_...", "name": "2026年第三季度规则", "effectiveFrom": "2026-07"}），按当前设置计算时为空
+ALTER TABLE performance_records ADD COLUMN rule_version TEXT;
@@ -0,0 +1,2 @@
+-- 月度工作数据的本月临时岗位（JSON，如 ["RICU轮转"]），与医生长期岗位叠加计算岗位系数
+ALTER TABLE monthly_work_data ADD COLUMN roles TEXT NOT NULL DEFAULT '[]';
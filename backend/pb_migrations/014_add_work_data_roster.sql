@@ -0,0 +1,2 @@
+-- 月度工作数据的排班（JSON，日期到轮转地点ID的映射，如 {"1": "ricu", "2": "ward"}），按各地点天数计算地点系数和指标地点系数
+ALTER TABLE monthly_work_data ADD COLUMN roster TEXT NOT NULL DEFAULT '{}';
@@ -0,0 +1,2 @@
+-- 月度工作数据的值班记录（JSON数组，每项为 {"date": "2024-05-01", "type": "night", "hours": 12}），按值班类型分值计提值班奖金或作为指标数值
+ALTER TABLE monthly_work_data ADD COLUMN duties TEXT NOT NULL DEFAULT '[]';
@@ -3,30 +3,122 @@
  * 实现绩效计算的核心逻辑，包括新入职人员系数处理
  */
 
+// 依赖：公式表达式、指标注册表和数据模型（浏览器中由formula.js、metrics.js、models.js挂载到window）
+const calculatorDeps = (typeof module !== 'undefined' && module.exports) ?
+    { ...require('./formula'), ...require('./metrics'), ...require('./models') } : window;
+
 /**
  * 绩效计算引擎类
  */
 class PerformanceCalculator {
     constructor() {
         this.defaultConfig = {
+            // 与SystemConfig默认值保持一致，未传入配置时使用
             performanceWeights: {
                 medicalRevenue: 50,    // 医疗业务总额权重（占个人工资总收入50%）
-                discharge: 20,         // 出院人数权重
-                bedDays: 20,           // 床日数权重
+                discharge: 15,         // 出院人数权重
+                bedDays: 25,           // 床日数权重
                 attendance: 10         // 出勤权重
             },
-            newEmployeeConfig: {
-                uncertifiedCoeff: 0.7,        // 提高未认证系数，更公平
-                certifiedWithinThreeYearsCoeff: 0.85,  // 提高新认证系数
-                normalCoeff: 1.0,
-                newEmployeeThreshold: 3,
-                // 新增渐进式系数，根据工作年限逐步提升
-                progressiveCoeff: {
-                    firstYear: 0.7,
-                    secondYear: 0.8,
-                    thirdYear: 0.9
+            // 新入职人员系数，与Doctor.getSeniority使用同一份默认配置
+            newEmployeeConfig: { ...calculatorDeps.Doctor.DEFAULT_NEW_EMPLOYEE_CONFIG },
+            // 岗位系数：roles为岗位系数表 [{ name, coefficient }]，医生担任多个岗位时按combine组合
+            // （multiply连乘、add累加超出1的部分、max取最大值）
+            roleCoefficientConfig: {
+                combine: 'multiply',
+                roles: []
+            },
+            // 轮转地点：locations为地点表 [{ id, name, coefficient, metricFactors }]，按排班天数加权
+            locationConfig: {
+                locations: calculatorDeps.MonthlyWorkData.DEFAULT_LOCATIONS
+            },
+            // 奖罚处理策略：additive（池外额外发放/扣除）或 poolNeutral（池内平衡，总额不变）
+            rewardPenaltyConfig: {
+                policy: 'additive'
+            },
+            // 金额取整单位（元）：1、10或100
+            roundingConfig: {
+                unit: 1
+            },
+            // 在岗天数折算：月中入离科和请假人员的指标份额按在岗天数折算
+            prorationConfig: {
+                enabled: true,
+                leaveCreditRatios: { sick: 0, maternity: 1, study: 1 }
+            },
+            // 个人分配上下限：mode为none（不限制）、absolute（固定金额）或averageMultiple（人均奖金的倍数）
+            allocationConstraints: {
+                floor: { mode: 'none', value: 0, fullAttendanceOnly: true },
+                ceiling: { mode: 'none', value: 0 }
+            },
+            // 治疗组配置：科室奖金按组级权重（全时人数、产出）分到各治疗组，未配置治疗组时全科为一组
+            groupConfig: {
+                groups: [],
+                weights: { headcount: 30, output: 70 }
+            },
+            // 质量安全系数：各项质量安全事件超过容许次数后按扣减曲线扣减系数，
+            // mode为multiply（系数乘入个人份额，减少部分由其他成员分享）或deduct（从个人绩效金额中扣减，扣减部分不再分配）
+            qualityConfig: {
+                enabled: true,
+                mode: 'multiply',
+                minCoefficient: 0.5,
+                indicators: {
+                    readmissions: { threshold: 0, penalty: 0.05, curve: 'linear' },
+                    complaints: { threshold: 0, penalty: 0.05, curve: 'linear' },
+                    recordDefects: { threshold: 2, penalty: 0.02, curve: 'linear' },
+                    infections: { threshold: 0, penalty: 0.1, curve: 'step' }
                 }
             },
+            // 病例组合（DRG）：出院人数指标按DRG权重加权，weights为DRG权重表 [{ code, name, weight }]
+            drgConfig: {
+                enabled: true,
+                weights: []
+            },
+            // 医疗收入计分口径：basis为gross（医疗收入总额）、net（各收入构成按计入比例折算的净收入）或service（仅医疗服务收入）；
+            // ratioTargets为药占比、耗占比目标（百分比，null为不考核），每超出1个百分点按penalty扣减计分收入
+            revenueConfig: {
+                basis: 'net',
+                netRatios: { service: 1, drugs: 0, consumables: 0, exams: 1 },
+                ratioTargets: {
+                    drugs: { target: null, penalty: 0.02 },
+                    consumables: { target: null, penalty: 0.02 }
+                }
+            },
+            // 专项奖金池：按指标分配前预留，mode为fixed（固定金额）或percentage（奖金总额的百分比）
+            subPoolConfig: {
+                pools: []
+            },
+            // 值班：rates为各值班类型每小时分值；mode为none（不计入）、pool（按指标分配前计提值班奖金，
+            // 按值班分值分配，poolMode见PerformanceCalculator.DUTY_POOL_MODES）或metric（值班分值作为metricId指标的数值）
+            dutyConfig: {
+                mode: 'none',
+                rates: { night: 1.5, weekend: 1, holiday: 2 },
+                poolMode: 'perPoint',
+                poolValue: 0,
+                metricId: ''
+            },
+            // 多月平滑：mode为none（不平滑）、rollingShare（各指标份额取近window个月含本月的加权滚动平均）
+            // 或blendPay（个人绩效份额与上月按blendRatio混合）；weighting为滚动平均的月份权重，
+            // equal为等权，linear为越近权重越大，exponential为每早一个月权重乘以decay
+            smoothingConfig: {
+                mode: 'none',
+                window: 3,
+                weighting: 'equal',
+                decay: 0.5,
+                blendRatio: 0.3
+            },
+            // 自定义公式：coefficient为综合系数公式（替代职称、新入职人员、岗位和质量系数的连乘），
+            // share为最终分配份额公式（替代各指标金额之和，按公式值占比分配奖金），为空时不启用
+            formulaConfig: {
+                coefficient: '',
+                share: ''
+            },
+            // 公平性预警阈值：基尼系数、P90/P10比值、前20%人员所占份额、同职称内变异系数的上限
+            fairnessConfig: {
+                giniMax: 0.3,
+                p90p10Max: 3,
+                top20ShareMax: 0.4,
+                withinBandCvMax: 0.3
+            },
             // 新增绩效调节参数
             performanceAdjustment: {
                 enableNonLinearScoring: true,  // 启用非线性评分
@@ -69,22 +161,9 @@ class PerformanceCalculator {
         const titleCoefficient = doctor.titleCoefficient || 1.0;
         const titleAdjustedScore = weightedScore * titleCoefficient;
         
-        // 应用新入职人员系数（渐进式调节）
-        let newEmployeeMultiplier = 1.0;
-        if (doctor.isNewEmployee) {
-            const baseMultiplier = doctor.isCertified ? 
-                cfg.newEmployeeConfig.certifiedWithinThreeYearsCoeff : 
-                cfg.newEmployeeConfig.uncertifiedCoeff;
-            
-            // 渐进式系数：根据工作月数逐渐接近正常水平
-            const workMonths = doctor.workMonths || 1;
-            const progressiveMultiplier = cfg.newEmployeeConfig.normalCoeff;
-            const progressFactor = Math.min(1.0, workMonths / 12); // 12个月内逐渐调整
-            
-            newEmployeeMultiplier = baseMultiplier + (progressiveMultiplier - baseMultiplier) * progressFactor;
-        }
-        
-        const newEmployeeCoeff = newEmployeeMultiplier;
+        // 应用新入职人员系数（按入职/取证日期推算资历，计算月份由config.period指定）
+        const seniority = calculatorDeps.Doctor.getSeniority(doctor, cfg.period || {}, cfg.newEmployeeConfig);
+        const newEmployeeCoeff = seniority.coefficient;
         const finalScore = titleAdjustedScore * newEmployeeCoeff;
         
         return {
@@ -108,8 +187,10 @@ class PerformanceCalculator {
             },
             doctorInfo: {
                 title: doctor.title,
-                workYears: doctor.workYears,
-                isCertified: doctor.isCertified
+                workYears: seniority.workYears,
+                isCertified: seniority.isCertified,
+                isNewEmployee: seniority.isNewEmployee,
+                seniority: seniority
             }
         };
     }
@@ -356,8 +437,7 @@ class PerformanceCalculator {
                 r.doctorInfo && !r.doctorInfo.isCertified
             ).length,
             certifiedWithinThreeYearsCount: results.filter(r => 
-                r.doctorInfo && r.doctorInfo.isCertified && 
-                r.doctorInfo.workYears <= 3 && r.newEmployeeCoefficient === 0.8
+                r.doctorInfo?.seniority?.category === 'recentlyCertified'
             ).length
         };
     }
@@ -479,6 +559,15 @@ class PerformanceCalculator {
             analysis.insights.push('组内绩效分数存在较大差异，需关注工作量分配');
         }
         
+        // 分配公平性分析（旧版结果没有分配金额时跳过）
+        if (rankedResults.some(r => r.finalAllocation !== undefined)) {
+            const fairness = this.calculateFairnessMetrics(rankedResults, config?.fairnessConfig);
+            analysis.insights.push(
+                `分配基尼系数${fairness.gini.toFixed(3)}，P90/P10为${fairness.p90p10Ratio === null ? '-' : fairness.p90p10Ratio.toFixed(2)}，前20%人员占${(fairness.top20Share * 100).toFixed(1)}%`
+            );
+            fairness.flags.forEach(flag => analysis.recommendations.push(flag.message));
+        }
+        
         // 新入职人员分析
         if (totalStats.newEmployeeCount > 0) {
             const newEmployeeAvg = rankedResults
@@ -516,356 +605,3846 @@ class PerformanceCalculator {
     }
 
     /**
-     * 应用整数化分配和差额平衡算法
-     * 确保每个医生的绩效为整数，且总分配与目标金额差额为0
+     * 应用整数化分配（最大余数法 / Hamilton法）
+     * 以取整单位为粒度分配奖金，保证分配总额与目标金额严格相等：
+     * 1. 按分配金额计算每人应得的单位数（配额），先发放配额的整数部分；
+     * 2. 剩余单位按配额小数部分从大到小逐个发放，每人最多多得1个单位；
+     * 3. 小数部分相同时依次按未取整金额从高到低、医生ID升序、原始顺序决定先后，结果与输入顺序以外的因素无关；
+     * 4. 目标金额不是取整单位整数倍时，不足一个单位的尾差计入排序第一位的医生。
+     * 取整前后的差额记录在每个结果的roundingAdjustment中
      * @param {Array} individualResults - 个人计算结果数组
      * @param {number} totalBonus - 目标总奖金
+     * @param {number} roundingUnit - 取整单位（元），支持1、10、100
+     * @returns {Array} 个人计算结果数组
      */
-    applyIntegerAllocationWithBalancing(individualResults, totalBonus) {
-        console.log('=== 开始整数化处理和差额分配 ===');
-        console.log('目标总奖金:', totalBonus);
+    applyIntegerAllocationWithBalancing(individualResults, totalBonus, roundingUnit = 1) {
+        if (!PerformanceCalculator.ROUNDING_UNITS.includes(roundingUnit)) {
+            throw new Error(`不支持的取整单位：${roundingUnit}`);
+        }
+        if (individualResults.length === 0) {
+            return individualResults;
+        }
         
-        // 第一步：对所有分配金额进行四舍五入
-        const roundedResults = individualResults.map(result => {
-            const originalAllocation = result.finalAllocation;
-            const roundedAllocation = Math.round(originalAllocation);
-            const roundingDifference = originalAllocation - roundedAllocation;
-            
-            return {
-                ...result,
-                originalAllocation: originalAllocation,
-                roundedAllocation: roundedAllocation,
-                roundingDifference: roundingDifference
-            };
-        });
+        const amounts = individualResults.map(result => Math.max(0, Number(result.finalAllocation) || 0));
+        const totalAmount = amounts.reduce((sum, amount) => sum + amount, 0);
+        const totalUnits = Math.floor(totalBonus / roundingUnit + 1e-9);
         
-        // 计算四舍五入后的总分配和差额
-        const totalRounded = roundedResults.reduce((sum, result) => sum + result.roundedAllocation, 0);
-        let remainingDifference = totalBonus - totalRounded;
+        // 配额：按金额占比折算的单位数，全员金额为0时平均分配
+        const quotas = amounts.map(amount => (totalAmount > 0 ?
+            amount / totalAmount * totalUnits :
+            totalUnits / individualResults.length));
+        const baseUnits = quotas.map(quota => Math.floor(quota + 1e-9));
+        const remainingUnits = totalUnits - baseUnits.reduce((sum, units) => sum + units, 0);
         
-        console.log('四舍五入后总分配:', totalRounded);
-        console.log('需要调整的差额:', remainingDifference);
+        // 确定性的发放顺序：小数部分降序 → 未取整金额降序 → 医生ID升序 → 原始顺序
+        const order = individualResults.map((result, index) => index).sort((a, b) => {
+            const remainderDiff = (quotas[b] - baseUnits[b]) - (quotas[a] - baseUnits[a]);
+            if (Math.abs(remainderDiff) > 1e-9) return remainderDiff;
+            if (amounts[b] !== amounts[a]) return amounts[b] - amounts[a];
+            const idA = String(individualResults[a].doctorId ?? '');
+            const idB = String(individualResults[b].doctorId ?? '');
+            if (idA !== idB) return idA < idB ? -1 : 1;
+            return a - b;
+        });
         
-        // 第二步：如果差额在合理范围内（10元以内），进行科学分配
-        if (Math.abs(remainingDifference) <= 10 && Math.abs(remainingDifference) > 0) {
-            console.log('差额在合理范围内，开始科学分配调整');
-            
-            // 按分配金额大小排序，优先调整分配金额较小的医生
-            const sortedForAdjustment = [...roundedResults].sort((a, b) => a.roundedAllocation - b.roundedAllocation);
-            
-            // 根据差额正负决定调整方向
-            const adjustmentDirection = remainingDifference > 0 ? 1 : -1; // 正数表示需要增加，负数表示需要减少
-            const adjustmentCount = Math.abs(remainingDifference);
-            
-            console.log('调整方向:', adjustmentDirection > 0 ? '增加' : '减少');
-            console.log('需要调整的人数:', adjustmentCount);
-            
-            // 对前N个分配金额最小的医生进行调整
-            for (let i = 0; i < adjustmentCount && i < sortedForAdjustment.length; i++) {
-                const targetResult = sortedForAdjustment[i];
-                
-                // 在原数组中找到对应的结果并调整
-                const originalIndex = individualResults.findIndex(r => r.doctorId === targetResult.doctorId);
-                if (originalIndex !== -1) {
-                    const adjustedAmount = targetResult.roundedAllocation + adjustmentDirection;
-                    roundedResults[originalIndex].roundedAllocation = adjustedAmount;
-                    
-                    console.log(`调整医生 ${targetResult.doctorName}: ${targetResult.roundedAllocation} → ${adjustedAmount}`);
-                }
-            }
-            
-            // 验证调整后的总额
-            const finalTotal = roundedResults.reduce((sum, result) => sum + result.roundedAllocation, 0);
-            console.log('调整后总分配:', finalTotal);
-            console.log('最终差额:', totalBonus - finalTotal);
-            
-        } else if (Math.abs(remainingDifference) > 10) {
-            console.warn('差额超过10元，可能存在计算错误，差额为:', remainingDifference);
-            // 对于超过10元的差额，按比例调整后再四舍五入
-            const adjustmentFactor = totalBonus / totalRounded;
-            roundedResults.forEach(result => {
-                result.roundedAllocation = Math.round(result.roundedAllocation * adjustmentFactor);
-            });
-        }
+        order.slice(0, remainingUnits).forEach(index => {
+            baseUnits[index] += 1;
+        });
+        
+        const residual = Math.round((totalBonus - totalUnits * roundingUnit) * 100) / 100;
         
-        // 第三步：将调整后的整数分配金额更新回原始结果
         individualResults.forEach((result, index) => {
-            result.finalAllocation = roundedResults[index].roundedAllocation;
-            console.log(`最终分配 - ${result.doctorName}: ${result.finalAllocation}元`);
+            const unroundedAllocation = totalAmount > 0 ? amounts[index] / totalAmount * totalBonus : totalBonus / individualResults.length;
+            result.unroundedAllocation = unroundedAllocation;
+            result.finalAllocation = baseUnits[index] * roundingUnit + (index === order[0] ? residual : 0);
+            result.roundingAdjustment = result.finalAllocation - unroundedAllocation;
         });
         
-        // 最终验证
-        const finalTotalCheck = individualResults.reduce((sum, result) => sum + result.finalAllocation, 0);
-        console.log('=== 整数化处理完成 ===');
-        console.log('最终总分配:', finalTotalCheck);
-        console.log('目标总奖金:', totalBonus);
-        console.log('最终差额:', totalBonus - finalTotalCheck);
-        
         return individualResults;
     }
 
     /**
-     * 计算团队绩效（适配main.js调用）- 新的科学分配算法
-     * @param {Array} doctorsWithData - 包含医生和工作数据的数组
-     * @param {number} totalBonus - 总奖金额度
-     * @returns {Object} 计算结果，格式适配results.js
+     * 计算医生本月的病例组合加权出院人数
+     * 录入了DRG分组出院人数时：加权出院人数 = Σ 各组出院人数 × DRG权重 + 未分组出院人数 × 1（权重表中没有的分组按1计）；
+     * 否则录入了病例组合指数（CMI）时：加权出院人数 = 出院人数 × CMI；都未录入时为出院人数本身
+     * @param {Object} workData - 月度工作数据（drgDischarges、caseMixIndex）
+     * @param {Object} drgConfig - 病例组合配置（经resolveTeamConfig规范化）
+     * @param {number} rawDischarges - 出院人数
+     * @returns {Object} { source, rawDischarges, weightedDischarges, caseMixIndex, unclassifiedDischarges, items: [{ code, name, count, weight, known }] }
      */
-    calculateTeamPerformance(doctorsWithData, totalBonus = 0) {
-        console.log('=== Calculator: 开始团队绩效计算 ===');
-        console.log('Calculator: 接收到的医生数据:', doctorsWithData);
-        console.log('Calculator: 接收到的总奖金:', totalBonus);
-        console.log('Calculator: 医生数量:', doctorsWithData?.length || 0);
+    resolveCaseMix(workData, drgConfig, rawDischarges) {
+        const none = { source: 'none', rawDischarges: rawDischarges, weightedDischarges: rawDischarges, caseMixIndex: null, unclassifiedDischarges: 0, items: [] };
+        if (!drgConfig.enabled) return none;
         
-        // 提取医生列表和工作数据列表
-        const doctors = doctorsWithData.map(item => item.doctor);
-        const workDataList = doctorsWithData.map(item => item.workData);
+        const drgDischarges = workData?.drgDischarges || {};
+        const items = Object.keys(drgDischarges)
+            .filter(code => Number(drgDischarges[code]) > 0)
+            .map(code => {
+                const entry = drgConfig.weights.find(item => item.code === code);
+                return {
+                    code: code,
+                    name: entry ? entry.name : code,
+                    count: Number(drgDischarges[code]),
+                    weight: entry ? entry.weight : 1,
+                    known: Boolean(entry)
+                };
+            });
         
-        console.log('提取的医生列表:', doctors);
-        console.log('提取的工作数据列表:', workDataList);
+        if (items.length > 0) {
+            const classified = items.reduce((sum, item) => sum + item.count, 0);
+            const unclassified = Math.max(0, rawDischarges - classified);
+            const weighted = items.reduce((sum, item) => sum + item.count * item.weight, 0) + unclassified;
+            const total = classified + unclassified;
+            return {
+                source: 'drg',
+                rawDischarges: total,
+                weightedDischarges: weighted,
+                caseMixIndex: total > 0 ? weighted / total : null,
+                unclassifiedDischarges: unclassified,
+                items: items
+            };
+        }
         
-        // 新的权重分配逻辑：基于总奖金的权重分配
-        const weights = {
-            medicalRevenue: 0.50,  // 医疗业务总额权重50%
-            bedDays: 0.25,         // 床日数权重25%
-            discharge: 0.15,       // 出院人数权重15%
-            attendance: 0.10       // 出勤权重10%
-        };
+        const caseMixIndex = Number(workData?.caseMixIndex);
+        if (caseMixIndex > 0) {
+            return { ...none, source: 'cmi', weightedDischarges: rawDischarges * caseMixIndex, caseMixIndex: caseMixIndex };
+        }
+        return none;
+    }
+
+    /**
+     * 计算医生本月的计分医疗收入
+     * 录入了收入构成时：医疗收入总额 = Σ 各项收入 + 其他收入（医疗收入超出各项合计的部分）；
+     * 口径收入 = Σ 各项收入 × 计入比例 + 其他收入，计入比例按计分口径确定：总额口径均为1，净收入口径取设置的计入比例，
+     * 医疗服务收入口径仅医疗服务收入为1（其他收入不计入）；药占比、耗占比超过目标时，
+     * 计分收入 = 口径收入 × max(0, 1 − Σ 扣减比例 × 超出百分点)。未录入收入构成时为医疗收入本身
+     * @param {Object} workData - 月度工作数据（revenueComponents）
+     * @param {Object} revenueConfig - 收入计分配置（经resolveTeamConfig规范化）
+     * @param {number} rawRevenue - 医疗收入
+     * @returns {Object} { source, basis, grossRevenue, items: [{ type, label, amount, includedRatio }], otherRevenue, basisRevenue, ratios, penalties, penaltyFactor, scoredRevenue }
+     */
+    resolveRevenue(workData, revenueConfig, rawRevenue) {
+        const entered = workData?.revenueComponents || {};
+        const labels = calculatorDeps.MonthlyWorkData.REVENUE_COMPONENTS;
+        const items = Object.keys(labels).map(type => ({
+            type: type,
+            label: labels[type],
+            amount: Math.max(0, Number(entered[type]) || 0),
+            includedRatio: {
+                gross: 1,
+                net: revenueConfig.netRatios[type],
+                service: type === 'service' ? 1 : 0
+            }[revenueConfig.basis]
+        }));
+        const classified = items.reduce((sum, item) => sum + item.amount, 0);
+        if (classified <= 0) {
+            return {
+                source: 'none',
+                basis: revenueConfig.basis,
+                grossRevenue: rawRevenue,
+                items: [],
+                otherRevenue: 0,
+                basisRevenue: rawRevenue,
+                ratios: {},
+                penalties: [],
+                penaltyFactor: 1,
+                scoredRevenue: rawRevenue
+            };
+        }
         
-        console.log('Calculator: 使用的权重配置:', weights);
+        const components = Object.fromEntries(items.map(item => [item.type, item.amount]));
+        const otherRevenue = Math.max(0, rawRevenue - classified);
+        const grossRevenue = classified + otherRevenue;
+        const basisRevenue = items.reduce((sum, item) => sum + item.amount * item.includedRatio, 0) +
+            (revenueConfig.basis === 'service' ? 0 : otherRevenue);
+        
+        const ratios = {};
+        const penalties = Object.entries(revenueConfig.ratioTargets).map(([type, rule]) => {
+            ratios[type] = grossRevenue > 0 ? components[type] / grossRevenue : 0;
+            const excess = rule.target === null ? 0 : Math.max(0, ratios[type] * 100 - rule.target);
+            return {
+                type: type,
+                label: PerformanceCalculator.REVENUE_RATIO_TYPES[type],
+                ratio: ratios[type],
+                target: rule.target,
+                excess: excess,
+                penalty: rule.penalty * excess
+            };
+        });
+        const penaltyFactor = Math.max(0, 1 - penalties.reduce((sum, item) => sum + item.penalty, 0));
         
-        // 计算各项总和
-        const totals = {
-            medicalRevenue: workDataList.reduce((sum, data) => sum + (data.medicalRevenue || 0), 0),
-            bedDays: workDataList.reduce((sum, data) => sum + (data.bedDays || 0), 0),
-            discharge: workDataList.reduce((sum, data) => sum + (data.dischargeCount || 0), 0),
-            attendance: workDataList.reduce((sum, data) => sum + (data.attendanceDays || 0), 0)
+        return {
+            source: 'components',
+            basis: revenueConfig.basis,
+            grossRevenue: grossRevenue,
+            items: items,
+            otherRevenue: otherRevenue,
+            basisRevenue: basisRevenue,
+            ratios: ratios,
+            penalties: penalties.filter(item => item.penalty > 0),
+            penaltyFactor: penaltyFactor,
+            scoredRevenue: basisRevenue * penaltyFactor
         };
+    }
+
+    /**
+     * 读取参与计算的指标值：出院人数按病例组合加权，医疗收入按计分口径折算，其余指标直接读取
+     * @param {MetricRegistry} registry - 指标注册表
+     * @param {Object} workData - 月度工作数据
+     * @param {Object} metric - 指标定义
+     * @param {Object} cfg - 经resolveTeamConfig规范化的配置（drgConfig、revenueConfig）
+     * @returns {number} 指标值
+     */
+    readMetricValue(registry, workData, metric, cfg) {
+        // 值班计入指标时，该指标的数值为值班分值
+        const value = cfg.dutyConfig.mode === 'metric' && metric.id === cfg.dutyConfig.metricId ?
+            this.resolveDuty(workData, cfg.dutyConfig).points :
+            registry.getValue(workData, metric);
+        let adjustedValue;
+        switch (metric.field) {
+            case 'dischargeCount':
+                adjustedValue = this.resolveCaseMix(workData, cfg.drgConfig, value).weightedDischarges;
+                break;
+            case 'medicalRevenue':
+                adjustedValue = this.resolveRevenue(workData, cfg.revenueConfig, value).scoredRevenue;
+                break;
+            default:
+                adjustedValue = value;
+                break;
+        }
         
-        console.log('Calculator: 开始计算各项指标总和...');
-        doctorsWithData.forEach((item, index) => {
-            const workData = item.workData;
-            console.log(`Calculator: 处理第${index + 1}个医生 ${item.doctor?.name}:`);
-            console.log(`  - 医疗业务总额: ${workData.medicalRevenue || 0}`);
-            console.log(`  - 床日数: ${workData.bedDays || 0}`);
-            console.log(`  - 出院人数: ${workData.dischargeCount || 0}`);
-            console.log(`  - 出勤天数: ${workData.attendanceDays || 0}`);
+        // 按排班天数加权的地点指标系数
+        return adjustedValue * (this.resolveLocationMix(workData, cfg.locationConfig).metricFactors[metric.id] ?? 1);
+    }
+
+    /**
+     * 计算多月平滑中某个月份的权重（本月为0，上月为1，依此类推）
+     * @param {number} age - 距计算月份的月数
+     * @param {Object} smoothingConfig - 多月平滑配置（经resolveTeamConfig规范化）
+     * @returns {number} 权重
+     */
+    getSmoothingWeight(age, smoothingConfig) {
+        switch (smoothingConfig.weighting) {
+            case 'linear':
+                return smoothingConfig.window - age;
+            case 'exponential':
+                return Math.pow(smoothingConfig.decay, age);
+            case 'equal':
+            default:
+                return 1;
+        }
+    }
+
+    /**
+     * 从计算选项的历史数据中选出参与平滑的月份
+     * 滚动平均取计算月份之前window − 1个月，与上月混合只取上月；没有计算月份或历史数据时为空
+     * @param {Object} options - 计算选项（year/month/history，history见PerformanceCalculator.buildSmoothingHistory）
+     * @param {Object} smoothingConfig - 多月平滑配置（经resolveTeamConfig规范化）
+     * @returns {Array<Object>} 月份列表（由近及远）[{ year, month, age, weight, doctors, workData, results }]
+     */
+    selectSmoothingMonths(options, smoothingConfig) {
+        if (smoothingConfig.mode === 'none' || !options.year || !options.month || !Array.isArray(options.history)) {
+            return [];
+        }
+        
+        const maxAge = smoothingConfig.mode === 'blendPay' ? 1 : smoothingConfig.window - 1;
+        const currentIndex = Number(options.year) * 12 + Number(options.month) - 1;
+        return options.history
+            .map(entry => ({ ...entry, age: currentIndex - (Number(entry.year) * 12 + Number(entry.month) - 1) }))
+            .filter(entry => entry.age >= 1 && entry.age <= maxAge)
+            .sort((a, b) => a.age - b.age)
+            .filter((entry, index, list) => index === 0 || list[index - 1].age !== entry.age)
+            .map(entry => ({ ...entry, weight: this.getSmoothingWeight(entry.age, smoothingConfig) }));
+    }
+
+    /**
+     * 计算某项指标的滚动平均份额
+     * 历史月份的份额按当月数据在本团队成员（当月有数据者）之间重新计算（含在岗天数折算）；
+     * 个人平滑份额 = Σ 各月份额 × 月份权重 / 该医生有数据月份的权重之和，再在团队内归一化
+     * @param {MetricRegistry} registry - 指标注册表
+     * @param {Object} metric - 指标定义
+     * @param {Array<Object>} doctors - 本月团队成员
+     * @param {Array<number>} currentShares - 本月份额
+     * @param {Array<Object>} months - 参与平滑的历史月份（selectSmoothingMonths的结果）
+     * @param {Object} cfg - 经resolveTeamConfig规范化的配置
+     * @returns {Object} { shares, monthShares }，monthShares[月份][成员]为该月份额，当月无数据时为null
+     */
+    smoothMetricShares(registry, metric, doctors, currentShares, months, cfg) {
+        const monthShares = months.map(entry => {
+            const shares = doctors.map(() => null);
+            const members = doctors
+                .map((doctor, index) => ({
+                    index: index,
+                    doctor: (entry.doctors || []).find(item => item.id === doctor.id) || doctor,
+                    workData: (entry.workData || []).find(item => item && item.doctorId === doctor.id)
+                }))
+                .filter(member => member.workData);
+            if (members.length === 0) return shares;
+            
+            const periodOptions = {
+                year: Number(entry.year),
+                month: Number(entry.month),
+                daysInMonth: new Date(Number(entry.year), Number(entry.month), 0).getDate()
+            };
+            const values = members.map(member => this.readMetricValue(registry, member.workData, metric, cfg));
+            const prorations = members.map(member => this.resolveProration(member.doctor, member.workData, cfg.prorationConfig, periodOptions));
+            this.computeProratedShares(registry, metric, values, prorations).forEach((share, k) => {
+                shares[members[k].index] = share;
+            });
+            return shares;
         });
         
-        console.log('Calculator: 计算得出的总和:', totals);
+        const currentWeight = this.getSmoothingWeight(0, cfg.smoothingConfig);
+        const averaged = currentShares.map((share, i) => {
+            let weightedSum = share * currentWeight;
+            let totalWeight = currentWeight;
+            months.forEach((entry, m) => {
+                if (monthShares[m][i] === null) return;
+                weightedSum += monthShares[m][i] * entry.weight;
+                totalWeight += entry.weight;
+            });
+            return weightedSum / totalWeight;
+        });
+        const total = averaged.reduce((sum, share) => sum + share, 0);
         
-        // 按权重分配总奖金
-        const allocatedAmounts = {
-            medicalRevenue: totalBonus * weights.medicalRevenue,
-            bedDays: totalBonus * weights.bedDays,
-            discharge: totalBonus * weights.discharge,
-            attendance: totalBonus * weights.attendance
+        return {
+            shares: averaged.map((share, i) => (total > 0 ? share / total : currentShares[i])),
+            monthShares: monthShares
         };
+    }
+
+    /**
+     * 计算医生的自定义公式值
+     * @param {string} expression - 公式（已经resolveTeamConfig校验）
+     * @param {Object} variables - 变量取值表
+     * @param {Doctor} doctor - 医生对象，用于错误提示
+     * @returns {number} 公式值
+     */
+    evaluateFormula(expression, variables, doctor) {
+        try {
+            return calculatorDeps.Formula.compile(expression).evaluate(variables);
+        } catch (error) {
+            throw new Error(`${doctor.name}：${error.message}`);
+        }
+    }
+
+    /**
+     * 按自定义分配份额公式重新计算缩放前金额
+     * 份额 = max(0, 公式值) / 团队合计，缩放前金额 = 奖金总额 × 份额；团队合计为0时全员为0（随后平均分配）
+     * @param {Array} individualResults - 个人计算结果，原地修改
+     * @param {Array<Object>} formulaInputs - 各人的指标变量
+     * @param {Array<Object>} prorations - 各人的折算说明
+     * @param {string} expression - 分配份额公式
+     * @param {number} totalBonus - 奖金总额
+     * @param {Array<Doctor>} doctors - 医生列表
+     * @param {Object} trace - 审计轨迹
+     */
+    applyShareFormula(individualResults, formulaInputs, prorations, expression, totalBonus, doctors, trace) {
+        const values = individualResults.map((result, i) => this.evaluateFormula(expression, {
+            ...formulaInputs[i],
+            coefficient: result.breakdown.combinedCoefficient,
+            eligibleRatio: prorations[i].eligibleRatio
+        }, doctors[i]));
+        const bases = values.map(value => Math.max(0, value));
+        const totalBasis = bases.reduce((sum, basis) => sum + basis, 0);
         
-        console.log('按权重分配的金额:', allocatedAmounts);
-        
-        // 计算每个医生的分配结果
-        console.log('Calculator: 开始计算每个医生的绩效分配...');
-        const individualResults = [];
-        
-        for (let i = 0; i < doctors.length; i++) {
-            const doctor = doctors[i];
-            const workData = workDataList[i];
-            
-            console.log(`Calculator: 计算第${i + 1}个医生 ${doctor.name} 的绩效:`);
-            console.log(`  医生信息:`, doctor);
-            console.log(`  工作数据:`, workData);
-            
-            // 计算各项分配金额
-            const medicalRevenueAllocation = totals.medicalRevenue > 0 ? 
-                (workData.medicalRevenue || 0) / totals.medicalRevenue * allocatedAmounts.medicalRevenue : 0;
-            
-            const bedDaysAllocation = totals.bedDays > 0 ? 
-                (workData.bedDays || 0) / totals.bedDays * allocatedAmounts.bedDays : 0;
-            
-            const dischargeAllocation = totals.discharge > 0 ? 
-                (workData.dischargeCount || 0) / totals.discharge * allocatedAmounts.discharge : 0;
-            
-            const attendanceAllocation = totals.attendance > 0 ? 
-                (workData.attendanceDays || 0) / totals.attendance * allocatedAmounts.attendance : 0;
-            
-            console.log(`  医疗业务总额分配: ${workData.medicalRevenue || 0} / ${totals.medicalRevenue} * ${allocatedAmounts.medicalRevenue} = ${medicalRevenueAllocation}`);
-            console.log(`  床日数分配: ${workData.bedDays || 0} / ${totals.bedDays} * ${allocatedAmounts.bedDays} = ${bedDaysAllocation}`);
-            console.log(`  出院人数分配: ${workData.dischargeCount || 0} / ${totals.discharge} * ${allocatedAmounts.discharge} = ${dischargeAllocation}`);
-            console.log(`  出勤分配: ${workData.attendanceDays || 0} / ${totals.attendance} * ${allocatedAmounts.attendance} = ${attendanceAllocation}`);
-            
-            // 计算初步分配金额（各项之和）
-            const preliminaryAllocation = medicalRevenueAllocation + bedDaysAllocation + dischargeAllocation + attendanceAllocation;
-            console.log(`  初步分配金额: ${preliminaryAllocation}`);
-            
-            // 应用职称系数
-            const titleCoefficient = doctor.titleCoefficient || 1.0;
-            const titleAdjustedAllocation = preliminaryAllocation * titleCoefficient;
-            console.log(`  职称系数: ${titleCoefficient}, 职称调整后金额: ${titleAdjustedAllocation}`);
-            
-            // 应用新入职人员系数
-            let newEmployeeCoeff = 1.0;
-            if (doctor.isNewEmployee) {
-                newEmployeeCoeff = doctor.isCertified ? 0.85 : 0.7;
-                // 渐进式调整
-                const workMonths = doctor.workMonths || 1;
-                const progressFactor = Math.min(1.0, workMonths / 12);
-                newEmployeeCoeff = newEmployeeCoeff + (1.0 - newEmployeeCoeff) * progressFactor;
-            }
-            
-            // 最终分配金额
-            const finalAllocation = titleAdjustedAllocation * newEmployeeCoeff;
-            console.log(`  新员工系数: ${newEmployeeCoeff}, 最终分配金额: ${finalAllocation}`);
-            
-            // 计算分数（用于显示）
-            const scores = {
-                medicalRevenue: totals.medicalRevenue > 0 ? (workData.medicalRevenue || 0) / totals.medicalRevenue * 100 : 0,
-                bedDays: totals.bedDays > 0 ? (workData.bedDays || 0) / totals.bedDays * 100 : 0,
-                discharge: totals.discharge > 0 ? (workData.dischargeCount || 0) / totals.discharge * 100 : 0,
-                attendance: totals.attendance > 0 ? (workData.attendanceDays || 0) / totals.attendance * 100 : 0
+        individualResults.forEach((result, i) => {
+            const share = totalBasis > 0 ? bases[i] / totalBasis : 0;
+            result.finalAllocation = totalBonus * share;
+            result.allocationRatio = share;
+            result.breakdown.formulas.share = {
+                expression: expression,
+                basis: bases[i],
+                totalBasis: totalBasis,
+                share: share,
+                allocation: result.finalAllocation
             };
+            result.breakdown.unscaledAllocation = result.finalAllocation;
             
-            const weightedScore = scores.medicalRevenue * weights.medicalRevenue * 100 + 
-                                scores.bedDays * weights.bedDays * 100 + 
-                                scores.discharge * weights.discharge * 100 + 
-                                scores.attendance * weights.attendance * 100;
-            
-            const finalScore = weightedScore * titleCoefficient * newEmployeeCoeff;
+            const warnings = [];
+            if (values[i] < 0) {
+                warnings.push({ code: 'FORMULA_NEGATIVE', message: `${result.doctorName}的分配份额公式结果为${Number(values[i].toFixed(4))}，按0计算` });
+            }
+            if (i === 0 && totalBasis <= 0) {
+                warnings.push({ code: 'FORMULA_SHARE_TOTAL_ZERO', message: '分配份额公式的团队合计为0，奖金将平均分配' });
+            }
+            this.recordTraceStep(trace, 'formula.share', {
+                doctorId: result.doctorId,
+                inputs: { expression: expression, basis: values[i], totalBasis: totalBasis, totalBonus: totalBonus },
+                output: result.finalAllocation,
+                warnings: warnings
+            });
+        });
+    }
+
+    /**
+     * 将个人绩效份额与上月实际绩效份额混合（与上月混合的多月平滑）
+     * 上月份额 = 上月绩效分配金额在本月、上月都在册人员中的占比 × 这些人员本月份额之和，
+     * 混合后份额 = 本月份额 × (1 − 混合比例) + 上月份额 × 混合比例；上月不在册的医生保持本月份额
+     * @param {Array} individualResults - 个人计算结果（finalAllocation为缩放前金额），原地修改
+     * @param {Object} prior - 上月数据（selectSmoothingMonths的结果）
+     * @param {number} blendRatio - 上月混合比例
+     * @param {number} totalBonus - 奖金总额
+     * @param {Object} trace - 审计轨迹
+     */
+    blendWithPriorMonth(individualResults, prior, blendRatio, totalBonus, trace) {
+        const unscaledTotal = individualResults.reduce((sum, result) => sum + result.finalAllocation, 0);
+        const priorAmounts = individualResults.map(result => {
+            const stored = (prior.results || []).find(item => item.doctorId === result.doctorId);
+            return stored ? Math.max(0, Number(stored.performanceAllocation ?? stored.finalAllocation) || 0) : null;
+        });
+        const priorTotal = priorAmounts.reduce((sum, amount) => sum + (amount || 0), 0);
+        const presentCurrentTotal = individualResults.reduce((sum, result, i) => sum + (priorAmounts[i] === null ? 0 : result.finalAllocation), 0);
+        if (unscaledTotal <= 0 || priorTotal <= 0) return;
+        
+        individualResults.forEach((result, i) => {
+            if (priorAmounts[i] === null) return;
             
-            individualResults.push({
-                doctorId: doctor.id,
-                doctorName: doctor.name,
-                scores: scores,
-                weightedScore: weightedScore,
-                titleCoefficient: titleCoefficient,
-                titleAdjustedScore: weightedScore * titleCoefficient,
-                newEmployeeCoefficient: newEmployeeCoeff,
-                finalScore: finalScore,
-                allocationRatio: totalBonus > 0 ? finalAllocation / totalBonus : 0,
-                preliminaryAllocation: preliminaryAllocation,
-                finalAllocation: finalAllocation,
-                allocationDetails: {
-                    medicalRevenue: medicalRevenueAllocation,
-                    bedDays: bedDaysAllocation,
-                    discharge: dischargeAllocation,
-                    attendance: attendanceAllocation
-                },
-                workData: {
-                    attendanceDays: workData.attendanceDays,
-                    dischargeCount: workData.dischargeCount,
-                    bedDays: workData.bedDays
+            const unsmoothedAllocation = result.finalAllocation;
+            const currentShare = unsmoothedAllocation / unscaledTotal;
+            const priorShare = priorAmounts[i] / priorTotal * presentCurrentTotal / unscaledTotal;
+            const blendedShare = currentShare * (1 - blendRatio) + priorShare * blendRatio;
+            result.finalAllocation = blendedShare * unscaledTotal;
+            result.allocationRatio = totalBonus > 0 ? result.finalAllocation / totalBonus : 0;
+            result.breakdown.unscaledAllocation = result.finalAllocation;
+            result.breakdown.smoothing = {
+                mode: 'blendPay',
+                year: Number(prior.year),
+                month: Number(prior.month),
+                blendRatio: blendRatio,
+                priorAllocation: priorAmounts[i],
+                currentShare: currentShare,
+                priorShare: priorShare,
+                blendedShare: blendedShare,
+                unsmoothedAllocation: unsmoothedAllocation
+            };
+            this.recordTraceStep(trace, 'allocation.smoothing', {
+                doctorId: result.doctorId,
+                inputs: {
+                    year: Number(prior.year),
+                    month: Number(prior.month),
+                    blendRatio: blendRatio,
+                    currentShare: currentShare,
+                    priorShare: priorShare,
+                    allocation: unsmoothedAllocation
                 },
-                doctorInfo: {
-                    title: doctor.title,
-                    workYears: doctor.workYears,
-                    isCertified: doctor.isCertified
-                }
+                output: result.finalAllocation
             });
+        });
+    }
+
+    /**
+     * 获取医生本月担任的岗位：常设岗位（Doctor.roles）与本月临时岗位（MonthlyWorkData.roles）的并集
+     * @param {Doctor} doctor - 医生对象
+     * @param {Object} workData - 月度工作数据
+     * @returns {Array<string>} 岗位名称
+     */
+    static getDoctorRoles(doctor, workData) {
+        return [...new Set([...(doctor?.roles || []), ...(workData?.roles || [])])];
+    }
+
+    /**
+     * 计算医生本月的岗位系数
+     * 只有岗位系数表中的岗位参与计算；多个岗位按组合方式合并：multiply为各系数连乘，
+     * add为 1 + Σ(系数 − 1)（结果不低于0），max为取最大值；未担任表中岗位时为1。
+     * 全年汇总的工作数据（带monthlyRoles，见aggregateAnnualWorkData）取各月岗位系数的平均值，items附各岗位担任的月数
+     * @param {Doctor} doctor - 医生对象
+     * @param {Object} workData - 月度工作数据（roles）
+     * @param {Object} roleCoefficientConfig - 岗位系数配置（经resolveTeamConfig规范化）
+     * @returns {Object} { applied, combine, coefficient, items: [{ name, coefficient, source, months? }] }
+     */
+    resolveRoleCoefficient(doctor, workData, roleCoefficientConfig) {
+        if (Array.isArray(workData?.monthlyRoles) && workData.monthlyRoles.length > 0) {
+            const monthly = workData.monthlyRoles.map(roles => this.resolveRoleCoefficient(doctor, { roles: roles }, roleCoefficientConfig));
+            const items = [];
+            monthly.forEach(month => month.items.forEach(item => {
+                const existing = items.find(entry => entry.name === item.name);
+                if (existing) {
+                    existing.months++;
+                } else {
+                    items.push({ ...item, months: 1 });
+                }
+            }));
+            return {
+                applied: items.length > 0,
+                combine: roleCoefficientConfig.combine,
+                coefficient: monthly.reduce((sum, month) => sum + month.coefficient, 0) / monthly.length,
+                items: items
+            };
         }
         
-        // 计算总分配金额和差额
-        const totalAllocated = individualResults.reduce((sum, result) => sum + result.finalAllocation, 0);
-        const difference = totalBonus - totalAllocated;
-        
-        console.log('Calculator: 总分配金额:', totalAllocated, '差额:', difference);
-        console.log('Calculator: 所有医生的个人计算结果:', individualResults);
+        const doctorRoles = doctor?.roles || [];
+        const items = PerformanceCalculator.getDoctorRoles(doctor, workData)
+            .map(name => {
+                const role = roleCoefficientConfig.roles.find(item => item.name === name);
+                return role ? {
+                    name: name,
+                    coefficient: role.coefficient,
+                    source: doctorRoles.includes(name) ? 'doctor' : 'month'
+                } : null;
+            })
+            .filter(Boolean);
         
-        // 如果差额较大，按比例调整
-        if (Math.abs(difference) > 1) {
-            const adjustmentFactor = totalBonus / totalAllocated;
-            individualResults.forEach(result => {
-                result.finalAllocation *= adjustmentFactor;
-            });
+        let coefficient = 1;
+        if (items.length > 0) {
+            switch (roleCoefficientConfig.combine) {
+                case 'add':
+                    coefficient = Math.max(0, 1 + items.reduce((sum, item) => sum + item.coefficient - 1, 0));
+                    break;
+                case 'max':
+                    coefficient = Math.max(...items.map(item => item.coefficient));
+                    break;
+                case 'multiply':
+                default:
+                    coefficient = items.reduce((product, item) => product * item.coefficient, 1);
+                    break;
+            }
         }
         
-        // 新增：整数化处理和差额分配算法
-        this.applyIntegerAllocationWithBalancing(individualResults, totalBonus);
-        
-        // 计算统计数据
-        const scores = individualResults.map(r => r.finalScore);
-        const teamStats = {
-            totalDoctors: doctors.length,
-            totalScore: scores.reduce((sum, score) => sum + score, 0),
-            averageScore: scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 0,
-            maxScore: scores.length > 0 ? Math.max(...scores) : 0,
-            minScore: scores.length > 0 ? Math.min(...scores) : 0,
-            newEmployeeCount: individualResults.filter(r => r.newEmployeeCoefficient < 1.0).length,
-            uncertifiedCount: individualResults.filter(r => !r.doctorInfo.isCertified).length
+        return {
+            applied: items.length > 0,
+            combine: roleCoefficientConfig.combine,
+            coefficient: coefficient,
+            items: items
         };
+    }
+
+    /**
+     * 计算医生本月的值班分值：值班分值 = Σ 各类型值班时长 × 该类型每小时分值
+     * @param {Object} workData - 月度工作数据（duties）
+     * @param {Object} dutyConfig - 值班配置（经resolveTeamConfig规范化）
+     * @returns {Object} { count, hours, points, items: [{ type, label, count, hours, rate, points }] }，items只含有值班的类型
+     */
+    resolveDuty(workData, dutyConfig) {
+        const summary = calculatorDeps.MonthlyWorkData.summarizeDuties(workData?.duties);
+        const items = Object.entries(summary.byType).map(([type, entry]) => {
+            const rate = dutyConfig.rates[type] ?? 0;
+            return {
+                type: type,
+                label: calculatorDeps.MonthlyWorkData.DUTY_TYPES[type] || type,
+                count: entry.count,
+                hours: entry.hours,
+                rate: rate,
+                points: entry.hours * rate
+            };
+        });
         
-        const result = {
-            individualResults: individualResults,
-            teamStats: teamStats,
-            groupStats: {
-                participantCount: doctors.length,
-                totalDoctors: doctors.length,
-                totalMedicalRevenue: totals.medicalRevenue,
-                totalDischarge: totals.discharge,
-                totalBedDays: totals.bedDays,
-                totalAttendance: totals.attendance
-            },
-            config: {
-                performanceWeights: {
-                    medicalRevenue: weights.medicalRevenue * 100,
-                    discharge: weights.discharge * 100,
-                    bedDays: weights.bedDays * 100,
-                    attendance: weights.attendance * 100
-                }
-            },
-            calculatedAt: new Date().toISOString()
+        return {
+            count: summary.count,
+            hours: summary.hours,
+            points: items.reduce((sum, item) => sum + item.points, 0),
+            items: items
         };
+    }
+
+    /**
+     * 按本月排班计算轮转地点的加权系数
+     * 地点系数 = Σ(各地点排班天数 × 地点系数) / 排班天数；各指标的地点系数同理，地点未设置该指标系数时按1计。
+     * 排班中已不在地点表中的地点不计入排班天数；没有有效排班时不调整（系数均为1）
+     * @param {Object} workData - 月度工作数据（roster）
+     * @param {Object} locationConfig - 轮转地点配置（经resolveTeamConfig规范化）
+     * @returns {Object} { applied, totalDays, coefficient, metricFactors, items: [{ id, name, days, coefficient, metricFactors }], unknown: [{ id, days }] }
+     */
+    resolveLocationMix(workData, locationConfig) {
+        const locationDays = calculatorDeps.MonthlyWorkData.getLocationDays(workData?.roster);
+        const items = [];
+        const unknown = [];
+        Object.entries(locationDays).forEach(([id, days]) => {
+            const location = locationConfig.locations.find(item => item.id === id);
+            if (location) {
+                items.push({ id: id, name: location.name, days: days, coefficient: location.coefficient, metricFactors: location.metricFactors });
+            } else {
+                unknown.push({ id: id, days: days });
+            }
+        });
         
-        console.log('=== Calculator: 计算完成 ===');
-        console.log('Calculator: 最终返回结果:', result);
-        console.log('Calculator: individualResults数量:', result.individualResults?.length || 0);
+        const totalDays = items.reduce((sum, item) => sum + item.days, 0);
+        const weigh = (read) => items.reduce((sum, item) => sum + item.days * read(item), 0) / totalDays;
+        const metricFactors = {};
+        if (totalDays > 0) {
+            items.forEach(item => Object.keys(item.metricFactors).forEach(metricId => {
+                metricFactors[metricId] = metricFactors[metricId] ?? weigh(other => other.metricFactors[metricId] ?? 1);
+            }));
+        }
         
-        return result;
+        return {
+            applied: totalDays > 0,
+            totalDays: totalDays,
+            coefficient: totalDays > 0 ? weigh(item => item.coefficient) : 1,
+            metricFactors: metricFactors,
+            items: items,
+            unknown: unknown
+        };
     }
 
     /**
-     * 导出计算结果为CSV格式
-     * @param {Object} calculationResult - 计算结果
-     * @returns {string} CSV字符串
+     * 计算医生本月的质量安全系数
+     * 每项事件的超出次数 = max(0, 发生次数 − 容许次数)，扣减量按扣减曲线计算：
+     * linear为扣减系数 × 超出次数，step为超出即扣减一次扣减系数，progressive为扣减系数 × 超出次数²；
+     * 质量系数 = max(系数下限, 1 − Σ 各项扣减量)
+     * @param {Object} workData - 月度工作数据（qualityEvents）
+     * @param {Object} qualityConfig - 质量系数配置（经resolveTeamConfig规范化）
+     * @returns {Object} { applied, coefficient, totalPenalty, items: [{ type, label, count, threshold, excess, curve, penalty }] }
      */
-    exportToCSV(calculationResult) {
-        const { results } = calculationResult;
+    resolveQualityCoefficient(workData, qualityConfig) {
+        const events = workData?.qualityEvents || {};
+        const items = Object.entries(qualityConfig.indicators).map(([type, rule]) => {
+            const count = Math.max(0, Number(events[type]) || 0);
+            const excess = Math.max(0, count - rule.threshold);
+            const penalty = {
+                linear: rule.penalty * excess,
+                step: excess > 0 ? rule.penalty : 0,
+                progressive: rule.penalty * excess * excess
+            }[rule.curve];
+            return {
+                type: type,
+                label: calculatorDeps.MonthlyWorkData.QUALITY_INDICATORS[type],
+                count: count,
+                threshold: rule.threshold,
+                excess: excess,
+                curve: rule.curve,
+                penalty: penalty
+            };
+        });
         
-        const headers = [
-            '排名', '姓名', '职称', '工作年限', '是否取证',
-            '出勤天数', '出院人数', '床日数',
-            '医疗业务分', '出院分', '床日分', '出勤分',
-            '加权分数', '职称系数', '职称调整后分数', '新入职系数', '最终分数'
-        ];
+        const totalPenalty = items.reduce((sum, item) => sum + item.penalty, 0);
+        const applied = qualityConfig.enabled && totalPenalty > 0;
+        return {
+            applied: applied,
+            mode: qualityConfig.mode,
+            coefficient: applied ? Math.max(qualityConfig.minCoefficient, 1 - totalPenalty) : 1,
+            totalPenalty: totalPenalty,
+            items: items
+        };
+    }
+
+    /**
+     * 计算医生的在岗天数折算
+     * 在岗天数 = 当月在科天数 − Σ 各类请假天数 ×（1 − 该类请假的计入比例）
+     * 只指定年份不指定月份时（年度计算）按全年（指定months时为这些月份）在科天数计，daysInMonth为相应的总天数
+     * @param {Object} doctor - 医生（startDate/endDate/prorationMode）
+     * @param {Object} workData - 月度工作数据（leaveDays）
+     * @param {Object} prorationConfig - 折算配置
+     * @param {Object} options - 计算选项（year/month/months/daysInMonth）
+     * @returns {Object} 折算说明 { applied, daysInMonth, employedDays, leaveDays, leaveDeduction, eligibleDays, eligibleRatio, description }
+     */
+    resolveProration(doctor, workData, prorationConfig, options = {}) {
+        const daysInMonth = options.daysInMonth || 30;
+        const proration = {
+            applied: false,
+            daysInMonth: daysInMonth,
+            employedDays: daysInMonth,
+            leaveDays: {},
+            leaveDeduction: 0,
+            eligibleDays: daysInMonth,
+            eligibleRatio: 1,
+            description: '整月参与分配'
+        };
         
-        const sortedResults = [...results].sort((a, b) => b.finalScore - a.finalScore);
+        if (!prorationConfig.enabled) {
+            proration.description = '未启用在岗天数折算';
+            return proration;
+        }
+        if (doctor.prorationMode === 'none') {
+            proration.description = '该医生设置为不折算';
+            return proration;
+        }
         
-        const rows = sortedResults.map((result, index) => [
-            index + 1,
-            result.doctorName,
-            result.doctorInfo.title,
-            result.doctorInfo.workYears,
-            result.doctorInfo.isCertified ? '是' : '否',
-            result.workData.attendanceDays,
-            result.workData.dischargeCount,
-            result.workData.bedDays,
-            result.scores.medicalRevenue.toFixed(2),
-            result.scores.discharge.toFixed(2),
-            result.scores.bedDays.toFixed(2),
-            result.scores.attendance.toFixed(2),
-            result.weightedScore.toFixed(2),
-            result.titleCoefficient,
-            result.titleAdjustedScore.toFixed(2),
-            result.newEmployeeCoefficient,
-            result.finalScore.toFixed(2)
-        ]);
+        const notes = [];
+        if (options.year && options.month) {
+            proration.employedDays = calculatorDeps.Doctor.getEmploymentDaysInMonth(doctor, options.year, options.month);
+            if (proration.employedDays < daysInMonth) {
+                notes.push(`在科${proration.employedDays}/${daysInMonth}天`);
+            }
+        } else if (options.year) {
+            proration.employedDays = (options.months || Array.from({ length: 12 }, (_, index) => index + 1))
+                .map(month => calculatorDeps.Doctor.getEmploymentDaysInMonth(doctor, options.year, month))
+                .reduce((sum, days) => sum + days, 0);
+            if (proration.employedDays < daysInMonth) {
+                notes.push(`全年在科${proration.employedDays}/${daysInMonth}天`);
+            }
+        }
         
-        const csvContent = [headers, ...rows]
-            .map(row => row.map(cell => `"${cell}"`).join(','))
-            .join('\n');
+        Object.entries(workData?.leaveDays || {}).forEach(([type, days]) => {
+            const leaveDays = Number(days) || 0;
+            if (leaveDays <= 0) return;
+            const ratio = prorationConfig.leaveCreditRatios[type] ?? 0;
+            const deduction = leaveDays * (1 - ratio);
+            proration.leaveDays[type] = leaveDays;
+            proration.leaveDeduction += deduction;
+            const label = calculatorDeps.MonthlyWorkData.LEAVE_TYPES[type] || type;
+            notes.push(`${label}${leaveDays}天（计入比例${ratio}，扣减${deduction}天）`);
+        });
+        
+        proration.eligibleDays = Math.max(0, proration.employedDays - proration.leaveDeduction);
+        proration.eligibleRatio = Math.min(1, proration.eligibleDays / daysInMonth);
+        proration.applied = proration.eligibleRatio < 1;
+        if (notes.length > 0) {
+            proration.description = `${notes.join('；')}，在岗${proration.eligibleDays}天，折算比例${(proration.eligibleRatio * 100).toFixed(1)}%`;
+        }
+        
+        return proration;
+    }
+
+    /**
+     * 按在岗天数折算计算指标份额
+     * 各人份额乘以其折算比例后重新归一化，即份额按在岗天数缩放；不参与折算的指标（如出勤天数本身）直接计分
+     * @param {MetricRegistry} registry - 指标注册表
+     * @param {Object} metric - 指标定义
+     * @param {Array<number>} values - 各成员的指标值
+     * @param {Array<Object>} prorations - 各成员的折算说明
+     * @returns {Array<number>} 各成员的份额
+     */
+    computeProratedShares(registry, metric, values, prorations) {
+        const shares = registry.computeShares(metric, values);
+        if (!metric.prorate || !prorations.some(proration => proration.applied)) {
+            return shares;
+        }
+        
+        const weighted = shares.map((share, i) => share * prorations[i].eligibleRatio);
+        const total = weighted.reduce((sum, share) => sum + share, 0);
+        return weighted.map(share => (total > 0 ? share / total : 0));
+    }
+
+    /**
+     * 解析可选金额（空值返回null）
+     * @param {*} value - 原始值
+     * @returns {number|null} 金额
+     */
+    parseOptionalAmount(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const amount = Number(value);
+        return isNaN(amount) ? null : amount;
+    }
+
+    /**
+     * 计算每位医生的分配上下限
+     * 全局下限/上限与职称上下限同时生效时取更严格者；固定金额的上下限为每月金额，跨月计算时乘以月数
+     * @param {Array} individualResults - 个人计算结果数组
+     * @param {number} totalBonus - 可分配奖金
+     * @param {Object} constraints - 上下限配置
+     * @param {Object} options - 计算选项（daysInMonth/periodMonths）
+     * @returns {Array<Object>} 每人的 { min, max, minSource, maxSource }
+     */
+    resolveAllocationBounds(individualResults, totalBonus, constraints, options = {}) {
+        const average = individualResults.length > 0 ? totalBonus / individualResults.length : 0;
+        const periodMonths = options.periodMonths || 1;
+        const limitOf = (rule) => {
+            if (rule.mode === 'absolute') return rule.value * periodMonths;
+            if (rule.mode === 'averageMultiple') return rule.value * average;
+            return null;
+        };
+        
+        const fullAttendanceDays = options.daysInMonth ||
+            Math.max(0, ...individualResults.map(result => Number(result.workData.attendanceDays) || 0));
+        const floorLimit = limitOf(constraints.floor);
+        const ceilingLimit = limitOf(constraints.ceiling);
+        
+        return individualResults.map(result => {
+            const bounds = { min: 0, max: Infinity, minSource: null, maxSource: null };
+            const isFullAttendance = (Number(result.workData.attendanceDays) || 0) >= fullAttendanceDays;
+            
+            if (floorLimit !== null && (!constraints.floor.fullAttendanceOnly || isFullAttendance)) {
+                bounds.min = floorLimit;
+                bounds.minSource = constraints.floor.mode;
+            }
+            if (ceilingLimit !== null) {
+                bounds.max = ceilingLimit;
+                bounds.maxSource = constraints.ceiling.mode;
+            }
+            
+            const titleLimit = constraints.titleLimits?.[result.doctorInfo.title];
+            if (titleLimit) {
+                if (titleLimit.min !== null && titleLimit.min * periodMonths > bounds.min) {
+                    bounds.min = titleLimit.min * periodMonths;
+                    bounds.minSource = 'title';
+                }
+                if (titleLimit.max !== null && titleLimit.max * periodMonths < bounds.max) {
+                    bounds.max = titleLimit.max * periodMonths;
+                    bounds.maxSource = 'title';
+                }
+            }
+            
+            if (bounds.min > bounds.max) {
+                throw new Error(`${result.doctorName}的绩效下限${bounds.min.toFixed(2)}元高于上限${bounds.max.toFixed(2)}元`);
+            }
+            
+            return bounds;
+        });
+    }
+
+    /**
+     * 应用个人分配上下限约束
+     * 迭代进行：未被限制的成员按原分配金额的比例分摊剩余奖金；若有人越界，
+     * 比较越上限的超出总额与低于下限的不足总额，先固定较大一侧的越界者为其边界值，
+     * 其余成员重新分摊，直至无人越界（最多迭代人数+1次）。
+     * 被限制的结果写入allocationConstraint标记：{ bound: 'floor'|'ceiling', source: 'absolute'|'averageMultiple'|'title', limit, unconstrainedAllocation }。
+     * 之后的取整步骤可能使被限制者偏离边界不超过一个取整单位
+     * @param {Array} individualResults - 个人计算结果数组（finalAllocation为未取整金额）
+     * @param {number} totalBonus - 可分配奖金
+     * @param {Object} constraints - 上下限配置
+     * @param {Object} options - 计算选项（daysInMonth）
+     * @returns {Object} 约束汇总 { floorCount, ceilingCount, iterations }
+     */
+    applyAllocationConstraints(individualResults, totalBonus, constraints, options = {}) {
+        individualResults.forEach(result => {
+            result.allocationConstraint = null;
+        });
+        
+        const summary = { floorCount: 0, ceilingCount: 0, iterations: 0 };
+        const hasTitleLimits = Object.keys(constraints.titleLimits || {}).length > 0;
+        if (individualResults.length === 0 ||
+            (constraints.floor.mode === 'none' && constraints.ceiling.mode === 'none' && !hasTitleLimits)) {
+            return summary;
+        }
+        
+        const bounds = this.resolveAllocationBounds(individualResults, totalBonus, constraints, options);
+        const totalMin = bounds.reduce((sum, bound) => sum + bound.min, 0);
+        const totalMax = bounds.reduce((sum, bound) => sum + bound.max, 0);
+        if (totalMin > totalBonus + 1e-6) {
+            throw new Error(`可分配奖金${totalBonus}元不足以满足各成员的绩效下限（合计${totalMin.toFixed(2)}元）`);
+        }
+        if (totalMax < totalBonus - 1e-6) {
+            throw new Error(`各成员绩效上限合计${totalMax.toFixed(2)}元，低于可分配奖金${totalBonus}元`);
+        }
+        
+        const amounts = individualResults.map(result => Math.max(0, Number(result.finalAllocation) || 0));
+        const fixed = individualResults.map(() => null);
+        let allocations = [...amounts];
+        
+        for (let iteration = 0; iteration <= individualResults.length; iteration++) {
+            summary.iterations = iteration + 1;
+            
+            // 未被限制的成员按原分配比例分摊剩余奖金
+            const free = individualResults.map((result, index) => index).filter(index => fixed[index] === null);
+            const remaining = totalBonus - fixed.reduce((sum, value) => sum + (value === null ? 0 : value.amount), 0);
+            const freeTotal = free.reduce((sum, index) => sum + amounts[index], 0);
+            allocations = individualResults.map((result, index) => {
+                if (fixed[index] !== null) return fixed[index].amount;
+                return freeTotal > 0 ? amounts[index] / freeTotal * remaining : remaining / free.length;
+            });
+            
+            const overIndexes = free.filter(index => allocations[index] > bounds[index].max + 1e-9);
+            const underIndexes = free.filter(index => allocations[index] < bounds[index].min - 1e-9);
+            if (overIndexes.length === 0 && underIndexes.length === 0) break;
+            
+            const excess = overIndexes.reduce((sum, index) => sum + allocations[index] - bounds[index].max, 0);
+            const shortfall = underIndexes.reduce((sum, index) => sum + bounds[index].min - allocations[index], 0);
+            
+            if (excess >= shortfall) {
+                overIndexes.forEach(index => {
+                    fixed[index] = { amount: bounds[index].max, bound: 'ceiling', source: bounds[index].maxSource };
+                });
+            } else {
+                underIndexes.forEach(index => {
+                    fixed[index] = { amount: bounds[index].min, bound: 'floor', source: bounds[index].minSource };
+                });
+            }
+        }
+        
+        individualResults.forEach((result, index) => {
+            const unconstrainedAllocation = result.finalAllocation;
+            result.finalAllocation = allocations[index];
+            if (fixed[index] !== null) {
+                result.allocationConstraint = {
+                    bound: fixed[index].bound,
+                    source: fixed[index].source,
+                    limit: fixed[index].amount,
+                    unconstrainedAllocation: unconstrainedAllocation
+                };
+                summary[fixed[index].bound === 'floor' ? 'floorCount' : 'ceilingCount']++;
+            }
+        });
+        
+        return summary;
+    }
+
+    /**
+     * 合并团队绩效计算配置
+     * 以SystemConfig中保存的指标、权重和新入职系数为准，缺失项使用默认配置
+     * @param {Object} config - 系统配置（SystemConfig或其JSON）
+     * @returns {Object} 合并后的配置
+     */
+    resolveTeamConfig(config = {}) {
+        const source = config && config.toJSON ? config.toJSON() : (config || {});
+        
+        const metricRegistry = calculatorDeps.MetricRegistry.fromConfig({
+            metrics: source.metrics,
+            performanceWeights: {
+                ...this.defaultConfig.performanceWeights,
+                ...(source.performanceWeights || {})
+            }
+        });
+        const performanceWeights = metricRegistry.getWeights();
+        const newEmployeeConfig = {
+            ...this.defaultConfig.newEmployeeConfig,
+            ...(source.newEmployeeConfig || {})
+        };
+        
+        const roleCoefficientConfig = {
+            combine: source.roleCoefficientConfig?.combine || this.defaultConfig.roleCoefficientConfig.combine,
+            roles: (source.roleCoefficientConfig?.roles || this.defaultConfig.roleCoefficientConfig.roles).map(role => ({
+                name: String(role.name || '').trim(),
+                coefficient: Number(role.coefficient)
+            }))
+        };
+        if (!PerformanceCalculator.ROLE_COMBINE_RULES[roleCoefficientConfig.combine]) {
+            throw new Error(`未知的岗位系数组合方式：${roleCoefficientConfig.combine}`);
+        }
+        roleCoefficientConfig.roles.forEach((role, index) => {
+            if (!role.name) {
+                throw new Error('岗位名称不能为空');
+            }
+            if (roleCoefficientConfig.roles.findIndex(other => other.name === role.name) !== index) {
+                throw new Error(`岗位"${role.name}"重复`);
+            }
+            if (isNaN(role.coefficient) || role.coefficient <= 0) {
+                throw new Error(`岗位"${role.name}"的系数必须大于0`);
+            }
+        });
+        
+        const metricIds = metricRegistry.getAll().map(metric => metric.id);
+        const locationConfig = {
+            locations: (source.locationConfig?.locations || this.defaultConfig.locationConfig.locations).map(location => ({
+                id: String(location.id || '').trim(),
+                name: String(location.name || '').trim(),
+                coefficient: Number(location.coefficient ?? 1),
+                // 已删除指标的地点系数不再参与计算
+                metricFactors: Object.fromEntries(Object.entries(location.metricFactors || {})
+                    .filter(([metricId]) => metricIds.includes(metricId))
+                    .map(([metricId, factor]) => [metricId, Number(factor)]))
+            }))
+        };
+        locationConfig.locations.forEach((location, index) => {
+            if (!location.id || !location.name) {
+                throw new Error('轮转地点的标识和名称不能为空');
+            }
+            if (locationConfig.locations.findIndex(other => other.id === location.id) !== index) {
+                throw new Error(`轮转地点"${location.id}"重复`);
+            }
+            if (isNaN(location.coefficient) || location.coefficient <= 0) {
+                throw new Error(`轮转地点"${location.name}"的系数必须大于0`);
+            }
+            Object.entries(location.metricFactors).forEach(([metricId, factor]) => {
+                if (isNaN(factor) || factor <= 0) {
+                    throw new Error(`轮转地点"${location.name}"的指标"${metricRegistry.get(metricId).label}"系数必须大于0`);
+                }
+            });
+        });
+        
+        const rewardPenaltyConfig = {
+            ...this.defaultConfig.rewardPenaltyConfig,
+            ...(source.rewardPenaltyConfig || {})
+        };
+        
+        const roundingConfig = {
+            ...this.defaultConfig.roundingConfig,
+            ...(source.roundingConfig || {})
+        };
+        roundingConfig.unit = Number(roundingConfig.unit);
+        
+        const prorationConfig = {
+            ...this.defaultConfig.prorationConfig,
+            ...(source.prorationConfig || {}),
+            leaveCreditRatios: {
+                ...this.defaultConfig.prorationConfig.leaveCreditRatios,
+                ...(source.prorationConfig?.leaveCreditRatios || {})
+            }
+        };
+        
+        const allocationConstraints = {
+            floor: {
+                ...this.defaultConfig.allocationConstraints.floor,
+                ...(source.allocationConstraints?.floor || {})
+            },
+            ceiling: {
+                ...this.defaultConfig.allocationConstraints.ceiling,
+                ...(source.allocationConstraints?.ceiling || {})
+            },
+            // 按职称设置的金额上下限，来自职称系数配置（复算历史记录时沿用记录中冻结的限额）
+            titleLimits: { ...(source.allocationConstraints?.titleLimits || {}) }
+        };
+        (source.titleCoefficients || []).forEach(title => {
+            const min = this.parseOptionalAmount(title.minAllocation);
+            const max = this.parseOptionalAmount(title.maxAllocation);
+            if (min !== null || max !== null) {
+                allocationConstraints.titleLimits[title.name] = { min, max };
+            }
+        });
+        
+        const totalWeight = metricRegistry.getTotalWeight();
+        if (!metricRegistry.validateWeights()) {
+            throw new Error(`权重总和必须为100，当前为${totalWeight}`);
+        }
+        
+        if (!PerformanceCalculator.REWARD_PENALTY_POLICIES.includes(rewardPenaltyConfig.policy)) {
+            throw new Error(`未知的奖罚处理策略：${rewardPenaltyConfig.policy}`);
+        }
+        
+        if (!PerformanceCalculator.ROUNDING_UNITS.includes(roundingConfig.unit)) {
+            throw new Error(`不支持的取整单位：${roundingConfig.unit}`);
+        }
+        
+        Object.entries(prorationConfig.leaveCreditRatios).forEach(([type, ratio]) => {
+            const value = Number(ratio);
+            if (isNaN(value) || value < 0 || value > 1) {
+                throw new Error(`${calculatorDeps.MonthlyWorkData.LEAVE_TYPES[type] || type}的计入比例必须在0-1之间`);
+            }
+            prorationConfig.leaveCreditRatios[type] = value;
+        });
+        
+        [['floor', '下限'], ['ceiling', '上限']].forEach(([key, label]) => {
+            const rule = allocationConstraints[key];
+            rule.value = Number(rule.value) || 0;
+            if (!PerformanceCalculator.CONSTRAINT_MODES.includes(rule.mode)) {
+                throw new Error(`未知的分配${label}方式：${rule.mode}`);
+            }
+            if (rule.value < 0) {
+                throw new Error(`分配${label}不能为负数`);
+            }
+        });
+        
+        const fairnessConfig = {
+            ...this.defaultConfig.fairnessConfig,
+            ...(source.fairnessConfig || {})
+        };
+        Object.keys(this.defaultConfig.fairnessConfig).forEach(key => {
+            fairnessConfig[key] = Number(fairnessConfig[key]);
+            if (isNaN(fairnessConfig[key]) || fairnessConfig[key] <= 0) {
+                throw new Error('公平性预警阈值必须大于0');
+            }
+        });
+        
+        const groupConfig = {
+            groups: (source.groupConfig?.groups || this.defaultConfig.groupConfig.groups).map(group => ({
+                id: String(group.id || '').trim(),
+                name: String(group.name || '').trim()
+            })),
+            weights: {
+                ...this.defaultConfig.groupConfig.weights,
+                ...(source.groupConfig?.weights || {})
+            }
+        };
+        groupConfig.groups.forEach((group, index) => {
+            if (!group.id || !group.name) {
+                throw new Error('治疗组的标识和名称不能为空');
+            }
+            if (groupConfig.groups.findIndex(other => other.id === group.id) !== index) {
+                throw new Error(`治疗组标识"${group.id}"重复`);
+            }
+        });
+        Object.keys(groupConfig.weights).forEach(key => {
+            groupConfig.weights[key] = Number(groupConfig.weights[key]);
+            if (isNaN(groupConfig.weights[key]) || groupConfig.weights[key] < 0) {
+                throw new Error('治疗组分配权重不能为负数');
+            }
+        });
+        if (Math.abs(groupConfig.weights.headcount + groupConfig.weights.output - 100) > 0.01) {
+            throw new Error('治疗组分配权重（人数 + 产出）之和必须为100');
+        }
+        
+        const qualityConfig = {
+            enabled: source.qualityConfig?.enabled ?? this.defaultConfig.qualityConfig.enabled,
+            mode: source.qualityConfig?.mode || this.defaultConfig.qualityConfig.mode,
+            minCoefficient: Number(source.qualityConfig?.minCoefficient ?? this.defaultConfig.qualityConfig.minCoefficient),
+            indicators: {}
+        };
+        if (!PerformanceCalculator.QUALITY_MODES[qualityConfig.mode]) {
+            throw new Error(`未知的质量系数应用方式：${qualityConfig.mode}`);
+        }
+        if (isNaN(qualityConfig.minCoefficient) || qualityConfig.minCoefficient < 0 || qualityConfig.minCoefficient > 1) {
+            throw new Error('质量系数下限必须在0-1之间');
+        }
+        Object.keys(calculatorDeps.MonthlyWorkData.QUALITY_INDICATORS).forEach(type => {
+            const label = calculatorDeps.MonthlyWorkData.QUALITY_INDICATORS[type];
+            const rule = {
+                ...this.defaultConfig.qualityConfig.indicators[type],
+                ...(source.qualityConfig?.indicators?.[type] || {})
+            };
+            rule.threshold = Number(rule.threshold);
+            rule.penalty = Number(rule.penalty);
+            if (isNaN(rule.threshold) || rule.threshold < 0) {
+                throw new Error(`${label}的容许次数不能为负数`);
+            }
+            if (isNaN(rule.penalty) || rule.penalty < 0 || rule.penalty > 1) {
+                throw new Error(`${label}的扣减系数必须在0-1之间`);
+            }
+            if (!PerformanceCalculator.QUALITY_CURVES[rule.curve]) {
+                throw new Error(`${label}的扣减曲线"${rule.curve}"不受支持`);
+            }
+            qualityConfig.indicators[type] = rule;
+        });
+        
+        const drgConfig = {
+            enabled: source.drgConfig?.enabled ?? this.defaultConfig.drgConfig.enabled,
+            weights: (source.drgConfig?.weights || this.defaultConfig.drgConfig.weights).map(entry => ({
+                code: String(entry.code || '').trim(),
+                name: String(entry.name || '').trim(),
+                weight: Number(entry.weight)
+            }))
+        };
+        drgConfig.weights.forEach((entry, index) => {
+            if (!entry.code) {
+                throw new Error('DRG分组编码不能为空');
+            }
+            if (drgConfig.weights.findIndex(other => other.code === entry.code) !== index) {
+                throw new Error(`DRG分组编码"${entry.code}"重复`);
+            }
+            if (isNaN(entry.weight) || entry.weight <= 0) {
+                throw new Error(`DRG分组"${entry.code}"的权重必须大于0`);
+            }
+        });
+        
+        const revenueConfig = {
+            basis: source.revenueConfig?.basis || this.defaultConfig.revenueConfig.basis,
+            netRatios: { ...this.defaultConfig.revenueConfig.netRatios, ...(source.revenueConfig?.netRatios || {}) },
+            ratioTargets: {}
+        };
+        if (!PerformanceCalculator.REVENUE_BASES[revenueConfig.basis]) {
+            throw new Error(`未知的医疗收入计分口径：${revenueConfig.basis}`);
+        }
+        Object.keys(revenueConfig.netRatios).forEach(type => {
+            revenueConfig.netRatios[type] = Number(revenueConfig.netRatios[type]);
+            if (isNaN(revenueConfig.netRatios[type]) || revenueConfig.netRatios[type] < 0 || revenueConfig.netRatios[type] > 1) {
+                throw new Error(`${calculatorDeps.MonthlyWorkData.REVENUE_COMPONENTS[type] || type}的计入比例必须在0-1之间`);
+            }
+        });
+        Object.keys(PerformanceCalculator.REVENUE_RATIO_TYPES).forEach(type => {
+            const label = PerformanceCalculator.REVENUE_RATIO_TYPES[type];
+            const rule = {
+                ...this.defaultConfig.revenueConfig.ratioTargets[type],
+                ...(source.revenueConfig?.ratioTargets?.[type] || {})
+            };
+            rule.target = rule.target === null || rule.target === '' ? null : Number(rule.target);
+            rule.penalty = Number(rule.penalty);
+            if (rule.target !== null && (isNaN(rule.target) || rule.target < 0 || rule.target > 100)) {
+                throw new Error(`${label}目标必须在0-100之间`);
+            }
+            if (isNaN(rule.penalty) || rule.penalty < 0 || rule.penalty > 1) {
+                throw new Error(`${label}的扣减比例必须在0-1之间`);
+            }
+            revenueConfig.ratioTargets[type] = rule;
+        });
+        
+        const smoothingConfig = {
+            ...this.defaultConfig.smoothingConfig,
+            ...(source.smoothingConfig || {})
+        };
+        ['window', 'decay', 'blendRatio'].forEach(key => {
+            smoothingConfig[key] = Number(smoothingConfig[key]);
+        });
+        if (!PerformanceCalculator.SMOOTHING_MODES[smoothingConfig.mode]) {
+            throw new Error(`未知的多月平滑方式：${smoothingConfig.mode}`);
+        }
+        if (!PerformanceCalculator.SMOOTHING_WEIGHTINGS[smoothingConfig.weighting]) {
+            throw new Error(`未知的滚动平均权重方式：${smoothingConfig.weighting}`);
+        }
+        if (!Number.isInteger(smoothingConfig.window) || smoothingConfig.window < 2 || smoothingConfig.window > 12) {
+            throw new Error('滚动平均的月数必须为2-12之间的整数');
+        }
+        if (isNaN(smoothingConfig.decay) || smoothingConfig.decay <= 0 || smoothingConfig.decay > 1) {
+            throw new Error('指数衰减系数必须大于0且不超过1');
+        }
+        if (isNaN(smoothingConfig.blendRatio) || smoothingConfig.blendRatio < 0 || smoothingConfig.blendRatio > 1) {
+            throw new Error('上月混合比例必须在0-1之间');
+        }
+        
+        const subPoolConfig = {
+            pools: (source.subPoolConfig?.pools || this.defaultConfig.subPoolConfig.pools).map(pool => ({
+                id: String(pool.id || '').trim(),
+                name: String(pool.name || '').trim(),
+                mode: pool.mode || 'fixed',
+                value: Number(pool.value),
+                doctorIds: (pool.doctorIds || []).map(String),
+                roles: (pool.roles || []).map(role => String(role).trim()).filter(Boolean)
+            }))
+        };
+        subPoolConfig.pools.forEach((pool, index) => {
+            if (!pool.id || !pool.name) {
+                throw new Error('专项奖金的标识和名称不能为空');
+            }
+            if (subPoolConfig.pools.findIndex(other => other.id === pool.id) !== index) {
+                throw new Error(`专项奖金标识"${pool.id}"重复`);
+            }
+            if (pool.id === PerformanceCalculator.DUTY_POOL_ID) {
+                throw new Error(`专项奖金标识"${pool.id}"为值班奖金保留`);
+            }
+            if (!PerformanceCalculator.SUB_POOL_MODES[pool.mode]) {
+                throw new Error(`专项奖金"${pool.name}"的计提方式"${pool.mode}"不受支持`);
+            }
+            if (isNaN(pool.value) || pool.value < 0 || (pool.mode === 'percentage' && pool.value > 100)) {
+                throw new Error(`专项奖金"${pool.name}"的${pool.mode === 'percentage' ? '比例必须在0-100之间' : '金额不能为负数'}`);
+            }
+            if (pool.doctorIds.length === 0 && pool.roles.length === 0) {
+                throw new Error(`专项奖金"${pool.name}"未指定发放对象`);
+            }
+        });
+        
+        const dutyConfig = {
+            ...this.defaultConfig.dutyConfig,
+            ...(source.dutyConfig || {}),
+            rates: { ...this.defaultConfig.dutyConfig.rates, ...(source.dutyConfig?.rates || {}) }
+        };
+        dutyConfig.poolValue = Number(dutyConfig.poolValue);
+        if (!PerformanceCalculator.DUTY_MODES[dutyConfig.mode]) {
+            throw new Error(`未知的值班计入方式：${dutyConfig.mode}`);
+        }
+        Object.entries(calculatorDeps.MonthlyWorkData.DUTY_TYPES).forEach(([type, label]) => {
+            dutyConfig.rates[type] = Number(dutyConfig.rates[type]);
+            if (isNaN(dutyConfig.rates[type]) || dutyConfig.rates[type] < 0) {
+                throw new Error(`${label}的每小时分值不能为负数`);
+            }
+        });
+        if (dutyConfig.mode === 'pool') {
+            if (!PerformanceCalculator.DUTY_POOL_MODES[dutyConfig.poolMode]) {
+                throw new Error(`未知的值班奖金计提方式：${dutyConfig.poolMode}`);
+            }
+            if (isNaN(dutyConfig.poolValue) || dutyConfig.poolValue < 0 || (dutyConfig.poolMode === 'percentage' && dutyConfig.poolValue > 100)) {
+                throw new Error(`值班奖金的${dutyConfig.poolMode === 'percentage' ? '比例必须在0-100之间' : '金额不能为负数'}`);
+            }
+        }
+        if (dutyConfig.mode === 'metric' && !metricIds.includes(dutyConfig.metricId)) {
+            throw new Error(dutyConfig.metricId ? `值班计入的指标"${dutyConfig.metricId}"不存在` : '请选择值班计入的指标');
+        }
+        
+        const formulaConfig = {
+            ...this.defaultConfig.formulaConfig,
+            ...(source.formulaConfig || {})
+        };
+        const formulaVariables = PerformanceCalculator.getFormulaVariables(metricRegistry.getAll());
+        Object.keys(PerformanceCalculator.FORMULA_TYPES).forEach(type => {
+            formulaConfig[type] = String(formulaConfig[type] || '').trim();
+            if (!formulaConfig[type]) return;
+            const validation = calculatorDeps.Formula.validate(formulaConfig[type], formulaVariables[type]);
+            if (!validation.isValid) {
+                throw new Error(`${PerformanceCalculator.FORMULA_TYPES[type]}有误：${validation.errors.join('；')}`);
+            }
+        });
+        
+        return {
+            metricRegistry,
+            performanceWeights,
+            newEmployeeConfig,
+            roleCoefficientConfig,
+            locationConfig,
+            rewardPenaltyConfig,
+            roundingConfig,
+            prorationConfig,
+            allocationConstraints,
+            fairnessConfig,
+            groupConfig,
+            qualityConfig,
+            drgConfig,
+            revenueConfig,
+            smoothingConfig,
+            subPoolConfig,
+            dutyConfig,
+            formulaConfig
+        };
+    }
+
+    /**
+     * 获取自定义公式可用的变量
+     * 每项指标提供两个变量：指标标识为本人指标值，指标标识加Share为本人在该指标上的份额（折算、平滑后）；
+     * 另有值班次数、时长和分值三个变量
+     * @param {Array<Object>} metrics - 指标定义列表
+     * @returns {Object} { coefficient, share }，各为变量名到说明的映射
+     */
+    static getFormulaVariables(metrics = []) {
+        const metricVariables = {};
+        metrics.forEach(metric => {
+            metricVariables[metric.id] = `${metric.label}（${metric.unit || '数值'}）`;
+            metricVariables[`${metric.id}Share`] = `${metric.label}份额（0-1）`;
+        });
+        metricVariables.dutyCount = '值班次数';
+        metricVariables.dutyHours = '值班时长（小时）';
+        metricVariables.dutyPoints = '值班分值（Σ 时长 × 每小时分值）';
+        
+        return {
+            coefficient: {
+                ...metricVariables,
+                titleCoefficient: '职称系数',
+                newEmployeeCoefficient: '新入职人员系数',
+                roleCoefficient: '岗位系数（未担任设有系数的岗位时为1）',
+                locationCoefficient: '轮转地点系数（按排班天数加权，未排班时为1）',
+                qualityCoefficient: '质量安全系数（扣减模式下为1）',
+                eligibleRatio: '在岗折算比例（0-1）',
+                workYears: '工作年限',
+                workMonths: '入职月数',
+                isCertified: '是否已取得执业证（1或0）'
+            },
+            share: {
+                ...metricVariables,
+                coefficient: '综合系数（系数公式结果，未设置时为职称、新入职人员、岗位、地点和质量系数之积）',
+                eligibleRatio: '在岗折算比例（0-1）'
+            }
+        };
+    }
+
+    /**
+     * 计算团队绩效（适配main.js调用）- 新的科学分配算法
+     * @param {Array} doctorsWithData - 包含医生和工作数据的数组
+     * @param {number} totalBonus - 总奖金额度
+     * @param {Object} config - 系统配置（权重、新入职系数等），缺省使用默认配置
+     * @param {Object} options - 计算选项
+     * @param {number} options.year - 计算年份，与month一起用于按入离科日期折算
+     * @param {number} options.month - 计算月份（1-12）
+     * @param {Array<number>} options.months - 年度计算（只有year）时计入的月份，缺省为全年12个月，用于按在科天数折算
+     * @param {number} options.daysInMonth - 当月天数，用于判断满勤；缺省由year/month推算，仍缺省时以团队最高出勤天数为满勤
+     * @param {number} options.periodMonths - 计算涵盖的月数（年度计算时为结算月数），固定金额的分配上下限按此放大，缺省为1
+     * @returns {Object} 计算结果，格式适配results.js
+     */
+    calculateTeamPerformance(doctorsWithData, totalBonus = 0, config = {}, options = {}) {
+        // 提取医生列表和工作数据列表
+        const doctors = doctorsWithData.map(item => item.doctor);
+        const workDataList = doctorsWithData.map(item => item.workData);
+        
+        // 指标与权重来自系统配置（指标注册表）
+        const cfg = this.resolveTeamConfig(config);
+        const registry = cfg.metricRegistry;
+        const metrics = registry.getAll();
+        const newEmployeeConfig = cfg.newEmployeeConfig;
+        
+        if (!options.daysInMonth && options.year && options.month) {
+            options = { ...options, daysInMonth: new Date(options.year, options.month, 0).getDate() };
+        }
+        
+        // 审计轨迹：保存输入快照和每一步的输入、公式、输出及警告
+        const trace = this.createTrace(doctors, workDataList, totalBonus, options);
+        this.recordTraceStep(trace, 'config.weights', {
+            inputs: { weights: registry.getWeights() },
+            output: registry.getTotalWeight(),
+            warnings: registry.validateWeights() ? [] : [{
+                code: 'WEIGHTS_NOT_100',
+                message: `指标权重合计为${registry.getTotalWeight()}%，不等于100%`
+            }]
+        });
+        
+        // 在岗天数折算
+        const prorations = doctors.map((doctor, i) => this.resolveProration(doctor, workDataList[i], cfg.prorationConfig, options));
+        prorations.forEach((proration, i) => {
+            if (!proration.applied) return;
+            this.recordTraceStep(trace, 'proration.ratio', {
+                doctorId: doctors[i].id,
+                inputs: {
+                    daysInMonth: proration.daysInMonth,
+                    employedDays: proration.employedDays,
+                    leaveDays: proration.leaveDays,
+                    leaveDeduction: proration.leaveDeduction
+                },
+                output: proration.eligibleRatio
+            });
+        });
+        
+        // 读取各指标的成员数值、团队汇总值、份额和奖金池
+        const metricStats = {};
+        metrics.forEach(metric => {
+            const values = workDataList.map(data => this.readMetricValue(registry, data, metric, cfg));
+            metricStats[metric.id] = {
+                values: values,
+                total: registry.aggregate(values, metric.aggregation),
+                baseShares: registry.computeShares(metric, values),
+                shares: this.computeProratedShares(registry, metric, values, prorations),
+                pool: totalBonus * metric.weight / 100
+            };
+            this.recordTraceStep(trace, 'metric.pool', {
+                inputs: { metricId: metric.id, totalBonus: totalBonus, weight: metric.weight, teamTotal: metricStats[metric.id].total },
+                output: metricStats[metric.id].pool,
+                warnings: metric.weight > 0 && metricStats[metric.id].total <= 0 ? [{
+                    code: 'METRIC_TEAM_TOTAL_ZERO',
+                    message: `指标"${metric.label}"团队汇总为0，该指标奖金池无法分配`
+                }] : []
+            });
+        });
+        
+        // 多月平滑（滚动平均）：各指标份额取本月与前几个月份额的加权平均，再在团队内归一化
+        const smoothingMonths = this.selectSmoothingMonths(options, cfg.smoothingConfig);
+        const smoothingCurrentWeight = this.getSmoothingWeight(0, cfg.smoothingConfig);
+        if (cfg.smoothingConfig.mode === 'rollingShare' && smoothingMonths.length > 0) {
+            metrics.forEach(metric => {
+                const stats = metricStats[metric.id];
+                const smoothed = this.smoothMetricShares(registry, metric, doctors, stats.shares, smoothingMonths, cfg);
+                stats.rawShares = stats.shares;
+                stats.monthShares = smoothed.monthShares;
+                stats.shares = smoothed.shares;
+                doctors.forEach((doctor, i) => {
+                    this.recordTraceStep(trace, 'metric.smoothedShare', {
+                        doctorId: doctor.id,
+                        inputs: {
+                            metricId: metric.id,
+                            share: stats.rawShares[i],
+                            currentWeight: smoothingCurrentWeight,
+                            history: smoothingMonths.map((entry, m) => ({
+                                year: entry.year,
+                                month: entry.month,
+                                weight: entry.weight,
+                                share: stats.monthShares[m][i]
+                            }))
+                        },
+                        output: stats.shares[i]
+                    });
+                });
+            });
+        }
+        
+        // 计算每个医生的分配结果
+        const individualResults = [];
+        const formulaInputs = [];
+        const dischargeMetric = metrics.find(metric => metric.field === 'dischargeCount');
+        const revenueMetric = metrics.find(metric => metric.field === 'medicalRevenue');
+        
+        // 医疗收入按计分口径折算；团队中有人录入收入构成而有人未录入时，未录入者按医疗收入全额计分且不考核收入占比，
+        // 在非总额口径或设置了占比目标时会比录入者多得，需提示补录
+        const revenues = workDataList.map(workData => this.resolveRevenue(workData, cfg.revenueConfig,
+            revenueMetric ? registry.getValue(workData, revenueMetric) : Number(workData.medicalRevenue) || 0));
+        const revenueSourcesMixed = (cfg.revenueConfig.basis !== 'gross' ||
+                Object.values(cfg.revenueConfig.ratioTargets).some(rule => rule.target !== null)) &&
+            revenues.some(revenue => revenue.source === 'components') &&
+            revenues.some(revenue => revenue.source === 'none' && revenue.grossRevenue > 0);
+        
+        for (let i = 0; i < doctors.length; i++) {
+            const doctor = doctors[i];
+            const workData = workDataList[i];
+            
+            // 出院人数按病例组合加权
+            const caseMix = this.resolveCaseMix(workData, cfg.drgConfig,
+                dischargeMetric ? registry.getValue(workData, dischargeMetric) : Number(workData.dischargeCount) || 0);
+            if (caseMix.source !== 'none') {
+                this.recordTraceStep(trace, 'metric.caseMix', {
+                    doctorId: doctor.id,
+                    inputs: {
+                        source: caseMix.source,
+                        rawDischarges: caseMix.rawDischarges,
+                        caseMixIndex: caseMix.caseMixIndex,
+                        drgDischarges: caseMix.items.map(item => ({ code: item.code, count: item.count, weight: item.weight })),
+                        unclassifiedDischarges: caseMix.unclassifiedDischarges
+                    },
+                    output: caseMix.weightedDischarges,
+                    warnings: caseMix.items.filter(item => !item.known).map(item => ({
+                        code: 'DRG_WEIGHT_UNKNOWN',
+                        message: `${doctor.name}的DRG分组"${item.code}"不在权重表中，按权重1计算`
+                    }))
+                });
+            }
+            
+            // 轮转地点：按排班天数加权的地点系数和指标地点系数（指标系数已在读取指标值时乘入）
+            const location = this.resolveLocationMix(workData, cfg.locationConfig);
+            if ((location.applied && Object.keys(location.metricFactors).length > 0) || location.unknown.length > 0) {
+                this.recordTraceStep(trace, 'metric.location', {
+                    doctorId: doctor.id,
+                    inputs: {
+                        locationDays: Object.fromEntries(location.items.map(item => [item.id, item.days])),
+                        factors: Object.fromEntries(location.items.map(item => [item.id, item.metricFactors]))
+                    },
+                    output: location.metricFactors,
+                    warnings: location.unknown.map(item => ({
+                        code: 'LOCATION_UNKNOWN',
+                        message: `${doctor.name}排班中的轮转地点"${item.id}"（${item.days}天）不在地点表中，不计入排班天数`
+                    }))
+                });
+            }
+            
+            // 值班分值（计入指标时已在读取指标值时作为该指标的数值）
+            const duty = this.resolveDuty(workData, cfg.dutyConfig);
+            if (cfg.dutyConfig.mode === 'metric' && duty.count > 0) {
+                this.recordTraceStep(trace, 'metric.duty', {
+                    doctorId: doctor.id,
+                    inputs: {
+                        metricId: cfg.dutyConfig.metricId,
+                        hours: Object.fromEntries(duty.items.map(item => [item.type, item.hours])),
+                        rates: Object.fromEntries(duty.items.map(item => [item.type, item.rate]))
+                    },
+                    output: duty.points
+                });
+            }
+            
+            // 医疗收入按计分口径折算，药占比、耗占比超标时扣减
+            const revenue = revenues[i];
+            if (revenueSourcesMixed && revenue.source === 'none' && revenue.grossRevenue > 0) {
+                revenue.componentsMissing = true;
+                this.recordTraceStep(trace, 'metric.revenue', {
+                    doctorId: doctor.id,
+                    inputs: {
+                        basis: revenue.basis,
+                        components: {},
+                        otherRevenue: revenue.grossRevenue
+                    },
+                    output: revenue.scoredRevenue,
+                    warnings: [{
+                        code: 'REVENUE_COMPONENTS_MISSING',
+                        message: `${doctor.name}未录入收入构成，医疗收入按全额计分且不考核药占比、耗占比，` +
+                            `同组已录入收入构成的医生按${PerformanceCalculator.REVENUE_BASES[revenue.basis]}口径计分并考核收入占比`
+                    }]
+                });
+            } else if (revenue.source !== 'none') {
+                this.recordTraceStep(trace, 'metric.revenue', {
+                    doctorId: doctor.id,
+                    inputs: {
+                        basis: revenue.basis,
+                        components: Object.fromEntries(revenue.items.map(item => [item.type, item.amount])),
+                        includedRatios: Object.fromEntries(revenue.items.map(item => [item.type, item.includedRatio])),
+                        otherRevenue: revenue.otherRevenue,
+                        basisRevenue: revenue.basisRevenue,
+                        ratios: revenue.ratios,
+                        penaltyFactor: revenue.penaltyFactor
+                    },
+                    output: revenue.scoredRevenue
+                });
+            }
+            
+            // 计算各项指标分数（份额×100）和分配金额
+            const scores = {};
+            const allocationDetails = {};
+            const metricValues = {};
+            metrics.forEach(metric => {
+                const stats = metricStats[metric.id];
+                metricValues[metric.id] = stats.values[i];
+                scores[metric.id] = stats.shares[i] * 100;
+                allocationDetails[metric.id] = stats.shares[i] * stats.pool;
+                this.recordTraceStep(trace, 'metric.share', {
+                    doctorId: doctor.id,
+                    inputs: { metricId: metric.id, value: stats.values[i], teamTotal: stats.total, baseShare: stats.baseShares[i], share: stats.shares[i], pool: stats.pool },
+                    output: allocationDetails[metric.id]
+                });
+            });
+            
+            // 计算初步分配金额（各项之和）
+            const preliminaryAllocation = metrics.reduce((sum, metric) => sum + allocationDetails[metric.id], 0);
+            
+            // 在岗天数折算说明
+            allocationDetails.proration = prorations[i];
+            this.recordTraceStep(trace, 'allocation.preliminary', {
+                doctorId: doctor.id,
+                inputs: { amounts: metrics.map(metric => allocationDetails[metric.id]) },
+                output: preliminaryAllocation
+            });
+            
+            // 应用职称系数
+            const titleCoefficient = doctor.titleCoefficient || 1.0;
+            const titleAdjustedAllocation = preliminaryAllocation * titleCoefficient;
+            this.recordTraceStep(trace, 'coefficient.title', {
+                doctorId: doctor.id,
+                inputs: { title: doctor.title, preliminaryAllocation: preliminaryAllocation, titleCoefficient: titleCoefficient },
+                output: titleAdjustedAllocation
+            });
+            
+            // 应用新入职人员系数（按入职/取证日期推算计算月份的资历，年度计算按年末计）
+            const seniorityPeriod = (options.year && !options.month) ? { year: options.year, month: 12 } : options;
+            const seniority = calculatorDeps.Doctor.getSeniority(doctor, seniorityPeriod, newEmployeeConfig);
+            const newEmployeeCoeff = seniority.coefficient;
+            
+            // 新入职调整后金额
+            const newEmployeeAdjustedAllocation = titleAdjustedAllocation * newEmployeeCoeff;
+            this.recordTraceStep(trace, 'coefficient.newEmployee', {
+                doctorId: doctor.id,
+                inputs: {
+                    titleAdjustedAllocation: titleAdjustedAllocation,
+                    coefficient: newEmployeeCoeff,
+                    category: seniority.category,
+                    workMonths: seniority.workMonths
+                },
+                output: newEmployeeAdjustedAllocation,
+                warnings: seniority.source === 'unknown' ? [{
+                    code: 'SENIORITY_UNKNOWN',
+                    message: `${doctor.name}未填写入职日期，按正常系数计算`
+                }] : []
+            });
+            
+            // 应用岗位系数（常设岗位和本月临时岗位）
+            const roleCoefficients = this.resolveRoleCoefficient(doctor, workData, cfg.roleCoefficientConfig);
+            const roleCoefficient = roleCoefficients.coefficient;
+            const roleAdjustedAllocation = newEmployeeAdjustedAllocation * roleCoefficient;
+            if (roleCoefficients.applied) {
+                this.recordTraceStep(trace, 'coefficient.role', {
+                    doctorId: doctor.id,
+                    inputs: {
+                        combine: roleCoefficients.combine,
+                        roles: roleCoefficients.items.map(item => ({
+                            name: item.name,
+                            coefficient: item.coefficient,
+                            source: item.source,
+                            ...(item.months ? { months: item.months } : {})
+                        })),
+                        allocation: newEmployeeAdjustedAllocation
+                    },
+                    output: roleAdjustedAllocation
+                });
+            }
+            
+            // 应用轮转地点系数，得到系数调整后金额
+            const locationCoefficient = location.coefficient;
+            const coefficientAdjustedAllocation = roleAdjustedAllocation * locationCoefficient;
+            if (location.applied) {
+                this.recordTraceStep(trace, 'coefficient.location', {
+                    doctorId: doctor.id,
+                    inputs: {
+                        locationDays: Object.fromEntries(location.items.map(item => [item.id, item.days])),
+                        coefficients: Object.fromEntries(location.items.map(item => [item.id, item.coefficient])),
+                        allocation: roleAdjustedAllocation
+                    },
+                    output: coefficientAdjustedAllocation
+                });
+            }
+            
+            // 质量安全系数：乘入模式下参与缩放前的份额，扣减模式下在取整后从绩效金额中扣减
+            const quality = this.resolveQualityCoefficient(workData, cfg.qualityConfig);
+            const shareQualityCoefficient = quality.mode === 'multiply' ? quality.coefficient : 1;
+            let finalAllocation = coefficientAdjustedAllocation * shareQualityCoefficient;
+            if (quality.applied) {
+                this.recordTraceStep(trace, 'coefficient.quality', {
+                    doctorId: doctor.id,
+                    inputs: {
+                        mode: quality.mode,
+                        events: Object.fromEntries(quality.items.map(item => [item.type, item.count])),
+                        totalPenalty: quality.totalPenalty,
+                        coefficient: quality.coefficient,
+                        allocation: coefficientAdjustedAllocation
+                    },
+                    output: finalAllocation
+                });
+            }
+            
+            // 自定义公式的指标变量：本人指标值及份额，以及值班次数、时长和分值
+            formulaInputs[i] = { dutyCount: duty.count, dutyHours: duty.hours, dutyPoints: duty.points };
+            metrics.forEach(metric => {
+                formulaInputs[i][metric.id] = metricStats[metric.id].values[i];
+                formulaInputs[i][`${metric.id}Share`] = metricStats[metric.id].shares[i];
+            });
+            
+            // 自定义系数公式：以公式计算的综合系数替代职称、新入职人员、岗位、地点和质量系数的连乘（负值按0计）
+            let combinedCoefficient = titleCoefficient * newEmployeeCoeff * roleCoefficient * locationCoefficient * shareQualityCoefficient;
+            let coefficientFormula = null;
+            if (cfg.formulaConfig.coefficient) {
+                const value = this.evaluateFormula(cfg.formulaConfig.coefficient, {
+                    ...formulaInputs[i],
+                    titleCoefficient: titleCoefficient,
+                    newEmployeeCoefficient: newEmployeeCoeff,
+                    roleCoefficient: roleCoefficient,
+                    locationCoefficient: locationCoefficient,
+                    qualityCoefficient: shareQualityCoefficient,
+                    eligibleRatio: prorations[i].eligibleRatio,
+                    workYears: seniority.workYears,
+                    workMonths: seniority.workMonths,
+                    isCertified: seniority.isCertified ? 1 : 0
+                }, doctor);
+                combinedCoefficient = Math.max(0, value);
+                finalAllocation = preliminaryAllocation * combinedCoefficient;
+                coefficientFormula = {
+                    expression: cfg.formulaConfig.coefficient,
+                    value: combinedCoefficient,
+                    allocation: finalAllocation
+                };
+                this.recordTraceStep(trace, 'formula.coefficient', {
+                    doctorId: doctor.id,
+                    inputs: { expression: cfg.formulaConfig.coefficient, preliminaryAllocation: preliminaryAllocation, coefficient: value },
+                    output: finalAllocation,
+                    warnings: value < 0 ? [{
+                        code: 'FORMULA_NEGATIVE',
+                        message: `${doctor.name}的系数公式结果为${Number(value.toFixed(4))}，按0计算`
+                    }] : []
+                });
+            }
+            
+            // 加权分数（用于显示）
+            const weightedScore = metrics.reduce((sum, metric) => sum + scores[metric.id] * metric.weight, 0);
+            
+            const finalScore = coefficientFormula ? weightedScore * combinedCoefficient :
+                weightedScore * titleCoefficient * newEmployeeCoeff * roleCoefficient * locationCoefficient * shareQualityCoefficient;
+            
+            // 分配过程明细：每个中间数值都记录在此，结果说明和导出只读取这里的数据
+            const breakdown = {
+                metrics: metrics.map(metric => ({
+                    id: metric.id,
+                    label: metric.label,
+                    unit: metric.unit,
+                    weight: metric.weight,
+                    scoring: metric.scoring,
+                    formula: metric.formula,
+                    aggregation: metric.aggregation,
+                    value: metricStats[metric.id].values[i],
+                    teamTotal: metricStats[metric.id].total,
+                    baseShare: metricStats[metric.id].baseShares[i],
+                    rawShare: (metricStats[metric.id].rawShares || metricStats[metric.id].shares)[i],
+                    share: metricStats[metric.id].shares[i],
+                    history: metricStats[metric.id].monthShares ? smoothingMonths.map((entry, m) => ({
+                        year: entry.year,
+                        month: entry.month,
+                        weight: entry.weight,
+                        share: metricStats[metric.id].monthShares[m][i]
+                    })) : [],
+                    pool: metricStats[metric.id].pool,
+                    amount: allocationDetails[metric.id]
+                })),
+                proration: prorations[i],
+                caseMix: caseMix,
+                revenue: revenue,
+                duty: { ...duty, mode: cfg.dutyConfig.mode, metricId: cfg.dutyConfig.metricId },
+                preliminaryAllocation: preliminaryAllocation,
+                titleCoefficient: titleCoefficient,
+                titleAdjustedAllocation: titleAdjustedAllocation,
+                newEmployeeCoefficient: newEmployeeCoeff,
+                seniority: seniority,
+                newEmployeeAdjustedAllocation: newEmployeeAdjustedAllocation,
+                roleCoefficient: roleCoefficient,
+                roles: roleCoefficients,
+                roleAdjustedAllocation: roleAdjustedAllocation,
+                locationCoefficient: locationCoefficient,
+                location: location,
+                coefficientAdjustedAllocation: coefficientAdjustedAllocation,
+                quality: quality,
+                formulas: {
+                    coefficient: coefficientFormula,
+                    share: null
+                },
+                combinedCoefficient: combinedCoefficient,
+                unscaledAllocation: finalAllocation
+            };
+            
+            individualResults.push({
+                doctorId: doctor.id,
+                doctorName: doctor.name,
+                scores: scores,
+                weightedScore: weightedScore,
+                titleCoefficient: titleCoefficient,
+                titleAdjustedScore: weightedScore * titleCoefficient,
+                newEmployeeCoefficient: newEmployeeCoeff,
+                roleCoefficient: roleCoefficient,
+                locationCoefficient: locationCoefficient,
+                qualityCoefficient: quality.coefficient,
+                finalScore: finalScore,
+                allocationRatio: totalBonus > 0 ? finalAllocation / totalBonus : 0,
+                preliminaryAllocation: preliminaryAllocation,
+                finalAllocation: finalAllocation,
+                allocationDetails: allocationDetails,
+                breakdown: breakdown,
+                workData: {
+                    attendanceDays: workData.attendanceDays,
+                    dischargeCount: workData.dischargeCount,
+                    bedDays: workData.bedDays,
+                    rewardPenalty: Number(workData.rewardPenalty) || 0,
+                    leaveDays: { ...(workData.leaveDays || {}) },
+                    qualityEvents: { ...(workData.qualityEvents || {}) },
+                    caseMix: caseMix,
+                    revenue: revenue,
+                    locationDays: Object.fromEntries(location.items.map(item => [item.id, item.days])),
+                    duty: duty,
+                    metrics: metricValues
+                },
+                doctorInfo: {
+                    title: doctor.title,
+                    workYears: seniority.workYears,
+                    isCertified: seniority.isCertified,
+                    isNewEmployee: seniority.isNewEmployee,
+                    seniority: seniority,
+                    roles: roleCoefficients.items.map(item => item.name)
+                }
+            });
+        }
+        
+        // 自定义分配份额公式：按各人公式值（负值按0计）占比分配奖金总额，替代各指标金额之和
+        if (cfg.formulaConfig.share) {
+            this.applyShareFormula(individualResults, formulaInputs, prorations, cfg.formulaConfig.share, totalBonus, doctors, trace);
+        }
+        
+        // 多月平滑（与上月混合）：个人绩效份额与上月实际绩效份额按混合比例加权
+        if (cfg.smoothingConfig.mode === 'blendPay' && smoothingMonths.length > 0) {
+            this.blendWithPriorMonth(individualResults, smoothingMonths[0], cfg.smoothingConfig.blendRatio, totalBonus, trace);
+        }
+        
+        // 计算总分配金额和差额
+        const totalAllocated = individualResults.reduce((sum, result) => sum + result.finalAllocation, 0);
+        const difference = totalBonus - totalAllocated;
+        
+        // 奖罚处理：池内平衡时，奖罚净额先从奖金池中扣除（罚款则返还奖金池），剩余部分按绩效分配
+        const rewardPenaltyPolicy = cfg.rewardPenaltyConfig.policy;
+        const totalRewardPenalty = workDataList.reduce((sum, data) => sum + (Number(data.rewardPenalty) || 0), 0);
+        const distributableBonus = rewardPenaltyPolicy === 'poolNeutral' ? totalBonus - totalRewardPenalty : totalBonus;
+        
+        if (distributableBonus < 0) {
+            throw new Error(`奖励净额${totalRewardPenalty}元超过奖金总额，无法在奖金池内平衡`);
+        }
+        
+        this.recordTraceStep(trace, 'pool.distributable', {
+            inputs: { totalBonus: totalBonus, policy: rewardPenaltyPolicy, totalRewardPenalty: totalRewardPenalty },
+            output: distributableBonus
+        });
+        this.recordTraceStep(trace, 'pool.rescale', {
+            inputs: { teamUnscaledTotal: totalAllocated, distributableBonus: distributableBonus, difference: difference },
+            output: totalAllocated > 0 ? distributableBonus / totalAllocated : 0,
+            warnings: Math.abs(distributableBonus - totalAllocated) > PerformanceCalculator.TRACE_DIFFERENCE_TOLERANCE ? [{
+                code: 'LARGE_RESCALE_DIFFERENCE',
+                message: `系数调整后合计${totalAllocated.toFixed(2)}元，与可分配奖金相差${(distributableBonus - totalAllocated).toFixed(2)}元，已按比例缩放`
+            }] : []
+        });
+        
+        // 应用个人分配上下限，被限制者的超出或不足部分在其余成员间重新分配
+        const constraintSummary = this.applyAllocationConstraints(
+            individualResults, distributableBonus, cfg.allocationConstraints, options);
+        
+        // 按可分配奖金等比例缩放后，以最大余数法取整，保证总额精确
+        this.applyIntegerAllocationWithBalancing(individualResults, distributableBonus, cfg.roundingConfig.unit);
+        
+        // 叠加个人奖罚，扣减模式下扣除质量扣减额，绩效分配金额单独保留
+        individualResults.forEach(result => {
+            const quality = result.breakdown.quality;
+            result.performanceAllocation = result.finalAllocation;
+            result.rewardPenalty = result.workData.rewardPenalty;
+            result.qualityDeduction = quality.mode === 'deduct' && quality.applied ?
+                Math.round(result.performanceAllocation * (1 - quality.coefficient) / cfg.roundingConfig.unit) * cfg.roundingConfig.unit : 0;
+            result.finalAllocation = result.performanceAllocation + result.rewardPenalty - result.qualityDeduction;
+            
+            // 补充缩放、约束、取整和奖罚环节的明细
+            const breakdown = result.breakdown;
+            breakdown.rescale = {
+                distributableBonus: distributableBonus,
+                teamUnscaledTotal: totalAllocated,
+                factor: breakdown.unscaledAllocation > 0 ? result.unroundedAllocation / breakdown.unscaledAllocation : 0,
+                constraint: result.allocationConstraint,
+                rescaledAllocation: result.unroundedAllocation
+            };
+            breakdown.rounding = {
+                unit: cfg.roundingConfig.unit,
+                unroundedAllocation: result.unroundedAllocation,
+                adjustment: result.roundingAdjustment,
+                roundedAllocation: result.performanceAllocation
+            };
+            breakdown.rewardPenalty = {
+                policy: rewardPenaltyPolicy,
+                amount: result.rewardPenalty
+            };
+            breakdown.qualityDeduction = result.qualityDeduction;
+            breakdown.finalAllocation = result.finalAllocation;
+            
+            this.recordTraceStep(trace, 'allocation.rescale', {
+                doctorId: result.doctorId,
+                inputs: { unscaledAllocation: breakdown.unscaledAllocation, factor: breakdown.rescale.factor, constraint: result.allocationConstraint },
+                output: result.unroundedAllocation,
+                warnings: result.allocationConstraint ? [{
+                    code: 'ALLOCATION_CONSTRAINED',
+                    message: `${result.doctorName}${PerformanceCalculator.describeAllocationConstraint(result.allocationConstraint)}`
+                }] : []
+            });
+            this.recordTraceStep(trace, 'allocation.rounding', {
+                doctorId: result.doctorId,
+                inputs: { unit: cfg.roundingConfig.unit, unroundedAllocation: result.unroundedAllocation },
+                output: result.performanceAllocation
+            });
+            this.recordTraceStep(trace, 'allocation.rewardPenalty', {
+                doctorId: result.doctorId,
+                inputs: { performanceAllocation: result.performanceAllocation, rewardPenalty: result.rewardPenalty },
+                output: result.performanceAllocation + result.rewardPenalty
+            });
+            if (result.qualityDeduction !== 0) {
+                this.recordTraceStep(trace, 'allocation.qualityDeduction', {
+                    doctorId: result.doctorId,
+                    inputs: {
+                        performanceAllocation: result.performanceAllocation,
+                        coefficient: breakdown.quality.coefficient,
+                        qualityDeduction: result.qualityDeduction
+                    },
+                    output: result.finalAllocation
+                });
+            }
+        });
+        
+        // 核对实发总额（扣减模式下的质量扣减额不再分配）
+        const totalQualityDeduction = individualResults.reduce((sum, result) => sum + result.qualityDeduction, 0);
+        const totalPayout = distributableBonus + totalRewardPenalty - totalQualityDeduction;
+        const finalTotal = individualResults.reduce((sum, result) => sum + result.finalAllocation, 0);
+        this.recordTraceStep(trace, 'allocation.total', {
+            inputs: { expectedPayout: totalPayout, doctorCount: individualResults.length },
+            output: finalTotal,
+            warnings: individualResults.length > 0 && Math.abs(finalTotal - totalPayout) > 0.005 ? [{
+                code: 'TOTAL_MISMATCH',
+                message: `分配合计${finalTotal.toFixed(2)}元与应发总额${totalPayout.toFixed(2)}元不一致`
+            }] : []
+        });
+        
+        // 计算统计数据
+        const scores = individualResults.map(r => r.finalScore);
+        const teamStats = {
+            totalDoctors: doctors.length,
+            totalScore: scores.reduce((sum, score) => sum + score, 0),
+            averageScore: scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 0,
+            maxScore: scores.length > 0 ? Math.max(...scores) : 0,
+            minScore: scores.length > 0 ? Math.min(...scores) : 0,
+            newEmployeeCount: individualResults.filter(r => r.newEmployeeCoefficient < 1.0).length,
+            uncertifiedCount: individualResults.filter(r => !r.doctorInfo.isCertified).length
+        };
+        
+        const result = {
+            individualResults: individualResults,
+            teamStats: teamStats,
+            groupStats: {
+                participantCount: doctors.length,
+                totalDoctors: doctors.length,
+                totalMedicalRevenue: metricStats.medicalRevenue?.total || 0,
+                totalDischarge: metricStats.discharge?.total || 0,
+                totalBedDays: metricStats.bedDays?.total || 0,
+                totalAttendance: metricStats.attendance?.total || 0,
+                // 各指标按其汇总方式得到的团队汇总值
+                metricTotals: Object.fromEntries(metrics.map(metric => [metric.id, metricStats[metric.id].total]))
+            },
+            // 记录本次实际使用的配置，便于审计
+            config: {
+                performanceWeights: { ...cfg.performanceWeights },
+                metrics: registry.toJSON(),
+                newEmployeeConfig: { ...newEmployeeConfig },
+                roleCoefficientConfig: JSON.parse(JSON.stringify(cfg.roleCoefficientConfig)),
+                locationConfig: JSON.parse(JSON.stringify(cfg.locationConfig)),
+                rewardPenaltyConfig: { ...cfg.rewardPenaltyConfig },
+                roundingConfig: { ...cfg.roundingConfig },
+                prorationConfig: JSON.parse(JSON.stringify(cfg.prorationConfig)),
+                allocationConstraints: JSON.parse(JSON.stringify(cfg.allocationConstraints)),
+                fairnessConfig: { ...cfg.fairnessConfig },
+                groupConfig: JSON.parse(JSON.stringify(cfg.groupConfig)),
+                qualityConfig: JSON.parse(JSON.stringify(cfg.qualityConfig)),
+                drgConfig: JSON.parse(JSON.stringify(cfg.drgConfig)),
+                revenueConfig: JSON.parse(JSON.stringify(cfg.revenueConfig)),
+                smoothingConfig: { ...cfg.smoothingConfig },
+                subPoolConfig: JSON.parse(JSON.stringify(cfg.subPoolConfig)),
+                dutyConfig: JSON.parse(JSON.stringify(cfg.dutyConfig)),
+                formulaConfig: { ...cfg.formulaConfig }
+            },
+            // 分配公平性指标及预警
+            fairness: this.calculateFairnessMetrics(individualResults, cfg.fairnessConfig),
+            // 上下限约束汇总
+            constraintSummary: constraintSummary,
+            // 奖罚汇总：additive策略下实发总额 = 奖金总额 + 奖罚净额 − 质量扣减
+            rewardPenaltySummary: {
+                policy: rewardPenaltyPolicy,
+                totalRewardPenalty: totalRewardPenalty,
+                distributableBonus: distributableBonus,
+                totalQualityDeduction: totalQualityDeduction,
+                totalPayout: totalPayout
+            },
+            // 审计轨迹，随绩效记录保存，可用于复核历史月份的分配
+            trace: trace,
+            calculatedAt: new Date().toISOString()
+        };
+        
+        return result;
+    }
+
+    /**
+     * 计提专项奖金池并分配到个人
+     * 各池金额为固定金额或奖金总额的百分比（取整到取整单位），在指定医生和担任指定岗位的医生之间平均分配（最大余数法取整）；
+     * 本月没有发放对象的专项奖金不计提，留在按指标分配的奖金中
+     * @param {Array} doctorsWithData - 包含医生和工作数据的数组
+     * @param {number} totalBonus - 奖金总额
+     * @param {Object} subPoolConfig - 专项奖金配置（经resolveTeamConfig规范化）
+     * @param {number} roundingUnit - 取整单位（元）
+     * @returns {Object} { pools: [{ id, name, mode, value, amount, recipients: [{ doctorId, doctorName, amount }] }], reservedTotal }
+     */
+    allocateSubPools(doctorsWithData, totalBonus, subPoolConfig, roundingUnit = 1) {
+        const pools = subPoolConfig.pools.map(pool => {
+            const recipients = doctorsWithData
+                .filter(({ doctor, workData }) => pool.doctorIds.includes(String(doctor.id)) ||
+                    PerformanceCalculator.getDoctorRoles(doctor, workData).some(role => pool.roles.includes(role)))
+                .map(({ doctor }) => ({ doctorId: doctor.id, doctorName: doctor.name, finalAllocation: 0 }));
+            // 按比例计提的金额取整到取整单位，避免按指标分配的奖金出现零头
+            const amount = recipients.length === 0 ? 0 : (pool.mode === 'percentage' ?
+                Math.round(totalBonus * pool.value / 100 / roundingUnit) * roundingUnit :
+                pool.value);
+            
+            this.applyIntegerAllocationWithBalancing(recipients, amount, roundingUnit);
+            return {
+                id: pool.id,
+                name: pool.name,
+                mode: pool.mode,
+                value: pool.value,
+                amount: amount,
+                recipients: recipients.map(({ doctorId, doctorName, finalAllocation }) => ({ doctorId, doctorName, amount: finalAllocation }))
+            };
+        });
+        
+        const reservedTotal = pools.reduce((sum, pool) => sum + pool.amount, 0);
+        if (reservedTotal > totalBonus + 0.005) {
+            throw new Error(`专项奖金合计${reservedTotal.toFixed(2)}元超过奖金总额${Number(totalBonus).toFixed(2)}元`);
+        }
+        
+        return { pools, reservedTotal };
+    }
+
+    /**
+     * 计提值班奖金并按值班分值分配到个人（最大余数法取整）
+     * 计提金额：perPoint为全科值班分值 × 每分值金额，fixed为固定金额，percentage为奖金总额 × 比例，均取整到取整单位；
+     * 本月没有值班分值时不计提，留在按指标分配的奖金中
+     * @param {Array} doctorsWithData - 包含医生和工作数据的数组
+     * @param {number} totalBonus - 奖金总额
+     * @param {Object} dutyConfig - 值班配置（经resolveTeamConfig规范化）
+     * @param {number} roundingUnit - 取整单位（元）
+     * @returns {Object} { id, name, mode, value, totalPoints, amount, recipients: [{ doctorId, doctorName, points, amount }] }
+     */
+    allocateDutyPool(doctorsWithData, totalBonus, dutyConfig, roundingUnit = 1) {
+        const recipients = doctorsWithData
+            .map(({ doctor, workData }) => ({
+                doctorId: doctor.id,
+                doctorName: doctor.name,
+                points: this.resolveDuty(workData, dutyConfig).points
+            }))
+            .filter(recipient => recipient.points > 0)
+            .map(recipient => ({ ...recipient, finalAllocation: recipient.points }));
+        const totalPoints = recipients.reduce((sum, recipient) => sum + recipient.points, 0);
+        
+        let amount = 0;
+        if (totalPoints > 0) {
+            const rawAmount = {
+                perPoint: totalPoints * dutyConfig.poolValue,
+                fixed: dutyConfig.poolValue,
+                percentage: totalBonus * dutyConfig.poolValue / 100
+            }[dutyConfig.poolMode];
+            amount = dutyConfig.poolMode === 'fixed' ? rawAmount : Math.round(rawAmount / roundingUnit) * roundingUnit;
+        }
+        
+        this.applyIntegerAllocationWithBalancing(recipients, amount, roundingUnit);
+        return {
+            id: PerformanceCalculator.DUTY_POOL_ID,
+            name: '值班奖金',
+            mode: dutyConfig.poolMode,
+            value: dutyConfig.poolValue,
+            totalPoints: totalPoints,
+            amount: amount,
+            recipients: recipients.map(({ doctorId, doctorName, points, finalAllocation }) => ({ doctorId, doctorName, points, amount: finalAllocation }))
+        };
+    }
+
+    /**
+     * 解析医生本月所属的治疗组
+     * 工作数据中记录的治疗组优先，其次为医生档案中的治疗组；不在治疗组配置中的视为未分组
+     * @param {Object} doctor - 医生
+     * @param {Object} workData - 月度工作数据
+     * @param {Array<Object>} groups - 治疗组列表
+     * @returns {string} 治疗组ID
+     */
+    resolveGroupId(doctor, workData, groups) {
+        const groupId = workData?.groupId || doctor?.groupId || '';
+        return groups.some(group => group.id === groupId) ? groupId : PerformanceCalculator.UNGROUPED_ID;
+    }
+
+    /**
+     * 计算科室绩效：科室 → 治疗组 → 个人两级分配
+     * 0. 先从奖金总额中预留专项奖金（见allocateSubPools）和值班奖金（见allocateDutyPool），其余奖金参与以下分配；
+     * 1. 组占比 = 人数权重 × 组全时人数占比 + 产出权重 × 组产出占比，
+     *    全时人数按在岗天数折算，组产出占比为各指标组内汇总占科室汇总的比例按指标权重加权；
+     * 2. 各组奖金按组占比分配并以最大余数法取整；
+     * 3. 各组奖金在组内按calculateTeamPerformance的个人算法分配；
+     * 4. 个人专项奖金逐项计入最终分配金额，再计入值班奖金。
+     * 只有一个治疗组（或未配置治疗组）且没有专项奖金时结果与calculateTeamPerformance相同，另附一级汇总
+     * @param {Array} doctorsWithData - 包含医生和工作数据的数组
+     * @param {number} totalBonus - 科室奖金总额
+     * @param {Object} config - 系统配置
+     * @param {Object} options - 计算选项（同calculateTeamPerformance）
+     * @returns {Object} 计算结果，在calculateTeamPerformance结果的基础上增加groupResults（各组汇总）、subPoolSummary（专项奖金）和dutyPool（值班奖金，未单独计提时为null）
+     */
+    calculateDepartmentPerformance(doctorsWithData, totalBonus = 0, config = {}, options = {}) {
+        const cfg = this.resolveTeamConfig(config);
+        const { groups, weights } = cfg.groupConfig;
+        const registry = cfg.metricRegistry;
+        const metrics = registry.getAll();
+        
+        if (!options.daysInMonth && options.year && options.month) {
+            options = { ...options, daysInMonth: new Date(options.year, options.month, 0).getDate() };
+        }
+        
+        if (doctorsWithData.length === 0) {
+            return {
+                ...this.calculateTeamPerformance(doctorsWithData, totalBonus, config, options),
+                groupResults: [],
+                subPoolSummary: { pools: [], reservedTotal: 0 },
+                dutyPool: null,
+                smoothingSummary: { mode: 'none', months: [] }
+            };
+        }
+        
+        // 预留专项奖金和值班奖金，其余奖金按治疗组和指标分配
+        const subPools = this.allocateSubPools(doctorsWithData, totalBonus, cfg.subPoolConfig, cfg.roundingConfig.unit);
+        const dutyPool = cfg.dutyConfig.mode === 'pool' ?
+            this.allocateDutyPool(doctorsWithData, totalBonus, cfg.dutyConfig, cfg.roundingConfig.unit) : null;
+        const dutyTotal = dutyPool ? dutyPool.amount : 0;
+        if (subPools.reservedTotal + dutyTotal > totalBonus + 0.005) {
+            throw new Error(`专项奖金和值班奖金合计${(subPools.reservedTotal + dutyTotal).toFixed(2)}元超过奖金总额${Number(totalBonus).toFixed(2)}元`);
+        }
+        const poolBonus = totalBonus - subPools.reservedTotal - dutyTotal;
+        
+        // 按治疗组归集成员（保持原始顺序）
+        const memberIndexes = {};
+        doctorsWithData.forEach((item, index) => {
+            const groupId = this.resolveGroupId(item.doctor, item.workData, groups);
+            memberIndexes[groupId] = memberIndexes[groupId] || [];
+            memberIndexes[groupId].push(index);
+        });
+        const groupList = [...groups, { id: PerformanceCalculator.UNGROUPED_ID, name: PerformanceCalculator.UNGROUPED_NAME }]
+            .filter(group => memberIndexes[group.id]);
+        
+        // 组级统计：全时人数和各指标的组内汇总
+        const groupStats = groupList.map(group => {
+            const indexes = memberIndexes[group.id];
+            const fte = indexes.reduce((sum, index) => {
+                const { doctor, workData } = doctorsWithData[index];
+                const proration = this.resolveProration(doctor, workData, cfg.prorationConfig, options);
+                return sum + (proration.applied ? proration.eligibleRatio : 1);
+            }, 0);
+            const metricTotals = {};
+            metrics.forEach(metric => {
+                metricTotals[metric.id] = registry.aggregate(
+                    indexes.map(index => this.readMetricValue(registry, doctorsWithData[index].workData, metric, cfg)), metric.aggregation);
+            });
+            return { fte, metricTotals };
+        });
+        
+        const totalFte = groupStats.reduce((sum, stats) => sum + stats.fte, 0);
+        const outputMetrics = metrics.filter(metric => metric.weight > 0 &&
+            groupStats.reduce((sum, stats) => sum + stats.metricTotals[metric.id], 0) > 0);
+        const outputWeight = outputMetrics.reduce((sum, metric) => sum + metric.weight, 0);
+        
+        const shares = groupStats.map(stats => {
+            const headcountShare = totalFte > 0 ? stats.fte / totalFte : 1 / groupStats.length;
+            // 没有可用的产出数据时，产出占比按人数占比计
+            const outputShare = outputWeight > 0 ? outputMetrics.reduce((sum, metric) => {
+                const departmentTotal = groupStats.reduce((total, other) => total + other.metricTotals[metric.id], 0);
+                return sum + metric.weight / outputWeight * stats.metricTotals[metric.id] / departmentTotal;
+            }, 0) : headcountShare;
+            return {
+                headcountShare,
+                outputShare,
+                share: (weights.headcount * headcountShare + weights.output * outputShare) / 100
+            };
+        });
+        
+        // 各组奖金按组占比以最大余数法取整，保证各组合计等于科室奖金总额
+        const groupBonuses = this.applyIntegerAllocationWithBalancing(
+            groupList.map((group, index) => ({ doctorId: group.id, finalAllocation: shares[index].share * poolBonus })),
+            poolBonus,
+            cfg.roundingConfig.unit
+        ).map(item => item.finalAllocation);
+        
+        // 组内个人分配
+        const trace = this.createTrace(
+            doctorsWithData.map(item => item.doctor), doctorsWithData.map(item => item.workData), totalBonus, options);
+        subPools.pools.forEach(pool => {
+            this.recordTraceStep(trace, 'subPool.reserve', {
+                inputs: {
+                    poolId: pool.id,
+                    mode: pool.mode,
+                    value: pool.value,
+                    totalBonus: totalBonus,
+                    recipients: pool.recipients.map(recipient => recipient.doctorId)
+                },
+                output: pool.amount,
+                warnings: pool.recipients.length === 0 ? [{
+                    code: 'SUB_POOL_NO_RECIPIENT',
+                    message: `专项奖金"${pool.name}"本月没有发放对象，未计提`
+                }] : []
+            });
+        });
+        if (dutyPool) {
+            this.recordTraceStep(trace, 'duty.reserve', {
+                inputs: {
+                    mode: dutyPool.mode,
+                    value: dutyPool.value,
+                    totalBonus: totalBonus,
+                    totalPoints: dutyPool.totalPoints,
+                    points: Object.fromEntries(dutyPool.recipients.map(recipient => [recipient.doctorId, recipient.points]))
+                },
+                output: dutyPool.amount,
+                warnings: dutyPool.totalPoints === 0 ? [{
+                    code: 'DUTY_POOL_NO_RECIPIENT',
+                    message: '本月没有值班分值，值班奖金未计提'
+                }] : []
+            });
+        }
+        
+        const individualResults = new Array(doctorsWithData.length);
+        const groupOutcomes = groupList.map((group, groupIndex) => {
+            this.recordTraceStep(trace, 'group.share', {
+                inputs: {
+                    groupId: group.id,
+                    weights: { ...weights },
+                    fte: groupStats[groupIndex].fte,
+                    headcountShare: shares[groupIndex].headcountShare,
+                    outputShare: shares[groupIndex].outputShare,
+                    share: shares[groupIndex].share,
+                    totalBonus: totalBonus,
+                    reservedSubPools: subPools.reservedTotal,
+                    reservedDuty: dutyTotal
+                },
+                output: groupBonuses[groupIndex]
+            });
+            
+            const indexes = memberIndexes[group.id];
+            const result = this.calculateTeamPerformance(
+                indexes.map(index => doctorsWithData[index]), groupBonuses[groupIndex], config, options);
+            result.individualResults.forEach((item, position) => {
+                item.groupId = group.id;
+                item.groupName = group.name;
+                individualResults[indexes[position]] = item;
+            });
+            
+            // 合并组内审计轨迹，步骤序号顺延
+            const offset = trace.steps.length;
+            result.trace.steps.forEach(step => {
+                trace.steps.push({ ...step, seq: step.seq + offset, groupId: group.id });
+            });
+            result.trace.warnings.forEach(warning => {
+                trace.warnings.push({ ...warning, seq: warning.seq + offset, groupId: group.id });
+            });
+            
+            return result;
+        });
+        
+        // 专项奖金逐项计入个人最终分配金额
+        individualResults.forEach(result => {
+            result.subPoolAllocations = subPools.pools
+                .map(pool => ({ pool, recipient: pool.recipients.find(item => item.doctorId === result.doctorId) }))
+                .filter(({ recipient }) => recipient)
+                .map(({ pool, recipient }) => ({
+                    poolId: pool.id,
+                    poolName: pool.name,
+                    poolAmount: pool.amount,
+                    recipientCount: pool.recipients.length,
+                    amount: recipient.amount
+                }));
+            result.subPoolAllocation = result.subPoolAllocations.reduce((sum, item) => sum + item.amount, 0);
+            if (result.subPoolAllocations.length === 0) return;
+            
+            const allocationBefore = result.finalAllocation;
+            result.finalAllocation = allocationBefore + result.subPoolAllocation;
+            result.breakdown.subPools = result.subPoolAllocations.map(item => ({ ...item }));
+            result.breakdown.finalAllocation = result.finalAllocation;
+            this.recordTraceStep(trace, 'allocation.subPool', {
+                doctorId: result.doctorId,
+                inputs: {
+                    allocation: allocationBefore,
+                    subPools: result.subPoolAllocations.map(item => ({ poolId: item.poolId, amount: item.amount }))
+                },
+                output: result.finalAllocation
+            });
+        });
+        
+        // 值班奖金计入个人最终分配金额
+        if (dutyPool) {
+            individualResults.forEach(result => {
+                const recipient = dutyPool.recipients.find(item => item.doctorId === result.doctorId);
+                result.dutyAllocation = recipient ? recipient.amount : 0;
+                if (!recipient) return;
+                
+                const allocationBefore = result.finalAllocation;
+                result.finalAllocation = allocationBefore + recipient.amount;
+                result.breakdown.dutyPool = {
+                    mode: dutyPool.mode,
+                    value: dutyPool.value,
+                    points: recipient.points,
+                    totalPoints: dutyPool.totalPoints,
+                    poolAmount: dutyPool.amount,
+                    amount: recipient.amount
+                };
+                result.breakdown.finalAllocation = result.finalAllocation;
+                this.recordTraceStep(trace, 'allocation.duty', {
+                    doctorId: result.doctorId,
+                    inputs: { allocation: allocationBefore, points: recipient.points, totalPoints: dutyPool.totalPoints, poolAmount: dutyPool.amount },
+                    output: result.finalAllocation
+                });
+            });
+        }
+        
+        const groupResults = groupList.map((group, index) => {
+            const result = groupOutcomes[index];
+            const payout = result.individualResults.reduce((sum, item) => sum + item.finalAllocation, 0);
+            return {
+                groupId: group.id,
+                groupName: group.name,
+                doctorCount: result.individualResults.length,
+                fte: groupStats[index].fte,
+                metricTotals: groupStats[index].metricTotals,
+                headcountShare: shares[index].headcountShare,
+                outputShare: shares[index].outputShare,
+                share: shares[index].share,
+                bonus: groupBonuses[index],
+                distributableBonus: result.rewardPenaltySummary.distributableBonus,
+                totalRewardPenalty: result.rewardPenaltySummary.totalRewardPenalty,
+                totalPayout: payout,
+                averageAllocation: result.individualResults.length > 0 ? payout / result.individualResults.length : 0
+            };
+        });
+        
+        // 科室层面汇总
+        const scores = individualResults.map(r => r.finalScore);
+        const totalRewardPenalty = groupResults.reduce((sum, group) => sum + group.totalRewardPenalty, 0);
+        const totalQualityDeduction = groupOutcomes.reduce((sum, result) => sum + result.rewardPenaltySummary.totalQualityDeduction, 0);
+        const distributableBonus = groupResults.reduce((sum, group) => sum + group.distributableBonus, 0);
+        const allMetricTotals = {};
+        metrics.forEach(metric => {
+            allMetricTotals[metric.id] = registry.aggregate(
+                doctorsWithData.map(item => this.readMetricValue(registry, item.workData, metric, cfg)), metric.aggregation);
+        });
+        
+        // 多月平滑时另按不平滑复算一次，供结果对比平滑前后的绩效分配金额
+        const smoothingMonths = this.selectSmoothingMonths(options, cfg.smoothingConfig);
+        let smoothingSummary = { mode: 'none', months: [] };
+        if (smoothingMonths.length > 0) {
+            const source = config && config.toJSON ? config.toJSON() : (config || {});
+            const unsmoothed = this.calculateDepartmentPerformance(doctorsWithData, totalBonus, {
+                ...source,
+                smoothingConfig: { ...cfg.smoothingConfig, mode: 'none' }
+            }, options);
+            individualResults.forEach((result, index) => {
+                result.unsmoothedAllocation = unsmoothed.individualResults[index].performanceAllocation;
+                result.breakdown.unsmoothedAllocation = result.unsmoothedAllocation;
+            });
+            smoothingSummary = {
+                mode: cfg.smoothingConfig.mode,
+                weighting: cfg.smoothingConfig.weighting,
+                currentWeight: this.getSmoothingWeight(0, cfg.smoothingConfig),
+                months: smoothingMonths.map(entry => ({ year: Number(entry.year), month: Number(entry.month), weight: entry.weight })),
+                totalShift: individualResults.reduce((sum, result) => sum + Math.abs(result.performanceAllocation - result.unsmoothedAllocation), 0) / 2
+            };
+        }
+        
+        return {
+            individualResults: individualResults,
+            teamStats: {
+                totalDoctors: individualResults.length,
+                totalScore: scores.reduce((sum, score) => sum + score, 0),
+                averageScore: scores.reduce((sum, score) => sum + score, 0) / scores.length,
+                maxScore: Math.max(...scores),
+                minScore: Math.min(...scores),
+                newEmployeeCount: individualResults.filter(r => r.newEmployeeCoefficient < 1.0).length,
+                uncertifiedCount: individualResults.filter(r => !r.doctorInfo.isCertified).length
+            },
+            groupStats: {
+                participantCount: individualResults.length,
+                totalDoctors: individualResults.length,
+                totalMedicalRevenue: allMetricTotals.medicalRevenue || 0,
+                totalDischarge: allMetricTotals.discharge || 0,
+                totalBedDays: allMetricTotals.bedDays || 0,
+                totalAttendance: allMetricTotals.attendance || 0,
+                metricTotals: allMetricTotals
+            },
+            config: groupOutcomes[0].config,
+            constraintSummary: {
+                floorCount: groupOutcomes.reduce((sum, result) => sum + result.constraintSummary.floorCount, 0),
+                ceilingCount: groupOutcomes.reduce((sum, result) => sum + result.constraintSummary.ceilingCount, 0),
+                iterations: Math.max(...groupOutcomes.map(result => result.constraintSummary.iterations))
+            },
+            rewardPenaltySummary: {
+                policy: cfg.rewardPenaltyConfig.policy,
+                totalRewardPenalty: totalRewardPenalty,
+                distributableBonus: distributableBonus,
+                totalQualityDeduction: totalQualityDeduction,
+                subPoolTotal: subPools.reservedTotal,
+                dutyPoolTotal: dutyTotal,
+                totalPayout: distributableBonus + totalRewardPenalty - totalQualityDeduction + subPools.reservedTotal + dutyTotal
+            },
+            fairness: this.calculateFairnessMetrics(individualResults, cfg.fairnessConfig),
+            groupResults: groupResults,
+            subPoolSummary: subPools,
+            dutyPool: dutyPool,
+            smoothingSummary: smoothingSummary,
+            trace: trace,
+            calculatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 创建计算审计轨迹
+     * 输入快照包含医生和工作数据的JSON副本，配合结果中的config即可脱离界面复算
+     * @param {Array} doctors - 医生列表
+     * @param {Array} workDataList - 工作数据列表
+     * @param {number} totalBonus - 奖金总额
+     * @param {Object} options - 计算选项
+     * @returns {Object} 审计轨迹 { version, inputs, steps, warnings }
+     */
+    createTrace(doctors, workDataList, totalBonus, options) {
+        const snapshot = value => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+        return {
+            version: PerformanceCalculator.TRACE_VERSION,
+            inputs: {
+                totalBonus: totalBonus,
+                options: snapshot(options),
+                doctors: doctors.map(snapshot),
+                workData: workDataList.map(snapshot)
+            },
+            steps: [],
+            warnings: []
+        };
+    }
+
+    /**
+     * 记录一个计算步骤，步骤中的警告同时汇总到轨迹的warnings中
+     * @param {Object} trace - 审计轨迹
+     * @param {string} formula - 公式标识（见TRACE_FORMULAS）
+     * @param {Object} step - 步骤内容
+     * @param {string|null} step.doctorId - 医生ID，团队级步骤为null
+     * @param {Object} step.inputs - 输入值
+     * @param {*} step.output - 输出值
+     * @param {Array<Object>} step.warnings - 警告 [{ code, message }]
+     * @returns {Object} 记录的步骤
+     */
+    recordTraceStep(trace, formula, { doctorId = null, inputs = {}, output = null, warnings = [] } = {}) {
+        if (!PerformanceCalculator.TRACE_FORMULAS[formula]) {
+            throw new Error(`未定义的公式标识：${formula}`);
+        }
+        
+        const step = {
+            seq: trace.steps.length + 1,
+            formula: formula,
+            doctorId: doctorId,
+            inputs: inputs,
+            output: output,
+            warnings: warnings
+        };
+        trace.steps.push(step);
+        warnings.forEach(warning => {
+            trace.warnings.push({ seq: step.seq, formula: formula, doctorId: doctorId, ...warning });
+        });
+        
+        return step;
+    }
+
+    /**
+     * 将方案变更合并到配置上，返回新的配置对象（不修改原配置）
+     * @param {Object} baseConfig - 基准配置（SystemConfig、其JSON或计算结果中的config）
+     * @param {Object} scenario - 方案 { name, weights, titleCoefficients, newEmployeeConfig }
+     * @param {Object} scenario.weights - 指标标识到权重的映射，未列出的指标沿用原权重
+     * @param {Object} scenario.titleCoefficients - 职称名称到职称系数的映射
+     * @param {Object} scenario.newEmployeeConfig - 新入职人员系数的变更项
+     * @returns {Object} 合并后的配置
+     */
+    applyScenarioConfig(baseConfig, scenario = {}) {
+        const source = baseConfig && baseConfig.toJSON ? baseConfig.toJSON() : (baseConfig || {});
+        const config = JSON.parse(JSON.stringify(source));
+        
+        const weights = scenario.weights || {};
+        const registry = calculatorDeps.MetricRegistry.fromConfig(config);
+        Object.keys(weights).forEach(id => {
+            if (!registry.has(id)) {
+                throw new Error(`指标"${id}"不存在`);
+            }
+            registry.update(id, { weight: Number(weights[id]) });
+        });
+        config.metrics = registry.toJSON();
+        config.performanceWeights = registry.getWeights();
+        
+        config.newEmployeeConfig = {
+            ...(config.newEmployeeConfig || {}),
+            ...(scenario.newEmployeeConfig || {})
+        };
+        
+        const titleCoefficients = scenario.titleCoefficients || {};
+        if (Array.isArray(config.titleCoefficients)) {
+            config.titleCoefficients = config.titleCoefficients.map(title => (
+                titleCoefficients[title.name] !== undefined ? { ...title, coefficient: Number(titleCoefficients[title.name]) } : title
+            ));
+        }
+        
+        return config;
+    }
+
+    /**
+     * 按方案中的职称系数替换医生的职称系数（返回副本，不修改原数据）
+     * @param {Array} doctorsWithData - 医生和工作数据组合列表
+     * @param {Object} scenario - 方案
+     * @returns {Array} 替换后的医生和工作数据组合列表
+     */
+    applyScenarioDoctors(doctorsWithData, scenario = {}) {
+        const titleCoefficients = scenario.titleCoefficients || {};
+        return doctorsWithData.map(item => {
+            const coefficient = titleCoefficients[item.doctor.title];
+            if (coefficient === undefined) return item;
+            
+            if (isNaN(Number(coefficient)) || Number(coefficient) <= 0) {
+                throw new Error(`职称"${item.doctor.title}"的系数必须大于0`);
+            }
+            return {
+                doctor: { ...JSON.parse(JSON.stringify(item.doctor)), titleCoefficient: Number(coefficient) },
+                workData: item.workData
+            };
+        });
+    }
+
+    /**
+     * 计算分配公平性指标
+     * 基于最终分配金额：基尼系数、P90/P10比值、前20%人员所占份额，以及同职称内和职称之间的差距；
+     * 超过阈值的指标记入flags
+     * @param {Array} individualResults - 个人计算结果数组
+     * @param {Object} fairnessConfig - 预警阈值，缺省使用默认配置
+     * @returns {Object} 公平性指标 { count, gini, p90, p10, p90p10Ratio, top20Share, titleBands, withinBandCv, betweenBandCv, betweenBandRatio, thresholds, flags }
+     */
+    calculateFairnessMetrics(individualResults, fairnessConfig = {}) {
+        const thresholds = { ...this.defaultConfig.fairnessConfig, ...(fairnessConfig || {}) };
+        const amounts = individualResults.map(result => Math.max(0, Number(result.finalAllocation) || 0)).sort((a, b) => a - b);
+        const count = amounts.length;
+        const total = amounts.reduce((sum, amount) => sum + amount, 0);
+        const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const cv = values => {
+            const average = mean(values);
+            return average > 0 ? Math.sqrt(this.calculateVariance(values)) / average : 0;
+        };
+        // 线性插值百分位数
+        const percentile = p => {
+            if (count === 0) return 0;
+            const position = (count - 1) * p;
+            const lower = Math.floor(position);
+            const upper = Math.ceil(position);
+            return amounts[lower] + (amounts[upper] - amounts[lower]) * (position - lower);
+        };
+        
+        const gini = count > 0 && total > 0 ?
+            amounts.reduce((sum, amount, index) => sum + (2 * (index + 1) - count - 1) * amount, 0) / (count * total) : 0;
+        const p90 = percentile(0.9);
+        const p10 = percentile(0.1);
+        const topCount = Math.ceil(count * 0.2);
+        const top20Share = total > 0 ? amounts.slice(count - topCount).reduce((sum, amount) => sum + amount, 0) / total : 0;
+        
+        // 按职称分组
+        const bandAmounts = {};
+        individualResults.forEach(result => {
+            const title = result.doctorInfo?.title || result.doctor?.title || '未设置职称';
+            bandAmounts[title] = bandAmounts[title] || [];
+            bandAmounts[title].push(Math.max(0, Number(result.finalAllocation) || 0));
+        });
+        const titleBands = Object.keys(bandAmounts).map(title => {
+            const values = bandAmounts[title];
+            return {
+                title: title,
+                count: values.length,
+                mean: mean(values),
+                min: Math.min(...values),
+                max: Math.max(...values),
+                cv: cv(values)
+            };
+        });
+        const withinBandCv = count > 0 ? titleBands.reduce((sum, band) => sum + band.cv * band.count, 0) / count : 0;
+        const bandMeans = titleBands.map(band => band.mean);
+        const minBandMean = bandMeans.length > 0 ? Math.min(...bandMeans) : 0;
+        
+        const fairness = {
+            count: count,
+            gini: gini,
+            p90: p90,
+            p10: p10,
+            p90p10Ratio: p10 > 0 ? p90 / p10 : null,
+            top20Share: top20Share,
+            titleBands: titleBands,
+            withinBandCv: withinBandCv,
+            betweenBandCv: bandMeans.length > 1 ? cv(bandMeans) : 0,
+            betweenBandRatio: bandMeans.length > 1 && minBandMean > 0 ? Math.max(...bandMeans) / minBandMean : null,
+            thresholds: thresholds,
+            flags: []
+        };
+        
+        const checks = [
+            { metric: 'gini', value: fairness.gini, threshold: thresholds.giniMax, label: '基尼系数' },
+            { metric: 'p90p10Ratio', value: fairness.p90p10Ratio, threshold: thresholds.p90p10Max, label: 'P90/P10比值' },
+            { metric: 'top20Share', value: fairness.top20Share, threshold: thresholds.top20ShareMax, label: '前20%人员所占份额' },
+            { metric: 'withinBandCv', value: fairness.withinBandCv, threshold: thresholds.withinBandCvMax, label: '同职称内变异系数' }
+        ];
+        if (count > 1) {
+            checks.forEach(check => {
+                // P10为0时比值无法计算，视为超过阈值
+                const exceeded = check.value === null ? check.metric === 'p90p10Ratio' && p90 > 0 : check.value > check.threshold;
+                if (exceeded) {
+                    fairness.flags.push({
+                        metric: check.metric,
+                        value: check.value,
+                        threshold: check.threshold,
+                        message: `${check.label}${check.value === null ? '无法计算（P10为0）' : check.value.toFixed(3)}，超过预警阈值${check.threshold}`
+                    });
+                }
+            });
+        }
+        
+        return fairness;
+    }
+
+    /**
+     * 汇总分配金额的分布情况
+     * @param {Array} individualResults - 个人计算结果数组
+     * @returns {Object} 分布汇总 { count, total, mean, median, min, max, stdDev }
+     */
+    summarizeDistribution(individualResults) {
+        const amounts = individualResults.map(result => Number(result.finalAllocation) || 0).sort((a, b) => a - b);
+        const count = amounts.length;
+        if (count === 0) {
+            return { count: 0, total: 0, mean: 0, median: 0, min: 0, max: 0, stdDev: 0 };
+        }
+        
+        const total = amounts.reduce((sum, amount) => sum + amount, 0);
+        const mean = total / count;
+        const middle = Math.floor(count / 2);
+        
+        return {
+            count: count,
+            total: total,
+            mean: mean,
+            median: count % 2 === 0 ? (amounts[middle - 1] + amounts[middle]) / 2 : amounts[middle],
+            min: amounts[0],
+            max: amounts[count - 1],
+            stdDev: Math.sqrt(this.calculateVariance(amounts))
+        };
+    }
+
+    /**
+     * 方案模拟：以同一个月的数据，在多个命名配置方案下并列计算
+     * 只返回计算结果，不保存配置或历史记录
+     * @param {Array} doctorsWithData - 医生和工作数据组合列表
+     * @param {number} totalBonus - 奖金总额
+     * @param {Object} baseConfig - 基准配置
+     * @param {Array<Object>} scenarios - 方案列表（见applyScenarioConfig）
+     * @param {Object} options - 计算选项（同calculateTeamPerformance）
+     * @returns {Object} 模拟结果 { baseline: { name, result, distribution }, scenarios: [{ name, changes, config, result, distribution, deltas }] }
+     */
+    runScenarios(doctorsWithData, totalBonus, baseConfig, scenarios = [], options = {}) {
+        const baselineResult = this.calculateDepartmentPerformance(doctorsWithData, totalBonus, baseConfig, options);
+        const baseline = {
+            name: '当前配置',
+            result: baselineResult,
+            distribution: this.summarizeDistribution(baselineResult.individualResults)
+        };
+        
+        const names = new Set();
+        const scenarioResults = scenarios.map(scenario => {
+            const name = String(scenario.name || '').trim();
+            if (!name) {
+                throw new Error('方案名称不能为空');
+            }
+            if (names.has(name)) {
+                throw new Error(`方案名称"${name}"重复`);
+            }
+            names.add(name);
+            
+            let config;
+            let result;
+            try {
+                config = this.applyScenarioConfig(baseConfig, scenario);
+                result = this.calculateDepartmentPerformance(this.applyScenarioDoctors(doctorsWithData, scenario), totalBonus, config, options);
+            } catch (error) {
+                throw new Error(`方案"${name}"：${error.message}`);
+            }
+            
+            return {
+                name: name,
+                changes: {
+                    weights: { ...(scenario.weights || {}) },
+                    titleCoefficients: { ...(scenario.titleCoefficients || {}) },
+                    newEmployeeConfig: { ...(scenario.newEmployeeConfig || {}) }
+                },
+                config: config,
+                result: result,
+                distribution: this.summarizeDistribution(result.individualResults),
+                deltas: result.individualResults.map(item => {
+                    const base = baselineResult.individualResults.find(baseItem => baseItem.doctorId === item.doctorId);
+                    const baseAmount = base ? base.finalAllocation : 0;
+                    return {
+                        doctorId: item.doctorId,
+                        doctorName: item.doctorName,
+                        baseline: baseAmount,
+                        amount: item.finalAllocation,
+                        delta: item.finalAllocation - baseAmount,
+                        deltaRatio: baseAmount !== 0 ? (item.finalAllocation - baseAmount) / baseAmount : null
+                    };
+                })
+            };
+        });
+        
+        return {
+            baseline: baseline,
+            scenarios: scenarioResults
+        };
+    }
+
+    /**
+     * 敏感性分析
+     * 1. 边际金额：某医生某项指标增加一个单位（sensitivityUnit）、其他条件不变时，其分配金额的变化；
+     * 2. 权重弹性：某项指标权重提高1个百分点（从其余有权重的指标按比例扣减）时，各人分配金额变化率与权重变化率之比的平均绝对值。
+     * 均以整个计算流程复算得到，包含系数、缩放和上下限约束的影响；比较的是取整前金额，避免取整噪声
+     * @param {Array} doctorsWithData - 医生和工作数据组合列表
+     * @param {number} totalBonus - 奖金总额
+     * @param {Object} config - 计算配置
+     * @param {Object} options - 计算选项（同calculateTeamPerformance）
+     * @returns {Object} 分析结果 { metrics, doctors: [{ doctorId, doctorName, marginals }], weightElasticities: [{ metricId, label, weight, redistributed, elasticity }] }
+     */
+    analyzeSensitivity(doctorsWithData, totalBonus, config = {}, options = {}) {
+        const baseline = this.calculateDepartmentPerformance(doctorsWithData, totalBonus, config, options);
+        const registry = this.resolveTeamConfig(config).metricRegistry;
+        const metrics = registry.getAll();
+        const amountsOf = result => result.individualResults.map(item => item.unroundedAllocation || 0);
+        const baseAmounts = amountsOf(baseline);
+        
+        const doctors = doctorsWithData.map((item, index) => {
+            const marginals = {};
+            metrics.forEach(metric => {
+                const workData = JSON.parse(JSON.stringify(item.workData || {}));
+                registry.setValue(workData, metric.id, registry.getValue(item.workData, metric) + metric.sensitivityUnit);
+                const perturbed = doctorsWithData.map((other, otherIndex) => (
+                    otherIndex === index ? { doctor: other.doctor, workData: workData } : other
+                ));
+                marginals[metric.id] = amountsOf(this.calculateDepartmentPerformance(perturbed, totalBonus, config, options))[index] - baseAmounts[index];
+            });
+            
+            return {
+                doctorId: item.doctor.id,
+                doctorName: item.doctor.name,
+                marginals: marginals
+            };
+        });
+        
+        const source = config && config.toJSON ? config.toJSON() : (config || {});
+        const weightElasticities = metrics.map(metric => {
+            const othersWeight = registry.getTotalWeight() - metric.weight;
+            if (othersWeight <= 0) {
+                return { metricId: metric.id, label: metric.label, weight: metric.weight, redistributed: 0, elasticity: null };
+            }
+            
+            const step = PerformanceCalculator.SENSITIVITY_WEIGHT_STEP;
+            const shifted = registry.getAll().map(other => ({
+                ...other,
+                weight: other.id === metric.id ? other.weight + step : other.weight - step * other.weight / othersWeight
+            }));
+            const amounts = amountsOf(this.calculateDepartmentPerformance(doctorsWithData, totalBonus, { ...source, metrics: shifted }, options));
+            const deltas = amounts.map((amount, index) => amount - baseAmounts[index]);
+            const ratios = deltas
+                .map((delta, index) => (baseAmounts[index] > 0 ? Math.abs(delta / baseAmounts[index]) : null))
+                .filter(ratio => ratio !== null);
+            
+            return {
+                metricId: metric.id,
+                label: metric.label,
+                weight: metric.weight,
+                // 权重提高1个百分点时在成员之间转移的金额
+                redistributed: deltas.reduce((sum, delta) => sum + Math.abs(delta), 0) / 2,
+                elasticity: metric.weight > 0 && ratios.length > 0 ?
+                    ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length / (step / metric.weight) : null
+            };
+        });
+        
+        return {
+            metrics: metrics.map(metric => ({
+                id: metric.id,
+                label: metric.label,
+                unit: metric.unit,
+                sensitivityUnit: metric.sensitivityUnit
+            })),
+            doctors: doctors,
+            weightElasticities: weightElasticities
+        };
+    }
+
+    /**
+     * 描述敏感性分析的单位，如"每1人"、"每10000元"
+     * @param {Object} metric - 敏感性分析结果中的指标
+     * @returns {string} 单位描述
+     */
+    static describeSensitivityUnit(metric) {
+        return `每${metric.sensitivityUnit}${metric.unit}`;
+    }
+
+    /**
+     * 复算并核对已保存的绩效记录
+     * 以记录中冻结的配置、医生和工作数据快照重新计算，逐人比对保存的结果；
+     * 结果中带有manualOverrides标记的字段视为手工调整，不计为不一致；标记为optional的字段在记录中缺失时（早期记录）不比对
+     * @param {Object} record - 绩效记录（PerformanceRecord或其JSON）
+     * @returns {Object} 核对报告 { recordId, year, month, status, reason, discrepancies, overrides, missingDoctors, extraDoctors, checkedAt }
+     */
+    verifyRecord(record) {
+        const source = record && record.toJSON ? record.toJSON() : (record || {});
+        const report = {
+            recordId: source.id || null,
+            year: source.year,
+            month: source.month,
+            status: 'verified',
+            reason: '',
+            discrepancies: [],
+            overrides: [],
+            missingDoctors: [],
+            extraDoctors: [],
+            checkedAt: new Date().toISOString()
+        };
+        
+        const inputs = source.trace?.inputs;
+        if (!inputs) {
+            report.status = 'unverifiable';
+            report.reason = '记录缺少计算审计轨迹（输入快照），无法复算';
+            return report;
+        }
+        // 按默认配置复算会把使用了自定义权重的记录误判为不一致
+        if (!source.config || Object.keys(source.config).length === 0) {
+            report.status = 'unverifiable';
+            report.reason = '记录未保存计算配置，无法按原配置复算';
+            return report;
+        }
+        
+        const doctors = (source.doctors && source.doctors.length > 0) ? source.doctors : inputs.doctors;
+        const workDataList = (source.workData && source.workData.length > 0) ? source.workData : inputs.workData;
+        const doctorsWithData = doctors.map((doctor, index) => ({
+            doctor: doctor,
+            workData: workDataList.find(data => data && data.doctorId && data.doctorId === doctor.id) || workDataList[index] || {}
+        }));
+        
+        let recalculated;
+        try {
+            recalculated = this.calculateDepartmentPerformance(doctorsWithData, inputs.totalBonus, source.config || {}, inputs.options || {});
+        } catch (error) {
+            report.status = 'unverifiable';
+            report.reason = `复算失败：${error.message}`;
+            return report;
+        }
+        
+        const storedResults = source.results || [];
+        recalculated.individualResults.forEach(expected => {
+            const stored = storedResults.find(result => result.doctorId === expected.doctorId);
+            if (!stored) {
+                report.missingDoctors.push({ doctorId: expected.doctorId, doctorName: expected.doctorName });
+                return;
+            }
+            
+            const overriddenFields = (stored.manualOverrides || []).map(override => override.field);
+            PerformanceCalculator.VERIFIED_FIELDS.forEach(({ field, tolerance, optional }) => {
+                if (optional && stored[field] === undefined) return;
+                const storedValue = Number(stored[field]) || 0;
+                const expectedValue = Number(expected[field]) || 0;
+                if (Math.abs(storedValue - expectedValue) <= tolerance) return;
+                
+                const item = {
+                    doctorId: expected.doctorId,
+                    doctorName: expected.doctorName,
+                    field: field,
+                    stored: storedValue,
+                    recalculated: expectedValue,
+                    difference: storedValue - expectedValue
+                };
+                (overriddenFields.includes(field) ? report.overrides : report.discrepancies).push(item);
+            });
+        });
+        storedResults.forEach(stored => {
+            if (!recalculated.individualResults.some(result => result.doctorId === stored.doctorId)) {
+                report.extraDoctors.push({ doctorId: stored.doctorId, doctorName: stored.doctorName });
+            }
+        });
+        
+        if (report.discrepancies.length > 0 || report.missingDoctors.length > 0 || report.extraDoctors.length > 0) {
+            report.status = 'mismatch';
+        } else if (report.overrides.length > 0) {
+            report.status = 'overridden';
+        }
+        
+        return report;
+    }
+
+    /**
+     * 描述分配约束标记
+     * @param {Object|null} constraint - 结果中的allocationConstraint
+     * @returns {string} 描述文字，未受限制时为空字符串
+     */
+    static describeAllocationConstraint(constraint) {
+        if (!constraint) return '';
+        const boundText = constraint.bound === 'floor' ? '保底' : '封顶';
+        const sourceText = { absolute: '固定金额', averageMultiple: '人均倍数', title: '职称限额' }[constraint.source] || '';
+        return `${boundText}（${sourceText}${Math.round(constraint.limit)}元）`;
+    }
+
+    /**
+     * 从历史绩效记录中整理多月平滑所需的数据（作为计算选项options.history）
+     * 每个月份只取最后保存的一条记录，只保留医生、工作数据和各人的绩效分配金额，随审计轨迹一并保存以便复算
+     * @param {Array<Object>} records - 绩效记录列表（PerformanceRecord或其JSON）
+     * @param {number} year - 计算年份
+     * @param {number} month - 计算月份（1-12）
+     * @param {Object} smoothingConfig - 多月平滑配置（mode、window）
+     * @returns {Array<Object>} 历史数据（由近及远）[{ year, month, doctors, workData, results: [{ doctorId, performanceAllocation }] }]
+     */
+    static buildSmoothingHistory(records, year, month, smoothingConfig = {}) {
+        if (!smoothingConfig.mode || smoothingConfig.mode === 'none') return [];
+        
+        const maxAge = smoothingConfig.mode === 'blendPay' ? 1 : Number(smoothingConfig.window) - 1;
+        const currentIndex = Number(year) * 12 + Number(month) - 1;
+        const latest = {};
+        (records || []).forEach(record => {
+            const source = record && record.toJSON ? record.toJSON() : (record || {});
+            const age = currentIndex - (Number(source.year) * 12 + Number(source.month) - 1);
+            if (!(age >= 1 && age <= maxAge)) return;
+            
+            const savedAt = String(source.updatedAt || source.createdAt || '');
+            if (!latest[age] || savedAt > String(latest[age].updatedAt || latest[age].createdAt || '')) {
+                latest[age] = source;
+            }
+        });
+        
+        return Object.keys(latest).map(Number).sort((a, b) => a - b).map(age => {
+            const source = latest[age];
+            const inputs = source.trace?.inputs || {};
+            return {
+                year: Number(source.year),
+                month: Number(source.month),
+                doctors: (source.doctors && source.doctors.length > 0) ? source.doctors : (inputs.doctors || []),
+                workData: (source.workData && source.workData.length > 0) ? source.workData : (inputs.workData || []),
+                results: (source.results || []).map(result => ({
+                    doctorId: result.doctorId,
+                    performanceAllocation: result.performanceAllocation ?? result.finalAllocation
+                }))
+            };
+        });
+    }
+
+    /**
+     * 取某年度各月份最后保存的绩效记录
+     * @param {Array<Object>} records - 绩效记录列表（PerformanceRecord或其JSON）
+     * @param {number} year - 年度
+     * @returns {Array<Object>} 记录JSON列表（按月份升序）
+     */
+    static selectAnnualRecords(records, year) {
+        const latest = {};
+        (records || []).forEach(record => {
+            const source = record && record.toJSON ? record.toJSON() : (record || {});
+            const month = Number(source.month);
+            if (Number(source.year) !== Number(year) || !(month >= 1 && month <= 12)) return;
+            
+            const savedAt = String(source.updatedAt || source.createdAt || '');
+            if (!latest[month] || savedAt > String(latest[month].updatedAt || latest[month].createdAt || '')) {
+                latest[month] = source;
+            }
+        });
+        
+        return Object.keys(latest).map(Number).sort((a, b) => a - b).map(month => latest[month]);
+    }
+
+    /**
+     * 汇总医生全年的工作数据
+     * 各指标按其汇总方式合并各月数值；请假天数、质量安全事件、DRG分组出院人数和收入构成按项累加；
+     * 病例组合指数按出院人数加权平均（有月份按DRG分组录入时以DRG分组为准）；奖罚按月结清，不计入；
+     * 各月临时岗位取并集，并按月保留在monthlyRoles中，岗位系数取各月岗位系数的平均值（见resolveRoleCoefficient）；
+     * 各月排班合并，按全年各轮转地点天数计算地点系数；
+     * 值班记录全年合并
+     * @param {MetricRegistry} registry - 指标注册表
+     * @param {Array<Object>} workDataList - 各月工作数据
+     * @returns {Object} 全年工作数据
+     */
+    aggregateAnnualWorkData(registry, workDataList) {
+        const annual = {
+            doctorId: workDataList[workDataList.length - 1]?.doctorId || '',
+            rewardPenalty: 0,
+            metrics: {},
+            leaveDays: {},
+            qualityEvents: {},
+            drgDischarges: {},
+            caseMixIndex: null,
+            revenueComponents: {},
+            groupId: workDataList[workDataList.length - 1]?.groupId || '',
+            roles: [...new Set(workDataList.flatMap(workData => workData?.roles || []))],
+            monthlyRoles: workDataList.map(workData => workData?.roles || []),
+            roster: {},
+            duties: workDataList.flatMap(workData => workData?.duties || [])
+        };
+        
+        registry.getAll().forEach(metric => {
+            const values = workDataList.map(workData => registry.getValue(workData, metric));
+            registry.setValue(annual, metric.id, registry.aggregate(values, metric.aggregation));
+        });
+        ['leaveDays', 'qualityEvents', 'drgDischarges', 'revenueComponents'].forEach(field => {
+            workDataList.forEach(workData => {
+                Object.entries(workData?.[field] || {}).forEach(([key, value]) => {
+                    annual[field][key] = (annual[field][key] || 0) + (Number(value) || 0);
+                });
+            });
+        });
+        
+        // 排班的键加上月份序号，避免不同月份的同一日期相互覆盖
+        workDataList.forEach((workData, index) => {
+            Object.entries(workData?.roster || {}).forEach(([day, locationId]) => {
+                annual.roster[`${index + 1}-${day}`] = locationId;
+            });
+        });
+        
+        const caseMixMonths = workDataList.filter(workData => workData && workData.caseMixIndex !== null && workData.caseMixIndex !== undefined && workData.caseMixIndex !== '');
+        if (caseMixMonths.length > 0 && Object.keys(annual.drgDischarges).length === 0) {
+            const discharges = workDataList.reduce((sum, workData) => sum + (Number(workData?.dischargeCount) || 0), 0);
+            const weighted = workDataList.reduce((sum, workData) => {
+                const hasIndex = caseMixMonths.includes(workData);
+                return sum + (Number(workData?.dischargeCount) || 0) * (hasIndex ? Number(workData.caseMixIndex) || 0 : 1);
+            }, 0);
+            annual.caseMixIndex = discharges > 0 ? weighted / discharges : null;
+        }
+        
+        return annual;
+    }
+
+    /**
+     * 年终结算：按年度配置重新计算全年应得绩效，扣除各月已预发的金额，得出每人的补发（正数）或扣回（负数）金额
+     * 各月预发金额 = 当月最终分配金额 − 当月奖罚（奖罚按月结清，不参与年终结算，年度计算中奖罚按0计）。
+     * monthly：逐月以当月记录的医生、工作数据、奖金总额和计算选项按年度配置复算，年度奖金总额按各人复算合计的占比分配；
+     * annual：专项奖金和值班奖金逐月按当月的发放对象和值班分值计提并分配（固定金额为每月金额），
+     * 其余奖金按各人全年工作数据汇总后以年度配置一次计算，满勤天数和在岗天数只计已结算的月份，固定金额的分配上下限按结算月数放大
+     * @param {Array<Object>} records - 绩效记录列表（PerformanceRecord或其JSON），同一月份取最后保存的一条
+     * @param {number|null} annualBonus - 年度奖金总额，缺省为各月奖金总额之和
+     * @param {Object} config - 年度配置
+     * @param {Object} options - 结算选项 { year, method }
+     * @returns {Object} 结算单 { year, method, annualBonus, months, missingMonths, lines, summary, calculatedAt }
+     */
+    calculateAnnualSettlement(records, annualBonus = null, config = {}, options = {}) {
+        const year = Number(options.year);
+        const method = options.method || 'monthly';
+        if (!year) {
+            throw new Error('请指定结算年度');
+        }
+        if (!PerformanceCalculator.SETTLEMENT_METHODS[method]) {
+            throw new Error(`不支持的年终结算方式：${method}`);
+        }
+        
+        const annualRecords = PerformanceCalculator.selectAnnualRecords(records, year);
+        if (annualRecords.length === 0) {
+            throw new Error(`${year}年没有已保存的绩效记录`);
+        }
+        
+        const cfg = this.resolveTeamConfig(config);
+        const lines = [];
+        const getLine = (doctorId, doctorName) => {
+            let line = lines.find(item => item.doctorId === doctorId);
+            if (!line) {
+                line = { doctorId: doctorId, doctorName: doctorName || '', monthsPaid: [], advance: 0, rewardPenaltyPaid: 0, entitlement: 0, adjustment: 0 };
+                lines.push(line);
+            }
+            return line;
+        };
+        
+        // 各月的计算输入和已预发金额
+        const months = annualRecords.map(source => {
+            const inputs = source.trace?.inputs || {};
+            const doctors = (source.doctors && source.doctors.length > 0) ? source.doctors : (inputs.doctors || []);
+            const workDataList = (source.workData && source.workData.length > 0) ? source.workData : (inputs.workData || []);
+            const results = source.results || [];
+            const paid = results.reduce((sum, result) => sum + (Number(result.finalAllocation) || 0) - (Number(result.rewardPenalty) || 0), 0);
+            
+            results.forEach(result => {
+                const line = getLine(result.doctorId, result.doctorName);
+                const rewardPenalty = Number(result.rewardPenalty) || 0;
+                line.monthsPaid.push(Number(source.month));
+                line.advance += (Number(result.finalAllocation) || 0) - rewardPenalty;
+                line.rewardPenaltyPaid += rewardPenalty;
+            });
+            
+            return {
+                recordId: source.id || null,
+                month: Number(source.month),
+                totalBonus: Number(inputs.totalBonus ?? source.totalBonus) || paid,
+                paid: paid,
+                options: { ...(inputs.options || {}), year: year, month: Number(source.month) },
+                doctorsWithData: doctors.map((doctor, index) => ({
+                    doctor: doctor,
+                    workData: {
+                        ...(workDataList.find(data => data && data.doctorId && data.doctorId === doctor.id) || workDataList[index] || {}),
+                        rewardPenalty: 0
+                    }
+                }))
+            };
+        });
+        
+        const bonus = annualBonus === null || annualBonus === undefined || annualBonus === '' ?
+            months.reduce((sum, item) => sum + item.totalBonus, 0) : Number(annualBonus);
+        if (isNaN(bonus) || bonus < 0) {
+            throw new Error('年度奖金总额必须为非负数');
+        }
+        
+        let entitlements;
+        if (method === 'monthly') {
+            const recalculated = {};
+            months.forEach(item => {
+                if (item.doctorsWithData.length === 0) return;
+                const result = this.calculateDepartmentPerformance(item.doctorsWithData, item.totalBonus, config, item.options);
+                result.individualResults.forEach(individual => {
+                    getLine(individual.doctorId, individual.doctorName);
+                    recalculated[individual.doctorId] = (recalculated[individual.doctorId] || 0) + individual.finalAllocation;
+                });
+            });
+            entitlements = this.applyIntegerAllocationWithBalancing(
+                lines.map(line => ({ doctorId: line.doctorId, finalAllocation: recalculated[line.doctorId] || 0 })),
+                bonus,
+                cfg.roundingConfig.unit
+            );
+        } else {
+            // 医生信息取其最后出现月份的记录，工作数据按全年汇总
+            const byDoctor = {};
+            months.forEach(item => {
+                item.doctorsWithData.forEach(({ doctor, workData }) => {
+                    if (!byDoctor[doctor.id]) {
+                        byDoctor[doctor.id] = { doctor: doctor, workDataList: [] };
+                    }
+                    byDoctor[doctor.id].doctor = doctor;
+                    byDoctor[doctor.id].workDataList.push(workData);
+                });
+            });
+            const doctorsWithData = Object.values(byDoctor).map(({ doctor, workDataList }) => ({
+                doctor: doctor,
+                workData: this.aggregateAnnualWorkData(cfg.metricRegistry, workDataList)
+            }));
+            
+            // 专项奖金和值班奖金按月计提，各月奖金总额按年度奖金总额等比缩放（用于按比例计提）
+            const monthlyTotal = months.reduce((sum, item) => sum + item.totalBonus, 0);
+            const poolAmounts = {};
+            let reservedTotal = 0;
+            months.forEach(item => {
+                if (item.doctorsWithData.length === 0) return;
+                const monthBonus = monthlyTotal > 0 ? item.totalBonus * bonus / monthlyTotal : bonus / months.length;
+                const subPools = this.allocateSubPools(item.doctorsWithData, monthBonus, cfg.subPoolConfig, cfg.roundingConfig.unit);
+                const dutyPool = cfg.dutyConfig.mode === 'pool' ?
+                    this.allocateDutyPool(item.doctorsWithData, monthBonus, cfg.dutyConfig, cfg.roundingConfig.unit) : null;
+                [...subPools.pools, ...(dutyPool ? [dutyPool] : [])].forEach(pool => {
+                    reservedTotal += pool.amount;
+                    pool.recipients.forEach(recipient => {
+                        poolAmounts[recipient.doctorId] = (poolAmounts[recipient.doctorId] || 0) + recipient.amount;
+                    });
+                });
+            });
+            if (reservedTotal > bonus + 0.005) {
+                throw new Error(`全年专项奖金和值班奖金合计${reservedTotal.toFixed(2)}元超过年度奖金总额${bonus.toFixed(2)}元`);
+            }
+            
+            const metricConfig = {
+                ...config,
+                subPoolConfig: { pools: [] },
+                dutyConfig: cfg.dutyConfig.mode === 'pool' ? { ...cfg.dutyConfig, mode: 'none' } : cfg.dutyConfig
+            };
+            // 满勤天数和在科天数只计已结算的月份，缺少记录的月份不计入
+            const settledMonths = months.map(item => item.month);
+            const settledDays = settledMonths.reduce((sum, month) => sum + new Date(year, month, 0).getDate(), 0);
+            const result = this.calculateDepartmentPerformance(doctorsWithData, bonus - reservedTotal, metricConfig, {
+                year: year,
+                months: settledMonths,
+                daysInMonth: settledDays,
+                periodMonths: months.length
+            });
+            result.individualResults.forEach(individual => getLine(individual.doctorId, individual.doctorName));
+            entitlements = lines.map(line => ({
+                doctorId: line.doctorId,
+                finalAllocation: (result.individualResults.find(individual => individual.doctorId === line.doctorId)?.finalAllocation || 0) +
+                    (poolAmounts[line.doctorId] || 0)
+            }));
+        }
+        
+        lines.forEach((line, index) => {
+            line.advance = Math.round(line.advance * 100) / 100;
+            line.rewardPenaltyPaid = Math.round(line.rewardPenaltyPaid * 100) / 100;
+            line.entitlement = Math.round(entitlements[index].finalAllocation * 100) / 100;
+            line.adjustment = Math.round((line.entitlement - line.advance) * 100) / 100;
+        });
+        
+        const sum = (values) => Math.round(values.reduce((total, value) => total + value, 0) * 100) / 100;
+        return {
+            year: year,
+            method: method,
+            annualBonus: bonus,
+            months: months.map(({ recordId, month, totalBonus, paid }) => ({ recordId, month, totalBonus, paid })),
+            missingMonths: Array.from({ length: 12 }, (_, index) => index + 1).filter(month => !months.some(item => item.month === month)),
+            lines: lines,
+            summary: {
+                doctorCount: lines.length,
+                totalAdvance: sum(lines.map(line => line.advance)),
+                totalRewardPenalty: sum(lines.map(line => line.rewardPenaltyPaid)),
+                totalEntitlement: sum(lines.map(line => line.entitlement)),
+                totalAdjustment: sum(lines.map(line => line.adjustment)),
+                totalSupplement: sum(lines.map(line => Math.max(0, line.adjustment))),
+                totalRecovery: sum(lines.map(line => Math.min(0, line.adjustment)))
+            },
+            calculatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 生成个人分配说明（"为什么是这个金额"）
+     * 按计算顺序列出从原始数据到最终金额的每一步，所有数值取自计算结果中的breakdown
+     * @param {Object} result - 个人计算结果
+     * @returns {Array<Object>} 步骤列表 [{ title, formula, amount }]，amount为该步之后的金额（无则为null）
+     */
+    static explainResult(result) {
+        const breakdown = result?.breakdown;
+        if (!breakdown) {
+            throw new Error('该结果缺少分配明细，请重新计算后查看');
+        }
+        
+        const money = (value) => `${(Number(value) || 0).toFixed(2)}元`;
+        const percent = (value) => `${((Number(value) || 0) * 100).toFixed(2)}%`;
+        const steps = [];
+        
+        const caseMix = breakdown.caseMix;
+        if (caseMix && caseMix.source !== 'none') {
+            steps.push({
+                title: '病例组合加权出院人数',
+                formula: caseMix.source === 'drg' ?
+                    caseMix.items.map(item => `${item.name}${item.count}人 × ${item.weight}`).join(' + ') +
+                        (caseMix.unclassifiedDischarges > 0 ? ` + 未分组${caseMix.unclassifiedDischarges}人 × 1` : '') +
+                        ` = ${caseMix.weightedDischarges.toFixed(2)}（CMI ${caseMix.caseMixIndex.toFixed(3)}）` :
+                    `出院${caseMix.rawDischarges}人 × CMI ${caseMix.caseMixIndex} = ${caseMix.weightedDischarges.toFixed(2)}`,
+                amount: null
+            });
+        }
+        
+        const revenue = breakdown.revenue;
+        if (revenue && revenue.source !== 'none') {
+            const terms = revenue.items
+                .filter(item => item.amount > 0)
+                .map(item => `${item.label}${money(item.amount)}` + (item.includedRatio === 1 ? '' : ` × ${item.includedRatio}`));
+            if (revenue.otherRevenue > 0) {
+                terms.push(`其他收入${money(revenue.otherRevenue)}` + (revenue.basis === 'service' ? ' × 0' : ''));
+            }
+            const penaltyText = revenue.penalties
+                .map(item => `${item.label}${percent(item.ratio)}超出目标${item.target}%共${item.excess.toFixed(2)}个百分点`)
+                .join('，');
+            steps.push({
+                title: `计分医疗收入（${PerformanceCalculator.REVENUE_BASES[revenue.basis]}）`,
+                formula: `${terms.join(' + ')} = ${money(revenue.basisRevenue)}` +
+                    (penaltyText ? `；${penaltyText}，× ${revenue.penaltyFactor.toFixed(4)} = ${money(revenue.scoredRevenue)}` : ''),
+                amount: null
+            });
+        } else if (revenue?.componentsMissing) {
+            steps.push({
+                title: '计分医疗收入（未录入收入构成）',
+                formula: `医疗收入${money(revenue.scoredRevenue)}按全额计分，不考核药占比、耗占比；同组其他医生已录入收入构成，建议补录`,
+                amount: null
+            });
+        }
+        
+        const duty = breakdown.duty;
+        const dutyText = duty?.count > 0 ?
+            `${duty.items.map(item => `${item.label}${item.count}次${item.hours}小时 × ${item.rate}`).join(' + ')} = ${Number(duty.points.toFixed(2))}分` : '';
+        const dutyMetric = duty?.mode === 'metric' ? breakdown.metrics.find(metric => metric.id === duty.metricId) : null;
+        if (dutyMetric && duty.count > 0) {
+            steps.push({
+                title: '值班分值',
+                formula: `${dutyText}，作为"${dutyMetric.label}"的数值`,
+                amount: null
+            });
+        }
+        
+        const location = breakdown.location;
+        const locationDaysText = location?.applied ? location.items.map(item => `${item.name}${item.days}天`).join('、') : '';
+        if (location?.applied && Object.keys(location.metricFactors).length > 0) {
+            steps.push({
+                title: '轮转地点指标系数',
+                formula: `${locationDaysText}；` + breakdown.metrics
+                    .filter(metric => location.metricFactors[metric.id] !== undefined)
+                    .map(metric => `${metric.label}(${location.items.map(item => `${item.days} × ${item.metricFactors[metric.id] ?? 1}`).join(' + ')}) / ${location.totalDays} = ${location.metricFactors[metric.id].toFixed(4)}`)
+                    .join('，') + '，个人指标值已乘以对应系数',
+                amount: null
+            });
+        }
+        
+        breakdown.metrics.forEach(metric => {
+            const rawShare = metric.rawShare ?? metric.share;
+            const prorated = Math.abs(rawShare - metric.baseShare) > 1e-9;
+            const history = (metric.history || []).filter(item => item.share !== null);
+            const scoringText = (calculatorDeps.MetricRegistry.SCORING_METHODS[metric.scoring] || metric.scoring) +
+                (metric.scoring === 'formula' && metric.formula ? `（${metric.formula}）` : '');
+            steps.push({
+                title: `${metric.label}（权重${metric.weight}%）`,
+                formula: `个人${metric.value}${metric.unit} / 团队${metric.teamTotal}${metric.unit}，${scoringText}得份额${percent(metric.baseShare)}` +
+                    (prorated ? `，在岗折算后${percent(rawShare)}` : '') +
+                    (history.length > 0 ? `，与${history.map(item => `${item.year}年${item.month}月${percent(item.share)}`).join('、')}滚动平均后${percent(metric.share)}` : '') +
+                    ` × 指标奖金池${money(metric.pool)}`,
+                amount: metric.amount
+            });
+        });
+        
+        if (breakdown.proration?.applied) {
+            steps.push({
+                title: '在岗天数折算',
+                formula: breakdown.proration.description,
+                amount: null
+            });
+        }
+        
+        steps.push({
+            title: '各指标合计',
+            formula: breakdown.metrics.map(metric => money(metric.amount)).join(' + '),
+            amount: breakdown.preliminaryAllocation
+        });
+        
+        const formulas = breakdown.formulas || {};
+        const roles = breakdown.roles;
+        const roleText = roles?.applied ? roles.items
+            .map(item => `${item.name}${item.coefficient}${item.months ? `（${item.months}个月）` : (item.source === 'month' ? '（本月）' : '')}`)
+            .join('，') : '';
+        const quality = breakdown.quality;
+        const qualityText = quality?.applied ? quality.items
+            .filter(item => item.penalty > 0)
+            .map(item => `${item.label}${item.count}次（容许${item.threshold}次）扣${item.penalty.toFixed(4)}`)
+            .join('，') : '';
+        if (formulas.coefficient) {
+            steps.push({
+                title: '自定义系数公式',
+                formula: `${formulas.coefficient.expression} = ${formulas.coefficient.value.toFixed(4)}（职称系数${breakdown.titleCoefficient}，` +
+                    `新入职人员系数${Number(breakdown.newEmployeeCoefficient).toFixed(4)}` +
+                    (roles?.applied ? `，岗位系数${roles.coefficient.toFixed(4)}` : '') +
+                    (location?.applied ? `，地点系数${location.coefficient.toFixed(4)}` : '') +
+                    `），${money(breakdown.preliminaryAllocation)} × ${formulas.coefficient.value.toFixed(4)}`,
+                amount: formulas.coefficient.allocation
+            });
+        } else {
+            steps.push({
+                title: '职称系数',
+                formula: `${money(breakdown.preliminaryAllocation)} × ${breakdown.titleCoefficient}`,
+                amount: breakdown.titleAdjustedAllocation
+            });
+            
+            const seniority = breakdown.seniority || {};
+            const seniorityText = {
+                uncertified: '新入职未取证',
+                recentlyCertified: '新入职取证未满判定年限',
+                normal: seniority.source === 'unknown' ? '未填写入职日期，按正常系数' : '非新入职人员'
+            }[seniority.category] || '';
+            steps.push({
+                title: '新入职人员系数',
+                formula: `${money(breakdown.titleAdjustedAllocation)} × ${Number(breakdown.newEmployeeCoefficient).toFixed(4)}` +
+                    (seniorityText ? `（${seniorityText}${seniority.workMonths !== null && seniority.workMonths !== undefined ? `，入职${seniority.workMonths}个月` : ''}）` : ''),
+                amount: breakdown.newEmployeeAdjustedAllocation ?? breakdown.coefficientAdjustedAllocation ?? breakdown.unscaledAllocation
+            });
+            
+            if (roles?.applied) {
+                steps.push({
+                    title: `岗位系数（${PerformanceCalculator.ROLE_COMBINE_RULES[roles.combine] || roles.combine}）`,
+                    formula: `${money(breakdown.newEmployeeAdjustedAllocation)} × ${roles.coefficient.toFixed(4)}（${roleText}）`,
+                    amount: breakdown.roleAdjustedAllocation ?? breakdown.coefficientAdjustedAllocation
+                });
+            }
+            
+            if (location?.applied) {
+                steps.push({
+                    title: '轮转地点系数',
+                    formula: `${money(breakdown.roleAdjustedAllocation)} × ${location.coefficient.toFixed(4)}` +
+                        `（${location.items.map(item => `${item.name}${item.days}天 × ${item.coefficient}`).join(' + ')}，共${location.totalDays}天）`,
+                    amount: breakdown.coefficientAdjustedAllocation
+                });
+            }
+            
+            if (quality?.applied && quality.mode === 'multiply') {
+                steps.push({
+                    title: '质量安全系数',
+                    formula: `${money(breakdown.coefficientAdjustedAllocation)} × ${quality.coefficient.toFixed(4)}（${qualityText}）`,
+                    amount: formulas.share ? breakdown.coefficientAdjustedAllocation * quality.coefficient :
+                        breakdown.smoothing?.unsmoothedAllocation ?? breakdown.unscaledAllocation
+                });
+            }
+        }
+        
+        if (formulas.share) {
+            steps.push({
+                title: '自定义分配份额公式',
+                formula: `${formulas.share.expression} = ${formulas.share.basis.toFixed(4)}，占团队合计${formulas.share.totalBasis.toFixed(4)}的${percent(formulas.share.share)}`,
+                amount: formulas.share.allocation
+            });
+        }
+        
+        const smoothing = breakdown.smoothing;
+        if (smoothing?.mode === 'blendPay') {
+            steps.push({
+                title: `与${smoothing.year}年${smoothing.month}月绩效混合（上月占${percent(smoothing.blendRatio)}）`,
+                formula: `本月份额${percent(smoothing.currentShare)} × ${(1 - smoothing.blendRatio).toFixed(2)} + 上月份额${percent(smoothing.priorShare)} × ${smoothing.blendRatio.toFixed(2)} = ${percent(smoothing.blendedShare)}`,
+                amount: breakdown.unscaledAllocation
+            });
+        }
+        
+        if (breakdown.rescale) {
+            const constraint = breakdown.rescale.constraint;
+            steps.push({
+                title: '按可分配奖金等比例缩放',
+                formula: `团队系数调整后合计${money(breakdown.rescale.teamUnscaledTotal)}，可分配奖金${money(breakdown.rescale.distributableBonus)}，` +
+                    `${money(breakdown.unscaledAllocation)} × ${breakdown.rescale.factor.toFixed(6)}` +
+                    (constraint ? `；${PerformanceCalculator.describeAllocationConstraint(constraint)}` : ''),
+                amount: breakdown.rescale.rescaledAllocation
+            });
+        }
+        
+        if (breakdown.rounding) {
+            steps.push({
+                title: `取整（单位${breakdown.rounding.unit}元，最大余数法）`,
+                formula: `${money(breakdown.rounding.unroundedAllocation)} ${breakdown.rounding.adjustment >= 0 ? '+' : '−'} ${money(Math.abs(breakdown.rounding.adjustment))}`,
+                amount: breakdown.rounding.roundedAllocation
+            });
+        }
+        
+        if (breakdown.unsmoothedAllocation !== undefined && breakdown.rounding) {
+            const shift = breakdown.rounding.roundedAllocation - breakdown.unsmoothedAllocation;
+            steps.push({
+                title: '多月平滑对比',
+                formula: `不平滑时绩效分配金额为${money(breakdown.unsmoothedAllocation)}，平滑后${shift >= 0 ? '增加' : '减少'}${money(Math.abs(shift))}`,
+                amount: null
+            });
+        }
+        
+        const subPools = breakdown.subPools || [];
+        const qualityDeduction = breakdown.qualityDeduction || 0;
+        const dutyPool = breakdown.dutyPool;
+        let allocation = breakdown.finalAllocation - subPools.reduce((sum, item) => sum + item.amount, 0) -
+            (dutyPool ? dutyPool.amount : 0) + qualityDeduction;
+        
+        if (breakdown.rewardPenalty) {
+            const policyText = breakdown.rewardPenalty.policy === 'poolNeutral' ? '池内平衡' : '池外发放';
+            steps.push({
+                title: `奖罚（${policyText}）`,
+                formula: `${money(breakdown.rounding?.roundedAllocation)} ${breakdown.rewardPenalty.amount >= 0 ? '+' : '−'} ${money(Math.abs(breakdown.rewardPenalty.amount))}`,
+                amount: allocation
+            });
+        }
+        
+        if (qualityDeduction !== 0) {
+            allocation -= qualityDeduction;
+            steps.push({
+                title: '质量安全扣减',
+                formula: `${money(breakdown.rounding?.roundedAllocation)} × (1 − ${quality.coefficient.toFixed(4)})（${qualityText}），${money(allocation + qualityDeduction)} − ${money(qualityDeduction)}`,
+                amount: allocation
+            });
+        }
+        
+        subPools.forEach(item => {
+            allocation += item.amount;
+            steps.push({
+                title: `专项奖金：${item.poolName}`,
+                formula: `专项奖金${money(item.poolAmount)}由${item.recipientCount}人平分，${money(allocation - item.amount)} + ${money(item.amount)}`,
+                amount: allocation
+            });
+        });
+        
+        if (dutyPool) {
+            allocation += dutyPool.amount;
+            steps.push({
+                title: '值班奖金',
+                formula: `${dutyText}；${Number(dutyPool.points.toFixed(2))}分 / 全科${Number(dutyPool.totalPoints.toFixed(2))}分 × 值班奖金${money(dutyPool.poolAmount)}，` +
+                    `${money(allocation - dutyPool.amount)} + ${money(dutyPool.amount)}`,
+                amount: allocation
+            });
+        }
+        
+        return steps;
+    }
+
+    /**
+     * 生成导出中的收入构成列：医疗收入总额、各项收入、药占比和耗占比
+     * @param {Object} revenue - 个人计分医疗收入明细（resolveRevenue的结果）
+     * @returns {Array} 列值，未录入收入构成时为空值
+     */
+    formatRevenueColumns(revenue) {
+        const componentTypes = Object.keys(calculatorDeps.MonthlyWorkData.REVENUE_COMPONENTS);
+        const ratioTypes = Object.keys(PerformanceCalculator.REVENUE_RATIO_TYPES);
+        if (!revenue || revenue.source === 'none') {
+            return [revenue?.grossRevenue ?? '', ...componentTypes.map(() => ''), ...ratioTypes.map(() => '')];
+        }
+        return [
+            revenue.grossRevenue.toFixed(2),
+            ...componentTypes.map(type => (revenue.items.find(item => item.type === type)?.amount || 0).toFixed(2)),
+            ...ratioTypes.map(type => `${((revenue.ratios[type] || 0) * 100).toFixed(2)}%`)
+        ];
+    }
+
+    /**
+     * 导出计算结果为CSV格式
+     * 指标列由计算时使用的指标注册表决定
+     * @param {Object} calculationResult - 计算结果（results为个人结果列表，config为计算时使用的配置）
+     * @returns {string} CSV字符串
+     */
+    exportToCSV(calculationResult) {
+        const { results, config, groupResults, subPoolSummary, dutyPool } = calculationResult;
+        const metrics = calculatorDeps.MetricRegistry.fromConfig(config || {}).getAll();
+        // 专项奖金每项单列，未配置专项奖金时不输出
+        const subPools = config?.subPoolConfig?.pools || [];
+        // 出院人数按病例组合加权时，单列原始出院人数和病例组合指数
+        const hasCaseMix = results.some(result => result.workData.caseMix && result.workData.caseMix.source !== 'none');
+        // 录入了收入构成时，单列医疗收入总额、各项收入和药占比、耗占比（医疗收入指标列为计分收入）
+        const hasRevenue = results.some(result => result.workData.revenue && result.workData.revenue.source !== 'none');
+        const revenueComponents = calculatorDeps.MonthlyWorkData.REVENUE_COMPONENTS;
+        // 有医生担任设有系数的岗位时单列岗位和岗位系数
+        const hasRoles = results.some(result => result.breakdown?.roles?.applied);
+        // 有值班记录时单列值班次数、时长和分值；单独计提值班奖金时单列值班奖金
+        const hasDuties = results.some(result => result.workData.duty?.count > 0);
+        const hasDutyPool = config?.dutyConfig?.mode === 'pool';
+        // 有医生录入了排班时单列各轮转地点天数和地点系数
+        const hasLocations = results.some(result => result.breakdown?.location?.applied);
+        // 多月平滑时单列不平滑的绩效分配金额
+        const hasSmoothing = results.some(result => result.unsmoothedAllocation !== undefined);
+        // 只有一个未分组的组时不输出治疗组信息，与不分组时的导出保持一致
+        const hasGroups = Array.isArray(groupResults) &&
+            groupResults.some(group => group.groupId !== PerformanceCalculator.UNGROUPED_ID);
+        
+        const headers = [
+            '排名', '姓名', ...(hasGroups ? ['治疗组'] : []), '职称', '工作年限', '是否取证',
+            ...metrics.map(metric => `${metric.label}(${metric.unit})`),
+            ...(hasCaseMix ? ['原始出院人数', '病例组合指数'] : []),
+            ...(hasRevenue ? ['医疗收入总额', ...Object.values(revenueComponents), ...Object.values(PerformanceCalculator.REVENUE_RATIO_TYPES)] : []),
+            ...(hasDuties ? ['值班次数', '值班时长(小时)', '值班分值'] : []),
+            ...metrics.map(metric => `${metric.label}分`),
+            '加权分数', '职称系数', '职称调整后分数', '新入职系数', ...(hasRoles ? ['岗位', '岗位系数'] : []),
+            ...(hasLocations ? ['轮转地点', '地点系数'] : []), '质量系数', '最终分数',
+            '在岗折算', '绩效分配金额', ...(hasSmoothing ? ['不平滑绩效分配金额'] : []), '取整调整', '分配约束', '奖罚', '质量扣减',
+            ...subPools.map(pool => `专项奖金：${pool.name}`),
+            ...(hasDutyPool ? ['值班奖金'] : []),
+            '最终分配金额'
+        ];
+        
+        const sortedResults = [...results].sort((a, b) => b.finalScore - a.finalScore);
+        
+        const rows = sortedResults.map((result, index) => [
+            index + 1,
+            result.doctorName,
+            ...(hasGroups ? [result.groupName || PerformanceCalculator.UNGROUPED_NAME] : []),
+            result.doctorInfo.title,
+            result.doctorInfo.workYears,
+            result.doctorInfo.isCertified ? '是' : '否',
+            ...metrics.map(metric => result.workData.metrics?.[metric.id] ?? result.workData[metric.field] ?? ''),
+            ...(hasCaseMix ? [
+                result.workData.caseMix?.rawDischarges ?? result.workData.dischargeCount ?? '',
+                result.workData.caseMix?.caseMixIndex ? result.workData.caseMix.caseMixIndex.toFixed(3) : ''
+            ] : []),
+            ...(hasRevenue ? this.formatRevenueColumns(result.workData.revenue) : []),
+            ...(hasDuties ? [
+                result.workData.duty?.count || 0,
+                result.workData.duty?.hours || 0,
+                Number((result.workData.duty?.points || 0).toFixed(2))
+            ] : []),
+            ...metrics.map(metric => (result.scores[metric.id] || 0).toFixed(2)),
+            result.weightedScore.toFixed(2),
+            result.titleCoefficient,
+            result.titleAdjustedScore.toFixed(2),
+            result.newEmployeeCoefficient,
+            ...(hasRoles ? [
+                (result.breakdown?.roles?.items || []).map(item => item.name).join('、'),
+                (result.roleCoefficient ?? 1).toFixed(4)
+            ] : []),
+            ...(hasLocations ? [
+                (result.breakdown?.location?.items || []).map(item => `${item.name}${item.days}天`).join('、'),
+                (result.locationCoefficient ?? 1).toFixed(4)
+            ] : []),
+            (result.qualityCoefficient ?? 1).toFixed(4),
+            result.finalScore.toFixed(2),
+            result.allocationDetails?.proration?.applied ? result.allocationDetails.proration.description : '',
+            Math.round(result.performanceAllocation ?? result.finalAllocation ?? 0),
+            ...(hasSmoothing ? [result.unsmoothedAllocation ?? ''] : []),
+            (result.roundingAdjustment || 0).toFixed(2),
+            PerformanceCalculator.describeAllocationConstraint(result.allocationConstraint),
+            result.rewardPenalty || 0,
+            result.qualityDeduction || 0,
+            ...subPools.map(pool => result.subPoolAllocations?.find(item => item.poolId === pool.id)?.amount ?? ''),
+            ...(hasDutyPool ? [result.dutyAllocation ?? ''] : []),
+            Math.round(result.finalAllocation || 0)
+        ]);
+        
+        const table = [headers, ...rows];
+        
+        // 附加专项奖金汇总
+        if (subPoolSummary && subPoolSummary.pools.length > 0) {
+            table.push(
+                [],
+                ['专项奖金', '计提方式', '设置值', '计提金额', '发放对象'],
+                ...subPoolSummary.pools.map(pool => [
+                    pool.name,
+                    PerformanceCalculator.SUB_POOL_MODES[pool.mode],
+                    pool.mode === 'percentage' ? `${pool.value}%` : pool.value,
+                    pool.amount.toFixed(2),
+                    pool.recipients.length > 0 ?
+                        pool.recipients.map(recipient => `${recipient.doctorName} ${recipient.amount.toFixed(2)}`).join('；') :
+                        '本月没有发放对象，未计提'
+                ])
+            );
+        }
+        
+        // 附加值班奖金汇总
+        if (dutyPool) {
+            table.push(
+                [],
+                ['值班奖金', '计提方式', '设置值', '全科值班分值', '计提金额'],
+                [
+                    dutyPool.name,
+                    PerformanceCalculator.DUTY_POOL_MODES[dutyPool.mode],
+                    dutyPool.mode === 'percentage' ? `${dutyPool.value}%` : dutyPool.value,
+                    Number(dutyPool.totalPoints.toFixed(2)),
+                    dutyPool.amount.toFixed(2)
+                ]
+            );
+        }
+        
+        // 附加治疗组汇总
+        if (hasGroups) {
+            table.push(
+                [],
+                ['治疗组', '人数', '全时人数', '人数占比', '产出占比', '分配比例', '治疗组奖金', '奖罚', '最终分配合计', '人均'],
+                ...groupResults.map(group => [
+                    group.groupName,
+                    group.doctorCount,
+                    group.fte.toFixed(2),
+                    (group.headcountShare * 100).toFixed(2) + '%',
+                    (group.outputShare * 100).toFixed(2) + '%',
+                    (group.share * 100).toFixed(2) + '%',
+                    Math.round(group.bonus),
+                    group.totalRewardPenalty,
+                    Math.round(group.totalPayout),
+                    Math.round(group.averageAllocation)
+                ])
+            );
+        }
+        
+        // 附加敏感性分析
+        const { sensitivity } = calculationResult;
+        if (sensitivity) {
+            table.push(
+                [],
+                ['边际分配金额（元）', ...sensitivity.metrics.map(metric => `${metric.label}${PerformanceCalculator.describeSensitivityUnit(metric)}`)],
+                ...sensitivity.doctors.map(doctor => [
+                    doctor.doctorName,
+                    ...sensitivity.metrics.map(metric => doctor.marginals[metric.id].toFixed(2))
+                ]),
+                [],
+                ['权重弹性', '当前权重(%)', '权重+1个百分点转移金额(元)', '平均弹性'],
+                ...sensitivity.weightElasticities.map(item => [
+                    item.label,
+                    item.weight,
+                    item.redistributed.toFixed(2),
+                    item.elasticity === null ? '' : item.elasticity.toFixed(3)
+                ])
+            );
+        }
+        
+        const csvContent = table
+            .map(row => row.map(cell => `"${cell}"`).join(','))
+            .join('\n');
         
         return csvContent;
     }
+
+    /**
+     * 导出年终结算单为CSV格式
+     * @param {Object} settlement - 年终结算单（见calculateAnnualSettlement）
+     * @returns {string} CSV格式字符串
+     */
+    exportSettlementToCSV(settlement) {
+        const { summary } = settlement;
+        const table = [
+            ['结算年度', settlement.year, '结算方式', PerformanceCalculator.SETTLEMENT_METHODS[settlement.method] || settlement.method, '年度奖金总额', Number(settlement.annualBonus).toFixed(2)],
+            ['缺少记录的月份', settlement.missingMonths.length > 0 ? settlement.missingMonths.map(month => `${month}月`).join('、') : '无'],
+            [],
+            ['姓名', '预发月数', '已预发金额', '已结清奖罚', '全年应得金额', '结算调整（正数补发，负数扣回）'],
+            ...settlement.lines.map(line => [
+                line.doctorName,
+                line.monthsPaid.length,
+                line.advance.toFixed(2),
+                line.rewardPenaltyPaid.toFixed(2),
+                line.entitlement.toFixed(2),
+                line.adjustment.toFixed(2)
+            ]),
+            ['合计', '', summary.totalAdvance.toFixed(2), summary.totalRewardPenalty.toFixed(2), summary.totalEntitlement.toFixed(2), summary.totalAdjustment.toFixed(2)],
+            [],
+            ['补发合计', summary.totalSupplement.toFixed(2), '扣回合计', summary.totalRecovery.toFixed(2)]
+        ];
+        
+        return table
+            .map(row => row.map(cell => `"${cell}"`).join(','))
+            .join('\n');
+    }
 }
 
+/**
+ * 支持的奖罚处理策略
+ */
+PerformanceCalculator.REWARD_PENALTY_POLICIES = ['additive', 'poolNeutral'];
+
+/**
+ * 未分组成员的治疗组ID和名称
+ */
+PerformanceCalculator.UNGROUPED_ID = '';
+PerformanceCalculator.UNGROUPED_NAME = '未分组';
+
+/**
+ * 质量系数的应用方式
+ */
+PerformanceCalculator.QUALITY_MODES = {
+    multiply: '乘入个人份额',
+    deduct: '从个人绩效金额中扣减'
+};
+
+/**
+ * 质量安全事件的扣减曲线
+ */
+PerformanceCalculator.QUALITY_CURVES = {
+    linear: '线性（每超出1次扣减一次）',
+    step: '阶梯（超出即扣减一次）',
+    progressive: '累进（按超出次数的平方扣减）'
+};
+
+/**
+ * 医疗收入的计分口径
+ */
+PerformanceCalculator.REVENUE_BASES = {
+    gross: '医疗收入总额',
+    net: '净收入',
+    service: '医疗服务收入'
+};
+
+/**
+ * 考核目标的收入占比（占医疗收入总额）
+ */
+PerformanceCalculator.REVENUE_RATIO_TYPES = {
+    drugs: '药占比',
+    consumables: '耗占比'
+};
+
+/**
+ * 多月平滑方式
+ */
+PerformanceCalculator.SMOOTHING_MODES = {
+    none: '不平滑',
+    rollingShare: '指标份额滚动平均',
+    blendPay: '与上月绩效混合'
+};
+
+/**
+ * 滚动平均的月份权重方式
+ */
+PerformanceCalculator.SMOOTHING_WEIGHTINGS = {
+    equal: '等权',
+    linear: '线性递减（越近权重越大）',
+    exponential: '指数衰减'
+};
+
+/**
+ * 年终结算的计算方式
+ */
+PerformanceCalculator.SETTLEMENT_METHODS = {
+    monthly: '逐月复算后汇总',
+    annual: '全年数据汇总计算'
+};
+
+/**
+ * 岗位系数组合方式
+ */
+PerformanceCalculator.ROLE_COMBINE_RULES = {
+    multiply: '连乘',
+    add: '累加（1 + Σ(系数 − 1)）',
+    max: '取最大值'
+};
+
+/**
+ * 自定义公式类型
+ */
+PerformanceCalculator.FORMULA_TYPES = {
+    coefficient: '自定义系数公式',
+    share: '自定义分配份额公式'
+};
+
+/**
+ * 专项奖金的计提方式
+ */
+PerformanceCalculator.SUB_POOL_MODES = {
+    fixed: '固定金额',
+    percentage: '奖金总额百分比'
+};
+
+/**
+ * 值班计入方式
+ */
+PerformanceCalculator.DUTY_MODES = {
+    none: '不计入',
+    pool: '单独计提值班奖金',
+    metric: '作为指标数值'
+};
+
+/**
+ * 值班奖金计提方式
+ */
+PerformanceCalculator.DUTY_POOL_MODES = {
+    perPoint: '按值班分值计价（元/分）',
+    fixed: '固定金额',
+    percentage: '奖金总额百分比'
+};
+
+/**
+ * 值班奖金在结果中使用的标识（专项奖金不得使用）
+ */
+PerformanceCalculator.DUTY_POOL_ID = 'duty';
+
+/**
+ * 审计轨迹格式版本
+ */
+PerformanceCalculator.TRACE_VERSION = 1;
+
+/**
+ * 审计轨迹中的公式标识及其含义
+ */
+PerformanceCalculator.TRACE_FORMULAS = {
+    'subPool.reserve': '专项奖金 = 固定金额 或 科室奖金总额 × 计提比例，在发放对象之间平均分配',
+    'duty.reserve': '值班奖金 = 全科值班分值 × 每分值金额、固定金额 或 科室奖金总额 × 计提比例，按值班分值分配',
+    'group.share': '治疗组奖金 = (科室奖金总额 − 专项奖金 − 值班奖金) × (人数权重 × 全时人数占比 + 产出权重 × 产出占比)',
+    'config.weights': '权重合计 = Σ 指标权重',
+    'proration.ratio': '在岗折算比例 = (在科天数 − 请假扣减天数) / 当月天数',
+    'metric.caseMix': '加权出院人数 = Σ DRG分组出院人数 × DRG权重 + 未分组出院人数，或 出院人数 × CMI',
+    'metric.revenue': '计分医疗收入 = (Σ 各项收入 × 计入比例 + 其他收入) × max(0, 1 − Σ 扣减比例 × 收入占比超出目标的百分点)',
+    'metric.duty': '值班分值 = Σ 各类型值班时长 × 每小时分值，作为计入指标的数值',
+    'metric.location': '指标地点系数 = Σ 各地点排班天数 × 地点的指标系数 / 排班天数，指标值 × 指标地点系数',
+    'metric.pool': '指标奖金池 = 奖金总额 × 指标权重',
+    'metric.share': '指标金额 = 指标份额 × 指标奖金池',
+    'metric.smoothedShare': '平滑份额 = (本月份额 × 本月权重 + Σ 历史月份份额 × 月份权重) / 有数据月份的权重之和，团队内归一化',
+    'allocation.preliminary': '初步分配 = Σ 指标金额',
+    'coefficient.title': '职称调整后金额 = 初步分配 × 职称系数',
+    'coefficient.newEmployee': '新入职调整后金额 = 职称调整后金额 × 新入职人员系数',
+    'coefficient.role': '岗位调整后金额 = 新入职调整后金额 × 岗位系数（各岗位系数连乘、累加超出1的部分或取最大值）',
+    'coefficient.location': '系数调整后金额 = 岗位调整后金额 × Σ 各地点排班天数 × 地点系数 / 排班天数',
+    'allocation.smoothing': '混合后金额 = 团队缩放前合计 × (本月份额 × (1 − 混合比例) + 上月份额 × 混合比例)',
+    'coefficient.quality': '质量系数 = max(系数下限, 1 − Σ 各项扣减量)；乘入模式下 质量调整后金额 = 系数调整后金额 × 质量系数',
+    'formula.coefficient': '系数调整后金额 = 初步分配 × max(0, 自定义系数公式)',
+    'formula.share': '缩放前金额 = 奖金总额 × max(0, 自定义分配份额公式) / 团队合计',
+    'pool.distributable': '可分配奖金 = 奖金总额 − 奖罚净额（池内平衡策略）',
+    'pool.rescale': '缩放比例 = 可分配奖金 / 团队系数调整后合计',
+    'allocation.rescale': '缩放后金额 = 系数调整后金额 × 缩放比例（受上下限约束时取限额）',
+    'allocation.rounding': '绩效分配金额 = 最大余数法取整（缩放后金额）',
+    'allocation.rewardPenalty': '最终分配金额 = 绩效分配金额 + 个人奖罚',
+    'allocation.qualityDeduction': '最终分配金额 = 绩效分配金额 + 个人奖罚 − 绩效分配金额 × (1 − 质量系数)（扣减模式）',
+    'allocation.total': '分配合计 = Σ 最终分配金额',
+    'allocation.subPool': '最终分配金额 = 绩效和奖罚金额 + Σ 个人专项奖金',
+    'allocation.duty': '最终分配金额 = 绩效、奖罚和专项奖金金额 + 值班奖金 × 个人值班分值 / 全科值班分值'
+};
+
+/**
+ * 团队系数调整后合计与可分配奖金的差额超过该值（元）时记录警告
+ */
+PerformanceCalculator.TRACE_DIFFERENCE_TOLERANCE = 10;
+
+/**
+ * 复算核对的结果字段、显示名称及容差
+ */
+PerformanceCalculator.VERIFIED_FIELDS = [
+    { field: 'finalAllocation', label: '最终分配金额', tolerance: 0.005 },
+    { field: 'performanceAllocation', label: '绩效分配金额', tolerance: 0.005 },
+    { field: 'rewardPenalty', label: '奖罚', tolerance: 0.005 },
+    { field: 'subPoolAllocation', label: '专项奖金', tolerance: 0.005 },
+    { field: 'dutyAllocation', label: '值班奖金', tolerance: 0.005, optional: true },
+    { field: 'titleCoefficient', label: '职称系数', tolerance: 1e-9 },
+    { field: 'newEmployeeCoefficient', label: '新入职系数', tolerance: 1e-9 },
+    { field: 'roleCoefficient', label: '岗位系数', tolerance: 1e-9, optional: true },
+    { field: 'locationCoefficient', label: '轮转地点系数', tolerance: 1e-9, optional: true },
+    { field: 'qualityCoefficient', label: '质量安全系数', tolerance: 1e-9 },
+    { field: 'qualityDeduction', label: '质量扣减金额', tolerance: 0.005 },
+    { field: 'finalScore', label: '最终得分', tolerance: 1e-6 }
+];
+
+/**
+ * 核对状态说明
+ */
+PerformanceCalculator.VERIFY_STATUSES = {
+    verified: '一致',
+    overridden: '含手工调整',
+    mismatch: '不一致',
+    unverifiable: '无法复算'
+};
+
+/**
+ * 权重弹性分析中权重的变动幅度（百分点）
+ */
+PerformanceCalculator.SENSITIVITY_WEIGHT_STEP = 1;
+
+/**
+ * 支持的金额取整单位（元）
+ */
+PerformanceCalculator.ROUNDING_UNITS = [1, 10, 100];
+
+/**
+ * 支持的个人分配上下限方式
+ */
+PerformanceCalculator.CONSTRAINT_MODES = ['none', 'absolute', 'averageMultiple'];
+
 // 创建全局计算器实例
 const performanceCalculator = new PerformanceCalculator();
 
@@ -0,0 +1,396 @@
+/**
+ * 科室绩效分配系统 - 公式表达式
+ * 管理员在设置中填写的计分、系数和分配份额公式由此解析和求值。
+ * 只支持数字、变量、四则运算、比较、逻辑运算、条件表达式和白名单中的函数，不使用eval，
+ * 变量只从调用方传入的取值表中读取，不能访问对象属性或全局对象
+ */
+
+/**
+ * 公式表达式类
+ */
+class Formula {
+    /**
+     * 构造函数（解析公式，语法错误时抛出异常）
+     * @param {string} source - 公式文本，如 "medicalRevenueShare * 0.5 + bedDaysShare * 0.25"
+     */
+    constructor(source) {
+        this.source = String(source ?? '').trim();
+        if (!this.source) {
+            throw new Error('公式不能为空');
+        }
+
+        this.tokens = Formula.tokenize(this.source);
+        this.position = 0;
+        this.ast = this.parseExpression();
+        if (this.position < this.tokens.length) {
+            throw this.syntaxError(this.tokens[this.position], `多余的"${this.tokens[this.position].text}"`);
+        }
+        delete this.tokens;
+        delete this.position;
+
+        this.variables = [...new Set(Formula.collectVariables(this.ast))];
+    }
+
+    /**
+     * 将公式文本切分为记号
+     * @param {string} source - 公式文本
+     * @returns {Array<Object>} 记号列表 [{ type: number|name|operator, text, value, index }]
+     */
+    static tokenize(source) {
+        const tokens = [];
+        const pattern = /\s*(?:(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|==|!=|&&|\|\||[-+*/%^()<>!?:,]))/y;
+        let index = 0;
+
+        while (index < source.length) {
+            if (/^\s*$/.test(source.slice(index))) break;
+            pattern.lastIndex = index;
+            const match = pattern.exec(source);
+            if (!match) {
+                const offset = index + (source.slice(index).length - source.slice(index).trimStart().length);
+                throw new Error(`第${offset + 1}个字符"${source[offset]}"无法识别`);
+            }
+
+            const start = match.index + match[0].length - (match[1] || match[2] || match[3]).length;
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'number', text: match[1], value: Number(match[1]), index: start });
+            } else if (match[2] !== undefined) {
+                tokens.push({ type: 'name', text: match[2], index: start });
+            } else {
+                tokens.push({ type: 'operator', text: match[3], index: start });
+            }
+            index = pattern.lastIndex;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * 生成带位置的语法错误
+     * @param {Object|undefined} token - 出错的记号，缺省为公式末尾
+     * @param {string} message - 错误说明
+     * @returns {Error} 错误对象
+     */
+    syntaxError(token, message) {
+        return new Error(token ? `第${token.index + 1}个字符处${message}` : `公式不完整，${message}`);
+    }
+
+    /**
+     * 查看当前记号是否为指定运算符，是则前进
+     * @param {...string} operators - 运算符
+     * @returns {string|null} 匹配到的运算符
+     */
+    accept(...operators) {
+        const token = this.tokens[this.position];
+        if (token && token.type === 'operator' && operators.includes(token.text)) {
+            this.position++;
+            return token.text;
+        }
+        return null;
+    }
+
+    /**
+     * 要求当前记号为指定运算符
+     * @param {string} operator - 运算符
+     */
+    expect(operator) {
+        if (!this.accept(operator)) {
+            throw this.syntaxError(this.tokens[this.position], `缺少"${operator}"`);
+        }
+    }
+
+    /**
+     * 条件表达式：or ? expression : expression
+     * @returns {Object} 语法树节点
+     */
+    parseExpression() {
+        const condition = this.parseBinary(0);
+        if (!this.accept('?')) return condition;
+
+        const whenTrue = this.parseExpression();
+        this.expect(':');
+        const whenFalse = this.parseExpression();
+        return { type: 'condition', condition, whenTrue, whenFalse };
+    }
+
+    /**
+     * 按优先级解析二元运算（优先级见Formula.BINARY_PRECEDENCE，从低到高）
+     * @param {number} level - 当前优先级层
+     * @returns {Object} 语法树节点
+     */
+    parseBinary(level) {
+        if (level >= Formula.BINARY_PRECEDENCE.length) {
+            return this.parseUnary();
+        }
+
+        const operators = Formula.BINARY_PRECEDENCE[level];
+        let left = this.parseBinary(level + 1);
+        let operator = this.accept(...operators);
+        while (operator) {
+            const right = this.parseBinary(level + 1);
+            left = { type: 'binary', operator, left, right };
+            // 比较运算不可连写（a < b < c）
+            operator = ['<', '<=', '>', '>=', '==', '!='].includes(operator) ? null : this.accept(...operators);
+        }
+        return left;
+    }
+
+    /**
+     * 一元运算：-x、+x、!x
+     * @returns {Object} 语法树节点
+     */
+    parseUnary() {
+        const operator = this.accept('-', '+', '!');
+        if (operator) {
+            return { type: 'unary', operator, operand: this.parseUnary() };
+        }
+        return this.parsePower();
+    }
+
+    /**
+     * 乘方（右结合）：x ^ y
+     * @returns {Object} 语法树节点
+     */
+    parsePower() {
+        const base = this.parsePrimary();
+        if (this.accept('^')) {
+            return { type: 'binary', operator: '^', left: base, right: this.parseUnary() };
+        }
+        return base;
+    }
+
+    /**
+     * 基本项：数字、变量、函数调用、括号
+     * @returns {Object} 语法树节点
+     */
+    parsePrimary() {
+        const token = this.tokens[this.position];
+        if (!token) {
+            throw this.syntaxError(null, '缺少数值或变量');
+        }
+
+        if (token.type === 'number') {
+            this.position++;
+            return { type: 'number', value: token.value };
+        }
+
+        if (token.type === 'name') {
+            this.position++;
+            if (!this.accept('(')) {
+                return { type: 'variable', name: token.text };
+            }
+
+            const definition = Object.prototype.hasOwnProperty.call(Formula.FUNCTIONS, token.text) ? Formula.FUNCTIONS[token.text] : null;
+            if (!definition) {
+                throw this.syntaxError(token, `不支持函数"${token.text}"`);
+            }
+            const args = [];
+            if (!this.accept(')')) {
+                do {
+                    args.push(this.parseExpression());
+                } while (this.accept(','));
+                this.expect(')');
+            }
+            if (args.length < definition.minArgs || args.length > definition.maxArgs) {
+                const expected = definition.minArgs === definition.maxArgs ? `${definition.minArgs}个` :
+                    definition.maxArgs === Infinity ? `至少${definition.minArgs}个` : `${definition.minArgs}-${definition.maxArgs}个`;
+                throw this.syntaxError(token, `函数"${token.text}"需要${expected}参数`);
+            }
+            return { type: 'call', name: token.text, args };
+        }
+
+        if (this.accept('(')) {
+            const expression = this.parseExpression();
+            this.expect(')');
+            return expression;
+        }
+
+        throw this.syntaxError(token, `不应出现"${token.text}"`);
+    }
+
+    /**
+     * 收集语法树中引用的变量名
+     * @param {Object} node - 语法树节点
+     * @returns {Array<string>} 变量名（可能重复）
+     */
+    static collectVariables(node) {
+        switch (node.type) {
+            case 'variable':
+                return [node.name];
+            case 'unary':
+                return Formula.collectVariables(node.operand);
+            case 'binary':
+                return [...Formula.collectVariables(node.left), ...Formula.collectVariables(node.right)];
+            case 'condition':
+                return [node.condition, node.whenTrue, node.whenFalse].flatMap(child => Formula.collectVariables(child));
+            case 'call':
+                return node.args.flatMap(arg => Formula.collectVariables(arg));
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * 求值
+     * 比较和逻辑运算的结果为1或0；除数为0时结果为0（与团队汇总为0时份额为0的处理一致）
+     * @param {Object} variables - 变量取值表（变量名到数值的映射）
+     * @returns {number} 计算结果
+     */
+    evaluate(variables = {}) {
+        const result = Formula.evaluateNode(this.ast, variables);
+        if (!Number.isFinite(result)) {
+            throw new Error(`公式"${this.source}"的计算结果不是有限数值`);
+        }
+        return result;
+    }
+
+    /**
+     * 对语法树节点求值
+     * @param {Object} node - 语法树节点
+     * @param {Object} variables - 变量取值表
+     * @returns {number} 计算结果
+     */
+    static evaluateNode(node, variables) {
+        switch (node.type) {
+            case 'number':
+                return node.value;
+            case 'variable': {
+                if (!Object.prototype.hasOwnProperty.call(variables, node.name)) {
+                    throw new Error(`未定义的变量"${node.name}"`);
+                }
+                const value = Number(variables[node.name]);
+                return isNaN(value) ? 0 : value;
+            }
+            case 'unary': {
+                const operand = Formula.evaluateNode(node.operand, variables);
+                if (node.operator === '-') return -operand;
+                if (node.operator === '!') return operand ? 0 : 1;
+                return operand;
+            }
+            case 'binary': {
+                // 逻辑运算短路求值
+                if (node.operator === '&&') {
+                    return Formula.evaluateNode(node.left, variables) && Formula.evaluateNode(node.right, variables) ? 1 : 0;
+                }
+                if (node.operator === '||') {
+                    return Formula.evaluateNode(node.left, variables) || Formula.evaluateNode(node.right, variables) ? 1 : 0;
+                }
+                const left = Formula.evaluateNode(node.left, variables);
+                const right = Formula.evaluateNode(node.right, variables);
+                switch (node.operator) {
+                    case '+': return left + right;
+                    case '-': return left - right;
+                    case '*': return left * right;
+                    case '/': return right === 0 ? 0 : left / right;
+                    case '%': return right === 0 ? 0 : left % right;
+                    case '^': return Math.pow(left, right);
+                    case '<': return left < right ? 1 : 0;
+                    case '<=': return left <= right ? 1 : 0;
+                    case '>': return left > right ? 1 : 0;
+                    case '>=': return left >= right ? 1 : 0;
+                    case '==': return Math.abs(left - right) < 1e-9 ? 1 : 0;
+                    case '!=': return Math.abs(left - right) < 1e-9 ? 0 : 1;
+                    default: throw new Error(`不支持运算符"${node.operator}"`);
+                }
+            }
+            case 'condition':
+                return Formula.evaluateNode(node.condition, variables) ?
+                    Formula.evaluateNode(node.whenTrue, variables) :
+                    Formula.evaluateNode(node.whenFalse, variables);
+            case 'call': {
+                const definition = Formula.FUNCTIONS[node.name];
+                if (definition.lazy) {
+                    return definition.fn(...node.args.map(arg => () => Formula.evaluateNode(arg, variables)));
+                }
+                return definition.fn(...node.args.map(arg => Formula.evaluateNode(arg, variables)));
+            }
+            default:
+                throw new Error(`无法识别的公式节点：${node.type}`);
+        }
+    }
+
+    /**
+     * 校验公式
+     * @param {string} source - 公式文本
+     * @param {Array<string>|Object} allowedVariables - 允许使用的变量名（数组或以变量名为键的对象）
+     * @returns {Object} 校验结果 { isValid, errors, variables }
+     */
+    static validate(source, allowedVariables = []) {
+        const allowed = Array.isArray(allowedVariables) ? allowedVariables : Object.keys(allowedVariables || {});
+        let formula;
+        try {
+            formula = new Formula(source);
+        } catch (error) {
+            return { isValid: false, errors: [error.message], variables: [] };
+        }
+
+        const errors = formula.variables
+            .filter(name => !allowed.includes(name))
+            .map(name => `未定义的变量"${name}"`);
+        return { isValid: errors.length === 0, errors, variables: formula.variables };
+    }
+
+    /**
+     * 解析并缓存公式（同一公式文本只解析一次）
+     * @param {string} source - 公式文本
+     * @returns {Formula} 公式实例
+     */
+    static compile(source) {
+        const key = String(source ?? '').trim();
+        if (!Formula.cache.has(key)) {
+            Formula.cache.set(key, new Formula(key));
+        }
+        return Formula.cache.get(key);
+    }
+}
+
+/**
+ * 二元运算符优先级（从低到高）
+ */
+Formula.BINARY_PRECEDENCE = [
+    ['||'],
+    ['&&'],
+    ['==', '!='],
+    ['<', '<=', '>', '>='],
+    ['+', '-'],
+    ['*', '/', '%']
+];
+
+/**
+ * 白名单函数：{ label, minArgs, maxArgs, fn, lazy }，lazy为true时参数按需求值
+ */
+Formula.FUNCTIONS = {
+    min: { label: 'min(a, b, ...) 最小值', minArgs: 1, maxArgs: Infinity, fn: (...args) => Math.min(...args) },
+    max: { label: 'max(a, b, ...) 最大值', minArgs: 1, maxArgs: Infinity, fn: (...args) => Math.max(...args) },
+    abs: { label: 'abs(x) 绝对值', minArgs: 1, maxArgs: 1, fn: x => Math.abs(x) },
+    round: {
+        label: 'round(x, 小数位数) 四舍五入',
+        minArgs: 1,
+        maxArgs: 2,
+        fn: (x, digits = 0) => {
+            const factor = Math.pow(10, Math.round(digits));
+            return Math.round(x * factor) / factor;
+        }
+    },
+    floor: { label: 'floor(x) 向下取整', minArgs: 1, maxArgs: 1, fn: x => Math.floor(x) },
+    ceil: { label: 'ceil(x) 向上取整', minArgs: 1, maxArgs: 1, fn: x => Math.ceil(x) },
+    sqrt: { label: 'sqrt(x) 平方根（负数按0计）', minArgs: 1, maxArgs: 1, fn: x => Math.sqrt(Math.max(0, x)) },
+    pow: { label: 'pow(x, y) 乘方', minArgs: 2, maxArgs: 2, fn: (x, y) => Math.pow(x, y) },
+    clamp: { label: 'clamp(x, 下限, 上限) 限制在区间内', minArgs: 3, maxArgs: 3, fn: (x, low, high) => Math.min(Math.max(x, low), high) },
+    if: { label: 'if(条件, 成立时, 不成立时) 条件取值', minArgs: 3, maxArgs: 3, lazy: true, fn: (condition, whenTrue, whenFalse) => (condition() ? whenTrue() : whenFalse()) }
+};
+
+/**
+ * 已解析公式的缓存
+ */
+Formula.cache = new Map();
+
+// 导出公式表达式
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js环境
+    module.exports = {
+        Formula
+    };
+} else {
+    // 浏览器环境
+    window.Formula = Formula;
+}
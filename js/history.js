@@ -6,9 +6,14 @@
 class HistoryPageController {
     constructor() {
         this.storageManager = new StorageManager();
+        this.calculator = new PerformanceCalculator();
         this.allRecords = [];
         this.filteredRecords = [];
         this.trendChart = null;
+        this.fairnessChart = null;
+        this.settlements = [];
+        this.currentSettlement = null;
+        this.currentSettlementConfig = null;
         
         this.init();
     }
@@ -16,20 +21,22 @@ class HistoryPageController {
     /**
      * 初始化页面
      */
-    init() {
-        this.loadHistoryRecords();
+    async init() {
+        await this.loadHistoryRecords();
+        await this.initSettlement();
         this.setupEventListeners();
         this.initializeFilters();
         this.renderHistoryList();
         this.renderTrendChart();
+        this.renderFairnessChart();
         this.renderStatistics();
     }
 
     /**
      * 加载历史记录
      */
-    loadHistoryRecords() {
-        this.allRecords = this.storageManager.getAllPerformanceRecords();
+    async loadHistoryRecords() {
+        this.allRecords = await this.storageManager.getAllPerformanceRecords();
         this.filteredRecords = [...this.allRecords];
     }
 
@@ -53,6 +60,9 @@ class HistoryPageController {
             } else if (e.target.classList.contains('compare-btn')) {
                 const recordId = e.target.dataset.recordId;
                 this.addToComparison(recordId);
+            } else if (e.target.classList.contains('verify-btn')) {
+                const recordId = e.target.dataset.recordId;
+                this.verifyRecord(recordId);
             }
         });
         
@@ -113,6 +123,7 @@ class HistoryPageController {
         
         this.renderHistoryList();
         this.renderTrendChart();
+        this.renderFairnessChart();
         this.renderStatistics();
     }
 
@@ -127,6 +138,7 @@ class HistoryPageController {
         this.filteredRecords = [...this.allRecords];
         this.renderHistoryList();
         this.renderTrendChart();
+        this.renderFairnessChart();
         this.renderStatistics();
     }
 
@@ -158,11 +170,17 @@ class HistoryPageController {
             card.className = 'col-md-6 col-lg-4 mb-3';
             
             const stats = record.getStatistics();
+            const fairness = this.getRecordFairness(record);
+            const duty = record.getDutySummary();
             
             card.innerHTML = `
                 <div class="card h-100">
                     <div class="card-header d-flex justify-content-between align-items-center">
-                        <h6 class="mb-0">${record.year}年${record.month}月</h6>
+                        <h6 class="mb-0">
+                            ${record.year}年${record.month}月
+                            ${fairness && fairness.flags.length > 0 ? `<span class="badge bg-warning text-dark ms-1" title="${fairness.flags.map(flag => flag.message).join('；')}">公平性预警</span>` : ''}
+                            ${record.ruleVersion ? `<span class="badge bg-light text-dark ms-1" title="${record.ruleVersion.effectiveFrom}起生效">${record.ruleVersion.name}</span>` : ''}
+                        </h6>
                         <small class="text-muted">${new Date(record.timestamp).toLocaleDateString()}</small>
                     </div>
                     <div class="card-body">
@@ -187,6 +205,11 @@ class HistoryPageController {
                                 <small class="text-muted">最低: ${stats.minScore.toFixed(1)}</small>
                             </div>
                         </div>
+                        ${duty.count > 0 ? `
+                            <div class="text-center mt-2">
+                                <small class="text-muted">值班${duty.count}次（${Object.entries(duty.byType).map(([type, entry]) => `${MonthlyWorkData.DUTY_TYPES[type] || type}${entry.count}次`).join('，')}），共${duty.hours}小时</small>
+                            </div>
+                        ` : ''}
                     </div>
                     <div class="card-footer">
                         <div class="btn-group w-100" role="group">
@@ -196,6 +219,9 @@ class HistoryPageController {
                             <button class="btn btn-outline-secondary btn-sm compare-btn" data-record-id="${record.id}">
                                 <i class="fas fa-balance-scale"></i> 对比
                             </button>
+                            <button class="btn btn-outline-success btn-sm verify-btn" data-record-id="${record.id}">
+                                <i class="fas fa-check-double"></i> 复核
+                            </button>
                         </div>
                     </div>
                 </div>
@@ -370,6 +396,121 @@ class HistoryPageController {
         `;
     }
 
+    /**
+     * 计算记录的分配公平性指标，按记录保存的预警阈值判断
+     * @param {Object} record - 绩效记录
+     * @returns {Object|null} 公平性指标，旧版记录没有分配金额时为null
+     */
+    getRecordFairness(record) {
+        const results = record.results || [];
+        if (results.length === 0 || !results.some(result => result.finalAllocation !== undefined)) {
+            return null;
+        }
+        
+        return this.calculator.calculateFairnessMetrics(results, record.config?.fairnessConfig);
+    }
+
+    /**
+     * 渲染分配公平性趋势图表
+     */
+    renderFairnessChart() {
+        const ctx = document.getElementById('fairnessChart').getContext('2d');
+        
+        if (this.fairnessChart) {
+            this.fairnessChart.destroy();
+        }
+        
+        const sortedRecords = [...this.filteredRecords].sort((a, b) => {
+            if (a.year !== b.year) return a.year - b.year;
+            return a.month - b.month;
+        });
+        const fairnessList = sortedRecords.map(record => this.getRecordFairness(record));
+        if (!fairnessList.some(fairness => fairness !== null)) {
+            return;
+        }
+        
+        const series = (key, transform = value => value) => fairnessList.map(fairness => (
+            fairness && fairness[key] !== null ? transform(fairness[key]) : null
+        ));
+        
+        this.fairnessChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: sortedRecords.map(r => `${r.year}年${r.month}月`),
+                datasets: [
+                    {
+                        label: '基尼系数',
+                        data: series('gini'),
+                        borderColor: 'rgba(255, 99, 132, 1)',
+                        tension: 0.3,
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: '前20%人员份额',
+                        data: series('top20Share'),
+                        borderColor: 'rgba(54, 162, 235, 1)',
+                        tension: 0.3,
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: '同职称内变异系数',
+                        data: series('withinBandCv'),
+                        borderColor: 'rgba(75, 192, 192, 1)',
+                        tension: 0.3,
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: 'P90/P10',
+                        data: series('p90p10Ratio'),
+                        borderColor: 'rgba(255, 159, 64, 1)',
+                        borderDash: [5, 5],
+                        tension: 0.3,
+                        yAxisID: 'y1'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                plugins: {
+                    legend: {
+                        position: 'top'
+                    },
+                    tooltip: {
+                        callbacks: {
+                            afterBody: (items) => {
+                                const fairness = fairnessList[items[0].dataIndex];
+                                return fairness ? fairness.flags.map(flag => flag.message) : [];
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        type: 'linear',
+                        position: 'left',
+                        min: 0,
+                        title: {
+                            display: true,
+                            text: '系数 / 份额'
+                        }
+                    },
+                    y1: {
+                        type: 'linear',
+                        position: 'right',
+                        min: 0,
+                        title: {
+                            display: true,
+                            text: 'P90/P10'
+                        },
+                        grid: {
+                            drawOnChartArea: false
+                        }
+                    }
+                }
+            }
+        });
+    }
+
     /**
      * 显示记录详情
      */
@@ -399,6 +540,233 @@ class HistoryPageController {
         new bootstrap.Modal(document.getElementById('detailModal')).show();
     }
 
+    /**
+     * 复算核对记录，列出与保存结果不一致的人员和字段
+     * @param {string} recordId - 记录ID
+     */
+    verifyRecord(recordId) {
+        const record = this.allRecords.find(r => r.id === recordId);
+        if (!record) return;
+        
+        const report = this.calculator.verifyRecord(record);
+        const statusClass = {
+            verified: 'success',
+            overridden: 'info',
+            mismatch: 'danger',
+            unverifiable: 'warning'
+        }[report.status];
+        const fieldLabels = Object.fromEntries(PerformanceCalculator.VERIFIED_FIELDS.map(({ field, label }) => [field, label]));
+        const renderRows = (items, label) => items.map(item => `
+            <tr>
+                <td>${item.doctorName}</td>
+                <td>${fieldLabels[item.field] || item.field}</td>
+                <td class="text-end">${item.stored.toFixed(2)}</td>
+                <td class="text-end">${item.recalculated.toFixed(2)}</td>
+                <td class="text-end">${item.difference.toFixed(2)}</td>
+                <td>${label}</td>
+            </tr>
+        `).join('');
+        
+        const rows = renderRows(report.discrepancies, '<span class="badge bg-danger">不一致</span>') +
+            renderRows(report.overrides, '<span class="badge bg-info">手工调整</span>');
+        const missing = [
+            ...report.missingDoctors.map(item => `${item.doctorName}：复算结果中有，记录中缺失`),
+            ...report.extraDoctors.map(item => `${item.doctorName}：记录中有，复算结果中没有`)
+        ];
+        
+        document.getElementById('verifyTitle').textContent = `${record.year}年${record.month}月记录复核`;
+        document.getElementById('verifyContent').innerHTML = `
+            <div class="alert alert-${statusClass}">
+                复核结果：${PerformanceCalculator.VERIFY_STATUSES[report.status]}${report.reason ? `（${report.reason}）` : ''}
+            </div>
+            ${missing.length > 0 ? `<ul>${missing.map(text => `<li>${text}</li>`).join('')}</ul>` : ''}
+            ${rows ? `
+                <table class="table table-sm table-bordered">
+                    <thead class="table-light">
+                        <tr><th>姓名</th><th>字段</th><th class="text-end">记录值</th><th class="text-end">复算值</th><th class="text-end">差额</th><th>类型</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            ` : ''}
+        `;
+        
+        new bootstrap.Modal(document.getElementById('verifyModal')).show();
+    }
+
+    /**
+     * 初始化年终结算：年度和结算方式选项、已保存的结算单
+     */
+    async initSettlement() {
+        const years = [...new Set(this.allRecords.map(r => String(r.year)))].sort((a, b) => b.localeCompare(a));
+        document.getElementById('settlementYear').innerHTML = years
+            .map(year => `<option value="${year}">${year}年</option>`)
+            .join('');
+        document.getElementById('settlementMethod').innerHTML = Object.entries(PerformanceCalculator.SETTLEMENT_METHODS)
+            .map(([method, label]) => `<option value="${method}">${label}</option>`)
+            .join('');
+        
+        document.getElementById('runSettlementBtn').addEventListener('click', () => this.runSettlement());
+        document.getElementById('saveSettlementBtn').addEventListener('click', () => this.saveSettlement());
+        document.getElementById('exportSettlementBtn').addEventListener('click', () => this.exportSettlement(this.currentSettlement));
+        document.getElementById('savedSettlementsBody').addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            const settlement = this.settlements.find(s => s.id === button.dataset.settlementId);
+            if (!settlement) return;
+            
+            if (button.classList.contains('view-settlement-btn')) {
+                this.currentSettlement = settlement.toJSON();
+                this.renderSettlement(this.currentSettlement, true);
+            } else if (button.classList.contains('export-settlement-btn')) {
+                this.exportSettlement(settlement.toJSON());
+            } else if (button.classList.contains('delete-settlement-btn')) {
+                this.deleteSettlement(settlement);
+            }
+        });
+        
+        await this.loadSettlements();
+    }
+
+    /**
+     * 加载并渲染已保存的年终结算单
+     */
+    async loadSettlements() {
+        this.settlements = await this.storageManager.getSettlements();
+        
+        const tbody = document.getElementById('savedSettlementsBody');
+        document.getElementById('noSettlementsMessage').style.display = this.settlements.length === 0 ? 'block' : 'none';
+        tbody.innerHTML = this.settlements.map(settlement => `
+            <tr>
+                <td>${settlement.year}年</td>
+                <td>${PerformanceCalculator.SETTLEMENT_METHODS[settlement.method] || settlement.method}</td>
+                <td class="text-end">${Number(settlement.annualBonus).toFixed(2)}</td>
+                <td class="text-end text-success">${Number(settlement.summary.totalSupplement || 0).toFixed(2)}</td>
+                <td class="text-end text-danger">${Number(settlement.summary.totalRecovery || 0).toFixed(2)}</td>
+                <td>${new Date(settlement.updatedAt).toLocaleString()}</td>
+                <td>
+                    <button class="btn btn-outline-primary btn-sm view-settlement-btn" data-settlement-id="${settlement.id}">查看</button>
+                    <button class="btn btn-outline-success btn-sm export-settlement-btn" data-settlement-id="${settlement.id}">导出</button>
+                    <button class="btn btn-outline-danger btn-sm delete-settlement-btn" data-settlement-id="${settlement.id}">删除</button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * 按当前系统设置生成年终结算单
+     */
+    async runSettlement() {
+        const year = document.getElementById('settlementYear').value;
+        const method = document.getElementById('settlementMethod').value;
+        const bonusInput = document.getElementById('settlementBonus').value.trim();
+        
+        try {
+            const systemConfig = await this.storageManager.getSystemConfig();
+            this.currentSettlement = this.calculator.calculateAnnualSettlement(
+                this.allRecords,
+                bonusInput === '' ? null : Number(bonusInput),
+                systemConfig,
+                { year: Number(year), method: method }
+            );
+            this.currentSettlementConfig = systemConfig.toJSON();
+            this.renderSettlement(this.currentSettlement, false);
+        } catch (error) {
+            this.showMessage('生成结算单失败：' + error.message, 'danger');
+        }
+    }
+
+    /**
+     * 渲染年终结算单
+     * @param {Object} settlement - 年终结算单
+     * @param {boolean} saved - 是否为已保存的结算单（已保存的不再显示保存按钮）
+     */
+    renderSettlement(settlement, saved) {
+        const { summary } = settlement;
+        const money = value => Number(value).toFixed(2);
+        
+        document.getElementById('settlementSummary').innerHTML = `
+            <div class="alert alert-${settlement.missingMonths.length > 0 ? 'warning' : 'info'} mb-0">
+                ${settlement.year}年（${PerformanceCalculator.SETTLEMENT_METHODS[settlement.method] || settlement.method}）：
+                年度奖金总额 ${money(settlement.annualBonus)} 元，已预发 ${money(summary.totalAdvance)} 元，
+                补发合计 ${money(summary.totalSupplement)} 元，扣回合计 ${money(summary.totalRecovery)} 元
+                ${settlement.missingMonths.length > 0 ? `<br>缺少 ${settlement.missingMonths.map(month => `${month}月`).join('、')} 的绩效记录` : ''}
+            </div>
+        `;
+        document.getElementById('settlementTableBody').innerHTML = settlement.lines.map(line => `
+            <tr>
+                <td>${line.doctorName}</td>
+                <td class="text-end">${line.monthsPaid.length}</td>
+                <td class="text-end">${money(line.advance)}</td>
+                <td class="text-end">${money(line.rewardPenaltyPaid)}</td>
+                <td class="text-end">${money(line.entitlement)}</td>
+                <td class="text-end ${line.adjustment > 0 ? 'text-success' : line.adjustment < 0 ? 'text-danger' : ''}">${line.adjustment > 0 ? '+' : ''}${money(line.adjustment)}</td>
+            </tr>
+        `).join('');
+        
+        document.getElementById('saveSettlementBtn').style.display = saved ? 'none' : '';
+        document.getElementById('settlementPreview').style.display = 'block';
+    }
+
+    /**
+     * 保存当前结算单（同一年度已有结算单时替换）
+     */
+    async saveSettlement() {
+        if (!this.currentSettlement) return;
+        
+        const existing = this.settlements.find(s => s.year === String(this.currentSettlement.year));
+        if (existing && !confirm(`${existing.year}年已有结算单，确定要替换吗？`)) {
+            return;
+        }
+        
+        try {
+            await this.storageManager.addSettlement(SettlementRecord.fromSettlement(this.currentSettlement, this.currentSettlementConfig));
+            await this.loadSettlements();
+            document.getElementById('saveSettlementBtn').style.display = 'none';
+            this.showMessage('结算单已保存', 'success');
+        } catch (error) {
+            this.showMessage('保存结算单失败：' + error.message, 'danger');
+        }
+    }
+
+    /**
+     * 导出年终结算单为CSV
+     * @param {Object} settlement - 年终结算单
+     */
+    exportSettlement(settlement) {
+        if (!settlement) return;
+        
+        const csvContent = this.calculator.exportSettlementToCSV(settlement);
+        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        
+        link.setAttribute('href', url);
+        link.setAttribute('download', `年终结算_${settlement.year}年.csv`);
+        link.style.visibility = 'hidden';
+        
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
+    /**
+     * 删除已保存的结算单
+     * @param {SettlementRecord} settlement - 年终结算记录
+     */
+    async deleteSettlement(settlement) {
+        if (!confirm(`确定要删除${settlement.year}年的结算单吗？`)) {
+            return;
+        }
+        
+        try {
+            await this.storageManager.deleteSettlement(settlement.id);
+            await this.loadSettlements();
+            this.showMessage('结算单已删除', 'success');
+        } catch (error) {
+            this.showMessage('删除结算单失败：' + error.message, 'danger');
+        }
+    }
+
     /**
      * 添加到对比列表
      */
@@ -520,6 +888,18 @@ class HistoryPageController {
             </tr>
         `;
         
+        // 值班对比
+        tableHTML += `
+            <tr>
+                <td>值班次数</td>
+                ${records.map(r => `<td>${r.getDutySummary().count}</td>`).join('')}
+            </tr>
+            <tr>
+                <td>值班时长（小时）</td>
+                ${records.map(r => `<td>${r.getDutySummary().hours}</td>`).join('')}
+            </tr>
+        `;
+        
         tableHTML += '</tbody></table>';
         
         // 清空对比列表按钮
@@ -555,7 +935,7 @@ class HistoryPageController {
             <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
         `;
         
-        const container = document.getElementById('messageContainer');
+        const container = document.getElementById('messageContainer') || document.getElementById('messageArea');
         container.appendChild(alertDiv);
         
         // 自动移除消息
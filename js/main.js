@@ -38,6 +38,11 @@ class MainPageController {
         this.calculator = new PerformanceCalculator();
         this.doctors = [];
         this.workData = {};
+        this.metricRegistry = new MetricRegistry();
+        this.locations = MonthlyWorkData.DEFAULT_LOCATIONS;
+        this.rosterDraft = {};
+        this.rosterBrush = '';
+        this.rosterPainting = false;
         this.currentMonth = null;
         this.totalBonus = 0;
         
@@ -58,6 +63,7 @@ class MainPageController {
         
         // 恢复月份和总奖金设置
         this.restoreSettings();
+        await this.loadMetricRegistry();
         
         this.renderCombinedTable();
         this.updateDataSummary();
@@ -116,6 +122,17 @@ class MainPageController {
         }
     }
 
+    /**
+     * 加载指标注册表和轮转地点（数据录入表格的指标列和排班地点由其决定，与当前月份生效的规则版本一致）
+     */
+    async loadMetricRegistry() {
+        const systemConfig = await this.storageManager.getSystemConfig();
+        const [year, month] = (this.currentMonth || '').split('-').map(Number);
+        const config = year && month ? systemConfig.resolveForPeriod(year, month).config : systemConfig;
+        this.metricRegistry = MetricRegistry.fromConfig(config);
+        this.locations = config.locationConfig?.locations || MonthlyWorkData.DEFAULT_LOCATIONS;
+    }
+
     /**
      * 初始化默认医生数据
      */
@@ -193,6 +210,68 @@ class MainPageController {
             await this.saveDoctor();
         });
 
+        // 保存病例组合按钮
+        document.getElementById('saveCaseMixBtn').addEventListener('click', async () => {
+            await this.saveCaseMix();
+        });
+
+        // 保存收入构成按钮
+        document.getElementById('saveRevenueBtn').addEventListener('click', async () => {
+            await this.saveRevenueComponents();
+        });
+
+        // 值班记录
+        document.getElementById('addDutyRecordBtn').addEventListener('click', () => {
+            this.addDutyRecord();
+        });
+        document.getElementById('dutyRecordsBody').addEventListener('click', (e) => {
+            const button = e.target.closest('.duty-delete-btn');
+            if (button) {
+                button.closest('tr').remove();
+            }
+        });
+        document.getElementById('saveDutyBtn').addEventListener('click', async () => {
+            await this.saveDutyRecords();
+        });
+
+        // 排班：选择地点后点击或拖动日期格子
+        document.getElementById('rosterBtn').addEventListener('click', () => {
+            this.showRosterModal();
+        });
+        document.getElementById('saveRosterBtn').addEventListener('click', async () => {
+            await this.saveRoster();
+        });
+        document.getElementById('rosterLocations').addEventListener('click', (e) => {
+            const button = e.target.closest('.roster-brush-btn');
+            if (button) {
+                this.rosterBrush = button.dataset.locationId;
+                this.renderRosterLocations();
+            }
+        });
+        const rosterTableBody = document.getElementById('rosterTableBody');
+        rosterTableBody.addEventListener('mousedown', (e) => {
+            const fillButton = e.target.closest('.roster-fill-btn');
+            if (fillButton) {
+                this.fillRosterRow(fillButton.dataset.doctorId);
+                return;
+            }
+            const cell = e.target.closest('.roster-day');
+            if (cell) {
+                e.preventDefault();
+                this.rosterPainting = true;
+                this.paintRosterCell(cell.dataset.doctorId, cell.dataset.day);
+            }
+        });
+        rosterTableBody.addEventListener('mouseover', (e) => {
+            const cell = e.target.closest('.roster-day');
+            if (cell && this.rosterPainting) {
+                this.paintRosterCell(cell.dataset.doctorId, cell.dataset.day);
+            }
+        });
+        document.addEventListener('mouseup', () => {
+            this.rosterPainting = false;
+        });
+
         // 月份设置按钮
         document.getElementById('setMonthBtn').addEventListener('click', () => {
             this.setCurrentMonth();
@@ -244,10 +323,22 @@ class MainPageController {
         this.showDoctorModal();
     }
 
+    /**
+     * 填充治疗组下拉选项
+     */
+    async populateGroupOptions() {
+        const systemConfig = await this.storageManager.getSystemConfig();
+        const groups = systemConfig.groupConfig?.groups || [];
+        document.getElementById('doctorGroup').innerHTML = [
+            `<option value="">${PerformanceCalculator.UNGROUPED_NAME}</option>`,
+            ...groups.map(group => `<option value="${group.id}">${group.name}</option>`)
+        ].join('');
+    }
+
     /**
      * 显示医生添加/编辑模态框
      */
-    showDoctorModal(doctorId = null) {
+    async showDoctorModal(doctorId = null) {
         const modal = new bootstrap.Modal(document.getElementById('doctorModal'));
         const form = document.getElementById('doctorForm');
         const title = document.getElementById('doctorModalTitle');
@@ -255,6 +346,7 @@ class MainPageController {
         
         // 重置表单
         form.reset();
+        await this.populateGroupOptions();
         
         if (doctorId) {
             // 编辑模式
@@ -265,6 +357,26 @@ class MainPageController {
                 document.getElementById('doctorName').value = doctor.name;
                 document.getElementById('doctorTitle').value = doctor.title;
                 document.getElementById('titleCoefficient').value = doctor.titleCoefficient;
+                document.getElementById('doctorHireDate').value = doctor.hireDate || '';
+                document.getElementById('doctorCertificationDate').value = doctor.certificationDate || '';
+                document.getElementById('doctorStartDate').value = doctor.startDate || '';
+                document.getElementById('doctorEndDate').value = doctor.endDate || '';
+                document.getElementById('doctorProrationMode').value = doctor.prorationMode || 'auto';
+                document.getElementById('doctorGroup').value = doctor.groupId || '';
+                document.getElementById('doctorRoles').value = (doctor.roles || []).join('、');
+                document.getElementById('doctorMonthRoles').value = (this.workData[doctorId]?.roles || []).join('、');
+                
+                // 本月请假天数
+                const leaveDays = this.workData[doctorId]?.leaveDays || {};
+                Object.keys(MonthlyWorkData.LEAVE_TYPES).forEach(type => {
+                    document.getElementById(`leaveDays_${type}`).value = leaveDays[type] || '';
+                });
+                
+                // 本月质量安全事件
+                const qualityEvents = this.workData[doctorId]?.qualityEvents || {};
+                Object.keys(MonthlyWorkData.QUALITY_INDICATORS).forEach(type => {
+                    document.getElementById(`qualityEvents_${type}`).value = qualityEvents[type] || '';
+                });
                 
                 // 显示删除按钮
                 deleteBtn.style.display = 'inline-block';
@@ -297,6 +409,33 @@ class MainPageController {
         const name = document.getElementById('doctorName').value.trim();
         const title = document.getElementById('doctorTitle').value;
         const titleCoefficient = parseFloat(document.getElementById('titleCoefficient').value);
+        const hireDate = document.getElementById('doctorHireDate').value || null;
+        const certificationDate = document.getElementById('doctorCertificationDate').value || null;
+        const startDate = document.getElementById('doctorStartDate').value || null;
+        const endDate = document.getElementById('doctorEndDate').value || null;
+        const prorationMode = document.getElementById('doctorProrationMode').value;
+        const groupId = document.getElementById('doctorGroup').value;
+        const roles = Doctor.parseRoles(document.getElementById('doctorRoles').value);
+        const monthRoles = Doctor.parseRoles(document.getElementById('doctorMonthRoles').value);
+        const leaveDays = {};
+        Object.keys(MonthlyWorkData.LEAVE_TYPES).forEach(type => {
+            const days = parseFloat(document.getElementById(`leaveDays_${type}`).value) || 0;
+            if (days > 0) {
+                leaveDays[type] = days;
+            }
+        });
+        const qualityEvents = {};
+        Object.keys(MonthlyWorkData.QUALITY_INDICATORS).forEach(type => {
+            const count = parseInt(document.getElementById(`qualityEvents_${type}`).value) || 0;
+            if (count > 0) {
+                qualityEvents[type] = count;
+            }
+        });
+
+        if (startDate && endDate && endDate < startDate) {
+            this.showMessage('数据验证失败：离科日期不能早于入科日期', 'danger');
+            return;
+        }
 
         // 验证医生数据
         const doctorData = { name, title, titleCoefficient };
@@ -308,6 +447,7 @@ class MainPageController {
         }
 
         try {
+            let savedDoctorId = doctorId;
             if (doctorId) {
                 // 更新现有医生
                 const doctor = this.doctors.find(d => d.id === doctorId);
@@ -315,11 +455,25 @@ class MainPageController {
                     doctor.name = name;
                     doctor.title = title;
                     doctor.titleCoefficient = titleCoefficient;
+                    doctor.hireDate = hireDate;
+                    doctor.certificationDate = certificationDate;
+                    doctor.startDate = startDate;
+                    doctor.endDate = endDate;
+                    doctor.prorationMode = prorationMode;
+                    doctor.groupId = groupId;
+                    doctor.roles = roles;
                     // 修复调用方式：传递doctorId和updateData
                     await this.storageManager.updateDoctor(doctorId, {
                         name: name,
                         title: title,
-                        titleCoefficient: titleCoefficient
+                        titleCoefficient: titleCoefficient,
+                        hireDate: hireDate,
+                        certificationDate: certificationDate,
+                        startDate: startDate,
+                        endDate: endDate,
+                        prorationMode: prorationMode,
+                        groupId: groupId,
+                        roles: roles
                     });
                 }
             } else {
@@ -333,11 +487,35 @@ class MainPageController {
                     true, // isCertified
                     0 // baseSalary
                 );
+                newDoctor.hireDate = hireDate;
+                newDoctor.certificationDate = certificationDate;
+                newDoctor.startDate = startDate;
+                newDoctor.endDate = endDate;
+                newDoctor.prorationMode = prorationMode;
+                newDoctor.groupId = groupId;
+                newDoctor.roles = roles;
                 
                 await this.storageManager.addDoctor(newDoctor);
                 this.doctors.push(newDoctor);
+                savedDoctorId = newDoctor.id;
             }
 
+            // 保存本月请假天数、质量安全事件和临时岗位
+            if (!this.workData[savedDoctorId]) {
+                this.workData[savedDoctorId] = {
+                    doctorId: savedDoctorId,
+                    attendanceDays: this.getDaysInMonth(this.currentMonth),
+                    dischargeCount: 0,
+                    bedDays: 0,
+                    medicalRevenue: 0,
+                    rewardPenalty: 0
+                };
+            }
+            this.workData[savedDoctorId].leaveDays = leaveDays;
+            this.workData[savedDoctorId].qualityEvents = qualityEvents;
+            this.workData[savedDoctorId].roles = monthRoles;
+            await this.storageManager.saveCurrentWorkData(`workData_${savedDoctorId}`, this.workData[savedDoctorId]);
+
             // 关闭模态框
             const modal = bootstrap.Modal.getInstance(document.getElementById('doctorModal'));
             modal.hide();
@@ -372,89 +550,13 @@ class MainPageController {
         document.getElementById('titleCoefficient').value = coefficient;
     }
 
-    /**
-     * 渲染综合表格
-     */
-    renderCombinedTable() {
-        const tbody = document.getElementById('combinedTableBody');
-        tbody.innerHTML = '';
-
-        if (this.doctors.length === 0) {
-            const row = document.createElement('tr');
-            row.innerHTML = `
-                <td colspan="8" class="text-center text-muted py-4">
-                    <i class="fas fa-user-plus fa-2x mb-2"></i><br>
-                    暂无医生信息，请点击"添加医生"按钮添加
-                </td>
-            `;
-            tbody.appendChild(row);
-            return;
-        }
-
-        // 获取当月总天数
-        const currentMonth = document.getElementById('currentMonth')?.value || new Date().toISOString().slice(0, 7);
-        const daysInMonth = this.getDaysInMonth(currentMonth);
-
-        this.doctors.forEach(doctor => {
-            const workData = this.workData[doctor.id] || {};
-            const row = document.createElement('tr');
-            
-            row.innerHTML = `
-                <td>
-                    <strong>${doctor.name} (${doctor.titleCoefficient})</strong><br>
-                    <small class="text-muted">${doctor.title}</small>
-                </td>
-                <td>
-                    <input type="number" class="form-control form-control-sm" 
-                           data-field="attendanceDays" data-doctor-id="${doctor.id}" 
-                           value="${workData.attendanceDays !== undefined ? workData.attendanceDays : daysInMonth}" 
-                           min="0" max="31" placeholder=""
-                           onchange="mainController.updateWorkData('${doctor.id}', 'attendanceDays', this.value)">
-                </td>
-                <td>
-                    <input type="number" class="form-control form-control-sm" 
-                           data-field="dischargeCount" data-doctor-id="${doctor.id}" 
-                           value="${workData.dischargeCount || ''}" 
-                           min="0" placeholder=""
-                           onchange="mainController.updateWorkData('${doctor.id}', 'dischargeCount', this.value)">
-                </td>
-                <td>
-                    <input type="number" class="form-control form-control-sm" 
-                           data-field="medicalRevenue" data-doctor-id="${doctor.id}" 
-                           value="${workData.medicalRevenue || ''}" 
-                           min="0" step="0.01" placeholder=""
-                           onchange="mainController.updateWorkData('${doctor.id}', 'medicalRevenue', this.value)">
-                </td>
-                <td>
-                    <input type="number" class="form-control form-control-sm" 
-                           data-field="bedDays" data-doctor-id="${doctor.id}" 
-                           value="${workData.bedDays || ''}" 
-                           min="0" placeholder=""
-                           onchange="mainController.updateWorkData('${doctor.id}', 'bedDays', this.value)">
-                </td>
-                <td>
-                    <input type="number" class="form-control form-control-sm" 
-                           data-field="deduction" data-doctor-id="${doctor.id}" 
-                           value="${workData.deduction !== undefined ? workData.deduction : 0}" 
-                           min="0" step="0.01" placeholder=""
-                           onchange="mainController.updateWorkData('${doctor.id}', 'deduction', this.value)">
-                </td>
-                <td>
-                    <button class="btn btn-primary btn-sm w-100" 
-                            onclick="mainController.showDoctorModal('${doctor.id}')">
-                        <i class="fas fa-edit me-1"></i>编辑
-                    </button>
-                </td>
-            `;
-            
-            tbody.appendChild(row);
-        });
-    }
-
     /**
      * 更新工作数据
+     * @param {string} doctorId - 医生ID
+     * @param {string} metricId - 指标标识（见指标注册表）
+     * @param {string|number} value - 输入值
      */
-    async updateWorkData(doctorId, field, value) {
+    async updateWorkData(doctorId, metricId, value) {
         try {
             const numValue = parseFloat(value) || 0;
             
@@ -469,7 +571,7 @@ class MainPageController {
                 };
             }
             
-            this.workData[doctorId][field] = numValue;
+            this.metricRegistry.setValue(this.workData[doctorId], metricId, numValue);
             
             // 保存到存储
             await this.storageManager.saveCurrentWorkData(`workData_${doctorId}`, this.workData[doctorId]);
@@ -709,19 +811,25 @@ class MainPageController {
         // 自动更新所有医生的出勤天数为该月的实际天数
         this.updateAllAttendanceDays(daysInMonth);
         
+        // 不同月份可能适用不同的规则版本，指标列随之更新
+        this.loadMetricRegistry().then(() => this.renderCombinedTable());
+        
         this.updateDataSummary();
         this.showMessage(`月份设置成功，该月共${daysInMonth}天，已自动设置为默认出勤天数`, 'success');
     }
     
     /**
      * 更新所有医生的出勤天数
+     * 设置了入科/离科日期的医生按其在科天数设置
      */
     updateAllAttendanceDays(days) {
+        const [year, month] = (this.currentMonth || '').split('-').map(Number);
         this.doctors.forEach(doctor => {
+            const employedDays = (year && month) ? Math.min(days, Doctor.getEmploymentDaysInMonth(doctor, year, month)) : days;
             if (!this.workData[doctor.id]) {
                 this.workData[doctor.id] = {
                     doctorId: doctor.id,
-                    attendanceDays: days,
+                    attendanceDays: employedDays,
                     dischargeCount: 0,
                     bedDays: 0,
                     rewardPenalty: 0
@@ -729,7 +837,7 @@ class MainPageController {
             } else {
                 // 只在出勤天数为0或未设置时才自动设置
                 if (!this.workData[doctor.id].attendanceDays || this.workData[doctor.id].attendanceDays === 0) {
-                    this.workData[doctor.id].attendanceDays = days;
+                    this.workData[doctor.id].attendanceDays = employedDays;
                 }
             }
             
@@ -762,6 +870,9 @@ class MainPageController {
      * 渲染综合表格
      */
     renderCombinedTable() {
+        const metrics = this.metricRegistry.getAll();
+        this.renderCombinedTableHeader(metrics);
+
         const tbody = document.getElementById('combinedTableBody');
         tbody.innerHTML = '';
 
@@ -777,7 +888,7 @@ class MainPageController {
         if (validDoctors.length === 0) {
             const row = document.createElement('tr');
             row.innerHTML = `
-                <td colspan="10" class="text-center text-muted py-4">
+                <td colspan="${metrics.length + 3}" class="text-center text-muted py-4">
                     <i class="fas fa-user-plus fa-2x mb-2"></i><br>
                     暂无医生信息，请点击"添加医生"按钮添加
                 </td>
@@ -797,35 +908,10 @@ class MainPageController {
                 <td>
                     <strong>${doctor.name}</strong><br>
                     <small class="text-muted">${doctor.title}</small>
+                    ${this.renderProrationBadge(doctor, workData)}${this.renderQualityBadge(workData)}${this.renderRoleBadge(workData)}${this.renderRosterBadge(workData)}
+                    <br>${this.renderDutyButton(doctor, workData)}
                 </td>
-                <td>
-                    <input type="number" class="form-control form-control-sm" 
-                           data-field="attendanceDays" data-doctor-id="${doctor.id}" 
-                           value="${workData.attendanceDays !== undefined ? workData.attendanceDays : ''}" 
-                           min="0" max="31" placeholder=""
-                           onchange="mainController.updateWorkData('${doctor.id}', 'attendanceDays', this.value)">
-                </td>
-                <td>
-                    <input type="number" class="form-control form-control-sm" 
-                           data-field="dischargeCount" data-doctor-id="${doctor.id}" 
-                           value="${workData.dischargeCount || ''}" 
-                           min="0" placeholder=""
-                           onchange="mainController.updateWorkData('${doctor.id}', 'dischargeCount', this.value)">
-                </td>
-                <td>
-                    <input type="number" class="form-control form-control-sm" 
-                           data-field="medicalRevenue" data-doctor-id="${doctor.id}" 
-                           value="${workData.medicalRevenue || ''}" 
-                           min="0" step="0.01" placeholder=""
-                           onchange="mainController.updateWorkData('${doctor.id}', 'medicalRevenue', this.value)">
-                </td>
-                <td>
-                    <input type="number" class="form-control form-control-sm" 
-                           data-field="bedDays" data-doctor-id="${doctor.id}" 
-                           value="${workData.bedDays || ''}" 
-                           min="0" placeholder=""
-                           onchange="mainController.updateWorkData('${doctor.id}', 'bedDays', this.value)">
-                </td>
+                ${metrics.map(metric => this.renderMetricInputCell(doctor, workData, metric)).join('')}
                 <td>
                     <div class="input-group input-group-sm" style="width: 150px;">
                         <select class="form-select" style="max-width: 50px;" 
@@ -865,6 +951,562 @@ class MainPageController {
 
 
 
+    /**
+     * 渲染在岗情况标记（月中入离科或有请假时显示）
+     * @param {Doctor} doctor - 医生
+     * @param {Object} workData - 医生的工作数据
+     * @returns {string} 标记HTML
+     */
+    renderProrationBadge(doctor, workData) {
+        const notes = [];
+        if (this.currentMonth) {
+            const [year, month] = this.currentMonth.split('-').map(Number);
+            const employedDays = Doctor.getEmploymentDaysInMonth(doctor, year, month);
+            if (employedDays < this.getDaysInMonth(this.currentMonth)) {
+                notes.push(`在科${employedDays}天`);
+            }
+        }
+        Object.entries(workData.leaveDays || {}).forEach(([type, days]) => {
+            if (Number(days) > 0) {
+                notes.push(`${MonthlyWorkData.LEAVE_TYPES[type] || type}${days}天`);
+            }
+        });
+        if (notes.length === 0) return '';
+
+        const badgeClass = doctor.prorationMode === 'none' ? 'bg-secondary' : 'bg-info';
+        return `<br><span class="badge ${badgeClass}" title="${Doctor.PRORATION_MODES[doctor.prorationMode] || ''}">${notes.join('，')}</span>`;
+    }
+
+    /**
+     * 渲染质量安全事件标记（本月有事件时显示）
+     * @param {Object} workData - 医生的工作数据
+     * @returns {string} 标记HTML
+     */
+    renderQualityBadge(workData) {
+        const notes = Object.entries(workData.qualityEvents || {})
+            .filter(([, count]) => Number(count) > 0)
+            .map(([type, count]) => `${MonthlyWorkData.QUALITY_INDICATORS[type] || type}${count}次`);
+        if (notes.length === 0) return '';
+
+        return `<br><span class="badge bg-warning text-dark">${notes.join('，')}</span>`;
+    }
+
+    /**
+     * 渲染本月临时岗位标记
+     * @param {Object} workData - 医生的工作数据
+     * @returns {string} 标记HTML
+     */
+    renderRoleBadge(workData) {
+        const roles = workData.roles || [];
+        if (roles.length === 0) return '';
+
+        return `<br><span class="badge bg-primary" title="本月临时岗位">${roles.join('、')}</span>`;
+    }
+
+    /**
+     * 渲染本月排班标记（各轮转地点天数）
+     * @param {Object} workData - 医生的工作数据
+     * @returns {string} 标记HTML
+     */
+    renderRosterBadge(workData) {
+        const text = this.formatLocationDays(workData.roster);
+        if (!text) return '';
+
+        return `<br><span class="badge bg-light text-dark border" title="本月排班">${text}</span>`;
+    }
+
+    /**
+     * 将排班汇总为各轮转地点天数的说明文字
+     * @param {Object} roster - 排班（日期到轮转地点ID的映射）
+     * @returns {string} 如"RICU10天、普通病房20天"，未排班时为空
+     */
+    formatLocationDays(roster) {
+        return Object.entries(MonthlyWorkData.getLocationDays(roster))
+            .map(([locationId, days]) => `${this.locations.find(location => location.id === locationId)?.name || locationId}${days}天`)
+            .join('、');
+    }
+
+    /**
+     * 显示排班模态框：每行一位医生，每列为当月的一天
+     */
+    showRosterModal() {
+        if (!this.currentMonth) {
+            this.showMessage('请先设置计算月份', 'warning');
+            return;
+        }
+        if (this.locations.length === 0) {
+            this.showMessage('系统设置中未设置轮转地点', 'warning');
+            return;
+        }
+
+        const [year, month] = this.currentMonth.split('-').map(Number);
+        this.rosterDraft = {};
+        this.doctors
+            .filter(doctor => doctor && typeof doctor.name === 'string' && doctor.name.trim() !== '')
+            .forEach(doctor => {
+                this.rosterDraft[doctor.id] = { ...(this.workData[doctor.id]?.roster || {}) };
+            });
+        if (!this.locations.some(location => location.id === this.rosterBrush)) {
+            this.rosterBrush = this.locations[0].id;
+        }
+
+        document.getElementById('rosterModalTitle').textContent = `${year}年${month}月排班`;
+        this.renderRosterLocations();
+        this.renderRosterTable();
+        new bootstrap.Modal(document.getElementById('rosterModal')).show();
+    }
+
+    /**
+     * 获取轮转地点在排班日历中使用的颜色
+     * @param {string} locationId - 轮转地点ID
+     * @returns {string} Bootstrap颜色名，不在地点表中的地点为light
+     */
+    getLocationColor(locationId) {
+        const index = this.locations.findIndex(location => location.id === locationId);
+        return index < 0 ? 'light' : MainPageController.ROSTER_COLORS[index % MainPageController.ROSTER_COLORS.length];
+    }
+
+    /**
+     * 渲染排班地点选择按钮（当前选中的地点为实心按钮，"清除"用于取消排班）
+     */
+    renderRosterLocations() {
+        const buttons = this.locations.map(location => {
+            const color = this.getLocationColor(location.id);
+            return `<button type="button" class="btn btn-sm me-1 mb-1 roster-brush-btn ${this.rosterBrush === location.id ? `btn-${color}` : `btn-outline-${color}`}"
+                            data-location-id="${location.id}">${location.name}</button>`;
+        });
+        buttons.push(`<button type="button" class="btn btn-sm me-1 mb-1 roster-brush-btn ${this.rosterBrush === '' ? 'btn-secondary' : 'btn-outline-secondary'}"
+                              data-location-id=""><i class="fas fa-eraser me-1"></i>清除</button>`);
+        document.getElementById('rosterLocations').innerHTML = buttons.join('');
+    }
+
+    /**
+     * 渲染排班日历
+     */
+    renderRosterTable() {
+        const [year, month] = this.currentMonth.split('-').map(Number);
+        const daysInMonth = this.getDaysInMonth(this.currentMonth);
+        const days = Array.from({ length: daysInMonth }, (_, index) => index + 1);
+        const isWeekend = (day) => [0, 6].includes(new Date(year, month - 1, day).getDay());
+
+        document.getElementById('rosterTableHeader').innerHTML = `
+            <th class="roster-name">医生</th>
+            ${days.map(day => `<th class="${isWeekend(day) ? 'roster-weekend' : ''}">${day}<br><small>${'日一二三四五六'[new Date(year, month - 1, day).getDay()]}</small></th>`).join('')}
+            <th class="roster-summary">合计</th>
+        `;
+
+        document.getElementById('rosterTableBody').innerHTML = Object.keys(this.rosterDraft).map(doctorId => {
+            const doctor = this.doctors.find(d => d.id === doctorId);
+            const roster = this.rosterDraft[doctorId];
+            return `
+                <tr>
+                    <td class="roster-name">
+                        ${doctor.name}
+                        <button type="button" class="btn btn-link btn-sm p-0 ms-1 roster-fill-btn" data-doctor-id="${doctorId}">整月</button>
+                    </td>
+                    ${days.map(day => {
+                        const locationId = roster[day];
+                        const location = this.locations.find(item => item.id === locationId);
+                        const color = this.getLocationColor(locationId);
+                        const cellClass = locationId ? `bg-${color} ${['light', 'warning', 'info'].includes(color) ? 'text-dark' : 'text-white'}` :
+                            (isWeekend(day) ? 'roster-weekend' : '');
+                        return `<td class="roster-day ${cellClass}" data-doctor-id="${doctorId}" data-day="${day}"
+                                    title="${locationId ? (location ? location.name : `${locationId}（已删除）`) : '未排班'}">${locationId ? (location ? location.name : locationId).slice(0, 2) : ''}</td>`;
+                    }).join('')}
+                    <td class="roster-summary">${this.formatLocationDays(roster)}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 将一天排到当前选中的轮转地点（选中"清除"时取消排班）
+     * @param {string} doctorId - 医生ID
+     * @param {string|number} day - 日期
+     */
+    paintRosterCell(doctorId, day) {
+        const roster = this.rosterDraft[doctorId];
+        if (!roster || (roster[day] || '') === this.rosterBrush) return;
+
+        if (this.rosterBrush) {
+            roster[day] = this.rosterBrush;
+        } else {
+            delete roster[day];
+        }
+        this.renderRosterTable();
+    }
+
+    /**
+     * 将医生本月全部日期排到当前选中的轮转地点（选中"清除"时清空该医生的排班）
+     * @param {string} doctorId - 医生ID
+     */
+    fillRosterRow(doctorId) {
+        if (!this.rosterDraft[doctorId]) return;
+
+        const roster = {};
+        if (this.rosterBrush) {
+            for (let day = 1; day <= this.getDaysInMonth(this.currentMonth); day++) {
+                roster[day] = this.rosterBrush;
+            }
+        }
+        this.rosterDraft[doctorId] = roster;
+        this.renderRosterTable();
+    }
+
+    /**
+     * 保存排班，只写入有变化的医生
+     */
+    async saveRoster() {
+        try {
+            for (const [doctorId, roster] of Object.entries(this.rosterDraft)) {
+                if (JSON.stringify(roster) === JSON.stringify(this.workData[doctorId]?.roster || {})) continue;
+
+                if (!this.workData[doctorId]) {
+                    this.workData[doctorId] = {
+                        doctorId: doctorId,
+                        attendanceDays: this.getDaysInMonth(this.currentMonth),
+                        dischargeCount: 0,
+                        bedDays: 0,
+                        medicalRevenue: 0,
+                        rewardPenalty: 0
+                    };
+                }
+                this.workData[doctorId].roster = roster;
+                await this.storageManager.saveCurrentWorkData(`workData_${doctorId}`, this.workData[doctorId]);
+            }
+
+            bootstrap.Modal.getInstance(document.getElementById('rosterModal')).hide();
+            this.renderCombinedTable();
+            this.showMessage('排班已保存', 'success');
+        } catch (error) {
+            this.showMessage('保存排班失败：' + error.message, 'danger');
+        }
+    }
+
+    /**
+     * 渲染综合表格表头（指标列由指标注册表决定）
+     * @param {Array<Object>} metrics - 指标列表
+     */
+    renderCombinedTableHeader(metrics) {
+        const headerRow = document.getElementById('combinedTableHeader');
+        if (!headerRow) return;
+
+        headerRow.innerHTML = `
+            <th>姓名</th>
+            ${metrics.map(metric => `<th title="${metric.unit ? '单位：' + metric.unit : ''}">${metric.label}</th>`).join('')}
+            <th style="width: 150px;">奖罚</th>
+            <th style="width: 80px;">编辑</th>
+        `;
+    }
+
+    /**
+     * 渲染单个指标的输入单元格
+     * @param {Doctor} doctor - 医生
+     * @param {Object} workData - 医生的工作数据
+     * @param {Object} metric - 指标定义
+     * @returns {string} 单元格HTML
+     */
+    renderMetricInputCell(doctor, workData, metric) {
+        const raw = metric.field ? workData[metric.field] : workData.metrics?.[metric.id];
+        const value = raw !== undefined && raw !== null && raw !== 0 ? this.metricRegistry.getValue(workData, metric) : '';
+
+        return `
+                <td>
+                    <input type="number" class="form-control form-control-sm" 
+                           data-field="${metric.id}" data-doctor-id="${doctor.id}" 
+                           value="${value}" 
+                           min="0" step="${metric.step}" placeholder="${metric.unit}"
+                           onchange="mainController.updateWorkData('${doctor.id}', '${metric.id}', this.value)">
+                    ${metric.field === 'dischargeCount' ? this.renderCaseMixButton(doctor, workData) : ''}
+                    ${metric.field === 'medicalRevenue' ? this.renderRevenueButton(doctor, workData) : ''}
+                </td>`;
+    }
+
+    /**
+     * 渲染病例组合录入按钮（出院人数单元格内），已录入时显示DRG分组数或CMI
+     * @param {Doctor} doctor - 医生
+     * @param {Object} workData - 医生的工作数据
+     * @returns {string} 按钮HTML
+     */
+    renderCaseMixButton(doctor, workData) {
+        const drgCount = Object.values(workData.drgDischarges || {}).filter(count => Number(count) > 0).length;
+        const text = drgCount > 0 ? `DRG ${drgCount}组` : (workData.caseMixIndex ? `CMI ${workData.caseMixIndex}` : '病例组合');
+        return `
+                    <button type="button" class="btn btn-link btn-sm p-0 ${drgCount > 0 || workData.caseMixIndex ? '' : 'text-muted'}"
+                            onclick="mainController.showCaseMixModal('${doctor.id}')">${text}</button>`;
+    }
+
+    /**
+     * 显示病例组合录入模态框（DRG分组取自系统设置中的权重表，另列出本月已录入但不在表中的分组）
+     * @param {string} doctorId - 医生ID
+     */
+    async showCaseMixModal(doctorId) {
+        const doctor = this.doctors.find(d => d.id === doctorId);
+        if (!doctor) return;
+
+        const systemConfig = await this.storageManager.getSystemConfig();
+        const workData = this.workData[doctorId] || {};
+        const drgDischarges = workData.drgDischarges || {};
+        const entries = [...systemConfig.drgConfig.weights];
+        Object.keys(drgDischarges).forEach(code => {
+            if (!entries.some(entry => entry.code === code)) {
+                entries.push({ code: code, name: '（不在权重表中，按1计）', weight: 1 });
+            }
+        });
+
+        document.getElementById('caseMixModalTitle').textContent = `${doctor.name} - 病例组合`;
+        document.getElementById('caseMixDoctorId').value = doctorId;
+        document.getElementById('caseMixIndex').value = workData.caseMixIndex || '';
+        document.getElementById('drgDischargesTableBody').innerHTML = entries.length === 0 ?
+            '<tr><td colspan="4" class="text-center text-muted">尚未设置DRG权重表，可在系统设置中编辑或导入</td></tr>' :
+            entries.map(entry => `
+                <tr>
+                    <td>${entry.code}</td>
+                    <td>${entry.name}</td>
+                    <td class="text-end">${entry.weight}</td>
+                    <td>
+                        <input type="number" class="form-control form-control-sm drg-count-input" data-code="${entry.code}"
+                               min="0" step="1" value="${drgDischarges[entry.code] || ''}">
+                    </td>
+                </tr>
+            `).join('');
+
+        new bootstrap.Modal(document.getElementById('caseMixModal')).show();
+    }
+
+    /**
+     * 保存病例组合：DRG分组出院人数合计超过出院人数时，出院人数同步为该合计
+     */
+    async saveCaseMix() {
+        const doctorId = document.getElementById('caseMixDoctorId').value;
+        const drgDischarges = {};
+        document.querySelectorAll('#drgDischargesTableBody .drg-count-input').forEach(input => {
+            const count = parseInt(input.value) || 0;
+            if (count > 0) {
+                drgDischarges[input.dataset.code] = count;
+            }
+        });
+        const caseMixIndex = parseFloat(document.getElementById('caseMixIndex').value) || null;
+        if (caseMixIndex !== null && caseMixIndex <= 0) {
+            this.showMessage('病例组合指数必须大于0', 'warning');
+            return;
+        }
+
+        try {
+            if (!this.workData[doctorId]) {
+                this.workData[doctorId] = {
+                    doctorId: doctorId,
+                    attendanceDays: this.getDaysInMonth(this.currentMonth),
+                    dischargeCount: 0,
+                    bedDays: 0,
+                    medicalRevenue: 0,
+                    rewardPenalty: 0
+                };
+            }
+            const workData = this.workData[doctorId];
+            workData.drgDischarges = drgDischarges;
+            workData.caseMixIndex = caseMixIndex;
+            const drgTotal = Object.values(drgDischarges).reduce((sum, count) => sum + count, 0);
+            if (drgTotal > (Number(workData.dischargeCount) || 0)) {
+                workData.dischargeCount = drgTotal;
+            }
+            await this.storageManager.saveCurrentWorkData(`workData_${doctorId}`, workData);
+
+            bootstrap.Modal.getInstance(document.getElementById('caseMixModal')).hide();
+            this.renderCombinedTable();
+            this.updateDataSummary();
+        } catch (error) {
+            this.showMessage('保存病例组合失败：' + error.message, 'danger');
+        }
+    }
+
+    /**
+     * 渲染收入构成录入按钮（医疗收入单元格内），已录入时显示药占比
+     * @param {Doctor} doctor - 医生
+     * @param {Object} workData - 医生的工作数据
+     * @returns {string} 按钮HTML
+     */
+    renderRevenueButton(doctor, workData) {
+        const components = workData.revenueComponents || {};
+        const total = Object.values(components).reduce((sum, amount) => sum + (Number(amount) || 0), 0);
+        const revenue = Math.max(total, Number(workData.medicalRevenue) || 0);
+        const text = total > 0 ? `药占比${((Number(components.drugs) || 0) / revenue * 100).toFixed(1)}%` : '收入构成';
+        return `
+                    <button type="button" class="btn btn-link btn-sm p-0 ${total > 0 ? '' : 'text-muted'}"
+                            onclick="mainController.showRevenueModal('${doctor.id}')">${text}</button>`;
+    }
+
+    /**
+     * 显示收入构成录入模态框
+     * @param {string} doctorId - 医生ID
+     */
+    showRevenueModal(doctorId) {
+        const doctor = this.doctors.find(d => d.id === doctorId);
+        if (!doctor) return;
+
+        const components = this.workData[doctorId]?.revenueComponents || {};
+        document.getElementById('revenueModalTitle').textContent = `${doctor.name} - 收入构成`;
+        document.getElementById('revenueDoctorId').value = doctorId;
+        document.getElementById('revenueComponentsInputs').innerHTML = Object.entries(MonthlyWorkData.REVENUE_COMPONENTS).map(([type, label]) => `
+            <div class="mb-2">
+                <label for="revenueComponent_${type}" class="form-label">${label}（元）</label>
+                <input type="number" class="form-control revenue-component-input" id="revenueComponent_${type}" data-type="${type}"
+                       min="0" step="0.01" value="${components[type] || ''}">
+            </div>
+        `).join('');
+
+        new bootstrap.Modal(document.getElementById('revenueModal')).show();
+    }
+
+    /**
+     * 保存收入构成：各项合计超过医疗收入时，医疗收入同步为该合计
+     */
+    async saveRevenueComponents() {
+        const doctorId = document.getElementById('revenueDoctorId').value;
+        const revenueComponents = {};
+        let invalid = false;
+        document.querySelectorAll('#revenueComponentsInputs .revenue-component-input').forEach(input => {
+            const amount = parseFloat(input.value) || 0;
+            if (amount < 0) {
+                invalid = true;
+            } else if (amount > 0) {
+                revenueComponents[input.dataset.type] = amount;
+            }
+        });
+        if (invalid) {
+            this.showMessage('收入金额不能为负数', 'warning');
+            return;
+        }
+
+        try {
+            if (!this.workData[doctorId]) {
+                this.workData[doctorId] = {
+                    doctorId: doctorId,
+                    attendanceDays: this.getDaysInMonth(this.currentMonth),
+                    dischargeCount: 0,
+                    bedDays: 0,
+                    medicalRevenue: 0,
+                    rewardPenalty: 0
+                };
+            }
+            const workData = this.workData[doctorId];
+            workData.revenueComponents = revenueComponents;
+            const revenueTotal = Object.values(revenueComponents).reduce((sum, amount) => sum + amount, 0);
+            if (revenueTotal > (Number(workData.medicalRevenue) || 0)) {
+                workData.medicalRevenue = Math.round(revenueTotal * 100) / 100;
+            }
+            await this.storageManager.saveCurrentWorkData(`workData_${doctorId}`, workData);
+
+            bootstrap.Modal.getInstance(document.getElementById('revenueModal')).hide();
+            this.renderCombinedTable();
+            this.updateDataSummary();
+        } catch (error) {
+            this.showMessage('保存收入构成失败：' + error.message, 'danger');
+        }
+    }
+
+    /**
+     * 渲染值班记录按钮（姓名单元格内），已录入时显示本月值班次数
+     * @param {Doctor} doctor - 医生
+     * @param {Object} workData - 医生的工作数据
+     * @returns {string} 按钮HTML
+     */
+    renderDutyButton(doctor, workData) {
+        const summary = MonthlyWorkData.summarizeDuties(workData.duties);
+        const title = Object.entries(summary.byType)
+            .map(([type, entry]) => `${MonthlyWorkData.DUTY_TYPES[type] || type}${entry.count}次${entry.hours}小时`)
+            .join('，');
+        return `<button type="button" class="btn btn-link btn-sm p-0 ${summary.count > 0 ? '' : 'text-muted'}" title="${title}"
+                        onclick="mainController.showDutyModal('${doctor.id}')">${summary.count > 0 ? `值班${summary.count}次` : '值班记录'}</button>`;
+    }
+
+    /**
+     * 显示值班记录模态框
+     * @param {string} doctorId - 医生ID
+     */
+    showDutyModal(doctorId) {
+        const doctor = this.doctors.find(d => d.id === doctorId);
+        if (!doctor) return;
+        if (!this.currentMonth) {
+            this.showMessage('请先设置计算月份', 'warning');
+            return;
+        }
+
+        document.getElementById('dutyModalTitle').textContent = `${doctor.name} - ${this.currentMonth}值班记录`;
+        document.getElementById('dutyDoctorId').value = doctorId;
+        document.getElementById('dutyRecordsBody').innerHTML = '';
+        (this.workData[doctorId]?.duties || []).forEach(duty => this.addDutyRecord(duty));
+
+        new bootstrap.Modal(document.getElementById('dutyModal')).show();
+    }
+
+    /**
+     * 在值班记录表中添加一行，日期限定在当前月份内
+     * @param {Object} [duty] - 已有值班记录，省略时添加本月1日的夜班
+     */
+    addDutyRecord(duty = {}) {
+        const firstDay = `${this.currentMonth}-01`;
+        const lastDay = `${this.currentMonth}-${String(this.getDaysInMonth(this.currentMonth)).padStart(2, '0')}`;
+        const type = duty.type || 'night';
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><input type="date" class="form-control form-control-sm duty-date" min="${firstDay}" max="${lastDay}" value="${duty.date || firstDay}"></td>
+            <td>
+                <select class="form-select form-select-sm duty-type">
+                    ${Object.entries(MonthlyWorkData.DUTY_TYPES).map(([value, label]) =>
+                        `<option value="${value}" ${value === type ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </td>
+            <td><input type="number" class="form-control form-control-sm duty-hours" min="0.5" max="48" step="0.5" value="${duty.hours ?? 12}"></td>
+            <td class="text-center">
+                <button type="button" class="btn btn-outline-danger btn-sm duty-delete-btn"><i class="fas fa-trash"></i></button>
+            </td>
+        `;
+        document.getElementById('dutyRecordsBody').appendChild(row);
+    }
+
+    /**
+     * 保存值班记录（按日期排序）
+     */
+    async saveDutyRecords() {
+        const doctorId = document.getElementById('dutyDoctorId').value;
+        const duties = Array.from(document.querySelectorAll('#dutyRecordsBody tr')).map(row => ({
+            date: row.querySelector('.duty-date').value,
+            type: row.querySelector('.duty-type').value,
+            hours: parseFloat(row.querySelector('.duty-hours').value) || 0
+        }));
+        if (duties.some(duty => !duty.date.startsWith(`${this.currentMonth}-`))) {
+            this.showMessage(`值班日期必须在${this.currentMonth}内`, 'warning');
+            return;
+        }
+        if (duties.some(duty => duty.hours <= 0 || duty.hours > 48)) {
+            this.showMessage('值班时长必须大于0且不超过48小时', 'warning');
+            return;
+        }
+        duties.sort((a, b) => a.date.localeCompare(b.date));
+
+        try {
+            if (!this.workData[doctorId]) {
+                this.workData[doctorId] = {
+                    doctorId: doctorId,
+                    attendanceDays: this.getDaysInMonth(this.currentMonth),
+                    dischargeCount: 0,
+                    bedDays: 0,
+                    medicalRevenue: 0,
+                    rewardPenalty: 0
+                };
+            }
+            this.workData[doctorId].duties = duties;
+            await this.storageManager.saveCurrentWorkData(`workData_${doctorId}`, this.workData[doctorId]);
+
+            bootstrap.Modal.getInstance(document.getElementById('dutyModal')).hide();
+            this.renderCombinedTable();
+            this.updateDataSummary();
+        } catch (error) {
+            this.showMessage('保存值班记录失败：' + error.message, 'danger');
+        }
+    }
+
     /**
      * 更新奖罚金额
      */
@@ -1052,7 +1694,7 @@ class MainPageController {
     /**
      * 计算绩效
      */
-    calculatePerformance() {
+    async calculatePerformance() {
         console.log('=== 开始绩效计算 ===');
         console.log('原始医生数据:', this.doctors);
         console.log('原始工作数据:', this.workData);
@@ -1106,7 +1748,7 @@ class MainPageController {
                 
                 const workData = existingWorkData || {
                     doctorId: doctor.id,
-                    attendanceDays: this.getDaysInCurrentMonth(), // 默认为当月天数
+                    attendanceDays: this.getDaysInMonth(this.currentMonth), // 默认为当月天数
                     dischargeCount: 0,
                     bedDays: 0,
                     medicalRevenue: 0, // 添加医疗业务总额
@@ -1135,7 +1777,20 @@ class MainPageController {
             console.log('- doctorsWithData:', doctorsWithData);
             console.log('- totalBonus:', this.totalBonus);
             
-            const result = this.calculator.calculateTeamPerformance(doctorsWithData, this.totalBonus);
+            // 读取系统设置，按计算月份选用已生效的规则版本
+            const [calcYear, calcMonth] = this.currentMonth.split('-').map(Number);
+            const { config: systemConfig, version: ruleVersion } =
+                (await this.storageManager.getSystemConfig()).resolveForPeriod(calcYear, calcMonth);
+            
+            // 多月平滑需要前几个月已保存的绩效记录
+            const history = systemConfig.smoothingConfig.mode === 'none' ? [] : PerformanceCalculator.buildSmoothingHistory(
+                await this.storageManager.getAllPerformanceRecords(), calcYear, calcMonth, systemConfig.smoothingConfig);
+            const result = this.calculator.calculateDepartmentPerformance(doctorsWithData, this.totalBonus, systemConfig, {
+                year: calcYear,
+                month: calcMonth,
+                daysInMonth: this.getDaysInMonth(this.currentMonth),
+                history: history
+            });
             
             console.log('=== 计算器返回结果 ===');
             console.log('计算结果:', result);
@@ -1152,11 +1807,20 @@ class MainPageController {
                     month: parseInt(monthFromMonth),
                     totalBonus: this.totalBonus,
                     calculationTime: new Date().toISOString(),
+                    ruleVersion: ruleVersion,
                     results: {
                         individualResults: result.individualResults,
                         teamStats: result.teamStats,
                         groupStats: result.groupStats,
-                        config: result.config
+                        config: result.config,
+                        rewardPenaltySummary: result.rewardPenaltySummary,
+                        constraintSummary: result.constraintSummary,
+                        fairness: result.fairness,
+                        groupResults: result.groupResults,
+                        subPoolSummary: result.subPoolSummary,
+                        dutyPool: result.dutyPool,
+                        smoothingSummary: result.smoothingSummary,
+                        trace: result.trace
                     },
                     dataIntegrity: {
                         calculationSuccessful: true,
@@ -1572,6 +2236,11 @@ class MainPageController {
     }
 }
 
+/**
+ * 排班日历中轮转地点的颜色（按地点表顺序循环使用）
+ */
+MainPageController.ROSTER_COLORS = ['primary', 'danger', 'success', 'warning', 'info', 'dark'];
+
 // 页面加载完成后初始化控制器
 document.addEventListener('DOMContentLoaded', () => {
     window.mainController = new MainPageController();
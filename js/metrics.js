@@ -0,0 +1,399 @@
+/**
+ * 科室绩效分配系统 - 绩效指标注册表
+ * 定义参与绩效计算的指标（标识、名称、单位、权重、汇总方式、计分方式），
+ * 计算引擎、数据录入表格、结果展示和导出均由注册表驱动
+ */
+
+// 依赖：公式表达式（浏览器中由formula.js挂载到window）
+const metricDeps = (typeof module !== 'undefined' && module.exports) ? require('./formula') : window;
+
+/**
+ * 绩效指标注册表类
+ */
+class MetricRegistry {
+    /**
+     * 构造函数
+     * @param {Array<Object>} definitions - 指标定义列表，缺省使用内置的四项指标
+     */
+    constructor(definitions = MetricRegistry.DEFAULT_METRICS) {
+        this.metrics = [];
+        definitions.forEach(definition => this.register(definition));
+    }
+
+    /**
+     * 规范化并校验指标定义
+     * @param {Object} definition - 指标定义
+     * @returns {Object} 规范化后的指标定义
+     */
+    static normalizeDefinition(definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error('指标定义无效');
+        }
+
+        const id = String(definition.id || '').trim();
+        if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(id)) {
+            throw new Error(`指标标识"${id}"无效，只能包含字母、数字和下划线，且以字母开头`);
+        }
+
+        const label = String(definition.label || '').trim();
+        if (!label) {
+            throw new Error(`指标"${id}"缺少名称`);
+        }
+
+        const weight = Number(definition.weight ?? 0);
+        if (isNaN(weight) || weight < 0 || weight > 100) {
+            throw new Error(`指标"${label}"的权重必须在0-100之间`);
+        }
+
+        const aggregation = definition.aggregation || 'sum';
+        if (!MetricRegistry.AGGREGATIONS[aggregation]) {
+            throw new Error(`指标"${label}"的汇总方式"${aggregation}"不受支持`);
+        }
+
+        const scoring = definition.scoring || 'proportional';
+        if (!MetricRegistry.SCORING_METHODS[scoring]) {
+            throw new Error(`指标"${label}"的计分方式"${scoring}"不受支持`);
+        }
+
+        const cap = definition.cap !== undefined && definition.cap !== null && definition.cap !== '' ? Number(definition.cap) : null;
+        if (scoring === 'capped' && (cap === null || isNaN(cap) || cap <= 0)) {
+            throw new Error(`指标"${label}"采用封顶计分，必须设置大于0的封顶值`);
+        }
+
+        const formula = String(definition.formula || '').trim();
+        if (scoring === 'formula') {
+            const validation = metricDeps.Formula.validate(formula, MetricRegistry.FORMULA_VARIABLES);
+            if (!validation.isValid) {
+                throw new Error(`指标"${label}"的计分公式有误：${validation.errors.join('；')}`);
+            }
+        }
+
+        // 旧配置中的内置指标没有敏感性分析单位，沿用内置定义
+        const builtinDefault = definition.builtin ? MetricRegistry.DEFAULT_METRICS.find(metric => metric.id === id) : null;
+        const sensitivityUnit = Number(definition.sensitivityUnit ?? builtinDefault?.sensitivityUnit);
+
+        return {
+            id: id,
+            label: label,
+            unit: definition.unit || '',
+            weight: weight,
+            aggregation: aggregation,
+            scoring: scoring,
+            cap: cap,
+            // 自定义公式计分时的得分公式，变量见MetricRegistry.FORMULA_VARIABLES
+            formula: scoring === 'formula' ? formula : '',
+            // 内置指标直接存放在MonthlyWorkData的同名字段中，自定义指标存放在metrics对象中
+            field: definition.field || null,
+            step: Number(definition.step) || 1,
+            // 敏感性分析中"每增加一个单位"的单位量，如医疗业务收入按每万元计
+            sensitivityUnit: sensitivityUnit > 0 ? sensitivityUnit : 1,
+            builtin: Boolean(definition.builtin),
+            displayInResults: definition.displayInResults !== false,
+            // 是否按在岗天数折算份额；出勤天数本身已反映在岗情况，默认不折算
+            prorate: definition.prorate ?? definition.field !== 'attendanceDays'
+        };
+    }
+
+    /**
+     * 注册指标
+     * @param {Object} definition - 指标定义
+     * @returns {Object} 注册后的指标
+     */
+    register(definition) {
+        const metric = MetricRegistry.normalizeDefinition(definition);
+        if (this.has(metric.id)) {
+            throw new Error(`指标"${metric.id}"已存在`);
+        }
+
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    /**
+     * 更新指标定义（标识不可修改）
+     * @param {string} id - 指标标识
+     * @param {Object} changes - 需要更新的字段
+     * @returns {Object} 更新后的指标
+     */
+    update(id, changes) {
+        const index = this.metrics.findIndex(metric => metric.id === id);
+        if (index === -1) {
+            throw new Error(`指标"${id}"不存在`);
+        }
+
+        const current = this.metrics[index];
+        const metric = MetricRegistry.normalizeDefinition({
+            ...current,
+            ...changes,
+            id: current.id,
+            field: current.field,
+            builtin: current.builtin
+        });
+        this.metrics[index] = metric;
+        return metric;
+    }
+
+    /**
+     * 移除指标（内置指标不可移除，可将权重设为0停用）
+     * @param {string} id - 指标标识
+     */
+    unregister(id) {
+        const metric = this.get(id);
+        if (!metric) return;
+        if (metric.builtin) {
+            throw new Error(`内置指标"${metric.label}"不能删除，可将权重设为0停用`);
+        }
+
+        this.metrics = this.metrics.filter(item => item.id !== id);
+    }
+
+    /**
+     * 判断指标是否存在
+     * @param {string} id - 指标标识
+     * @returns {boolean} 是否存在
+     */
+    has(id) {
+        return this.metrics.some(metric => metric.id === id);
+    }
+
+    /**
+     * 获取指标
+     * @param {string} id - 指标标识
+     * @returns {Object|null} 指标定义
+     */
+    get(id) {
+        return this.metrics.find(metric => metric.id === id) || null;
+    }
+
+    /**
+     * 获取全部指标
+     * @returns {Array<Object>} 指标列表（按注册顺序）
+     */
+    getAll() {
+        return [...this.metrics];
+    }
+
+    /**
+     * 获取各指标权重
+     * @returns {Object} 指标标识到权重（百分比）的映射
+     */
+    getWeights() {
+        const weights = {};
+        this.metrics.forEach(metric => {
+            weights[metric.id] = metric.weight;
+        });
+        return weights;
+    }
+
+    /**
+     * 获取权重总和
+     * @returns {number} 权重总和
+     */
+    getTotalWeight() {
+        return this.metrics.reduce((sum, metric) => sum + metric.weight, 0);
+    }
+
+    /**
+     * 验证权重总和
+     * @returns {boolean} 权重总和是否为100
+     */
+    validateWeights() {
+        return Math.abs(this.getTotalWeight() - 100) < 0.01;
+    }
+
+    /**
+     * 读取工作数据中的指标值
+     * 指标值可以是单个数值，也可以是多条记录（数组），多条记录按指标的汇总方式合并
+     * @param {Object} workData - 工作数据
+     * @param {Object|string} metricOrId - 指标定义或标识
+     * @returns {number} 指标值
+     */
+    getValue(workData, metricOrId) {
+        const metric = typeof metricOrId === 'string' ? this.get(metricOrId) : metricOrId;
+        if (!metric || !workData) return 0;
+
+        const raw = metric.field ? workData[metric.field] : workData.metrics?.[metric.id];
+        if (Array.isArray(raw)) {
+            return this.aggregate(raw.map(value => Number(value) || 0), metric.aggregation);
+        }
+
+        return Number(raw) || 0;
+    }
+
+    /**
+     * 写入工作数据中的指标值
+     * @param {Object} workData - 工作数据
+     * @param {string} id - 指标标识
+     * @param {number} value - 指标值
+     */
+    setValue(workData, id, value) {
+        const metric = this.get(id);
+        if (!metric) {
+            throw new Error(`指标"${id}"不存在`);
+        }
+
+        if (metric.field) {
+            workData[metric.field] = value;
+        } else {
+            workData.metrics = { ...(workData.metrics || {}), [metric.id]: value };
+        }
+    }
+
+    /**
+     * 按汇总方式合并数值
+     * @param {Array<number>} values - 数值列表
+     * @param {string} aggregation - 汇总方式
+     * @returns {number} 合并结果
+     */
+    aggregate(values, aggregation = 'sum') {
+        if (!values || values.length === 0) return 0;
+
+        switch (aggregation) {
+            case 'average':
+                return values.reduce((sum, value) => sum + value, 0) / values.length;
+            case 'max':
+                return Math.max(...values);
+            case 'sum':
+            default:
+                return values.reduce((sum, value) => sum + value, 0);
+        }
+    }
+
+    /**
+     * 计算团队内各成员在某项指标上的分配份额
+     * 份额之和为1（全员为0时均为0），该指标的奖金按份额分配
+     * @param {Object} metric - 指标定义
+     * @param {Array<number>} values - 各成员的指标值
+     * @returns {Array<number>} 各成员的份额
+     */
+    computeShares(metric, values) {
+        const safeValues = values.map(value => Math.max(0, Number(value) || 0));
+        let basis;
+
+        switch (metric.scoring) {
+            case 'minMax': {
+                // 极差归一化：最低者为0、最高者为1；全员相同时平均分配
+                const max = Math.max(...safeValues);
+                const min = Math.min(...safeValues);
+                basis = max === min ?
+                    safeValues.map(() => (max > 0 ? 1 : 0)) :
+                    safeValues.map(value => (value - min) / (max - min));
+                break;
+            }
+            case 'capped':
+                // 封顶：超过封顶值的部分不计分
+                basis = safeValues.map(value => Math.min(value, metric.cap));
+                break;
+            case 'formula': {
+                // 自定义公式：按公式计算每人得分（负分按0计），再按得分占比分配
+                const formula = metricDeps.Formula.compile(metric.formula);
+                const team = MetricRegistry.getTeamStatistics(safeValues);
+                basis = safeValues.map(value => Math.max(0, formula.evaluate({ value, ...team })));
+                break;
+            }
+            case 'proportional':
+            default:
+                basis = safeValues;
+                break;
+        }
+
+        const total = basis.reduce((sum, value) => sum + value, 0);
+        return basis.map(value => (total > 0 ? value / total : 0));
+    }
+
+    /**
+     * 计算团队统计量（供计分公式使用）
+     * @param {Array<number>} values - 各成员的指标值
+     * @returns {Object} { teamTotal, teamMax, teamMin, teamAverage, teamCount }
+     */
+    static getTeamStatistics(values) {
+        const teamTotal = values.reduce((sum, value) => sum + value, 0);
+        return {
+            teamTotal,
+            teamMax: values.length > 0 ? Math.max(...values) : 0,
+            teamMin: values.length > 0 ? Math.min(...values) : 0,
+            teamAverage: values.length > 0 ? teamTotal / values.length : 0,
+            teamCount: values.length
+        };
+    }
+
+    /**
+     * 转换为JSON数组
+     * @returns {Array<Object>} 指标定义列表
+     */
+    toJSON() {
+        return this.metrics.map(metric => ({ ...metric }));
+    }
+
+    /**
+     * 从系统配置创建注册表
+     * 配置中有metrics时以其为准；否则使用内置指标，并以performanceWeights覆盖权重（兼容旧配置）
+     * @param {Object} config - 系统配置（SystemConfig或其JSON）
+     * @returns {MetricRegistry} 注册表实例
+     */
+    static fromConfig(config = {}) {
+        const source = config && config.toJSON ? config.toJSON() : (config || {});
+
+        if (Array.isArray(source.metrics) && source.metrics.length > 0) {
+            return new MetricRegistry(source.metrics);
+        }
+
+        const weights = source.performanceWeights || {};
+        return new MetricRegistry(MetricRegistry.DEFAULT_METRICS.map(metric => ({
+            ...metric,
+            weight: weights[metric.id] ?? metric.weight
+        })));
+    }
+}
+
+/**
+ * 支持的汇总方式
+ */
+MetricRegistry.AGGREGATIONS = {
+    sum: '求和',
+    average: '平均值',
+    max: '最大值'
+};
+
+/**
+ * 支持的计分方式
+ */
+MetricRegistry.SCORING_METHODS = {
+    proportional: '按占比',
+    minMax: '极差归一化',
+    capped: '封顶后按占比',
+    formula: '自定义公式'
+};
+
+/**
+ * 计分公式可用的变量
+ */
+MetricRegistry.FORMULA_VARIABLES = {
+    value: '本人指标值',
+    teamTotal: '团队合计',
+    teamMax: '团队最高值',
+    teamMin: '团队最低值',
+    teamAverage: '团队平均值',
+    teamCount: '团队人数'
+};
+
+/**
+ * 内置指标（与SystemConfig默认权重保持一致，顺序即数据录入表格的列顺序）
+ */
+MetricRegistry.DEFAULT_METRICS = [
+    { id: 'attendance', label: '出勤天数', unit: '天', weight: 10, field: 'attendanceDays', builtin: true },
+    { id: 'discharge', label: '出院人数', unit: '人', weight: 15, field: 'dischargeCount', builtin: true },
+    { id: 'medicalRevenue', label: '医疗业务收入', unit: '元', weight: 50, field: 'medicalRevenue', step: 0.01, sensitivityUnit: 10000, builtin: true, displayInResults: false },
+    { id: 'bedDays', label: '床日数', unit: '床日', weight: 25, field: 'bedDays', builtin: true }
+];
+
+// 导出指标注册表
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js环境
+    module.exports = {
+        MetricRegistry
+    };
+} else {
+    // 浏览器环境
+    window.MetricRegistry = MetricRegistry;
+}
@@ -3,6 +3,9 @@
  * 定义系统中使用的所有数据结构和模型类
  */
 
+// 依赖：指标注册表（浏览器中由metrics.js挂载到window）
+const modelDeps = (typeof module !== 'undefined' && module.exports) ? require('./metrics') : window;
+
 /**
  * 医生信息模型
  */
@@ -13,8 +16,8 @@ class Doctor {
      * @param {string} name - 姓名
      * @param {string} title - 职称
      * @param {number} titleCoefficient - 职称系数
-     * @param {number} workYears - 工作年限
-     * @param {boolean} isCertified - 是否已取证
+     * @param {number} workYears - 工作年限（旧字段，填写入职日期后以日期推算为准）
+     * @param {boolean} isCertified - 是否已取证（未填写取证日期时使用）
      */
     constructor(id, name, title, titleCoefficient, workYears, isCertified) {
         this.id = id || this.generateId();
@@ -23,6 +26,18 @@ class Doctor {
         this.titleCoefficient = titleCoefficient || 1.0;
         this.workYears = workYears || 0;
         this.isCertified = isCertified !== undefined ? isCertified : true;
+        // 入职日期、取证日期（YYYY-MM-DD），用于按计算月份推算资历和新入职人员系数
+        this.hireDate = null;
+        this.certificationDate = null;
+        // 入科/离科日期（YYYY-MM-DD），用于月中入职或离职人员按在岗天数折算
+        this.startDate = null;
+        this.endDate = null;
+        // 折算方式：auto按入离科日期和请假折算，none不折算（按整月参与分配）
+        this.prorationMode = 'auto';
+        // 所属治疗组ID（见SystemConfig.groupConfig），空字符串为未分组
+        this.groupId = '';
+        // 担任的岗位/职务（如总住院医师、教学秘书），用于领取按岗位设置的专项奖金
+        this.roles = [];
         // 移除 baseSalary 字段
         this.createdAt = new Date().toISOString();
         this.updatedAt = new Date().toISOString();
@@ -38,35 +53,127 @@ class Doctor {
 
     /**
      * 获取新入职人员系数
-     * @param {Object} config - 系统配置
+     * @param {Object} config - 新入职人员系数配置
+     * @param {Object} period - 计算月份 { year, month }，缺省为当前日期
      * @returns {number} 新入职人员系数
      */
-    getNewEmployeeCoefficient(config = {}) {
-        const defaultConfig = {
-            uncertifiedCoeff: 0.6,
-            certifiedWithinThreeYearsCoeff: 0.8,
-            normalCoeff: 1.0,
-            newEmployeeThreshold: 3
-        };
-        
-        const cfg = { ...defaultConfig, ...config };
-        
-        // 如果工作年限超过阈值，返回正常系数
-        if (this.workYears > cfg.newEmployeeThreshold) {
-            return cfg.normalCoeff;
-        }
-        
-        // 未取证
-        if (!this.isCertified) {
-            return cfg.uncertifiedCoeff;
+    getNewEmployeeCoefficient(config = {}, period = {}) {
+        return Doctor.getSeniority(this, period, config).coefficient;
+    }
+
+    /**
+     * 解析日期字符串（YYYY-MM-DD）
+     * @param {string} value - 日期字符串
+     * @returns {number|null} UTC时间戳，无效时为null
+     */
+    static parseDate(value) {
+        if (!value) return null;
+        const [y, m, d] = String(value).slice(0, 10).split('-').map(Number);
+        return (y && m && d) ? Date.UTC(y, m - 1, d) : null;
+    }
+
+    /**
+     * 解析岗位/职务文本（以逗号、顿号或空格分隔），去除空项和重复项
+     * @param {string} text - 岗位文本
+     * @returns {Array<string>} 岗位列表
+     */
+    static parseRoles(text) {
+        return [...new Set(String(text || '').split(/[,，、\s]+/).map(role => role.trim()).filter(Boolean))];
+    }
+
+    /**
+     * 计算两个日期之间的整月数
+     * @param {number} from - 起始日期（UTC时间戳）
+     * @param {number} to - 截止日期（UTC时间戳）
+     * @returns {number} 整月数，截止日期早于起始日期时为0
+     */
+    static getFullMonthsBetween(from, to) {
+        if (to < from) return 0;
+        const start = new Date(from);
+        const end = new Date(to);
+        const months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 +
+            (end.getUTCMonth() - start.getUTCMonth()) -
+            (end.getUTCDate() < start.getUTCDate() ? 1 : 0);
+        return Math.max(0, months);
+    }
+
+    /**
+     * 计算医生在指定月份的资历和新入职人员系数
+     * 全系统统一使用本方法（计算引擎、结果展示等），以计算月份最后一天为基准日：
+     * 1. 入职不满"新入职判定年限"者为新入职人员；未填写入职日期时资历未知，按正常系数计算；
+     * 2. 新入职人员中，基准日前未取证者使用未取证系数，取证未满判定年限者使用取证三年内系数，其余使用正常系数；
+     * 3. 启用渐进式调节时，系数随入职月数在判定期内由基础系数线性升至正常系数。
+     * 未填写取证日期时使用isCertified标记判断是否取证
+     * @param {Object} doctor - 医生（Doctor实例或同结构的普通对象）
+     * @param {Object} period - 计算月份 { year, month }，缺省为当前日期
+     * @param {Object} config - 新入职人员系数配置
+     * @returns {Object} 资历信息 { source, hireDate, certificationDate, workMonths, workYears, isCertified, certifiedMonths, isNewEmployee, category, baseCoefficient, progressFactor, coefficient }
+     */
+    static getSeniority(doctor, period = {}, config = {}) {
+        const cfg = { ...Doctor.DEFAULT_NEW_EMPLOYEE_CONFIG, ...config };
+        const now = new Date();
+        const referenceDate = (period.year && period.month) ?
+            Date.UTC(period.year, period.month, 0) :
+            Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+
+        const hireDate = Doctor.parseDate(doctor?.hireDate);
+        const certificationDate = Doctor.parseDate(doctor?.certificationDate);
+        const thresholdMonths = cfg.newEmployeeThreshold * 12;
+
+        const workMonths = hireDate !== null ? Doctor.getFullMonthsBetween(hireDate, referenceDate) : null;
+        const isCertified = certificationDate !== null ? certificationDate <= referenceDate : doctor?.isCertified !== false;
+        const certifiedMonths = (certificationDate !== null && isCertified) ?
+            Doctor.getFullMonthsBetween(certificationDate, referenceDate) : null;
+        const isNewEmployee = workMonths !== null && workMonths < thresholdMonths;
+
+        let category = 'normal';
+        let baseCoefficient = cfg.normalCoeff;
+        if (isNewEmployee && !isCertified) {
+            category = 'uncertified';
+            baseCoefficient = cfg.uncertifiedCoeff;
+        } else if (isNewEmployee && (certifiedMonths === null || certifiedMonths < thresholdMonths)) {
+            category = 'recentlyCertified';
+            baseCoefficient = cfg.certifiedWithinThreeYearsCoeff;
         }
-        
-        // 已取证但在三年内
-        if (this.workYears <= cfg.newEmployeeThreshold) {
-            return cfg.certifiedWithinThreeYearsCoeff;
+
+        let progressFactor = 1;
+        if (category !== 'normal') {
+            progressFactor = cfg.progressive && thresholdMonths > 0 ? Math.min(1, workMonths / thresholdMonths) : 0;
         }
-        
-        return cfg.normalCoeff;
+
+        return {
+            source: hireDate !== null ? 'dates' : 'unknown',
+            hireDate: doctor?.hireDate || null,
+            certificationDate: doctor?.certificationDate || null,
+            workMonths: workMonths,
+            workYears: workMonths !== null ? Math.floor(workMonths / 12) : (doctor?.workYears || 0),
+            isCertified: isCertified,
+            certifiedMonths: certifiedMonths,
+            isNewEmployee: isNewEmployee,
+            category: category,
+            baseCoefficient: baseCoefficient,
+            progressFactor: progressFactor,
+            coefficient: baseCoefficient + (cfg.normalCoeff - baseCoefficient) * progressFactor
+        };
+    }
+
+    /**
+     * 计算医生在指定月份中的在科天数（按入科/离科日期截取）
+     * 接受Doctor实例或同结构的普通对象
+     * @param {Object} doctor - 医生
+     * @param {number} year - 年份
+     * @param {number} month - 月份（1-12）
+     * @returns {number} 在科天数，未入科或已离科时为0
+     */
+    static getEmploymentDaysInMonth(doctor, year, month) {
+        const daysInMonth = new Date(year, month, 0).getDate();
+        const monthStart = Date.UTC(year, month - 1, 1);
+        const monthEnd = Date.UTC(year, month - 1, daysInMonth);
+        const dayMs = 24 * 60 * 60 * 1000;
+
+        const start = Math.max(monthStart, Doctor.parseDate(doctor?.startDate) ?? monthStart);
+        const end = Math.min(monthEnd, Doctor.parseDate(doctor?.endDate) ?? monthEnd);
+        return end < start ? 0 : Math.round((end - start) / dayMs) + 1;
     }
 
     /**
@@ -80,6 +187,20 @@ class Doctor {
             errors.push('姓名不能为空');
         }
         
+        [['hireDate', '入职日期'], ['certificationDate', '取证日期'], ['startDate', '入科日期'], ['endDate', '离科日期']].forEach(([field, label]) => {
+            if (this[field] && Doctor.parseDate(this[field]) === null) {
+                errors.push(`${label}格式无效`);
+            }
+        });
+        
+        if (this.startDate && this.endDate && this.endDate < this.startDate) {
+            errors.push('离科日期不能早于入科日期');
+        }
+        
+        if (!Doctor.PRORATION_MODES[this.prorationMode]) {
+            errors.push('折算方式无效');
+        }
+        
         if (!this.title || this.title.trim() === '') {
             errors.push('职称不能为空');
         }
@@ -112,6 +233,13 @@ class Doctor {
             titleCoefficient: this.titleCoefficient,
             workYears: this.workYears,
             isCertified: this.isCertified,
+            hireDate: this.hireDate,
+            certificationDate: this.certificationDate,
+            startDate: this.startDate,
+            endDate: this.endDate,
+            prorationMode: this.prorationMode,
+            groupId: this.groupId,
+            roles: this.roles,
             createdAt: this.createdAt,
             updatedAt: this.updatedAt
         };
@@ -131,6 +259,13 @@ class Doctor {
             json.workYears,
             json.isCertified
         );
+        doctor.hireDate = json.hireDate || null;
+        doctor.certificationDate = json.certificationDate || null;
+        doctor.startDate = json.startDate || null;
+        doctor.endDate = json.endDate || null;
+        doctor.prorationMode = json.prorationMode || 'auto';
+        doctor.groupId = json.groupId || '';
+        doctor.roles = Array.isArray(json.roles) ? [...json.roles] : [];
         doctor.createdAt = json.createdAt || doctor.createdAt;
         doctor.updatedAt = json.updatedAt || doctor.updatedAt;
         return doctor;
@@ -149,14 +284,30 @@ class MonthlyWorkData {
      * @param {number} bedDays - 床日数
      * @param {number} medicalRevenue - 医疗收入
      * @param {number} rewardPenalty - 奖罚金额（正数为奖励，负数为扣除）
+     * @param {Object} metrics - 自定义指标值（指标标识到数值的映射）
+     * @param {Object} leaveDays - 各类请假天数（键见MonthlyWorkData.LEAVE_TYPES）
+     * @param {Object} qualityEvents - 各类质量安全事件次数（键见MonthlyWorkData.QUALITY_INDICATORS）
+     * @param {Object} drgDischarges - 各DRG分组的出院人数（DRG分组编码到人数的映射）
+     * @param {number|null} caseMixIndex - 病例组合指数（未按DRG分组录入时使用）
+     * @param {Object} revenueComponents - 医疗收入构成（键见MonthlyWorkData.REVENUE_COMPONENTS）
      */
-    constructor(doctorId, attendanceDays, dischargeCount, bedDays, medicalRevenue, rewardPenalty) {
+    constructor(doctorId, attendanceDays, dischargeCount, bedDays, medicalRevenue, rewardPenalty, metrics, leaveDays, qualityEvents, drgDischarges, caseMixIndex, revenueComponents) {
         this.doctorId = doctorId || '';
         this.attendanceDays = attendanceDays || 0;
         this.dischargeCount = dischargeCount || 0;
         this.bedDays = bedDays || 0;
         this.medicalRevenue = medicalRevenue || 0; // 新增：医疗收入字段
         this.rewardPenalty = rewardPenalty || 0; // 奖罚金额（正数为奖励，负数为扣除）
+        this.metrics = { ...(metrics || {}) }; // 自定义指标值，由指标注册表定义
+        this.leaveDays = { ...(leaveDays || {}) }; // 请假天数，如 { sick: 3 }
+        this.qualityEvents = { ...(qualityEvents || {}) }; // 质量安全事件次数，如 { complaints: 1 }
+        this.drgDischarges = { ...(drgDischarges || {}) }; // DRG分组出院人数，如 { ES31: 3 }
+        this.caseMixIndex = caseMixIndex ?? null; // 病例组合指数
+        this.revenueComponents = { ...(revenueComponents || {}) }; // 医疗收入构成，如 { service: 30000, drugs: 12000 }
+        this.groupId = ''; // 本月计入的治疗组ID，计算时按医生当时所属治疗组记录
+        this.roles = []; // 本月临时承担的岗位（如RICU轮转），与医生的常设岗位一并计算岗位系数
+        this.roster = {}; // 本月排班：日期（1-31）到轮转地点ID的映射，如 { 1: 'ricu', 2: 'ricu' }，未排班的日期不计
+        this.duties = []; // 值班记录，如 [{ date: '2026-09-05', type: 'night', hours: 12 }]（类型见MonthlyWorkData.DUTY_TYPES）
     }
 
     /**
@@ -186,6 +337,83 @@ class MonthlyWorkData {
             errors.push('医疗收入不能为负数');
         }
         
+        Object.entries(this.metrics).forEach(([metricId, value]) => {
+            const values = Array.isArray(value) ? value : [value];
+            if (values.some(item => isNaN(Number(item)) || Number(item) < 0)) {
+                errors.push(`指标${metricId}的数值不能为负数`);
+            }
+        });
+        
+        Object.entries(this.leaveDays).forEach(([type, days]) => {
+            if (!MonthlyWorkData.LEAVE_TYPES[type]) {
+                errors.push(`未知的请假类型：${type}`);
+            } else if (isNaN(Number(days)) || Number(days) < 0) {
+                errors.push(`${MonthlyWorkData.LEAVE_TYPES[type]}天数不能为负数`);
+            }
+        });
+        
+        Object.entries(this.qualityEvents).forEach(([type, count]) => {
+            if (!MonthlyWorkData.QUALITY_INDICATORS[type]) {
+                errors.push(`未知的质量安全指标：${type}`);
+            } else if (!Number.isInteger(Number(count)) || Number(count) < 0) {
+                errors.push(`${MonthlyWorkData.QUALITY_INDICATORS[type]}次数必须为非负整数`);
+            }
+        });
+        
+        Object.entries(this.drgDischarges).forEach(([code, count]) => {
+            if (!Number.isInteger(Number(count)) || Number(count) < 0) {
+                errors.push(`DRG分组${code}的出院人数必须为非负整数`);
+            }
+        });
+        
+        const drgTotal = Object.values(this.drgDischarges).reduce((sum, count) => sum + (Number(count) || 0), 0);
+        if (drgTotal > this.dischargeCount) {
+            errors.push('DRG分组出院人数合计不能超过出院人数');
+        }
+        
+        Object.entries(this.revenueComponents).forEach(([type, amount]) => {
+            if (!MonthlyWorkData.REVENUE_COMPONENTS[type]) {
+                errors.push(`未知的收入构成：${type}`);
+            } else if (isNaN(Number(amount)) || Number(amount) < 0) {
+                errors.push(`${MonthlyWorkData.REVENUE_COMPONENTS[type]}不能为负数`);
+            }
+        });
+        
+        const revenueTotal = Object.values(this.revenueComponents).reduce((sum, amount) => sum + (Number(amount) || 0), 0);
+        if (revenueTotal - this.medicalRevenue > 0.005) {
+            errors.push('收入构成合计不能超过医疗收入');
+        }
+        
+        if (this.caseMixIndex !== null && (isNaN(Number(this.caseMixIndex)) || Number(this.caseMixIndex) <= 0)) {
+            errors.push('病例组合指数必须大于0');
+        }
+        
+        const totalLeaveDays = Object.values(this.leaveDays).reduce((sum, days) => sum + (Number(days) || 0), 0);
+        if (totalLeaveDays > 31) {
+            errors.push('请假天数合计不能超过31天');
+        }
+        
+        Object.entries(this.roster).forEach(([day, locationId]) => {
+            if (!Number.isInteger(Number(day)) || Number(day) < 1 || Number(day) > 31) {
+                errors.push(`排班日期${day}无效`);
+            } else if (typeof locationId !== 'string' || !locationId) {
+                errors.push(`${day}日的轮转地点无效`);
+            }
+        });
+        
+        this.duties.forEach((duty, index) => {
+            const label = `第${index + 1}条值班记录`;
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(duty.date || '') || isNaN(new Date(duty.date).getTime())) {
+                errors.push(`${label}的日期无效`);
+            }
+            if (!MonthlyWorkData.DUTY_TYPES[duty.type]) {
+                errors.push(`${label}的值班类型未知：${duty.type}`);
+            }
+            if (isNaN(Number(duty.hours)) || Number(duty.hours) <= 0 || Number(duty.hours) > 48) {
+                errors.push(`${label}的值班时长应大于0且不超过48小时`);
+            }
+        });
+        
         // rewardPenalty可以为正数（奖励）或负数（扣除），无需验证范围
         
         return {
@@ -205,7 +433,17 @@ class MonthlyWorkData {
             dischargeCount: this.dischargeCount,
             bedDays: this.bedDays,
             medicalRevenue: this.medicalRevenue,
-            rewardPenalty: this.rewardPenalty
+            rewardPenalty: this.rewardPenalty,
+            metrics: this.metrics,
+            leaveDays: this.leaveDays,
+            qualityEvents: this.qualityEvents,
+            drgDischarges: this.drgDischarges,
+            caseMixIndex: this.caseMixIndex,
+            revenueComponents: this.revenueComponents,
+            groupId: this.groupId,
+            roles: this.roles,
+            roster: this.roster,
+            duties: this.duties
         };
     }
 
@@ -215,14 +453,57 @@ class MonthlyWorkData {
      * @returns {MonthlyWorkData} MonthlyWorkData实例
      */
     static fromJSON(json) {
-        return new MonthlyWorkData(
+        const workData = new MonthlyWorkData(
             json.doctorId,
             json.attendanceDays,
             json.dischargeCount,
             json.bedDays,
             json.medicalRevenue,
-            json.rewardPenalty
+            json.rewardPenalty,
+            json.metrics,
+            json.leaveDays,
+            json.qualityEvents,
+            json.drgDischarges,
+            json.caseMixIndex,
+            json.revenueComponents
         );
+        workData.groupId = json.groupId || '';
+        workData.roles = Array.isArray(json.roles) ? [...json.roles] : [];
+        workData.roster = { ...(json.roster || {}) };
+        workData.duties = (json.duties || []).map(duty => ({ ...duty }));
+        return workData;
+    }
+
+    /**
+     * 按值班类型汇总值班次数和时长
+     * @param {Array<Object>} duties - 值班记录 [{ date, type, hours }]
+     * @returns {Object} { count, hours, byType: { 类型: { count, hours } } }
+     */
+    static summarizeDuties(duties) {
+        const summary = { count: 0, hours: 0, byType: {} };
+        (duties || []).forEach(duty => {
+            const hours = Number(duty.hours) || 0;
+            const entry = summary.byType[duty.type] = summary.byType[duty.type] || { count: 0, hours: 0 };
+            entry.count += 1;
+            entry.hours += hours;
+            summary.count += 1;
+            summary.hours += hours;
+        });
+        return summary;
+    }
+
+    /**
+     * 按排班统计各轮转地点的天数
+     * @param {Object} roster - 排班（日期到轮转地点ID的映射）
+     * @returns {Object} 轮转地点ID到天数的映射
+     */
+    static getLocationDays(roster) {
+        const days = {};
+        Object.values(roster || {}).forEach(locationId => {
+            if (!locationId) return;
+            days[locationId] = (days[locationId] || 0) + 1;
+        });
+        return days;
     }
 }
 
@@ -239,8 +520,11 @@ class PerformanceRecord {
      * @param {Array} workData - 工作数据列表
      * @param {Array} results - 计算结果列表
      * @param {Object} config - 计算配置
+     * @param {Object|null} trace - 计算审计轨迹（见PerformanceCalculator.createTrace）
+     * @param {Array} groupResults - 各治疗组的汇总结果
+     * @param {Object|null} ruleVersion - 计算使用的规则版本 { id, name, effectiveFrom }，按当前设置计算时为null
      */
-    constructor(id, year, month, doctors, workData, results, config) {
+    constructor(id, year, month, doctors, workData, results, config, trace, groupResults, ruleVersion) {
         this.id = id || this.generateId();
         this.year = year || new Date().getFullYear().toString();
         this.month = month || (new Date().getMonth() + 1).toString();
@@ -248,6 +532,9 @@ class PerformanceRecord {
         this.workData = workData || [];
         this.results = results || [];
         this.config = config || {};
+        this.trace = trace || null;
+        this.groupResults = groupResults || [];
+        this.ruleVersion = ruleVersion || null;
         this.createdAt = new Date().toISOString();
         this.updatedAt = new Date().toISOString();
     }
@@ -295,6 +582,14 @@ class PerformanceRecord {
         };
     }
 
+    /**
+     * 汇总本月全科的值班次数和时长
+     * @returns {Object} 汇总结果，见MonthlyWorkData.summarizeDuties
+     */
+    getDutySummary() {
+        return MonthlyWorkData.summarizeDuties(this.workData.flatMap(workData => workData?.duties || []));
+    }
+
     /**
      * 验证绩效记录
      * @returns {Object} 验证结果
@@ -342,6 +637,9 @@ class PerformanceRecord {
             workData: this.workData.map(w => w.toJSON ? w.toJSON() : w),
             results: this.results,
             config: this.config,
+            trace: this.trace,
+            groupResults: this.groupResults,
+            ruleVersion: this.ruleVersion,
             createdAt: this.createdAt,
             updatedAt: this.updatedAt
         };
@@ -367,6 +665,112 @@ class PerformanceRecord {
             doctors,
             workData,
             json.results || [],
+            json.config || {},
+            json.trace || null,
+            json.groupResults || [],
+            json.ruleVersion || null
+        );
+        
+        record.createdAt = json.createdAt || record.createdAt;
+        record.updatedAt = json.updatedAt || record.updatedAt;
+        
+        return record;
+    }
+}
+
+/**
+ * 年终结算记录模型
+ */
+class SettlementRecord {
+    /**
+     * 构造函数
+     * @param {string} id - 记录ID
+     * @param {string} year - 结算年度
+     * @param {string} method - 结算方式（见PerformanceCalculator.SETTLEMENT_METHODS）
+     * @param {number} annualBonus - 年度奖金总额
+     * @param {Array} lines - 各人结算明细 [{ doctorId, doctorName, monthsPaid, advance, rewardPenaltyPaid, entitlement, adjustment }]
+     * @param {Object} summary - 结算汇总
+     * @param {Array} months - 参与结算的月份 [{ recordId, month, totalBonus, paid }]
+     * @param {Object} config - 结算使用的年度配置
+     */
+    constructor(id, year, method, annualBonus, lines, summary, months, config) {
+        this.id = id || this.generateId();
+        this.type = 'settlement';
+        this.year = year ? String(year) : new Date().getFullYear().toString();
+        this.method = method || 'monthly';
+        this.annualBonus = annualBonus || 0;
+        this.lines = lines || [];
+        this.summary = summary || {};
+        this.months = months || [];
+        this.missingMonths = Array.from({ length: 12 }, (_, index) => index + 1)
+            .filter(month => !this.months.some(item => Number(item.month) === month));
+        this.config = config || {};
+        this.createdAt = new Date().toISOString();
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * 生成唯一ID
+     * @returns {string} 唯一标识符
+     */
+    generateId() {
+        return 'settlement_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * 转换为JSON对象
+     * @returns {Object} JSON对象
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            type: this.type,
+            year: this.year,
+            method: this.method,
+            annualBonus: this.annualBonus,
+            lines: this.lines,
+            summary: this.summary,
+            months: this.months,
+            missingMonths: this.missingMonths,
+            config: this.config,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    /**
+     * 从年终结算单创建SettlementRecord实例
+     * @param {Object} settlement - 年终结算单（见PerformanceCalculator.calculateAnnualSettlement）
+     * @param {Object} config - 结算使用的年度配置
+     * @returns {SettlementRecord} SettlementRecord实例
+     */
+    static fromSettlement(settlement, config) {
+        return new SettlementRecord(
+            null,
+            settlement.year,
+            settlement.method,
+            settlement.annualBonus,
+            settlement.lines,
+            settlement.summary,
+            settlement.months,
+            config && config.toJSON ? config.toJSON() : config
+        );
+    }
+
+    /**
+     * 从JSON对象创建SettlementRecord实例
+     * @param {Object} json - JSON对象
+     * @returns {SettlementRecord} SettlementRecord实例
+     */
+    static fromJSON(json) {
+        const record = new SettlementRecord(
+            json.id,
+            json.year,
+            json.method,
+            json.annualBonus,
+            json.lines || [],
+            json.summary || {},
+            json.months || [],
             json.config || {}
         );
         
@@ -387,13 +791,20 @@ class SystemConfig {
      */
     constructor(config = {}) {
         // 绩效计算权重配置
-        this.performanceWeights = {
-            medicalRevenue: config.performanceWeights?.medicalRevenue || config.performanceWeights?.baseSalary || 50,
-            discharge: config.performanceWeights?.discharge || 15,
-            bedDays: config.performanceWeights?.bedDays || 25,
-            attendance: config.performanceWeights?.attendance || 10
+        // 使用??而非||，允许将某项权重设置为0
+        const legacyWeights = {
+            medicalRevenue: config.performanceWeights?.medicalRevenue ?? config.performanceWeights?.baseSalary ?? 50,
+            discharge: config.performanceWeights?.discharge ?? 15,
+            bedDays: config.performanceWeights?.bedDays ?? 25,
+            attendance: config.performanceWeights?.attendance ?? 10
         };
         
+        // 绩效指标定义（指标注册表），旧配置没有metrics时由内置指标和上述权重生成
+        this.setMetrics(modelDeps.MetricRegistry.fromConfig({
+            metrics: config.metrics,
+            performanceWeights: legacyWeights
+        }).toJSON());
+        
         // 职称系数配置
         this.titleCoefficients = config.titleCoefficients || [
             { name: '住院医师', coefficient: 1.0, description: '初级职称' },
@@ -404,10 +815,158 @@ class SystemConfig {
         
         // 新入职人员系数配置
         this.newEmployeeConfig = {
-            uncertifiedCoeff: config.newEmployeeConfig?.uncertifiedCoeff || 0.6,
-            certifiedWithinThreeYearsCoeff: config.newEmployeeConfig?.certifiedWithinThreeYearsCoeff || 0.8,
-            normalCoeff: config.newEmployeeConfig?.normalCoeff || 1.0,
-            newEmployeeThreshold: config.newEmployeeConfig?.newEmployeeThreshold || 3
+            ...Doctor.DEFAULT_NEW_EMPLOYEE_CONFIG,
+            ...(config.newEmployeeConfig || {})
+        };
+        
+        // 岗位系数：医生的常设岗位和当月临时岗位在roles表中有系数时参与计算，
+        // 多个岗位按combine组合（multiply连乘 / add累加超出1的部分 / max取最大值）
+        this.roleCoefficientConfig = {
+            combine: config.roleCoefficientConfig?.combine || 'multiply',
+            roles: (config.roleCoefficientConfig?.roles || []).map(role => ({
+                name: role.name,
+                coefficient: role.coefficient ?? 1,
+                description: role.description || ''
+            }))
+        };
+        
+        // 轮转地点：按排班天数加权得到地点系数和各指标的地点系数（metricFactors为指标标识到系数的映射，缺省为1）
+        this.locationConfig = {
+            locations: (config.locationConfig?.locations || MonthlyWorkData.DEFAULT_LOCATIONS).map(location => ({
+                id: location.id,
+                name: location.name,
+                coefficient: location.coefficient ?? 1,
+                metricFactors: { ...(location.metricFactors || {}) }
+            }))
+        };
+        
+        // 值班：值班分值 = Σ 时长 × 每小时分值（rates），mode为none不计入 / pool单独计提值班奖金 / metric作为metricId指标的数值；
+        // 值班奖金按poolMode计提（perPoint每分值金额 / fixed固定金额 / percentage奖金总额百分比），按值班分值分配
+        this.dutyConfig = {
+            mode: config.dutyConfig?.mode || 'none',
+            rates: { night: 1.5, weekend: 1, holiday: 2, ...(config.dutyConfig?.rates || {}) },
+            poolMode: config.dutyConfig?.poolMode || 'perPoint',
+            poolValue: config.dutyConfig?.poolValue ?? 0,
+            metricId: config.dutyConfig?.metricId || ''
+        };
+        
+        // 奖罚处理配置
+        // additive: 奖罚在奖金池之外额外发放/扣除；poolNeutral: 奖罚从奖金池中支出/返还奖金池，总额保持不变
+        this.rewardPenaltyConfig = {
+            policy: config.rewardPenaltyConfig?.policy ?? 'additive'
+        };
+        
+        // 个人分配上下限（mode: none不限制 / absolute固定金额 / averageMultiple人均奖金倍数）
+        // 下限默认仅对满勤人员生效；按职称的上下限保存在titleCoefficients的minAllocation/maxAllocation中
+        this.allocationConstraints = {
+            floor: {
+                mode: config.allocationConstraints?.floor?.mode ?? 'none',
+                value: config.allocationConstraints?.floor?.value ?? 0,
+                fullAttendanceOnly: config.allocationConstraints?.floor?.fullAttendanceOnly ?? true
+            },
+            ceiling: {
+                mode: config.allocationConstraints?.ceiling?.mode ?? 'none',
+                value: config.allocationConstraints?.ceiling?.value ?? 0
+            }
+        };
+        
+        // 在岗天数折算配置：请假天数按类型的计入比例折算为在岗天数（1为视同在岗，0为全部扣除）
+        this.prorationConfig = {
+            enabled: config.prorationConfig?.enabled ?? true,
+            leaveCreditRatios: {
+                sick: config.prorationConfig?.leaveCreditRatios?.sick ?? 0,
+                maternity: config.prorationConfig?.leaveCreditRatios?.maternity ?? 1,
+                study: config.prorationConfig?.leaveCreditRatios?.study ?? 1
+            }
+        };
+        
+        // 治疗组配置：科室奖金先按组级权重（人数和产出）分到各治疗组，再在组内按个人算法分配
+        // 人数按在岗天数折算为全时人数；产出为各指标组内汇总占科室汇总的比例按指标权重加权
+        this.groupConfig = {
+            groups: (config.groupConfig?.groups || []).map(group => ({ id: group.id, name: group.name })),
+            weights: {
+                headcount: config.groupConfig?.weights?.headcount ?? 30,
+                output: config.groupConfig?.weights?.output ?? 70
+            }
+        };
+        
+        // 质量安全系数：各项事件超过容许次数后按扣减曲线（linear/step/progressive）扣减系数，系数不低于下限；
+        // mode为multiply时系数乘入个人份额，为deduct时从个人绩效金额中扣减
+        const qualityIndicators = config.qualityConfig?.indicators || {};
+        this.qualityConfig = {
+            enabled: config.qualityConfig?.enabled ?? true,
+            mode: config.qualityConfig?.mode || 'multiply',
+            minCoefficient: config.qualityConfig?.minCoefficient ?? 0.5,
+            indicators: {
+                readmissions: { threshold: 0, penalty: 0.05, curve: 'linear', ...(qualityIndicators.readmissions || {}) },
+                complaints: { threshold: 0, penalty: 0.05, curve: 'linear', ...(qualityIndicators.complaints || {}) },
+                recordDefects: { threshold: 2, penalty: 0.02, curve: 'linear', ...(qualityIndicators.recordDefects || {}) },
+                infections: { threshold: 0, penalty: 0.1, curve: 'step', ...(qualityIndicators.infections || {}) }
+            }
+        };
+        
+        // 病例组合（DRG）：出院人数按DRG权重加权，权重表可在设置中编辑或从CSV导入
+        this.drgConfig = {
+            enabled: config.drgConfig?.enabled ?? true,
+            weights: (config.drgConfig?.weights || []).map(entry => ({ code: entry.code, name: entry.name || '', weight: entry.weight }))
+        };
+        
+        // 医疗收入计分口径（gross总额 / net净收入 / service仅医疗服务收入）：净收入按各项收入的计入比例折算；
+        // 药占比、耗占比目标为百分比，null为不考核，每超出1个百分点按扣减比例扣减计分收入
+        this.revenueConfig = {
+            basis: config.revenueConfig?.basis || 'net',
+            netRatios: {
+                service: config.revenueConfig?.netRatios?.service ?? 1,
+                drugs: config.revenueConfig?.netRatios?.drugs ?? 0,
+                consumables: config.revenueConfig?.netRatios?.consumables ?? 0,
+                exams: config.revenueConfig?.netRatios?.exams ?? 1
+            },
+            ratioTargets: {
+                drugs: { target: null, penalty: 0.02, ...(config.revenueConfig?.ratioTargets?.drugs || {}) },
+                consumables: { target: null, penalty: 0.02, ...(config.revenueConfig?.ratioTargets?.consumables || {}) }
+            }
+        };
+        
+        // 多月平滑（mode: none不平滑 / rollingShare指标份额滚动平均 / blendPay与上月绩效混合），
+        // 滚动平均取含本月在内的window个月，月份权重为equal等权、linear线性递减或exponential按decay指数衰减
+        this.smoothingConfig = {
+            mode: config.smoothingConfig?.mode || 'none',
+            window: config.smoothingConfig?.window ?? 3,
+            weighting: config.smoothingConfig?.weighting || 'equal',
+            decay: config.smoothingConfig?.decay ?? 0.5,
+            blendRatio: config.smoothingConfig?.blendRatio ?? 0.3
+        };
+        
+        // 专项奖金池：在按指标分配前从奖金总额中预留，按固定金额或奖金总额的百分比计提，
+        // 在指定医生和担任指定岗位的医生之间平均分配
+        this.subPoolConfig = {
+            pools: (config.subPoolConfig?.pools || []).map(pool => ({
+                id: pool.id,
+                name: pool.name,
+                mode: pool.mode || 'fixed',
+                value: pool.value ?? 0,
+                doctorIds: [...(pool.doctorIds || [])],
+                roles: [...(pool.roles || [])]
+            }))
+        };
+        
+        // 自定义公式：coefficient为综合系数公式，share为最终分配份额公式，为空时按常规方式计算
+        this.formulaConfig = {
+            coefficient: config.formulaConfig?.coefficient || '',
+            share: config.formulaConfig?.share || ''
+        };
+        
+        // 公平性预警阈值，计算结果中超过阈值的指标会被标记
+        this.fairnessConfig = {
+            giniMax: config.fairnessConfig?.giniMax ?? 0.3,
+            p90p10Max: config.fairnessConfig?.p90p10Max ?? 3,
+            top20ShareMax: config.fairnessConfig?.top20ShareMax ?? 0.4,
+            withinBandCvMax: config.fairnessConfig?.withinBandCvMax ?? 0.3
+        };
+        
+        // 金额取整配置（单位：元，支持1、10、100）
+        this.roundingConfig = {
+            unit: config.roundingConfig?.unit ?? 1
         };
         
         // 系统选项配置
@@ -418,6 +977,12 @@ class SystemConfig {
             maxHistoryRecords: config.systemOptions?.maxHistoryRecords || 100
         };
         
+        // 规则版本：已发布的计算规则快照，计算某月时使用生效月份（YYYY-MM）不晚于该月的最新版本，
+        // 没有已生效的版本时使用当前设置
+        this.ruleVersions = (config.ruleVersions || [])
+            .map(version => ({ ...version }))
+            .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+        
         this.updatedAt = new Date().toISOString();
     }
 
@@ -426,13 +991,21 @@ class SystemConfig {
      * @returns {boolean} 权重总和是否为100
      */
     validateWeights() {
-        const total = this.performanceWeights.medicalRevenue + 
-                     this.performanceWeights.discharge + 
-                     this.performanceWeights.bedDays + 
-                     this.performanceWeights.attendance;
+        const total = Object.values(this.performanceWeights).reduce((sum, weight) => sum + weight, 0);
         return Math.abs(total - 100) < 0.01; // 允许小数误差
     }
 
+    /**
+     * 设置绩效指标定义，并同步各指标权重
+     * @param {Array<Object>} metrics - 指标定义列表
+     */
+    setMetrics(metrics) {
+        const registry = new modelDeps.MetricRegistry(metrics);
+        this.metrics = registry.toJSON();
+        this.performanceWeights = registry.getWeights();
+        this.updatedAt = new Date().toISOString();
+    }
+
     /**
      * 获取职称系数
      * @param {string} titleName - 职称名称
@@ -448,10 +1021,17 @@ class SystemConfig {
      * @param {string} name - 职称名称
      * @param {number} coefficient - 系数值
      * @param {string} description - 描述
+     * @param {Object} limits - 该职称的个人绩效上下限 { minAllocation, maxAllocation }，未设置为null
      */
-    setTitleCoefficient(name, coefficient, description = '') {
+    setTitleCoefficient(name, coefficient, description = '', limits = {}) {
         const existingIndex = this.titleCoefficients.findIndex(t => t.name === name);
-        const titleData = { name, coefficient, description };
+        const titleData = {
+            name,
+            coefficient,
+            description,
+            minAllocation: limits.minAllocation ?? null,
+            maxAllocation: limits.maxAllocation ?? null
+        };
         
         if (existingIndex >= 0) {
             this.titleCoefficients[existingIndex] = titleData;
@@ -471,6 +1051,187 @@ class SystemConfig {
         this.updatedAt = new Date().toISOString();
     }
 
+    /**
+     * 获取当前设置中的计算规则快照（各规则配置项的深拷贝）
+     * @returns {Object} 规则快照，键见SystemConfig.RULE_SECTIONS
+     */
+    getRules() {
+        const json = this.toJSON();
+        const rules = {};
+        Object.keys(SystemConfig.RULE_SECTIONS).forEach(section => {
+            rules[section] = JSON.parse(JSON.stringify(json[section]));
+        });
+        return rules;
+    }
+
+    /**
+     * 将当前设置发布为规则版本
+     * @param {string} name - 版本名称，如"2026年第三季度规则"
+     * @param {string} effectiveFrom - 生效月份（YYYY-MM）
+     * @param {string} note - 版本说明
+     * @returns {Object} 新版本 { id, name, effectiveFrom, note, rules, createdAt }
+     */
+    publishRuleVersion(name, effectiveFrom, note = '') {
+        const versionName = String(name || '').trim();
+        if (!versionName) {
+            throw new Error('规则版本名称不能为空');
+        }
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(String(effectiveFrom || ''))) {
+            throw new Error('生效月份格式应为YYYY-MM');
+        }
+        const existing = this.ruleVersions.find(version => version.effectiveFrom === effectiveFrom);
+        if (existing) {
+            throw new Error(`${effectiveFrom}已有生效的规则版本"${existing.name}"，请先删除该版本`);
+        }
+
+        const version = {
+            id: 'rules_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            name: versionName,
+            effectiveFrom: effectiveFrom,
+            note: String(note || '').trim(),
+            rules: this.getRules(),
+            createdAt: new Date().toISOString()
+        };
+        this.ruleVersions = [...this.ruleVersions, version].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+        this.updatedAt = new Date().toISOString();
+        return version;
+    }
+
+    /**
+     * 删除规则版本（已保存的绩效记录保留其计算时的配置，不受影响）
+     * @param {string} versionId - 版本ID
+     */
+    removeRuleVersion(versionId) {
+        this.ruleVersions = this.ruleVersions.filter(version => version.id !== versionId);
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * 获取某月生效的规则版本：生效月份不晚于该月的最新版本
+     * @param {number} year - 年份
+     * @param {number} month - 月份（1-12）
+     * @returns {Object|null} 规则版本，没有已生效的版本时为null
+     */
+    getRuleVersionFor(year, month) {
+        const period = `${year}-${String(month).padStart(2, '0')}`;
+        const inForce = this.ruleVersions.filter(version => version.effectiveFrom <= period);
+        return inForce.length > 0 ? inForce[inForce.length - 1] : null;
+    }
+
+    /**
+     * 获取计算某月时使用的配置
+     * 有已生效的规则版本时按该版本的规则生成配置（系统选项沿用当前设置），否则使用当前设置
+     * @param {number} year - 年份
+     * @param {number} month - 月份（1-12）
+     * @returns {Object} { config: SystemConfig, version: { id, name, effectiveFrom }|null }
+     */
+    resolveForPeriod(year, month) {
+        const version = this.getRuleVersionFor(year, month);
+        if (!version) {
+            return { config: this, version: null };
+        }
+
+        const config = new SystemConfig({
+            ...JSON.parse(JSON.stringify(version.rules)),
+            systemOptions: this.systemOptions,
+            ruleVersions: this.ruleVersions
+        });
+        config.updatedAt = version.createdAt;
+        return {
+            config: config,
+            version: { id: version.id, name: version.name, effectiveFrom: version.effectiveFrom }
+        };
+    }
+
+    /**
+     * 将规则快照展开为"路径 → 取值"的映射，用于版本对比
+     * 对象数组按元素的id/code/name（没有时按序号）定位，如 metrics[discharge].weight；基本类型数组整体作为一个取值，空数组和空字符串不展开
+     * @param {*} value - 规则快照或其中的一部分
+     * @param {string} path - 当前路径
+     * @param {Object} out - 输出映射
+     * @returns {Object} 路径到取值的映射
+     */
+    static flattenRules(value, path = '', out = {}) {
+        if ((Array.isArray(value) && value.length === 0) || value === '') {
+            return out;
+        }
+        if (Array.isArray(value) && value.some(item => item && typeof item === 'object')) {
+            value.forEach((item, index) => {
+                const key = (item && typeof item === 'object') ? (item.id ?? item.code ?? item.name ?? index) : index;
+                SystemConfig.flattenRules(item, `${path}[${key}]`, out);
+            });
+        } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.keys(value).forEach(key => SystemConfig.flattenRules(value[key], path ? `${path}.${key}` : key, out));
+        } else if (path) {
+            out[path] = value;
+        }
+        return out;
+    }
+
+    /**
+     * 对比两份规则快照
+     * @param {Object} before - 较早的规则快照（可为空对象）
+     * @param {Object} after - 较新的规则快照
+     * @returns {Array<Object>} 差异列表 [{ section, sectionLabel, path, change: added|removed|changed, before, after }]
+     */
+    static diffRules(before = {}, after = {}) {
+        const beforeValues = SystemConfig.flattenRules(before || {});
+        const afterValues = SystemConfig.flattenRules(after || {});
+        const paths = [...new Set([...Object.keys(beforeValues), ...Object.keys(afterValues)])];
+
+        return paths
+            .filter(path => JSON.stringify(beforeValues[path]) !== JSON.stringify(afterValues[path]))
+            .map(path => {
+                const section = path.split(/[.[]/)[0];
+                return {
+                    section: section,
+                    sectionLabel: SystemConfig.RULE_SECTIONS[section] || section,
+                    path: path,
+                    change: !(path in beforeValues) ? 'added' : !(path in afterValues) ? 'removed' : 'changed',
+                    before: beforeValues[path],
+                    after: afterValues[path]
+                };
+            });
+    }
+
+    /**
+     * 解析DRG权重表CSV
+     * 每行为"DRG分组编码,名称,权重"（也可只有"编码,权重"两列），支持逗号或制表符分隔，权重不是数字的首行视为表头
+     * @param {string} text - CSV文本
+     * @returns {Array<Object>} DRG权重表 [{ code, name, weight }]
+     */
+    static parseDrgWeightsCSV(text) {
+        const rows = String(text || '')
+            .replace(/^\uFEFF/, '')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => line.split(/[,\t]/).map(cell => cell.trim().replace(/^"(.*)"$/, '$1')));
+
+        const weights = [];
+        rows.forEach((cells, index) => {
+            const code = cells[0];
+            const name = cells.length >= 3 ? cells[1] : '';
+            const weight = Number(cells[cells.length >= 3 ? 2 : 1]);
+            if (cells.length < 2 || isNaN(weight)) {
+                if (index === 0) return;
+                throw new Error(`第${index + 1}行格式无效，应为"编码,名称,权重"`);
+            }
+            if (!code) {
+                throw new Error(`第${index + 1}行缺少DRG分组编码`);
+            }
+            if (weight <= 0) {
+                throw new Error(`第${index + 1}行的权重必须大于0`);
+            }
+            if (weights.some(entry => entry.code === code)) {
+                throw new Error(`DRG分组编码"${code}"重复`);
+            }
+            weights.push({ code, name, weight });
+        });
+
+        return weights;
+    }
+
     /**
      * 重置为默认配置
      */
@@ -486,9 +1247,26 @@ class SystemConfig {
     toJSON() {
         return {
             performanceWeights: this.performanceWeights,
+            metrics: this.metrics,
             titleCoefficients: this.titleCoefficients,
             newEmployeeConfig: this.newEmployeeConfig,
+            roleCoefficientConfig: this.roleCoefficientConfig,
+            locationConfig: this.locationConfig,
+            dutyConfig: this.dutyConfig,
+            rewardPenaltyConfig: this.rewardPenaltyConfig,
+            roundingConfig: this.roundingConfig,
+            allocationConstraints: this.allocationConstraints,
+            prorationConfig: this.prorationConfig,
+            fairnessConfig: this.fairnessConfig,
+            groupConfig: this.groupConfig,
+            qualityConfig: this.qualityConfig,
+            drgConfig: this.drgConfig,
+            revenueConfig: this.revenueConfig,
+            smoothingConfig: this.smoothingConfig,
+            subPoolConfig: this.subPoolConfig,
+            formulaConfig: this.formulaConfig,
             systemOptions: this.systemOptions,
+            ruleVersions: this.ruleVersions,
             updatedAt: this.updatedAt
         };
     }
@@ -505,6 +1283,97 @@ class SystemConfig {
     }
 }
 
+/**
+ * 规则版本中保存的配置项（系统选项不属于计算规则）
+ */
+SystemConfig.RULE_SECTIONS = {
+    metrics: '绩效指标',
+    titleCoefficients: '职称系数',
+    newEmployeeConfig: '新入职人员系数',
+    roleCoefficientConfig: '岗位系数',
+    locationConfig: '轮转地点',
+    dutyConfig: '值班',
+    rewardPenaltyConfig: '奖罚处理',
+    roundingConfig: '金额取整',
+    allocationConstraints: '个人分配上下限',
+    prorationConfig: '在岗天数折算',
+    groupConfig: '治疗组',
+    qualityConfig: '质量安全系数',
+    drgConfig: '病例组合（DRG）',
+    revenueConfig: '医疗收入计分口径',
+    smoothingConfig: '多月平滑',
+    subPoolConfig: '专项奖金',
+    formulaConfig: '自定义公式',
+    fairnessConfig: '公平性预警阈值'
+};
+
+/**
+ * 新入职人员系数默认配置（SystemConfig与计算引擎共用）
+ */
+Doctor.DEFAULT_NEW_EMPLOYEE_CONFIG = {
+    uncertifiedCoeff: 0.6,
+    certifiedWithinThreeYearsCoeff: 0.8,
+    normalCoeff: 1.0,
+    newEmployeeThreshold: 3,
+    progressive: true
+};
+
+/**
+ * 医生折算方式
+ */
+Doctor.PRORATION_MODES = {
+    auto: '按入离科日期和请假折算',
+    none: '不折算'
+};
+
+/**
+ * 请假类型
+ */
+MonthlyWorkData.LEAVE_TYPES = {
+    sick: '病假',
+    maternity: '产假',
+    study: '进修/学习假'
+};
+
+/**
+ * 质量安全指标
+ */
+MonthlyWorkData.QUALITY_INDICATORS = {
+    readmissions: '30天再入院',
+    complaints: '患者投诉',
+    recordDefects: '病历缺陷',
+    infections: '院内感染'
+};
+
+/**
+ * 值班类型
+ */
+MonthlyWorkData.DUTY_TYPES = {
+    night: '夜班',
+    weekend: '周末值班',
+    holiday: '节假日值班'
+};
+
+/**
+ * 默认轮转地点（SystemConfig与计算引擎共用），系数均为1，按需在系统设置中调整
+ */
+MonthlyWorkData.DEFAULT_LOCATIONS = [
+    { id: 'ward', name: '普通病房', coefficient: 1, metricFactors: {} },
+    { id: 'ricu', name: 'RICU', coefficient: 1, metricFactors: {} },
+    { id: 'bronchoscopy', name: '支气管镜室', coefficient: 1, metricFactors: {} },
+    { id: 'outpatient', name: '门诊', coefficient: 1, metricFactors: {} }
+];
+
+/**
+ * 医疗收入构成
+ */
+MonthlyWorkData.REVENUE_COMPONENTS = {
+    service: '医疗服务收入',
+    drugs: '药品收入',
+    consumables: '耗材收入',
+    exams: '检查检验收入'
+};
+
 // 导出模型类
 if (typeof module !== 'undefined' && module.exports) {
     // Node.js环境
@@ -512,6 +1381,7 @@ if (typeof module !== 'undefined' && module.exports) {
         Doctor,
         MonthlyWorkData,
         PerformanceRecord,
+        SettlementRecord,
         SystemConfig
     };
 } else {
@@ -519,5 +1389,6 @@ if (typeof module !== 'undefined' && module.exports) {
     window.Doctor = Doctor;
     window.MonthlyWorkData = MonthlyWorkData;
     window.PerformanceRecord = PerformanceRecord;
+    window.SettlementRecord = SettlementRecord;
     window.SystemConfig = SystemConfig;
 }
\ No newline at end of file
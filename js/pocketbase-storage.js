@@ -65,6 +65,84 @@ class PocketBaseStorageManager {
         }
     }
 
+    /**
+     * 医生数据转换为PocketBase字段格式
+     */
+    toPocketBaseDoctor(doctor) {
+        return {
+            name: doctor.name,
+            title: doctor.title,
+            title_coefficient: doctor.titleCoefficient,
+            work_years: doctor.workYears,
+            is_certified: doctor.isCertified,
+            hire_date: doctor.hireDate,
+            certification_date: doctor.certificationDate,
+            start_date: doctor.startDate,
+            end_date: doctor.endDate,
+            proration_mode: doctor.prorationMode,
+            group_id: doctor.groupId || '',
+            roles: doctor.roles || []
+        };
+    }
+
+    /**
+     * PocketBase记录转换为前端医生数据格式
+     */
+    fromPocketBaseDoctor(record) {
+        return {
+            id: record.id,
+            name: record.name,
+            title: record.title,
+            titleCoefficient: record.title_coefficient,
+            workYears: record.work_years,
+            isCertified: record.is_certified,
+            hireDate: record.hire_date || null,
+            certificationDate: record.certification_date || null,
+            startDate: record.start_date || null,
+            endDate: record.end_date || null,
+            prorationMode: record.proration_mode || 'auto',
+            groupId: record.group_id || '',
+            roles: record.roles || [],
+            createdAt: record.created,
+            updatedAt: record.updated
+        };
+    }
+
+    /**
+     * 绩效记录转换为PocketBase字段格式
+     */
+    toPocketBaseRecord(record) {
+        return {
+            year: record.year,
+            month: record.month,
+            total_bonus: record.totalBonus,
+            calculation_config: record.config || {},
+            results: record.results,
+            trace: record.trace || null,
+            group_results: record.groupResults || [],
+            rule_version: record.ruleVersion || null
+        };
+    }
+
+    /**
+     * PocketBase记录转换为前端绩效记录格式
+     */
+    fromPocketBaseRecord(record) {
+        return {
+            id: record.id,
+            year: record.year,
+            month: record.month,
+            totalBonus: record.total_bonus,
+            config: record.calculation_config || {},
+            results: record.results,
+            trace: record.trace || null,
+            groupResults: record.group_results || [],
+            ruleVersion: record.rule_version || null,
+            createdAt: record.created,
+            updatedAt: record.updated
+        };
+    }
+
     /**
      * 获取医生列表
      */
@@ -77,16 +155,7 @@ class PocketBaseStorageManager {
                 
                 // 转换为前端期望的格式
                 const doctors = result.items || result;
-                const formattedDoctors = doctors.map(doctor => ({
-                    id: doctor.id,
-                    name: doctor.name,
-                    title: doctor.title,
-                    titleCoefficient: doctor.title_coefficient,
-                    workYears: doctor.work_years,
-                    isCertified: doctor.is_certified,
-                    createdAt: doctor.created,
-                    updatedAt: doctor.updated
-                }));
+                const formattedDoctors = doctors.map(doctor => this.fromPocketBaseDoctor(doctor));
                 
                 // 缓存到本地
                 this.localCache.set('doctors', formattedDoctors);
@@ -121,13 +190,7 @@ class PocketBaseStorageManager {
                 const existing = existingDoctors.items || existingDoctors;
                 
                 for (const doctor of doctors) {
-                    const pbDoctor = {
-                        name: doctor.name,
-                        title: doctor.title,
-                        title_coefficient: doctor.titleCoefficient,
-                        work_years: doctor.workYears,
-                        is_certified: doctor.isCertified
-                    };
+                    const pbDoctor = this.toPocketBaseDoctor(doctor);
                     
                     const existingDoctor = existing.find(d => d.id === doctor.id);
                     if (existingDoctor) {
@@ -152,29 +215,14 @@ class PocketBaseStorageManager {
      */
     async addDoctor(doctor) {
         try {
-            const pbDoctor = {
-                name: doctor.name,
-                title: doctor.title,
-                title_coefficient: doctor.titleCoefficient,
-                work_years: doctor.workYears,
-                is_certified: doctor.isCertified
-            };
+            const pbDoctor = this.toPocketBaseDoctor(doctor);
             
             if (this.isOnline && await this.checkConnection()) {
                 const result = await this.pb.collection('doctors').create(pbDoctor);
                 
                 // 更新本地缓存
                 const doctors = await this.getDoctors();
-                const newDoctor = {
-                    id: result.id,
-                    name: result.name,
-                    title: result.title,
-                    titleCoefficient: result.title_coefficient,
-                    workYears: result.work_years,
-                    isCertified: result.is_certified,
-                    createdAt: result.created,
-                    updatedAt: result.updated
-                };
+                const newDoctor = this.fromPocketBaseDoctor(result);
                 
                 doctors.push(newDoctor);
                 await this.saveDoctors(doctors);
@@ -208,13 +256,7 @@ class PocketBaseStorageManager {
      */
     async updateDoctor(id, updatedData) {
         try {
-            const pbDoctor = {
-                name: updatedData.name,
-                title: updatedData.title,
-                title_coefficient: updatedData.titleCoefficient,
-                work_years: updatedData.workYears,
-                is_certified: updatedData.isCertified
-            };
+            const pbDoctor = this.toPocketBaseDoctor(updatedData);
             
             if (this.isOnline && await this.checkConnection() && !id.startsWith('temp_')) {
                 await this.pb.collection('doctors').update(id, pbDoctor);
@@ -307,7 +349,17 @@ class PocketBaseStorageManager {
                         dischargeCount: item.discharge_count,
                         bedDays: item.bed_days,
                         medicalRevenue: item.medical_revenue,
-                        rewardPenalty: item.reward_penalty || 0
+                        rewardPenalty: item.reward_penalty || 0,
+                        metrics: item.metrics || {},
+                        leaveDays: item.leave_days || {},
+                        qualityEvents: item.quality_events || {},
+                        drgDischarges: item.drg_discharges || {},
+                        caseMixIndex: item.case_mix_index || null,
+                        revenueComponents: item.revenue_components || {},
+                        groupId: item.group_id || '',
+                        roles: item.roles || [],
+                        roster: item.roster || {},
+                        duties: item.duties || []
                     });
                 });
                 
@@ -360,7 +412,17 @@ class PocketBaseStorageManager {
                         discharge_count: data.dischargeCount,
                         bed_days: data.bedDays,
                         medical_revenue: data.medicalRevenue,
-                        reward_penalty: data.rewardPenalty || 0
+                        reward_penalty: data.rewardPenalty || 0,
+                        metrics: data.metrics || {},
+                        leave_days: data.leaveDays || {},
+                        quality_events: data.qualityEvents || {},
+                        drg_discharges: data.drgDischarges || {},
+                        case_mix_index: data.caseMixIndex || null,
+                        revenue_components: data.revenueComponents || {},
+                        group_id: data.groupId || '',
+                        roles: data.roles || [],
+                        roster: data.roster || {},
+                        duties: data.duties || []
                     };
                     
                     await this.pb.collection('monthly_work_data').create(pbData);
@@ -403,16 +465,7 @@ class PocketBaseStorageManager {
                 });
                 
                 const records = result.items || result;
-                const formattedRecords = records.map(record => ({
-                    id: record.id,
-                    year: record.year,
-                    month: record.month,
-                    totalBonus: record.total_bonus,
-                    calculationConfig: record.calculation_config,
-                    results: record.results,
-                    createdAt: record.created,
-                    updatedAt: record.updated
-                }));
+                const formattedRecords = records.map(record => this.fromPocketBaseRecord(record));
                 
                 // 缓存到本地
                 this.localCache.set('records', formattedRecords);
@@ -436,29 +489,14 @@ class PocketBaseStorageManager {
      */
     async addRecord(record) {
         try {
-            const pbRecord = {
-                year: record.year,
-                month: record.month,
-                total_bonus: record.totalBonus,
-                calculation_config: record.calculationConfig,
-                results: record.results
-            };
+            const pbRecord = this.toPocketBaseRecord(record);
             
             if (this.isOnline && await this.checkConnection()) {
                 const result = await this.pb.collection('performance_records').create(pbRecord);
                 
                 // 更新本地缓存
                 const records = await this.getRecords();
-                const newRecord = {
-                    id: result.id,
-                    year: result.year,
-                    month: result.month,
-                    totalBonus: result.total_bonus,
-                    calculationConfig: result.calculation_config,
-                    results: result.results,
-                    createdAt: result.created,
-                    updatedAt: result.updated
-                };
+                const newRecord = this.fromPocketBaseRecord(result);
                 
                 records.unshift(newRecord);
                 this.localCache.set('records', records);
@@ -489,6 +527,116 @@ class PocketBaseStorageManager {
         }
     }
 
+    /**
+     * 获取年终结算记录
+     */
+    async getSettlements() {
+        try {
+            if (this.isOnline && await this.checkConnection()) {
+                const result = await this.pb.collection('settlement_records').getFullList({
+                    sort: '-created'
+                });
+                
+                const settlements = (result.items || result).map(settlement => ({
+                    id: settlement.id,
+                    type: 'settlement',
+                    year: String(settlement.year),
+                    method: settlement.method,
+                    annualBonus: settlement.annual_bonus,
+                    lines: settlement.lines || [],
+                    summary: settlement.summary || {},
+                    months: settlement.months || [],
+                    config: settlement.calculation_config || {},
+                    createdAt: settlement.created,
+                    updatedAt: settlement.updated
+                }));
+                
+                // 缓存到本地
+                this.localCache.set('settlements', settlements);
+                localStorage.setItem('settlements_cache', this.safeJSONStringify(settlements));
+                
+                return settlements;
+            } else {
+                // 离线模式
+                return this.localCache.get('settlements') ||
+                       this.safeJSONParse(localStorage.getItem('settlements_cache'), []);
+            }
+        } catch (error) {
+            console.error('获取年终结算记录失败:', error);
+            return this.safeJSONParse(localStorage.getItem('settlements_cache'), []);
+        }
+    }
+
+    /**
+     * 添加年终结算记录（同一年度只保留最新的一条）
+     */
+    async addSettlement(settlement) {
+        try {
+            const pbSettlement = {
+                year: Number(settlement.year),
+                method: settlement.method,
+                annual_bonus: settlement.annualBonus,
+                lines: settlement.lines,
+                summary: settlement.summary,
+                months: settlement.months,
+                calculation_config: settlement.config
+            };
+            
+            const settlements = (await this.getSettlements()).filter(item => item.year !== settlement.year);
+            let newSettlement;
+            
+            if (this.isOnline && await this.checkConnection()) {
+                const existing = await this.pb.collection('settlement_records').getFullList({
+                    filter: `year = ${Number(settlement.year)}`
+                });
+                for (const item of (existing.items || existing)) {
+                    await this.pb.collection('settlement_records').delete(item.id);
+                }
+                
+                const result = await this.pb.collection('settlement_records').create(pbSettlement);
+                newSettlement = { ...settlement, id: result.id, createdAt: result.created, updatedAt: result.updated };
+            } else {
+                // 离线模式
+                newSettlement = {
+                    ...settlement,
+                    id: 'temp_' + Date.now(),
+                    createdAt: new Date().toISOString(),
+                    updatedAt: new Date().toISOString(),
+                    _isTemp: true
+                };
+            }
+            
+            settlements.unshift(newSettlement);
+            this.localCache.set('settlements', settlements);
+            localStorage.setItem('settlements_cache', this.safeJSONStringify(settlements));
+            
+            return newSettlement;
+        } catch (error) {
+            console.error('添加年终结算记录失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 删除年终结算记录
+     */
+    async deleteSettlement(settlementId) {
+        try {
+            if (this.isOnline && await this.checkConnection() && !String(settlementId).startsWith('temp_')) {
+                await this.pb.collection('settlement_records').delete(settlementId);
+            }
+            
+            const settlements = (await this.getSettlements()).filter(item => item.id !== settlementId);
+            this.localCache.set('settlements', settlements);
+            localStorage.setItem('settlements_cache', this.safeJSONStringify(settlements));
+            
+            return true;
+        } catch (error) {
+            console.error('删除年终结算记录失败:', error);
+            return false;
+        }
+    }
+
     /**
      * 获取系统配置
      */
@@ -535,13 +683,7 @@ class PocketBaseStorageManager {
             const tempDoctors = doctors.filter(d => d._isTemp);
             
             for (const doctor of tempDoctors) {
-                const pbDoctor = {
-                    name: doctor.name,
-                    title: doctor.title,
-                    title_coefficient: doctor.titleCoefficient,
-                    work_years: doctor.workYears,
-                    is_certified: doctor.isCertified
-                };
+                const pbDoctor = this.toPocketBaseDoctor(doctor);
                 
                 const result = await this.pb.collection('doctors').create(pbDoctor);
                 
@@ -555,13 +697,7 @@ class PocketBaseStorageManager {
             const tempRecords = records.filter(r => r._isTemp);
             
             for (const record of tempRecords) {
-                const pbRecord = {
-                    year: record.year,
-                    month: record.month,
-                    total_bonus: record.totalBonus,
-                    calculation_config: record.calculationConfig,
-                    results: record.results
-                };
+                const pbRecord = this.toPocketBaseRecord(record);
                 
                 const result = await this.pb.collection('performance_records').create(pbRecord);
                 
@@ -9,6 +9,8 @@ class ResultsPageController {
         this.calculator = new PerformanceCalculator();
         this.resultsData = null;
         this.chart = null;
+        this.scenarioSimulation = null;
+        this.sensitivityReport = null;
         
         this.init();
     }
@@ -38,6 +40,7 @@ class ResultsPageController {
             this.renderResults();
             this.renderChart();
             this.renderConfig();
+            this.renderSensitivity();
             console.log('=== Results页面初始化完成 ===');
         } catch (error) {
             console.error('初始化结果页面失败:', error);
@@ -561,6 +564,23 @@ class ResultsPageController {
         document.getElementById('saveResultsBtn').addEventListener('click', () => this.saveResults());
         document.getElementById('exportResultsBtn').addEventListener('click', () => this.exportToExcel());
         
+        // 方案模拟
+        document.getElementById('scenarioBtn').addEventListener('click', () => this.showScenarioModal());
+        document.getElementById('addScenarioBtn').addEventListener('click', () => this.addScenarioEditor());
+        document.getElementById('runScenariosBtn').addEventListener('click', () => this.runScenarios());
+        document.getElementById('scenarioEditors').addEventListener('click', (e) => {
+            const button = e.target.closest('.remove-scenario-btn');
+            if (button) {
+                button.closest('.scenario-editor').remove();
+            }
+        });
+        document.getElementById('scenarioComparison').addEventListener('click', (e) => {
+            const button = e.target.closest('.adopt-scenario-btn');
+            if (button) {
+                this.adoptScenario(parseInt(button.dataset.index));
+            }
+        });
+        
         // 绩效明细模态框和编辑功能
         document.getElementById('resultsTable').addEventListener('click', (e) => {
             if (e.target.classList.contains('detail-btn')) {
@@ -614,6 +634,10 @@ class ResultsPageController {
             console.log('Results: 更新月份显示完成');
         }
         
+        // 指标列由计算时使用的指标注册表决定
+        const displayMetrics = this.getResultMetrics().filter(metric => metric.displayInResults);
+        this.renderResultsTableHeader(displayMetrics);
+        
         // 更新分配金额表头
         const allocationHeader = document.getElementById('allocationHeader');
         if (allocationHeader && this.resultsData.totalBonus) {
@@ -633,7 +657,7 @@ class ResultsPageController {
         
         if (!results.individualResults) {
             console.error('Results: individualResults不存在');
-            tbody.innerHTML = '<tr><td colspan="11" class="text-center">数据结构错误</td></tr>';
+            tbody.innerHTML = `<tr><td colspan="${displayMetrics.length + 7}" class="text-center">数据结构错误</td></tr>`;
             return;
         }
         
@@ -644,7 +668,7 @@ class ResultsPageController {
         
         if (!sortedResults || sortedResults.length === 0) {
             console.warn('Results: 没有结果数据可渲染');
-            tbody.innerHTML = '<tr><td colspan="11" class="text-center">暂无数据</td></tr>';
+            tbody.innerHTML = `<tr><td colspan="${displayMetrics.length + 7}" class="text-center">暂无数据</td></tr>`;
             return;
         }
         
@@ -658,18 +682,20 @@ class ResultsPageController {
             
             row.innerHTML = `
                 <td>${index + 1}</td>
-                <td>${result.doctorName || '未知医生'}</td>
-                <td class="text-warning fw-bold">${result.workData?.dischargeCount || 0}</td>
-                <td class="text-warning fw-bold">${result.workData?.attendanceDays || 0}</td>
-                <td class="text-warning fw-bold">${result.workData?.bedDays || 0}</td>
+                <td>
+                    <button type="button" class="btn btn-link btn-sm p-0 detail-btn" data-doctor-id="${result.doctorId || ''}" title="查看分配说明">${result.doctorName || '未知医生'}</button>${this.formatGroupBadge(result)}${this.formatConstraintBadge(result)}${this.formatQualityBadge(result)}${this.formatRoleBadge(result)}${this.formatLocationBadge(result)}${this.formatDutyBadge(result)}${this.formatRevenueBadge(result)}
+                </td>
+                ${displayMetrics.map(metric => `<td class="text-warning fw-bold">${this.getMetricValue(result, metric)}</td>`).join('')}
                 <td>${(result.finalScore || 0).toFixed(2)}</td>
                 <td>${((result.allocationRatio || 0) * 100).toFixed(2)}%</td>
+                <td class="${(result.rewardPenalty || 0) < 0 ? 'text-danger' : 'text-success'}">${this.formatRewardPenalty(result.rewardPenalty)}</td>
                 <td>
                     <input type="number" class="form-control form-control-sm final-allocation-input" 
                            value="${Math.round(result.finalAllocation || 0)}" 
                            data-doctor-id="${result.doctorId || ''}"
                            onchange="resultsController.updateFinalAllocation('${result.doctorId || ''}', this.value)"
                            step="1" min="0">
+                    ${this.formatSubPoolLines(result)}
                 </td>
                 <td class="text-center fw-bold">
                     ${result.doctorName || '未知医生'}
@@ -695,6 +721,131 @@ class ResultsPageController {
         console.log('Results: 结果渲染完成');
     }
 
+    /**
+     * 判断本次计算是否按治疗组分配
+     * @returns {boolean} 存在已设置的治疗组时为true
+     */
+    hasTreatmentGroups() {
+        const groupResults = this.resultsData?.results?.groupResults;
+        return Array.isArray(groupResults) &&
+            groupResults.some(group => group.groupId !== PerformanceCalculator.UNGROUPED_ID);
+    }
+
+    /**
+     * 生成治疗组标记
+     * @param {Object} result - 个人计算结果
+     * @returns {string} 标记HTML，未按治疗组分配时为空
+     */
+    formatGroupBadge(result) {
+        if (!this.hasTreatmentGroups()) return '';
+        return ` <span class="badge bg-light text-dark border">${result.groupName || PerformanceCalculator.UNGROUPED_NAME}</span>`;
+    }
+
+    /**
+     * 生成质量安全标记（质量系数低于1时显示）
+     * @param {Object} result - 个人计算结果
+     * @returns {string} 标记HTML，未受质量扣减时为空
+     */
+    formatQualityBadge(result) {
+        const quality = result.breakdown?.quality;
+        if (!quality?.applied) return '';
+        const events = quality.items
+            .filter(item => item.count > 0)
+            .map(item => `${item.label}${item.count}次`)
+            .join('，');
+        const text = result.qualityDeduction ? `质量扣减${Math.round(result.qualityDeduction)}` : `质量系数${quality.coefficient.toFixed(2)}`;
+        return ` <span class="badge bg-danger" title="${events}">${text}</span>`;
+    }
+
+    /**
+     * 生成岗位系数标记（担任了设有系数的岗位时显示）
+     * @param {Object} result - 个人计算结果
+     * @returns {string} 标记HTML，未应用岗位系数时为空
+     */
+    formatRoleBadge(result) {
+        const role = result.breakdown?.roles;
+        if (!role?.applied) return '';
+        const roles = role.items
+            .map(item => `${item.name}×${item.coefficient}${item.months ? `（${item.months}个月）` : (item.source === 'month' ? '（本月）' : '')}`)
+            .join('，');
+        return ` <span class="badge bg-primary" title="${this.escapeHTML(roles)}">岗位系数${role.coefficient.toFixed(2)}</span>`;
+    }
+
+    /**
+     * 生成轮转地点标记（录入了排班时显示）
+     * @param {Object} result - 个人计算结果
+     * @returns {string} 标记HTML，未排班时为空
+     */
+    formatLocationBadge(result) {
+        const location = result.breakdown?.location;
+        if (!location?.applied) return '';
+        const days = location.items.map(item => `${item.name}${item.days}天`).join('，');
+        return ` <span class="badge bg-light text-dark border" title="${this.escapeHTML(days)}">地点系数${location.coefficient.toFixed(2)}</span>`;
+    }
+
+    /**
+     * 生成值班标记（录入了值班记录时显示）
+     * @param {Object} result - 个人计算结果
+     * @returns {string} 标记HTML，无值班记录时为空
+     */
+    formatDutyBadge(result) {
+        const duty = result.breakdown?.duty;
+        if (!duty || duty.count === 0) return '';
+        const details = [
+            ...duty.items.map(item => `${item.label}${item.count}次${item.hours}小时`),
+            `值班分值${Number(duty.points.toFixed(2))}`,
+            ...(result.dutyAllocation ? [`值班奖金${result.dutyAllocation.toFixed(2)}元`] : [])
+        ].join('，');
+        return ` <span class="badge bg-dark" title="${this.escapeHTML(details)}">值班${duty.count}次</span>`;
+    }
+
+    /**
+     * 生成收入构成标记（录入了收入构成时显示药占比，占比超出目标时突出显示）
+     * @param {Object} result - 个人计算结果
+     * @returns {string} 标记HTML，未录入收入构成时为空（同组其他医生已录入时提示补录）
+     */
+    formatRevenueBadge(result) {
+        const revenue = result.breakdown?.revenue;
+        if (revenue?.componentsMissing) {
+            return ' <span class="badge bg-warning text-dark" title="医疗收入按全额计分且不考核药占比、耗占比，同组其他医生已录入收入构成">未录入收入构成</span>';
+        }
+        if (!revenue || revenue.source === 'none') return '';
+        const details = [
+            ...revenue.items.filter(item => item.amount > 0).map(item => `${item.label}${Math.round(item.amount)}`),
+            ...(revenue.otherRevenue > 0 ? [`其他收入${Math.round(revenue.otherRevenue)}`] : []),
+            `${PerformanceCalculator.REVENUE_BASES[revenue.basis]}口径计分${Math.round(revenue.scoredRevenue)}`
+        ].join('，');
+        const ratios = Object.entries(PerformanceCalculator.REVENUE_RATIO_TYPES)
+            .map(([type, label]) => `${label}${((revenue.ratios[type] || 0) * 100).toFixed(1)}%`)
+            .join(' ');
+        const badgeClass = revenue.penalties.length > 0 ? 'bg-warning text-dark' : 'bg-light text-dark border';
+        return ` <span class="badge ${badgeClass}" title="${details}">${ratios}</span>`;
+    }
+
+    /**
+     * 生成个人专项奖金明细（每项一行）
+     * @param {Object} result - 个人计算结果
+     * @returns {string} 明细HTML，没有专项奖金时为空
+     */
+    formatSubPoolLines(result) {
+        return (result.subPoolAllocations || []).map(item => `
+            <small class="d-block text-muted">含专项奖金 ${item.poolName} ${Math.round(item.amount)}</small>
+        `).join('');
+    }
+
+    /**
+     * 生成分配约束标记（保底/封顶）
+     * @param {Object} result - 个人计算结果
+     * @returns {string} 标记HTML，未受约束时为空
+     */
+    formatConstraintBadge(result) {
+        const constraint = result.allocationConstraint;
+        if (!constraint) return '';
+        const badgeClass = constraint.bound === 'floor' ? 'bg-info' : 'bg-warning text-dark';
+        const description = PerformanceCalculator.describeAllocationConstraint(constraint);
+        return ` <span class="badge ${badgeClass}" title="未约束时为${Math.round(constraint.unconstrainedAllocation || 0)}元">${description}</span>`;
+    }
+
     /**
      * 渲染统计概览
      */
@@ -741,27 +892,22 @@ class ResultsPageController {
         if (totalBonusEl) totalBonusEl.textContent = `¥${Math.round(this.resultsData.totalBonus)}`;
         if (totalAllocationEl) totalAllocationEl.textContent = `¥${Math.round(totalFinalAllocation)}`;
         
-        // 计算差额
-        const difference = totalFinalAllocation - this.resultsData.totalBonus;
+        // 计算差额（additive奖罚策略下，应发总额包含奖罚净额）
+        const difference = totalFinalAllocation - this.getExpectedPayout();
         if (differenceEl) {
             differenceEl.textContent = `¥${Math.round(difference)}`;
             differenceEl.className = difference >= 0 ? 'text-success' : 'text-danger';
         }
         
         // 显示权重配置信息
-        if (results.config && results.config.performanceWeights) {
-            const weights = results.config.performanceWeights;
-            const baseSalaryRatioEl = document.getElementById('baseSalaryRatio');
-            const dischargeRatioEl = document.getElementById('dischargeRatio');
-            const bedDaysRatioEl = document.getElementById('bedDaysRatio');
-            const attendanceRatioEl = document.getElementById('attendanceRatio');
-            
-            // 使用新的权重字段名
-            if (baseSalaryRatioEl) baseSalaryRatioEl.textContent = `${(weights.medicalRevenue || 50)}%`;
-            if (dischargeRatioEl) dischargeRatioEl.textContent = `${(weights.discharge || 20)}%`;
-            if (bedDaysRatioEl) bedDaysRatioEl.textContent = `${(weights.bedDays || 20)}%`;
-            if (attendanceRatioEl) attendanceRatioEl.textContent = `${(weights.attendance || 10)}%`;
-        }
+        this.renderConfig();
+        
+        // 分配公平性（按当前金额计算，手工调整后同步更新）
+        this.renderFairness();
+        
+        this.renderGroupSummary();
+        this.renderSubPoolSummary();
+        this.renderSmoothingSummary();
         
         console.log('统计概览渲染完成');
     }
@@ -782,42 +928,28 @@ class ResultsPageController {
         const ctx = document.getElementById('performanceChart').getContext('2d');
         const { results } = this.resultsData;
         
-        // 准备图表数据
+        // 准备图表数据（每个显示的指标一组堆叠柱）
         const labels = results.individualResults.map(r => r.doctorName);
-        const totalScores = results.individualResults.map(r => r.finalScore);
-        const medicalRevenueScores = results.individualResults.map(r => r.scores.medicalRevenue || 0);
-        const dischargeScores = results.individualResults.map(r => r.scores.discharge);
-        const bedDayScores = results.individualResults.map(r => r.scores.bedDays);
-        const attendanceScores = results.individualResults.map(r => r.scores.attendance);
+        const palette = ['255, 99, 132', '255, 205, 86', '75, 192, 192', '54, 162, 235', '153, 102, 255', '255, 159, 64', '201, 203, 207'];
+        const datasets = this.getResultMetrics()
+            .filter(metric => metric.displayInResults)
+            .map((metric, index) => {
+                const color = palette[index % palette.length];
+                return {
+                    label: `${metric.label}分`,
+                    data: results.individualResults.map(r => r.scores?.[metric.id] || 0),
+                    backgroundColor: `rgba(${color}, 0.8)`,
+                    borderColor: `rgba(${color}, 1)`,
+                    borderWidth: 1
+                };
+            });
         
         console.log('Results: 开始创建新的图表实例');
         this.chart = new Chart(ctx, {
             type: 'bar',
             data: {
                 labels: labels,
-                datasets: [
-                    {
-                        label: '出院人数分',
-                        data: dischargeScores,
-                        backgroundColor: 'rgba(255, 99, 132, 0.8)',
-                        borderColor: 'rgba(255, 99, 132, 1)',
-                        borderWidth: 1
-                    },
-                    {
-                        label: '床日数分',
-                        data: bedDayScores,
-                        backgroundColor: 'rgba(255, 205, 86, 0.8)',
-                        borderColor: 'rgba(255, 205, 86, 1)',
-                        borderWidth: 1
-                    },
-                    {
-                        label: '出勤分',
-                        data: attendanceScores,
-                        backgroundColor: 'rgba(75, 192, 192, 0.8)',
-                        borderColor: 'rgba(75, 192, 192, 1)',
-                        borderWidth: 1
-                    }
-                ]
+                datasets: datasets
             },
             options: {
                 responsive: true,
@@ -845,34 +977,81 @@ class ResultsPageController {
 
     /**
      * 渲染当前配置信息
+     * 显示本次计算实际使用的指标权重（记录在计算结果中），而非设置页当前的值
      */
     renderConfig() {
-        const config = this.storageManager.getSystemConfig();
-        
-        // 提供默认配置以防止错误
-        const defaultConfig = {
-            weights: {
-                medicalRevenue: 0.50,
-                discharge: 0.25,
-                bedDays: 0.15,
-                attendance: 0.10
-            }
-        };
-        
-        const finalConfig = {
-            weights: config?.weights || defaultConfig.weights
-        };
-        
-        // 更新右侧配置显示卡片
-        const baseSalaryRatio = document.getElementById('baseSalaryRatio');
-        const dischargeRatio = document.getElementById('dischargeRatio');
-        const bedDaysRatio = document.getElementById('bedDaysRatio');
-        const attendanceRatio = document.getElementById('attendanceRatio');
-        
-        if (baseSalaryRatio) baseSalaryRatio.textContent = `${((finalConfig.weights.medicalRevenue || finalConfig.weights.baseWeight || 0.50) * 100).toFixed(0)}%`;
-        if (dischargeRatio) dischargeRatio.textContent = `${((finalConfig.weights.discharge || finalConfig.weights.dischargeWeight || 0.25) * 100).toFixed(0)}%`;
-        if (bedDaysRatio) bedDaysRatio.textContent = `${((finalConfig.weights.bedDays || finalConfig.weights.bedDayWeight || 0.15) * 100).toFixed(0)}%`;
-        if (attendanceRatio) attendanceRatio.textContent = `${((finalConfig.weights.attendance || finalConfig.weights.attendanceWeight || 0.10) * 100).toFixed(0)}%`;
+        const container = document.getElementById('configWeights');
+        if (!container) return;
+        
+        const ruleVersion = this.resultsData?.ruleVersion;
+        const formulaConfig = this.resultsData?.results?.config?.formulaConfig || {};
+        container.innerHTML = `
+            <div class="mb-2">
+                <small class="text-muted">计算规则</small>
+                <div class="fw-bold">${ruleVersion ? `${ruleVersion.name}（${ruleVersion.effectiveFrom}起生效）` : '当前设置（未发布版本）'}</div>
+            </div>
+        ` + this.getResultMetrics().map(metric => `
+            <div class="mb-2">
+                <small class="text-muted">${metric.label}占比</small>
+                <div class="fw-bold">${metric.weight}%</div>
+            </div>
+        `).join('') + Object.entries(PerformanceCalculator.FORMULA_TYPES)
+            .filter(([type]) => formulaConfig[type])
+            .map(([type, label]) => `
+            <div class="mb-2">
+                <small class="text-muted">${label}</small>
+                <div><code>${this.escapeHTML(formulaConfig[type])}</code></div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * 转义HTML特殊字符（公式中可能含有比较运算符）
+     * @param {string} text - 文本
+     * @returns {string} 转义后的文本
+     */
+    escapeHTML(text) {
+        return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    /**
+     * 获取本次计算使用的指标列表
+     * 旧结果没有记录指标定义时，按记录的权重使用内置指标
+     * @returns {Array<Object>} 指标列表
+     */
+    getResultMetrics() {
+        const config = this.resultsData?.results?.config || {};
+        return MetricRegistry.fromConfig(config).getAll();
+    }
+
+    /**
+     * 获取个人结果中的指标原始值
+     * @param {Object} result - 个人计算结果
+     * @param {Object} metric - 指标定义
+     * @returns {number} 指标值
+     */
+    getMetricValue(result, metric) {
+        return result.workData?.metrics?.[metric.id] ?? result.workData?.[metric.field] ?? 0;
+    }
+
+    /**
+     * 渲染结果表格表头
+     * @param {Array<Object>} metrics - 需要显示的指标
+     */
+    renderResultsTableHeader(metrics) {
+        const headerRow = document.getElementById('resultsTableHeader');
+        if (!headerRow) return;
+        
+        headerRow.innerHTML = `
+            <th>序号</th>
+            <th>姓名</th>
+            ${metrics.map(metric => `<th class="text-warning">${metric.label}</th>`).join('')}
+            <th>总分</th>
+            <th>分配比例</th>
+            <th>奖罚</th>
+            <th id="allocationHeader">分配金额</th>
+            <th>医师</th>
+        `;
     }
 
     /**
@@ -880,7 +1059,7 @@ class ResultsPageController {
      * @param {string} doctorId - 医生ID
      */
     showEditModal(doctorId) {
-        const result = this.resultsData.results.individualResults.find(r => r.doctorInfo.id === doctorId);
+        const result = this.resultsData.results.individualResults.find(r => r.doctorId === doctorId);
         if (!result) return;
         
         // 填充编辑表单
@@ -912,8 +1091,10 @@ class ResultsPageController {
         }
         
         // 更新结果数据
-        const result = this.resultsData.results.individualResults.find(r => r.doctorInfo.id === this.currentEditDoctorId);
+        const result = this.resultsData.results.individualResults.find(r => r.doctorId === this.currentEditDoctorId);
         if (result) {
+            this.markManualOverride(result, 'finalScore', newScore);
+            this.markManualOverride(result, 'newEmployeeCoefficient', newCoefficient);
             result.finalScore = newScore;
             result.newEmployeeCoefficient = newCoefficient;
             
@@ -931,6 +1112,31 @@ class ResultsPageController {
         }
     }
     
+    /**
+     * 标记手工调整的字段
+     * 同一字段只保留首次调整前的计算值，复算核对时据此区分手工调整与数据损坏
+     * @param {Object} result - 个人计算结果
+     * @param {string} field - 被调整的字段
+     * @param {number} value - 调整后的值
+     */
+    markManualOverride(result, field, value) {
+        if (result[field] === value) return;
+        
+        result.manualOverrides = result.manualOverrides || [];
+        const existing = result.manualOverrides.find(override => override.field === field);
+        if (existing) {
+            existing.value = value;
+            existing.editedAt = new Date().toISOString();
+        } else {
+            result.manualOverrides.push({
+                field: field,
+                calculatedValue: result[field],
+                value: value,
+                editedAt: new Date().toISOString()
+            });
+        }
+    }
+    
     /**
       * 重新计算团队统计
       */
@@ -959,7 +1165,10 @@ class ResultsPageController {
         }
         
         const amount = parseFloat(newAmount) || 0;
+        this.markManualOverride(result, 'finalAllocation', amount);
+        this.markManualOverride(result, 'performanceAllocation', amount - (result.rewardPenalty || 0));
         result.finalAllocation = amount;
+        result.performanceAllocation = amount - (result.rewardPenalty || 0);
         
         // 重新计算分配比例
         if (this.resultsData.totalBonus > 0) {
@@ -971,10 +1180,32 @@ class ResultsPageController {
         
         // 更新汇总显示
         this.updateSummaryAmount();
+        this.renderFairness();
         
         console.log('已更新医生', result.doctorName, '的分配金额为', amount);
     }
     
+    /**
+     * 获取应发总额
+     * additive策略下为奖金总额加奖罚净额，poolNeutral策略下等于奖金总额
+     * @returns {number} 应发总额
+     */
+    getExpectedPayout() {
+        const summary = this.resultsData.results?.rewardPenaltySummary;
+        return summary ? summary.totalPayout : (this.resultsData.totalBonus || 0);
+    }
+
+    /**
+     * 格式化奖罚金额
+     * @param {number} amount - 奖罚金额
+     * @returns {string} 带符号的金额文本
+     */
+    formatRewardPenalty(amount) {
+        const value = Number(amount) || 0;
+        if (value === 0) return '0';
+        return value > 0 ? `+${value}` : `${value}`;
+    }
+    
     /**
      * 更新汇总金额显示
      */
@@ -986,8 +1217,8 @@ class ResultsPageController {
             return sum + (result.finalAllocation || 0);
         }, 0);
         
-        // 计算分配与总额的差额
-        const difference = totalBonus - finalTotal;
+        // 计算分配与应发总额的差额
+        const difference = this.getExpectedPayout() - finalTotal;
         
         // 更新显示
         const totalBonusEl = document.getElementById('totalBonusAmount');
@@ -1017,59 +1248,678 @@ class ResultsPageController {
     }
     
     /**
-     * 显示绩效明细
+     * 显示绩效明细（分配说明）
+     * @param {string} doctorId - 医生ID
      */
     showPerformanceDetail(doctorId) {
-        const result = this.resultsData.results.individualResults.find(r => r.doctorInfo.id === doctorId);
+        const result = this.resultsData.results.individualResults.find(r => r.doctorId === doctorId);
         if (!result) return;
         
-        const { doctorInfo, workData } = result;
+        try {
+            document.getElementById('detailModalTitle').textContent = `${result.doctorName} - 绩效分配说明`;
+            document.getElementById('detailContent').innerHTML = this.renderExplanation(result);
+            document.getElementById('exportExplanationBtn').onclick = () => this.exportExplanation(doctorId);
+            
+            new bootstrap.Modal(document.getElementById('detailModal')).show();
+        } catch (error) {
+            this.showMessage('无法显示分配说明：' + error.message, 'warning');
+        }
+    }
+
+    /**
+     * 生成分配说明HTML（模态框和导出文档共用）
+     * @param {Object} result - 个人计算结果
+     * @returns {string} HTML片段
+     */
+    renderExplanation(result) {
+        const steps = PerformanceCalculator.explainResult(result);
+        const { doctorInfo } = result;
+        const seniority = doctorInfo.seniority || {};
+        
+        return `
+            <table class="table table-sm mb-3">
+                <tr><td>姓名</td><td>${result.doctorName}</td><td>职称</td><td>${doctorInfo.title}</td></tr>
+                <tr>
+                    <td>工作年限</td><td>${seniority.source === 'unknown' ? '未填写入职日期' : doctorInfo.workYears + '年'}</td>
+                    <td>是否取证</td><td>${doctorInfo.isCertified ? '是' : '否'}</td>
+                </tr>
+            </table>
+            <table class="table table-sm table-bordered">
+                <thead class="table-light">
+                    <tr><th style="width: 40px;">步骤</th><th>环节</th><th>计算过程</th><th class="text-end">金额（元）</th></tr>
+                </thead>
+                <tbody>
+                    ${steps.map((step, index) => `
+                        <tr>
+                            <td>${index + 1}</td>
+                            <td>${step.title}</td>
+                            <td><small>${this.escapeHTML(step.formula)}</small></td>
+                            <td class="text-end">${step.amount === null ? '' : Number(step.amount).toFixed(2)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+                <tfoot>
+                    <tr class="table-primary">
+                        <td colspan="3"><strong>最终分配金额</strong></td>
+                        <td class="text-end"><strong>${Number(result.finalAllocation || 0).toFixed(2)}</strong></td>
+                    </tr>
+                </tfoot>
+            </table>
+        `;
+    }
+
+    /**
+     * 导出个人分配说明（HTML文档，可直接打印）
+     * @param {string} doctorId - 医生ID
+     */
+    exportExplanation(doctorId) {
+        const result = this.resultsData.results.individualResults.find(r => r.doctorId === doctorId);
+        if (!result) return;
         
-        // 设置模态框标题为医生姓名
-        document.getElementById('detailModalTitle').textContent = result.doctorName;
-        document.getElementById('detailDoctorName').textContent = result.doctorName;
-        document.getElementById('detailContent').innerHTML = `
-            <div class="row">
-                <div class="col-md-6">
-                    <h6>基本信息</h6>
-                    <table class="table table-sm">
-                        <tr><td>姓名</td><td>${result.doctorName}</td></tr>
-                        <tr><td>职称</td><td>${doctorInfo.title}</td></tr>
-                        <tr><td>工作年限</td><td>${doctorInfo.workYears}年</td></tr>
-                        <tr><td>是否取证</td><td>${doctorInfo.isCertified ? '是' : '否'}</td></tr>
-                        <tr><td>医疗业务分</td><td>${(result.scores.medicalRevenue || 0).toFixed(2)}</td></tr>
-                    </table>
-                </div>
-                <div class="col-md-6">
-                    <h6>工作数据</h6>
-                    <table class="table table-sm">
-                        <tr><td>出勤天数</td><td>${workData.attendanceDays}天</td></tr>
-                        <tr><td>出院人数</td><td>${workData.dischargeCount}人</td></tr>
-                        <tr><td>床日数</td><td>${workData.bedDays}天</td></tr>
-                    </table>
+        try {
+            const { year, month } = this.resultsData;
+            const title = `${result.doctorName} ${year}年${month}月绩效分配说明`;
+            const html = `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<title>${title}</title>
+<style>
+body { font-family: sans-serif; margin: 24px; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 16px; }
+td, th { border: 1px solid #ccc; padding: 4px 8px; font-size: 13px; }
+.text-end { text-align: right; }
+</style>
+</head>
+<body>
+<h2>${title}</h2>
+${this.renderExplanation(result)}
+<p>生成时间：${new Date().toLocaleString('zh-CN')}</p>
+</body>
+</html>`;
+            
+            const blob = new Blob([html], { type: 'text/html;charset=utf-8;' });
+            const link = document.createElement('a');
+            link.setAttribute('href', URL.createObjectURL(blob));
+            link.setAttribute('download', `绩效分配说明_${result.doctorName}_${year}年${month}月.html`);
+            link.style.visibility = 'hidden';
+            
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            
+        } catch (error) {
+            this.showMessage('导出失败：' + error.message, 'danger');
+        }
+    }
+
+    /**
+     * 获取本次计算的输入（医生、工作数据、奖金总额和计算选项），来自审计轨迹的输入快照
+     * @returns {Object|null} 计算输入，旧结果没有审计轨迹时为null
+     */
+    getCalculationInputs() {
+        const inputs = this.resultsData?.results?.trace?.inputs;
+        if (!inputs) return null;
+        
+        return {
+            doctorsWithData: inputs.doctors.map((doctor, index) => ({
+                doctor: doctor,
+                workData: inputs.workData[index] || {}
+            })),
+            totalBonus: inputs.totalBonus,
+            options: inputs.options || {}
+        };
+    }
+
+    /**
+     * 渲染分配公平性指标和预警
+     */
+    renderFairness() {
+        const container = document.getElementById('fairnessContent');
+        if (!container) return;
+        
+        const { results } = this.resultsData;
+        const fairness = this.calculator.calculateFairnessMetrics(results.individualResults, results.config?.fairnessConfig);
+        const { thresholds } = fairness;
+        const cell = (label, value, threshold, flagged) => `
+            <div class="col-md-3 col-6 mb-2">
+                <div class="border rounded p-2 text-center ${flagged ? 'border-danger' : ''}">
+                    <small class="text-muted d-block">${label}</small>
+                    <strong class="${flagged ? 'text-danger' : ''}">${value}</strong>
+                    <small class="text-muted d-block">阈值 ${threshold}</small>
                 </div>
             </div>
-            <div class="row mt-3">
-                <div class="col-md-6">
-                    <h6>系数信息</h6>
-                    <table class="table table-sm">
-                        <tr><td>新入职系数</td><td>${result.newEmployeeCoefficient}</td></tr>
-                    </table>
+        `;
+        const flagged = metric => fairness.flags.some(flag => flag.metric === metric);
+        
+        container.innerHTML = `
+            ${fairness.flags.length > 0 ? `
+                <div class="alert alert-warning py-2">
+                    <i class="fas fa-exclamation-triangle me-1"></i>
+                    本月分配超过公平性预警阈值：${fairness.flags.map(flag => flag.message).join('；')}
                 </div>
-                <div class="col-md-6">
-                    <h6>绩效分数</h6>
-                    <table class="table table-sm">
+            ` : ''}
+            <div class="row">
+                ${cell('基尼系数', fairness.gini.toFixed(3), thresholds.giniMax, flagged('gini'))}
+                ${cell('P90/P10', fairness.p90p10Ratio === null ? '-' : fairness.p90p10Ratio.toFixed(2), thresholds.p90p10Max, flagged('p90p10Ratio'))}
+                ${cell('前20%人员份额', (fairness.top20Share * 100).toFixed(1) + '%', (thresholds.top20ShareMax * 100) + '%', flagged('top20Share'))}
+                ${cell('同职称内变异系数', fairness.withinBandCv.toFixed(3), thresholds.withinBandCvMax, flagged('withinBandCv'))}
+            </div>
+            <table class="table table-sm table-bordered mt-2 mb-0">
+                <thead class="table-light">
+                    <tr><th>职称</th><th class="text-end">人数</th><th class="text-end">平均</th><th class="text-end">最低</th><th class="text-end">最高</th><th class="text-end">变异系数</th></tr>
+                </thead>
+                <tbody>
+                    ${fairness.titleBands.map(band => `
+                        <tr>
+                            <td>${band.title}</td>
+                            <td class="text-end">${band.count}</td>
+                            <td class="text-end">${Math.round(band.mean)}</td>
+                            <td class="text-end">${Math.round(band.min)}</td>
+                            <td class="text-end">${Math.round(band.max)}</td>
+                            <td class="text-end">${band.cv.toFixed(3)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <td colspan="6" class="small text-muted">
+                            职称之间：平均金额最高/最低 ${fairness.betweenBandRatio === null ? '-' : fairness.betweenBandRatio.toFixed(2)}，
+                            变异系数 ${fairness.betweenBandCv.toFixed(3)}
+                        </td>
+                    </tr>
+                </tfoot>
+            </table>
+        `;
+    }
+
+    /**
+     * 渲染治疗组汇总（组奖金按计算结果，应发合计按当前金额，手工调整后同步更新）
+     */
+    renderGroupSummary() {
+        const card = document.getElementById('groupSummaryCard');
+        if (!card) return;
+        
+        if (!this.hasTreatmentGroups()) {
+            card.style.display = 'none';
+            return;
+        }
+        
+        const { individualResults, groupResults } = this.resultsData.results;
+        document.getElementById('groupSummaryTable').innerHTML = `
+            <thead class="table-light">
+                <tr>
+                    <th>治疗组</th>
+                    <th class="text-end">人数</th>
+                    <th class="text-end">全时人数</th>
+                    <th class="text-end">人数占比</th>
+                    <th class="text-end">产出占比</th>
+                    <th class="text-end">分配比例</th>
+                    <th class="text-end">治疗组奖金</th>
+                    <th class="text-end">最终分配合计</th>
+                    <th class="text-end">人均</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${groupResults.map(group => {
+                    const members = individualResults.filter(result => (result.groupId || PerformanceCalculator.UNGROUPED_ID) === group.groupId);
+                    const payout = members.reduce((sum, result) => sum + (result.finalAllocation || 0), 0);
+                    return `
+                        <tr>
+                            <td>${group.groupName}</td>
+                            <td class="text-end">${members.length}</td>
+                            <td class="text-end">${group.fte.toFixed(2)}</td>
+                            <td class="text-end">${(group.headcountShare * 100).toFixed(2)}%</td>
+                            <td class="text-end">${(group.outputShare * 100).toFixed(2)}%</td>
+                            <td class="text-end">${(group.share * 100).toFixed(2)}%</td>
+                            <td class="text-end">${Math.round(group.bonus)}</td>
+                            <td class="text-end">${Math.round(payout)}</td>
+                            <td class="text-end">${members.length > 0 ? Math.round(payout / members.length) : 0}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        `;
+        card.style.display = '';
+    }
+
+    /**
+     * 渲染多月平滑前后的绩效分配金额对比
+     */
+    renderSmoothingSummary() {
+        const card = document.getElementById('smoothingSummaryCard');
+        if (!card) return;
+        
+        const summary = this.resultsData.results.smoothingSummary;
+        if (!summary || summary.mode === 'none' || summary.months.length === 0) {
+            card.style.display = 'none';
+            return;
+        }
+        
+        const monthsText = summary.months.map(item => `${item.year}年${item.month}月`).join('、');
+        document.getElementById('smoothingSummaryText').textContent = summary.mode === 'rollingShare' ?
+            `各指标份额按本月与${monthsText}的${PerformanceCalculator.SMOOTHING_WEIGHTINGS[summary.weighting]}滚动平均计算，` +
+                `共有${Math.round(summary.totalShift)}元因平滑在人员之间调整。` :
+            `个人绩效份额与${monthsText}的实际绩效份额混合，共有${Math.round(summary.totalShift)}元因平滑在人员之间调整。`;
+        
+        const results = [...this.resultsData.results.individualResults]
+            .sort((a, b) => (b.performanceAllocation || 0) - (a.performanceAllocation || 0));
+        document.getElementById('smoothingSummaryTable').innerHTML = `
+            <thead class="table-light">
+                <tr>
+                    <th>姓名</th>
+                    <th class="text-end">不平滑</th>
+                    <th class="text-end">平滑后</th>
+                    <th class="text-end">差额</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${results.map(result => {
+                    const shift = (result.performanceAllocation || 0) - (result.unsmoothedAllocation || 0);
+                    return `
+                        <tr>
+                            <td>${result.doctorName}</td>
+                            <td class="text-end">${Math.round(result.unsmoothedAllocation || 0)}</td>
+                            <td class="text-end">${Math.round(result.performanceAllocation || 0)}</td>
+                            <td class="text-end ${shift < 0 ? 'text-danger' : 'text-success'}">${shift > 0 ? '+' : ''}${Math.round(shift)}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        `;
+        card.style.display = '';
+    }
+
+    /**
+     * 渲染专项奖金和值班奖金汇总
+     */
+    renderSubPoolSummary() {
+        const card = document.getElementById('subPoolSummaryCard');
+        if (!card) return;
+        
+        const dutyPool = this.resultsData.results.dutyPool;
+        const pools = [...(this.resultsData.results.subPoolSummary?.pools || []), ...(dutyPool ? [dutyPool] : [])];
+        if (pools.length === 0) {
+            card.style.display = 'none';
+            return;
+        }
+        
+        document.getElementById('subPoolSummaryTable').innerHTML = `
+            <thead class="table-light">
+                <tr>
+                    <th>专项奖金</th>
+                    <th>计提方式</th>
+                    <th class="text-end">计提金额</th>
+                    <th>发放对象</th>
+                    <th class="text-end">个人金额</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${pools.map(pool => {
+                    const setting = pool.mode === 'percentage' ? `奖金总额的${pool.value}%` :
+                        (pool.mode === 'perPoint' ? `每分${pool.value}元，全科${Number(pool.totalPoints.toFixed(2))}分` : `固定${pool.value}元`);
+                    if (pool.recipients.length === 0) {
+                        return `
+                            <tr>
+                                <td>${pool.name}</td>
+                                <td>${setting}</td>
+                                <td class="text-end">0</td>
+                                <td colspan="2" class="text-muted">本月没有发放对象，未计提</td>
+                            </tr>
+                        `;
+                    }
+                    return pool.recipients.map((recipient, index) => `
+                        <tr>
+                            ${index === 0 ? `
+                                <td rowspan="${pool.recipients.length}">${pool.name}</td>
+                                <td rowspan="${pool.recipients.length}">${setting}</td>
+                                <td rowspan="${pool.recipients.length}" class="text-end">${pool.amount.toFixed(2)}</td>
+                            ` : ''}
+                            <td>${recipient.doctorName}${recipient.points !== undefined ? `（${Number(recipient.points.toFixed(2))}分）` : ''}</td>
+                            <td class="text-end">${recipient.amount.toFixed(2)}</td>
+                        </tr>
+                    `).join('');
+                }).join('')}
+            </tbody>
+        `;
+        card.style.display = '';
+    }
+
+    /**
+     * 获取敏感性分析结果（按本次计算的输入和配置复算，结果缓存到计算输入变化为止）
+     * @returns {Object|null} 敏感性分析结果，旧结果没有计算输入时为null
+     */
+    getSensitivityReport() {
+        const trace = this.resultsData?.results?.trace;
+        if (!trace) return null;
+        
+        if (!this.sensitivityReport || this.sensitivityReport.trace !== trace) {
+            const inputs = this.getCalculationInputs();
+            this.sensitivityReport = {
+                trace: trace,
+                report: this.calculator.analyzeSensitivity(
+                    inputs.doctorsWithData, inputs.totalBonus, this.resultsData.results.config || {}, inputs.options)
+            };
+        }
+        
+        return this.sensitivityReport.report;
+    }
+
+    /**
+     * 渲染敏感性分析
+     */
+    renderSensitivity() {
+        const card = document.getElementById('sensitivityCard');
+        let report;
+        try {
+            report = this.getSensitivityReport();
+        } catch (error) {
+            console.warn('敏感性分析失败:', error);
+            report = null;
+        }
+        if (!report) {
+            card.style.display = 'none';
+            return;
+        }
+        
+        document.getElementById('sensitivityTable').innerHTML = `
+            <thead class="table-light">
+                <tr>
+                    <th>姓名</th>
+                    ${report.metrics.map(metric => `<th class="text-end">${metric.label}<br><small>${PerformanceCalculator.describeSensitivityUnit(metric)}</small></th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${report.doctors.map(doctor => `
+                    <tr>
+                        <td>${doctor.doctorName}</td>
+                        ${report.metrics.map(metric => `<td class="text-end">${doctor.marginals[metric.id].toFixed(2)}</td>`).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+        
+        document.getElementById('weightElasticityTable').innerHTML = `
+            <thead class="table-light">
+                <tr><th>指标</th><th class="text-end">当前权重</th><th class="text-end">转移金额（元）</th><th class="text-end">平均弹性</th></tr>
+            </thead>
+            <tbody>
+                ${report.weightElasticities.map(item => `
+                    <tr>
+                        <td>${item.label}</td>
+                        <td class="text-end">${item.weight}%</td>
+                        <td class="text-end">${item.redistributed.toFixed(2)}</td>
+                        <td class="text-end">${item.elasticity === null ? '-' : item.elasticity.toFixed(3)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+        
+        card.style.display = '';
+    }
 
-                        <tr><td>出院人数分</td><td>${result.scores.discharge.toFixed(2)}</td></tr>
-                        <tr><td>床日数分</td><td>${result.scores.bedDays.toFixed(2)}</td></tr>
-                        <tr><td>出勤分</td><td>${result.scores.attendance.toFixed(2)}</td></tr>
-                        <tr><td><strong>最终分数</strong></td><td><strong>${result.finalScore.toFixed(2)}</strong></td></tr>
-                    </table>
+    /**
+     * 显示方案模拟模态框
+     */
+    showScenarioModal() {
+        if (!this.getCalculationInputs()) {
+            this.showMessage('当前结果缺少计算输入，请返回数据录入页面重新计算后再进行方案模拟', 'warning');
+            return;
+        }
+        
+        if (document.querySelectorAll('#scenarioEditors .scenario-editor').length === 0) {
+            this.addScenarioEditor();
+        }
+        
+        new bootstrap.Modal(document.getElementById('scenarioModal')).show();
+    }
+
+    /**
+     * 添加一个方案编辑卡片，输入框的占位符为当前配置值
+     */
+    addScenarioEditor() {
+        const inputs = this.getCalculationInputs();
+        if (!inputs) return;
+        
+        const metrics = this.getResultMetrics();
+        const titles = [];
+        inputs.doctorsWithData.forEach(({ doctor }) => {
+            if (doctor.title && !titles.some(title => title.name === doctor.title)) {
+                titles.push({ name: doctor.title, coefficient: doctor.titleCoefficient || 1.0 });
+            }
+        });
+        const newEmployeeConfig = this.resultsData.results.config?.newEmployeeConfig || {};
+        const newEmployeeFields = {
+            uncertifiedCoeff: '未取证',
+            certifiedWithinThreeYearsCoeff: '取证未满判定年限',
+            normalCoeff: '正常'
+        };
+        const count = document.querySelectorAll('#scenarioEditors .scenario-editor').length;
+        const field = (attributes, label, placeholder) => `
+            <div class="col-6 mb-2">
+                <label class="form-label small mb-0">${label}</label>
+                <input type="number" class="form-control form-control-sm" ${attributes} placeholder="${placeholder}" step="0.01" min="0">
+            </div>
+        `;
+        
+        const editor = document.createElement('div');
+        editor.className = 'col-md-6 col-lg-4 mb-3 scenario-editor';
+        editor.innerHTML = `
+            <div class="card h-100">
+                <div class="card-header d-flex align-items-center">
+                    <input type="text" class="form-control form-control-sm scenario-name" value="方案${count + 1}">
+                    <button type="button" class="btn btn-sm btn-outline-danger ms-2 remove-scenario-btn" title="移除方案">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="card-body">
+                    <h6 class="small text-primary">指标权重（%）</h6>
+                    <div class="row">
+                        ${metrics.map(metric => field(`data-metric-id="${metric.id}"`, metric.label, metric.weight)).join('')}
+                    </div>
+                    <h6 class="small text-primary">职称系数</h6>
+                    <div class="row">
+                        ${titles.map(title => field(`data-title="${title.name}"`, title.name, title.coefficient)).join('')}
+                    </div>
+                    <h6 class="small text-primary">新入职人员系数</h6>
+                    <div class="row">
+                        ${Object.keys(newEmployeeFields).map(key => field(`data-new-employee="${key}"`, newEmployeeFields[key], newEmployeeConfig[key] ?? '')).join('')}
+                    </div>
                 </div>
             </div>
         `;
         
-        new bootstrap.Modal(document.getElementById('detailModal')).show();
+        document.getElementById('scenarioEditors').appendChild(editor);
+    }
+
+    /**
+     * 读取方案编辑卡片，只收集已填写的项
+     * @returns {Array<Object>} 方案列表
+     */
+    readScenarios() {
+        const readValues = (editor, selector, attribute) => {
+            const values = {};
+            editor.querySelectorAll(selector).forEach(input => {
+                if (input.value.trim() !== '') {
+                    values[input.dataset[attribute]] = parseFloat(input.value);
+                }
+            });
+            return values;
+        };
+        
+        return Array.from(document.querySelectorAll('#scenarioEditors .scenario-editor')).map(editor => ({
+            name: editor.querySelector('.scenario-name').value.trim(),
+            weights: readValues(editor, '[data-metric-id]', 'metricId'),
+            titleCoefficients: readValues(editor, '[data-title]', 'title'),
+            newEmployeeConfig: readValues(editor, '[data-new-employee]', 'newEmployee')
+        }));
+    }
+
+    /**
+     * 运行方案模拟并显示对比结果
+     */
+    runScenarios() {
+        const inputs = this.getCalculationInputs();
+        if (!inputs) return;
+        
+        const scenarios = this.readScenarios();
+        if (scenarios.length === 0) {
+            this.showMessage('请先添加至少一个方案', 'warning');
+            return;
+        }
+        
+        try {
+            this.scenarioSimulation = this.calculator.runScenarios(
+                inputs.doctorsWithData, inputs.totalBonus, this.resultsData.results.config || {}, scenarios, inputs.options);
+            this.renderScenarioComparison(this.scenarioSimulation);
+        } catch (error) {
+            this.scenarioSimulation = null;
+            document.getElementById('scenarioComparison').innerHTML = `<div class="alert alert-danger">${error.message}</div>`;
+        }
+    }
+
+    /**
+     * 渲染方案对比表：每人各方案金额及与当前配置的差额，末尾为分布汇总
+     * @param {Object} simulation - calculator.runScenarios的返回值
+     */
+    renderScenarioComparison(simulation) {
+        const { baseline, scenarios } = simulation;
+        const formatDelta = delta => {
+            const value = Math.round(delta);
+            if (value === 0) return '<span class="text-muted">0</span>';
+            return value > 0 ? `<span class="text-success">+${value}</span>` : `<span class="text-danger">${value}</span>`;
+        };
+        const distributionRows = {
+            mean: '平均值',
+            median: '中位数',
+            min: '最低',
+            max: '最高',
+            stdDev: '标准差'
+        };
+        
+        document.getElementById('scenarioComparison').innerHTML = `
+            <div class="table-responsive">
+                <table class="table table-sm table-bordered align-middle">
+                    <thead class="table-light">
+                        <tr>
+                            <th rowspan="2">姓名</th>
+                            <th rowspan="2" class="text-end">${baseline.name}</th>
+                            ${scenarios.map((scenario, index) => `
+                                <th colspan="2" class="text-center">
+                                    ${scenario.name}
+                                    <button type="button" class="btn btn-sm btn-outline-success ms-1 adopt-scenario-btn" data-index="${index}">采用</button>
+                                </th>
+                            `).join('')}
+                        </tr>
+                        <tr>
+                            ${scenarios.map(() => '<th class="text-end">金额</th><th class="text-end">变化</th>').join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${baseline.result.individualResults.map(result => `
+                            <tr>
+                                <td>${result.doctorName}</td>
+                                <td class="text-end">${Math.round(result.finalAllocation)}</td>
+                                ${scenarios.map(scenario => {
+                                    const delta = scenario.deltas.find(item => item.doctorId === result.doctorId);
+                                    return delta ?
+                                        `<td class="text-end">${Math.round(delta.amount)}</td><td class="text-end">${formatDelta(delta.delta)}</td>` :
+                                        '<td>-</td><td>-</td>';
+                                }).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                    <tfoot class="table-light">
+                        ${Object.keys(distributionRows).map(key => `
+                            <tr>
+                                <td>${distributionRows[key]}</td>
+                                <td class="text-end">${Math.round(baseline.distribution[key])}</td>
+                                ${scenarios.map(scenario => `
+                                    <td class="text-end">${Math.round(scenario.distribution[key])}</td>
+                                    <td class="text-end">${formatDelta(scenario.distribution[key] - baseline.distribution[key])}</td>
+                                `).join('')}
+                            </tr>
+                        `).join('')}
+                    </tfoot>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * 采用方案：将方案中的权重和系数写入系统设置，并以方案结果替换当前结果
+     * 替换后的结果同样需要点击"保存结果"才会进入历史记录
+     * @param {number} index - 方案序号
+     */
+    async adoptScenario(index) {
+        const scenario = this.scenarioSimulation?.scenarios[index];
+        if (!scenario) return;
+        
+        if (!confirm(`确定采用"${scenario.name}"吗？系统设置中的权重和系数将被更新，当前结果将替换为该方案的计算结果。`)) {
+            return;
+        }
+        
+        try {
+            const { weights, titleCoefficients, newEmployeeConfig } = scenario.changes;
+            const systemConfig = await this.storageManager.getSystemConfig();
+            
+            const registry = MetricRegistry.fromConfig(systemConfig);
+            Object.keys(weights).forEach(id => registry.update(id, { weight: weights[id] }));
+            systemConfig.setMetrics(registry.toJSON());
+            
+            systemConfig.newEmployeeConfig = { ...systemConfig.newEmployeeConfig, ...newEmployeeConfig };
+            
+            Object.keys(titleCoefficients).forEach(name => {
+                const title = systemConfig.titleCoefficients.find(t => t.name === name) || {};
+                systemConfig.setTitleCoefficient(name, titleCoefficients[name], title.description || '', {
+                    minAllocation: title.minAllocation,
+                    maxAllocation: title.maxAllocation
+                });
+            });
+            await this.storageManager.saveConfig(systemConfig);
+            
+            // 计算使用医生档案中的职称系数，同步更新相应职称的医生
+            if (Object.keys(titleCoefficients).length > 0) {
+                const doctors = await this.storageManager.getDoctors();
+                for (const doctor of doctors) {
+                    if (titleCoefficients[doctor.title] !== undefined) {
+                        await this.storageManager.updateDoctor(doctor.id, { titleCoefficient: titleCoefficients[doctor.title] });
+                    }
+                }
+            }
+            
+            const { result } = scenario;
+            this.resultsData.results = {
+                individualResults: result.individualResults,
+                teamStats: result.teamStats,
+                groupStats: result.groupStats,
+                config: result.config,
+                rewardPenaltySummary: result.rewardPenaltySummary,
+                constraintSummary: result.constraintSummary,
+                fairness: result.fairness,
+                groupResults: result.groupResults,
+                subPoolSummary: result.subPoolSummary,
+                dutyPool: result.dutyPool,
+                smoothingSummary: result.smoothingSummary,
+                trace: result.trace
+            };
+            this.resultsData.calculationTime = result.calculatedAt;
+            // 采用方案后的结果按调整后的设置计算，不再对应某一规则版本
+            this.resultsData.ruleVersion = null;
+            sessionStorage.setItem('performanceResults', JSON.stringify(this.resultsData));
+            
+            this.scenarioSimulation = null;
+            document.getElementById('scenarioComparison').innerHTML = '';
+            document.getElementById('scenarioEditors').innerHTML = '';
+            bootstrap.Modal.getInstance(document.getElementById('scenarioModal')).hide();
+            
+            this.renderResults();
+            this.renderConfig();
+            this.renderSensitivity();
+            this.showMessage(`已采用"${scenario.name}"，请确认后保存结果`, 'success');
+        } catch (error) {
+            this.showMessage('采用方案失败：' + error.message, 'danger');
+        }
     }
 
     /**
@@ -1083,15 +1933,21 @@ class ResultsPageController {
         
         try {
             const { year, month, results } = this.resultsData;
+            const trace = results.trace || null;
             
-            // 创建绩效记录
-            const record = new PerformanceRecord({
-                year,
-                month,
-                results: results.individualResults,
-                teamStats: results.teamStats,
-                config: this.storageManager.getSystemConfig()
-            });
+            // 创建绩效记录：保存计算时实际使用的配置和审计轨迹，医生和工作数据取自轨迹的输入快照
+            const record = new PerformanceRecord(
+                null,
+                String(year),
+                String(month),
+                trace ? trace.inputs.doctors : [],
+                trace ? trace.inputs.workData : [],
+                results.individualResults,
+                results.config || {},
+                trace,
+                results.groupResults || [],
+                this.resultsData.ruleVersion || null
+            );
             
             this.storageManager.addPerformanceRecord(record);
             this.showMessage('结果保存成功', 'success');
@@ -1115,7 +1971,14 @@ class ResultsPageController {
         
         try {
             const { year, month, results } = this.resultsData;
-            const csvContent = this.calculator.exportToCSV(results.individualResults, year, month);
+            const csvContent = this.calculator.exportToCSV({
+                results: results.individualResults,
+                config: results.config,
+                groupResults: results.groupResults,
+                subPoolSummary: results.subPoolSummary,
+                dutyPool: results.dutyPool,
+                sensitivity: this.getSensitivityReport()
+            });
             
             // 创建下载链接
             const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
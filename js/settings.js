@@ -7,224 +7,1651 @@ class SettingsPageController {
     constructor() {
         this.storageManager = new StorageManager();
         this.config = null;
-        
+        this.editingTitle = null;
+        this.editingMetricId = null;
+
         this.init();
     }
 
     /**
-     * 初始化页面
+     * 初始化页面
+     */
+    async init() {
+        this.setupEventListeners();
+        await this.loadConfig();
+        this.renderConfigForm();
+    }
+
+    /**
+     * 加载系统配置
+     */
+    async loadConfig() {
+        this.config = await this.storageManager.getSystemConfig();
+        // 专项奖金可指定发放医生
+        this.doctors = await this.storageManager.getDoctors();
+    }
+
+    /**
+     * 设置事件监听器
+     */
+    setupEventListeners() {
+        // 保存与重置设置
+        document.getElementById('saveSettingsBtn').addEventListener('click', () => this.saveConfig());
+        document.getElementById('resetSettingsBtn').addEventListener('click', () => this.resetConfig());
+
+        // 职称系数管理
+        document.getElementById('addTitleBtn').addEventListener('click', () => this.showAddTitleModal());
+        document.getElementById('saveTitleBtn').addEventListener('click', () => this.saveTitle());
+
+        // 数据管理
+        document.getElementById('exportConfigBtn').addEventListener('click', () => this.exportConfig());
+        document.getElementById('importConfigBtn').addEventListener('click', () => this.importConfig());
+        document.getElementById('clearHistoryBtn').addEventListener('click', () => this.clearHistory());
+        document.getElementById('resetSystemBtn').addEventListener('click', () => this.resetSystem());
+
+        // 自定义公式：输入时实时校验，预览最近一次计算的数据
+        Object.keys(PerformanceCalculator.FORMULA_TYPES).forEach(type => {
+            document.getElementById(`${type}Formula`).addEventListener('input', () => this.validateFormulaInput(type));
+        });
+        document.getElementById('previewFormulaBtn').addEventListener('click', () => this.previewFormulas());
+
+        // 绩效指标管理
+        document.getElementById('addMetricBtn').addEventListener('click', () => this.showAddMetricModal());
+        document.getElementById('saveMetricBtn').addEventListener('click', () => this.saveMetric());
+
+        // 权重变更时实时验证（指标行动态生成，使用事件委托）
+        document.getElementById('metricsTableBody').addEventListener('input', (e) => {
+            if (e.target.classList.contains('metric-weight-input')) {
+                this.validateWeights();
+            }
+        });
+
+        // 治疗组管理（行动态生成，使用事件委托）
+        document.getElementById('addGroupBtn').addEventListener('click', () => this.addGroup());
+        document.getElementById('groupsTableBody').addEventListener('click', (e) => {
+            const button = e.target.closest('.delete-group-btn');
+            if (button) {
+                this.deleteGroup(button.dataset.groupId);
+            }
+        });
+
+        // DRG权重表管理（行动态生成，使用事件委托）
+        document.getElementById('addDrgWeightBtn').addEventListener('click', () => this.addDrgWeight());
+        document.getElementById('importDrgWeightsBtn').addEventListener('click', () => this.importDrgWeights());
+        document.getElementById('drgWeightsTableBody').addEventListener('click', (e) => {
+            const button = e.target.closest('.delete-drg-weight-btn');
+            if (button) {
+                this.deleteDrgWeight(Number(button.dataset.index));
+            }
+        });
+
+        // 岗位系数管理（行动态生成，使用事件委托）
+        document.getElementById('addRoleCoefficientBtn').addEventListener('click', () => this.addRoleCoefficient());
+        document.getElementById('roleCoefficientsTableBody').addEventListener('click', (e) => {
+            const button = e.target.closest('.delete-role-coefficient-btn');
+            if (button) {
+                this.deleteRoleCoefficient(Number(button.dataset.index));
+            }
+        });
+
+        // 轮转地点管理（行动态生成，使用事件委托）
+        document.getElementById('addLocationBtn').addEventListener('click', () => this.addLocation());
+        document.getElementById('locationsTableBody').addEventListener('click', (e) => {
+            const button = e.target.closest('.delete-location-btn');
+            if (button) {
+                this.deleteLocation(button.dataset.locationId);
+            }
+        });
+
+        // 专项奖金管理（行动态生成，使用事件委托）
+        document.getElementById('addSubPoolBtn').addEventListener('click', () => this.addSubPool());
+        document.getElementById('subPoolsTableBody').addEventListener('click', (e) => {
+            const button = e.target.closest('.delete-sub-pool-btn');
+            if (button) {
+                this.deleteSubPool(button.dataset.poolId);
+            }
+        });
+
+        // 规则版本管理（行动态生成，使用事件委托）
+        document.getElementById('publishRuleVersionBtn').addEventListener('click', () => this.publishRuleVersion());
+        document.getElementById('ruleVersionsTableBody').addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            if (button.classList.contains('diff-previous-btn')) {
+                this.showRuleVersionDiff(button.dataset.versionId, 'previous');
+            } else if (button.classList.contains('diff-current-btn')) {
+                this.showRuleVersionDiff(button.dataset.versionId, 'current');
+            } else if (button.classList.contains('delete-rule-version-btn')) {
+                this.deleteRuleVersion(button.dataset.versionId);
+            }
+        });
+
+        // 模态框关闭
+        document.getElementById('titleModal').addEventListener('hidden.bs.modal', () => this.resetTitleForm());
+        document.getElementById('metricModal').addEventListener('hidden.bs.modal', () => this.resetMetricForm());
+    }
+
+    /**
+     * 渲染配置表单
+     */
+    renderConfigForm() {
+        const newEmployeeConfig = this.config.newEmployeeConfig;
+        const options = this.config.systemOptions;
+
+        // 绩效指标及权重
+        this.renderMetrics();
+
+        // 新入职人员系数
+        document.getElementById('uncertifiedCoeff').value = newEmployeeConfig.uncertifiedCoeff;
+        document.getElementById('certifiedWithinThreeYearsCoeff').value = newEmployeeConfig.certifiedWithinThreeYearsCoeff;
+        document.getElementById('normalCoeff').value = newEmployeeConfig.normalCoeff;
+        document.getElementById('newEmployeeThreshold').value = newEmployeeConfig.newEmployeeThreshold;
+        document.getElementById('newEmployeeProgressive').checked = newEmployeeConfig.progressive;
+
+        // 奖罚处理方式
+        document.getElementById('rewardPenaltyPolicy').value = this.config.rewardPenaltyConfig.policy;
+        document.getElementById('roundingUnit').value = this.config.roundingConfig.unit;
+
+        // 在岗天数折算
+        document.getElementById('prorationEnabled').checked = this.config.prorationConfig.enabled;
+        Object.entries(this.config.prorationConfig.leaveCreditRatios).forEach(([type, ratio]) => {
+            document.getElementById(`leaveCreditRatio_${type}`).value = ratio;
+        });
+
+        // 个人分配上下限
+        const constraints = this.config.allocationConstraints;
+        document.getElementById('floorMode').value = constraints.floor.mode;
+        document.getElementById('floorValue').value = constraints.floor.value;
+        document.getElementById('floorFullAttendanceOnly').checked = constraints.floor.fullAttendanceOnly;
+        document.getElementById('ceilingMode').value = constraints.ceiling.mode;
+        document.getElementById('ceilingValue').value = constraints.ceiling.value;
+
+        // 治疗组
+        this.renderGroups();
+        document.getElementById('groupWeight_headcount').value = this.config.groupConfig.weights.headcount;
+        document.getElementById('groupWeight_output').value = this.config.groupConfig.weights.output;
+
+        // 病例组合（DRG）权重
+        document.getElementById('drgEnabled').checked = this.config.drgConfig.enabled;
+        this.renderDrgWeights();
+
+        // 医疗收入计分口径
+        document.getElementById('revenueBasis').value = this.config.revenueConfig.basis;
+        this.renderRevenueConfig();
+
+        // 质量安全系数
+        document.getElementById('qualityEnabled').checked = this.config.qualityConfig.enabled;
+        document.getElementById('qualityMode').value = this.config.qualityConfig.mode;
+        document.getElementById('qualityMinCoefficient').value = this.config.qualityConfig.minCoefficient;
+        this.renderQualityIndicators();
+
+        // 专项奖金
+        this.renderSubPools();
+
+        // 岗位系数
+        document.getElementById('roleCombine').innerHTML = Object.entries(PerformanceCalculator.ROLE_COMBINE_RULES)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        document.getElementById('roleCombine').value = this.config.roleCoefficientConfig.combine;
+        this.renderRoleCoefficients();
+
+        // 轮转地点
+        this.renderLocations();
+
+        // 值班
+        this.renderDutyConfig();
+
+        // 多月平滑
+        document.getElementById('smoothingMode').value = this.config.smoothingConfig.mode;
+        document.getElementById('smoothingWindow').value = this.config.smoothingConfig.window;
+        document.getElementById('smoothingWeighting').value = this.config.smoothingConfig.weighting;
+        document.getElementById('smoothingDecay').value = this.config.smoothingConfig.decay;
+        document.getElementById('smoothingBlendRatio').value = this.config.smoothingConfig.blendRatio;
+
+        // 自定义公式
+        document.getElementById('coefficientFormula').value = this.config.formulaConfig.coefficient;
+        document.getElementById('shareFormula').value = this.config.formulaConfig.share;
+        document.getElementById('formulaPreview').innerHTML = '';
+        this.renderFormulaHelp();
+
+        // 公平性预警阈值
+        Object.entries(this.config.fairnessConfig).forEach(([key, value]) => {
+            document.getElementById(`fairness_${key}`).value = value;
+        });
+
+        // 系统选项
+        document.getElementById('autoSaveSwitch').checked = options.autoSave;
+        document.getElementById('confirmDeleteSwitch').checked = options.confirmDelete;
+        document.getElementById('decimalPlaces').value = options.decimalPlaces;
+        document.getElementById('maxHistoryRecords').value = options.maxHistoryRecords;
+
+        // 渲染职称系数表格
+        this.renderTitleCoefficients();
+
+        // 规则版本
+        this.renderRuleVersions();
+    }
+
+    /**
+     * 渲染职称系数表格
+     */
+    renderTitleCoefficients() {
+        const tbody = document.getElementById('titleCoeffTableBody');
+        tbody.innerHTML = '';
+
+        this.config.titleCoefficients.forEach((title, index) => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${title.name}</td>
+                <td>${title.coefficient}</td>
+                <td>${title.description || ''}</td>
+                <td>${this.formatTitleLimits(title)}</td>
+                <td>
+                    <button class="btn btn-sm btn-outline-primary me-1" onclick="settingsController.editTitle(${index})">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-danger" onclick="settingsController.deleteTitle(${index})">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            `;
+            tbody.appendChild(row);
+        });
+    }
+
+    /**
+     * 格式化职称的绩效上下限
+     * @param {Object} title - 职称配置
+     * @returns {string} 显示文本
+     */
+    formatTitleLimits(title) {
+        const hasMin = title.minAllocation !== null && title.minAllocation !== undefined;
+        const hasMax = title.maxAllocation !== null && title.maxAllocation !== undefined;
+        if (!hasMin && !hasMax) return '<span class="text-muted">不限</span>';
+        return `${hasMin ? title.minAllocation : '不限'} ~ ${hasMax ? title.maxAllocation : '不限'}`;
+    }
+
+    /**
+     * 渲染绩效指标表格
+     */
+    renderMetrics() {
+        const tbody = document.getElementById('metricsTableBody');
+        tbody.innerHTML = '';
+
+        this.config.metrics.forEach(metric => {
+            const row = document.createElement('tr');
+            const scoringText = MetricRegistry.SCORING_METHODS[metric.scoring] +
+                (metric.scoring === 'capped' ? `（${metric.cap}${metric.unit}）` : '') +
+                (metric.scoring === 'formula' ? `<br><code>${this.escapeHTML(metric.formula)}</code>` : '');
+            row.innerHTML = `
+                <td>
+                    ${metric.label}
+                    ${metric.builtin ? '<span class="badge bg-secondary ms-1">内置</span>' : ''}
+                </td>
+                <td>${metric.unit}</td>
+                <td>
+                    <input type="number" class="form-control form-control-sm metric-weight-input"
+                           data-metric-id="${metric.id}" value="${metric.weight}" min="0" max="100" step="1">
+                </td>
+                <td>${MetricRegistry.AGGREGATIONS[metric.aggregation]}</td>
+                <td>${scoringText}</td>
+                <td>
+                    <button type="button" class="btn btn-sm btn-outline-primary me-1" onclick="settingsController.editMetric('${metric.id}')">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    ${metric.builtin ? '' : `
+                    <button type="button" class="btn btn-sm btn-outline-danger" onclick="settingsController.deleteMetric('${metric.id}')">
+                        <i class="fas fa-trash"></i>
+                    </button>`}
+                </td>
+            `;
+            tbody.appendChild(row);
+        });
+
+        this.validateWeights();
+
+        // 公式可用的指标变量随指标列表变化
+        this.renderFormulaHelp();
+    }
+
+    /**
+     * 读取表单中的权重（百分比）
+     * @returns {Object} 指标标识到权重的映射
+     */
+    readWeightsFromForm() {
+        const weights = {};
+        document.querySelectorAll('.metric-weight-input').forEach(input => {
+            weights[input.dataset.metricId] = parseFloat(input.value) || 0;
+        });
+        return weights;
+    }
+
+    /**
+     * 将表单中尚未保存的权重合并到指标定义中
+     * @returns {Array<Object>} 指标定义列表
+     */
+    getMetricsWithFormWeights() {
+        const weights = this.readWeightsFromForm();
+        return this.config.metrics.map(metric => ({
+            ...metric,
+            weight: weights[metric.id] ?? metric.weight
+        }));
+    }
+
+    /**
+     * 验证权重总和
+     * @returns {boolean} 权重总和是否为100
+     */
+    validateWeights() {
+        const weights = this.readWeightsFromForm();
+        const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+        const isValid = Math.abs(total - 100) < 0.01;
+
+        const totalElement = document.getElementById('totalWeight');
+        totalElement.textContent = total;
+        totalElement.className = isValid ? 'fw-bold text-success' : 'fw-bold text-danger';
+        document.getElementById('weightWarning').style.display = isValid ? 'none' : 'inline';
+
+        return isValid;
+    }
+
+    /**
+     * 保存配置
+     */
+    async saveConfig() {
+        // 验证权重
+        if (!this.validateWeights()) {
+            this.showMessage('权重总和必须等于100%', 'danger');
+            return;
+        }
+
+        try {
+            // 更新指标权重
+            this.config.setMetrics(this.getMetricsWithFormWeights());
+
+            // 更新新入职人员系数
+            this.config.newEmployeeConfig = {
+                uncertifiedCoeff: parseFloat(document.getElementById('uncertifiedCoeff').value),
+                certifiedWithinThreeYearsCoeff: parseFloat(document.getElementById('certifiedWithinThreeYearsCoeff').value),
+                normalCoeff: parseFloat(document.getElementById('normalCoeff').value),
+                newEmployeeThreshold: parseInt(document.getElementById('newEmployeeThreshold').value)
+            };
+
+            const invalidCoeff = Object.values(this.config.newEmployeeConfig).some(value => isNaN(value) || value < 0);
+            if (invalidCoeff) {
+                throw new Error('新入职人员系数必须为非负数');
+            }
+            this.config.newEmployeeConfig.progressive = document.getElementById('newEmployeeProgressive').checked;
+
+            // 更新奖罚处理方式
+            this.config.rewardPenaltyConfig = {
+                policy: document.getElementById('rewardPenaltyPolicy').value
+            };
+
+            // 更新金额取整单位
+            this.config.roundingConfig = {
+                unit: parseInt(document.getElementById('roundingUnit').value)
+            };
+
+            // 更新在岗天数折算
+            const leaveCreditRatios = {};
+            Object.keys(this.config.prorationConfig.leaveCreditRatios).forEach(type => {
+                const ratio = parseFloat(document.getElementById(`leaveCreditRatio_${type}`).value);
+                if (isNaN(ratio) || ratio < 0 || ratio > 1) {
+                    throw new Error('请假计入比例必须在0-1之间');
+                }
+                leaveCreditRatios[type] = ratio;
+            });
+            this.config.prorationConfig = {
+                enabled: document.getElementById('prorationEnabled').checked,
+                leaveCreditRatios: leaveCreditRatios
+            };
+
+            // 更新个人分配上下限
+            this.config.allocationConstraints = {
+                floor: {
+                    mode: document.getElementById('floorMode').value,
+                    value: parseFloat(document.getElementById('floorValue').value) || 0,
+                    fullAttendanceOnly: document.getElementById('floorFullAttendanceOnly').checked
+                },
+                ceiling: {
+                    mode: document.getElementById('ceilingMode').value,
+                    value: parseFloat(document.getElementById('ceilingValue').value) || 0
+                }
+            };
+
+            // 更新治疗组
+            const groupWeights = {
+                headcount: parseFloat(document.getElementById('groupWeight_headcount').value),
+                output: parseFloat(document.getElementById('groupWeight_output').value)
+            };
+            if (Object.values(groupWeights).some(value => isNaN(value) || value < 0)) {
+                throw new Error('治疗组分配权重不能为负数');
+            }
+            if (Math.abs(groupWeights.headcount + groupWeights.output - 100) > 0.01) {
+                throw new Error('治疗组分配权重（人数 + 产出）之和必须为100');
+            }
+            const groups = this.readGroupsFromForm();
+            if (groups.some(group => !group.name)) {
+                throw new Error('治疗组名称不能为空');
+            }
+            if (new Set(groups.map(group => group.name)).size !== groups.length) {
+                throw new Error('治疗组名称不能重复');
+            }
+            this.config.groupConfig = {
+                groups: groups,
+                weights: groupWeights
+            };
+
+            // 更新病例组合（DRG）权重
+            const drgWeights = this.readDrgWeightsFromForm();
+            drgWeights.forEach((entry, index) => {
+                if (!entry.code) {
+                    throw new Error('DRG分组编码不能为空');
+                }
+                if (drgWeights.findIndex(other => other.code === entry.code) !== index) {
+                    throw new Error(`DRG分组编码"${entry.code}"重复`);
+                }
+                if (isNaN(entry.weight) || entry.weight <= 0) {
+                    throw new Error(`DRG分组"${entry.code}"的权重必须大于0`);
+                }
+            });
+            this.config.drgConfig = {
+                enabled: document.getElementById('drgEnabled').checked,
+                weights: drgWeights
+            };
+
+            // 更新医疗收入计分口径
+            this.config.revenueConfig = this.readRevenueConfigFromForm();
+
+            // 更新质量安全系数
+            this.config.qualityConfig = this.readQualityConfigFromForm();
+
+            // 更新岗位系数
+            const roles = this.readRoleCoefficientsFromForm();
+            roles.forEach((role, index) => {
+                if (!role.name) {
+                    throw new Error('岗位名称不能为空');
+                }
+                if (roles.findIndex(other => other.name === role.name) !== index) {
+                    throw new Error(`岗位"${role.name}"重复`);
+                }
+                if (isNaN(role.coefficient) || role.coefficient <= 0) {
+                    throw new Error(`岗位"${role.name}"的系数必须大于0`);
+                }
+            });
+            this.config.roleCoefficientConfig = {
+                combine: document.getElementById('roleCombine').value,
+                roles: roles
+            };
+
+            // 更新轮转地点
+            const locations = this.readLocationsFromForm();
+            locations.forEach((location, index) => {
+                if (!location.name) {
+                    throw new Error('轮转地点名称不能为空');
+                }
+                if (locations.findIndex(other => other.name === location.name) !== index) {
+                    throw new Error(`轮转地点"${location.name}"重复`);
+                }
+                if (isNaN(location.coefficient) || location.coefficient <= 0) {
+                    throw new Error(`轮转地点"${location.name}"的系数必须大于0`);
+                }
+                Object.entries(location.metricFactors).forEach(([metricId, factor]) => {
+                    if (isNaN(factor) || factor <= 0) {
+                        const metric = this.config.metrics.find(item => item.id === metricId);
+                        throw new Error(`轮转地点"${location.name}"的指标"${metric ? metric.label : metricId}"系数必须大于0`);
+                    }
+                });
+            });
+            this.config.locationConfig = { locations: locations };
+
+            // 更新专项奖金
+            const pools = this.readSubPoolsFromForm();
+            pools.forEach(pool => {
+                if (!pool.name) {
+                    throw new Error('专项奖金名称不能为空');
+                }
+                if (isNaN(pool.value) || pool.value < 0 || (pool.mode === 'percentage' && pool.value > 100)) {
+                    throw new Error(`专项奖金"${pool.name}"的${pool.mode === 'percentage' ? '比例必须在0-100之间' : '金额不能为负数'}`);
+                }
+                if (pool.roles.length === 0 && pool.doctorIds.length === 0) {
+                    throw new Error(`专项奖金"${pool.name}"未指定发放岗位或医生`);
+                }
+            });
+            this.config.subPoolConfig = { pools: pools };
+
+            // 更新值班
+            this.config.dutyConfig = this.readDutyConfigFromForm();
+
+            // 更新多月平滑
+            const smoothingConfig = {
+                mode: document.getElementById('smoothingMode').value,
+                window: parseInt(document.getElementById('smoothingWindow').value),
+                weighting: document.getElementById('smoothingWeighting').value,
+                decay: parseFloat(document.getElementById('smoothingDecay').value),
+                blendRatio: parseFloat(document.getElementById('smoothingBlendRatio').value)
+            };
+            if (!PerformanceCalculator.SMOOTHING_MODES[smoothingConfig.mode] || !PerformanceCalculator.SMOOTHING_WEIGHTINGS[smoothingConfig.weighting]) {
+                throw new Error('多月平滑方式无效');
+            }
+            if (isNaN(smoothingConfig.window) || smoothingConfig.window < 2 || smoothingConfig.window > 12) {
+                throw new Error('滚动月数必须为2-12之间的整数');
+            }
+            if (isNaN(smoothingConfig.decay) || smoothingConfig.decay <= 0 || smoothingConfig.decay > 1) {
+                throw new Error('衰减系数必须大于0且不超过1');
+            }
+            if (isNaN(smoothingConfig.blendRatio) || smoothingConfig.blendRatio < 0 || smoothingConfig.blendRatio > 1) {
+                throw new Error('上月混合比例必须在0-1之间');
+            }
+            this.config.smoothingConfig = smoothingConfig;
+
+            // 更新自定义公式
+            Object.entries(PerformanceCalculator.FORMULA_TYPES).forEach(([type, label]) => {
+                const validation = this.validateFormulaInput(type);
+                if (!validation.isValid) {
+                    throw new Error(`${label}有误：${validation.errors.join('；')}`);
+                }
+            });
+            this.config.formulaConfig = this.readFormulaConfigFromForm();
+
+            // 更新公平性预警阈值
+            const fairnessConfig = {};
+            Object.keys(this.config.fairnessConfig).forEach(key => {
+                const value = parseFloat(document.getElementById(`fairness_${key}`).value);
+                if (isNaN(value) || value <= 0) {
+                    throw new Error('公平性预警阈值必须大于0');
+                }
+                fairnessConfig[key] = value;
+            });
+            this.config.fairnessConfig = fairnessConfig;
+
+            // 更新系统选项
+            this.config.systemOptions = {
+                autoSave: document.getElementById('autoSaveSwitch').checked,
+                confirmDelete: document.getElementById('confirmDeleteSwitch').checked,
+                decimalPlaces: parseInt(document.getElementById('decimalPlaces').value),
+                maxHistoryRecords: parseInt(document.getElementById('maxHistoryRecords').value)
+            };
+
+            this.config.updatedAt = new Date().toISOString();
+
+            // 保存到存储
+            await this.storageManager.updateSystemConfig(this.config);
+
+            const { year, month } = this.getCalculationPeriod();
+            const inForce = this.config.getRuleVersionFor(year, month);
+            this.showMessage(inForce ?
+                `配置保存成功。${year}年${month}月按规则版本"${inForce.name}"计算，新配置需发布为新版本后才会用于该月` :
+                '配置保存成功，下次计算将使用新配置', 'success');
+
+        } catch (error) {
+            this.showMessage('保存失败：' + error.message, 'danger');
+        }
+    }
+
+    /**
+     * 重置配置
+     */
+    async resetConfig() {
+        if (!confirm('确定要重置所有配置到默认值吗？')) return;
+
+        // 已发布的规则版本不随设置重置
+        this.config = new SystemConfig({ ruleVersions: this.config.ruleVersions });
+        await this.storageManager.updateSystemConfig(this.config);
+        this.renderConfigForm();
+        this.showMessage('配置已重置为默认值', 'success');
+    }
+
+    /**
+     * 获取设置页用于判断生效版本的月份（数据录入页当前的计算月份，没有时为本月）
+     * @returns {Object} { year, month }
+     */
+    getCalculationPeriod() {
+        const saved = localStorage.getItem('performance_system_current_month') || new Date().toISOString().slice(0, 7);
+        const [year, month] = saved.split('-').map(Number);
+        return { year, month };
+    }
+
+    /**
+     * 渲染规则版本列表
+     */
+    renderRuleVersions() {
+        const { year, month } = this.getCalculationPeriod();
+        const inForce = this.config.getRuleVersionFor(year, month);
+        const period = `${year}-${String(month).padStart(2, '0')}`;
+
+        document.getElementById('ruleVersionStatus').textContent = inForce ?
+            `${period}的绩效按规则版本"${inForce.name}"（${inForce.effectiveFrom}起生效）计算，修改设置后需发布为新版本才会用于已生效的月份` :
+            `${period}没有已生效的规则版本，按当前设置计算`;
+
+        const tbody = document.getElementById('ruleVersionsTableBody');
+        if (this.config.ruleVersions.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">尚未发布规则版本</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = [...this.config.ruleVersions].reverse().map(version => `
+            <tr>
+                <td>
+                    ${version.name}
+                    ${inForce && inForce.id === version.id ? '<span class="badge bg-success ms-1">当前生效</span>' : ''}
+                    ${version.effectiveFrom > period ? '<span class="badge bg-secondary ms-1">待生效</span>' : ''}
+                </td>
+                <td>${version.effectiveFrom}</td>
+                <td>${version.note || ''}</td>
+                <td>${new Date(version.createdAt).toLocaleString()}</td>
+                <td>
+                    <button type="button" class="btn btn-sm btn-outline-info diff-previous-btn" data-version-id="${version.id}">与上一版本对比</button>
+                    <button type="button" class="btn btn-sm btn-outline-secondary diff-current-btn" data-version-id="${version.id}">与当前设置对比</button>
+                    <button type="button" class="btn btn-sm btn-outline-danger delete-rule-version-btn" data-version-id="${version.id}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * 将已保存的设置发布为规则版本
+     */
+    async publishRuleVersion() {
+        try {
+            const savedConfig = await this.storageManager.getSystemConfig();
+            const version = savedConfig.publishRuleVersion(
+                document.getElementById('ruleVersionName').value,
+                document.getElementById('ruleVersionEffectiveFrom').value,
+                document.getElementById('ruleVersionNote').value
+            );
+            await this.storageManager.updateSystemConfig(savedConfig);
+
+            this.config.ruleVersions = savedConfig.ruleVersions;
+            ['ruleVersionName', 'ruleVersionEffectiveFrom', 'ruleVersionNote'].forEach(id => {
+                document.getElementById(id).value = '';
+            });
+            this.renderRuleVersions();
+            this.showMessage(`规则版本"${version.name}"已发布，自${version.effectiveFrom}起生效`, 'success');
+        } catch (error) {
+            this.showMessage('发布失败：' + error.message, 'danger');
+        }
+    }
+
+    /**
+     * 删除规则版本
+     * @param {string} versionId - 版本ID
+     */
+    async deleteRuleVersion(versionId) {
+        const version = this.config.ruleVersions.find(item => item.id === versionId);
+        if (!version) return;
+        if (!confirm(`确定要删除规则版本"${version.name}"吗？已保存的绩效记录不受影响，之后计算${version.effectiveFrom}起的月份将改用其他版本。`)) return;
+
+        const savedConfig = await this.storageManager.getSystemConfig();
+        savedConfig.removeRuleVersion(versionId);
+        await this.storageManager.updateSystemConfig(savedConfig);
+
+        this.config.ruleVersions = savedConfig.ruleVersions;
+        document.getElementById('ruleVersionDiff').innerHTML = '';
+        this.renderRuleVersions();
+        this.showMessage('规则版本已删除', 'success');
+    }
+
+    /**
+     * 显示规则版本与上一版本或当前设置之间的差异
+     * @param {string} versionId - 版本ID
+     * @param {string} against - previous：与上一版本对比；current：与当前设置对比
+     */
+    showRuleVersionDiff(versionId, against) {
+        const index = this.config.ruleVersions.findIndex(item => item.id === versionId);
+        if (index === -1) return;
+
+        const version = this.config.ruleVersions[index];
+        const previous = this.config.ruleVersions[index - 1] || null;
+        let title;
+        let changes;
+        if (against === 'current') {
+            title = `"${version.name}" → 当前设置`;
+            changes = SystemConfig.diffRules(version.rules, this.config.getRules());
+        } else {
+            title = previous ? `"${previous.name}" → "${version.name}"` : `"${version.name}"（首个版本，与默认设置对比）`;
+            changes = SystemConfig.diffRules(previous ? previous.rules : new SystemConfig().getRules(), version.rules);
+        }
+
+        const format = value => {
+            if (value === undefined) return '<span class="text-muted">—</span>';
+            if (value === null) return '未设置';
+            if (typeof value === 'boolean') return value ? '是' : '否';
+            if (Array.isArray(value)) return value.length > 0 ? value.join('、') : '（空）';
+            return this.escapeHTML(value);
+        };
+        const changeLabels = { added: '新增', removed: '删除', changed: '修改' };
+
+        document.getElementById('ruleVersionDiff').innerHTML = `
+            <h6 class="text-primary mt-2">${title}</h6>
+            ${changes.length === 0 ? '<p class="text-muted">两者的计算规则相同</p>' : `
+                <table class="table table-sm table-striped">
+                    <thead class="table-light">
+                        <tr><th>配置项</th><th>设置</th><th>变更</th><th>原值</th><th>新值</th></tr>
+                    </thead>
+                    <tbody>
+                        ${changes.map(change => `
+                            <tr>
+                                <td>${change.sectionLabel}</td>
+                                <td><code>${change.path}</code></td>
+                                <td>${changeLabels[change.change]}</td>
+                                <td>${format(change.before)}</td>
+                                <td>${format(change.after)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+        `;
+    }
+
+    /**
+     * 渲染治疗组表格
+     */
+    renderGroups() {
+        const tbody = document.getElementById('groupsTableBody');
+        const groups = this.config.groupConfig.groups;
+
+        if (groups.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="2" class="text-center text-muted">未设置治疗组，全科作为一个团队分配</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = groups.map(group => `
+            <tr>
+                <td>
+                    <input type="text" class="form-control form-control-sm group-name-input" data-group-id="${group.id}" value="${group.name}">
+                </td>
+                <td>
+                    <button type="button" class="btn btn-sm btn-outline-danger delete-group-btn" data-group-id="${group.id}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * 从表单读取治疗组（名称可直接在表格中修改）
+     * @returns {Array<Object>} 治疗组列表
+     */
+    readGroupsFromForm() {
+        return this.config.groupConfig.groups.map(group => {
+            const input = document.querySelector(`.group-name-input[data-group-id="${group.id}"]`);
+            return { id: group.id, name: input ? input.value.trim() : group.name };
+        });
+    }
+
+    /**
+     * 添加治疗组（保存设置后生效）
+     */
+    addGroup() {
+        const groups = this.readGroupsFromForm();
+        groups.push({
+            id: 'group_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            name: `治疗组${groups.length + 1}`
+        });
+        this.config.groupConfig = { ...this.config.groupConfig, groups: groups };
+        this.renderGroups();
+    }
+
+    /**
+     * 删除治疗组（保存设置后生效），该组医生归入未分组
+     * @param {string} groupId - 治疗组ID
+     */
+    deleteGroup(groupId) {
+        const groups = this.readGroupsFromForm();
+        const group = groups.find(item => item.id === groupId);
+        if (!group) return;
+        if (!confirm(`确定要删除治疗组"${group.name}"吗？该组医生将归入未分组。`)) return;
+
+        this.config.groupConfig = {
+            ...this.config.groupConfig,
+            groups: groups.filter(item => item.id !== groupId)
+        };
+        this.renderGroups();
+    }
+
+    /**
+     * 渲染DRG权重表
+     */
+    renderDrgWeights() {
+        const tbody = document.getElementById('drgWeightsTableBody');
+        const weights = this.config.drgConfig.weights;
+
+        if (weights.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4" class="text-center text-muted">未设置DRG权重，出院人数可按病例组合指数（CMI）加权</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = weights.map((entry, index) => `
+            <tr>
+                <td><input type="text" class="form-control form-control-sm drg-code-input" value="${entry.code}"></td>
+                <td><input type="text" class="form-control form-control-sm drg-name-input" value="${entry.name}"></td>
+                <td><input type="number" class="form-control form-control-sm drg-weight-input" min="0" step="0.0001" value="${entry.weight}"></td>
+                <td>
+                    <button type="button" class="btn btn-sm btn-outline-danger delete-drg-weight-btn" data-index="${index}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * 从表单读取DRG权重表（各项可直接在表格中修改）
+     * @returns {Array<Object>} DRG权重表
+     */
+    readDrgWeightsFromForm() {
+        return [...document.querySelectorAll('#drgWeightsTableBody tr')]
+            .filter(row => row.querySelector('.drg-code-input'))
+            .map(row => ({
+                code: row.querySelector('.drg-code-input').value.trim(),
+                name: row.querySelector('.drg-name-input').value.trim(),
+                weight: parseFloat(row.querySelector('.drg-weight-input').value)
+            }));
+    }
+
+    /**
+     * 添加DRG分组（保存设置后生效）
+     */
+    addDrgWeight() {
+        const weights = this.readDrgWeightsFromForm();
+        weights.push({ code: '', name: '', weight: 1 });
+        this.config.drgConfig = { ...this.config.drgConfig, weights: weights };
+        this.renderDrgWeights();
+    }
+
+    /**
+     * 删除DRG分组（保存设置后生效）
+     * @param {number} index - 分组序号
+     */
+    deleteDrgWeight(index) {
+        const weights = this.readDrgWeightsFromForm();
+        weights.splice(index, 1);
+        this.config.drgConfig = { ...this.config.drgConfig, weights: weights };
+        this.renderDrgWeights();
+    }
+
+    /**
+     * 从CSV文件导入DRG权重表（替换当前权重表，保存设置后生效）
+     */
+    importDrgWeights() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.csv,.txt';
+
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                try {
+                    const weights = SystemConfig.parseDrgWeightsCSV(event.target.result);
+                    if (weights.length === 0) {
+                        throw new Error('文件中没有DRG权重数据');
+                    }
+                    this.config.drgConfig = { ...this.config.drgConfig, weights: weights };
+                    this.renderDrgWeights();
+                    this.showMessage(`已导入${weights.length}个DRG分组，保存设置后生效`, 'success');
+                } catch (error) {
+                    this.showMessage('导入失败：' + error.message, 'danger');
+                }
+            };
+            reader.readAsText(file);
+        };
+
+        input.click();
+    }
+
+    /**
+     * 渲染值班计入方式、值班奖金计提方式和各值班类型的每小时分值
+     */
+    renderDutyConfig() {
+        const dutyConfig = this.config.dutyConfig;
+        document.getElementById('dutyMode').innerHTML = Object.entries(PerformanceCalculator.DUTY_MODES)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        document.getElementById('dutyMode').value = dutyConfig.mode;
+        document.getElementById('dutyPoolMode').innerHTML = Object.entries(PerformanceCalculator.DUTY_POOL_MODES)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        document.getElementById('dutyPoolMode').value = dutyConfig.poolMode;
+        document.getElementById('dutyPoolValue').value = dutyConfig.poolValue;
+        this.renderDutyMetricOptions(dutyConfig.metricId);
+        document.getElementById('dutyRatesTableBody').innerHTML = Object.entries(MonthlyWorkData.DUTY_TYPES).map(([type, label]) => `
+            <tr>
+                <td>${label}</td>
+                <td>
+                    <input type="number" class="form-control form-control-sm" id="dutyRate_${type}" min="0" step="0.1" value="${dutyConfig.rates[type] ?? 0}">
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * 渲染值班作为指标数值时可选的指标（指标增删后调用，保留当前选择）
+     * @param {string} [selectedId] - 选中的指标ID，省略时保留表单中的当前选择
+     */
+    renderDutyMetricOptions(selectedId = document.getElementById('dutyMetricId').value) {
+        const select = document.getElementById('dutyMetricId');
+        select.innerHTML = '<option value="">（未选择）</option>' + this.config.metrics
+            .map(metric => `<option value="${metric.id}">${this.escapeHTML(metric.label)}</option>`).join('');
+        select.value = this.config.metrics.some(metric => metric.id === selectedId) ? selectedId : '';
+    }
+
+    /**
+     * 从表单读取并校验值班配置
+     * @returns {Object} 值班配置
+     */
+    readDutyConfigFromForm() {
+        const mode = document.getElementById('dutyMode').value;
+        const poolMode = document.getElementById('dutyPoolMode').value;
+        const poolValue = parseFloat(document.getElementById('dutyPoolValue').value) || 0;
+        const metricId = document.getElementById('dutyMetricId').value;
+        if (!PerformanceCalculator.DUTY_MODES[mode] || !PerformanceCalculator.DUTY_POOL_MODES[poolMode]) {
+            throw new Error('值班计入方式无效');
+        }
+        if (poolValue < 0 || (poolMode === 'percentage' && poolValue > 100)) {
+            throw new Error(`值班奖金的${poolMode === 'percentage' ? '比例必须在0-100之间' : '单价或金额不能为负数'}`);
+        }
+        if (mode === 'metric' && !metricId) {
+            throw new Error('值班作为指标数值时必须选择对应的指标');
+        }
+
+        const rates = {};
+        Object.entries(MonthlyWorkData.DUTY_TYPES).forEach(([type, label]) => {
+            const rate = parseFloat(document.getElementById(`dutyRate_${type}`).value);
+            if (isNaN(rate) || rate < 0) {
+                throw new Error(`${label}的每小时分值不能为负数`);
+            }
+            rates[type] = rate;
+        });
+
+        return { mode, rates, poolMode, poolValue, metricId };
+    }
+
+    /**
+     * 渲染医疗收入各项构成的净收入计入比例及药占比、耗占比目标
+     */
+    renderRevenueConfig() {
+        const { netRatios, ratioTargets } = this.config.revenueConfig;
+        document.getElementById('revenueNetRatiosTableBody').innerHTML = Object.entries(MonthlyWorkData.REVENUE_COMPONENTS).map(([type, label]) => `
+            <tr>
+                <td>${label}</td>
+                <td>
+                    <input type="number" class="form-control form-control-sm" id="revenueNetRatio_${type}" min="0" max="1" step="0.01" value="${netRatios[type]}">
+                </td>
+            </tr>
+        `).join('');
+        document.getElementById('revenueRatioTargetsTableBody').innerHTML = Object.entries(PerformanceCalculator.REVENUE_RATIO_TYPES).map(([type, label]) => `
+            <tr>
+                <td>${label}</td>
+                <td>
+                    <input type="number" class="form-control form-control-sm" id="revenueTarget_${type}" min="0" max="100" step="0.1"
+                           placeholder="不考核" value="${ratioTargets[type].target ?? ''}">
+                </td>
+                <td>
+                    <input type="number" class="form-control form-control-sm" id="revenuePenalty_${type}" min="0" max="1" step="0.01" value="${ratioTargets[type].penalty}">
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * 从表单读取并校验医疗收入计分口径配置
+     * @returns {Object} 医疗收入计分口径配置
+     */
+    readRevenueConfigFromForm() {
+        const basis = document.getElementById('revenueBasis').value;
+        if (!PerformanceCalculator.REVENUE_BASES[basis]) {
+            throw new Error('医疗收入计分口径无效');
+        }
+
+        const netRatios = {};
+        Object.entries(MonthlyWorkData.REVENUE_COMPONENTS).forEach(([type, label]) => {
+            const ratio = parseFloat(document.getElementById(`revenueNetRatio_${type}`).value);
+            if (isNaN(ratio) || ratio < 0 || ratio > 1) {
+                throw new Error(`${label}的计入比例必须在0-1之间`);
+            }
+            netRatios[type] = ratio;
+        });
+
+        const ratioTargets = {};
+        Object.entries(PerformanceCalculator.REVENUE_RATIO_TYPES).forEach(([type, label]) => {
+            const targetText = document.getElementById(`revenueTarget_${type}`).value.trim();
+            const target = targetText === '' ? null : parseFloat(targetText);
+            const penalty = parseFloat(document.getElementById(`revenuePenalty_${type}`).value);
+            if (target !== null && (isNaN(target) || target < 0 || target > 100)) {
+                throw new Error(`${label}目标必须在0-100之间`);
+            }
+            if (isNaN(penalty) || penalty < 0 || penalty > 1) {
+                throw new Error(`${label}的扣减比例必须在0-1之间`);
+            }
+            ratioTargets[type] = { target, penalty };
+        });
+
+        return { basis, netRatios, ratioTargets };
+    }
+
+    /**
+     * 渲染质量安全指标的容许次数、扣减系数和扣减曲线
+     */
+    renderQualityIndicators() {
+        const indicators = this.config.qualityConfig.indicators;
+        document.getElementById('qualityIndicatorsTableBody').innerHTML = Object.entries(MonthlyWorkData.QUALITY_INDICATORS).map(([type, label]) => `
+            <tr>
+                <td>${label}</td>
+                <td>
+                    <input type="number" class="form-control form-control-sm" id="qualityThreshold_${type}" min="0" step="1" value="${indicators[type].threshold}">
+                </td>
+                <td>
+                    <input type="number" class="form-control form-control-sm" id="qualityPenalty_${type}" min="0" max="1" step="0.01" value="${indicators[type].penalty}">
+                </td>
+                <td>
+                    <select class="form-select form-select-sm" id="qualityCurve_${type}">
+                        ${Object.entries(PerformanceCalculator.QUALITY_CURVES).map(([curve, curveLabel]) => `
+                            <option value="${curve}" ${indicators[type].curve === curve ? 'selected' : ''}>${curveLabel}</option>
+                        `).join('')}
+                    </select>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * 从表单读取并校验质量安全系数配置
+     * @returns {Object} 质量安全系数配置
+     */
+    readQualityConfigFromForm() {
+        const minCoefficient = parseFloat(document.getElementById('qualityMinCoefficient').value);
+        if (isNaN(minCoefficient) || minCoefficient < 0 || minCoefficient > 1) {
+            throw new Error('质量系数下限必须在0-1之间');
+        }
+
+        const indicators = {};
+        Object.entries(MonthlyWorkData.QUALITY_INDICATORS).forEach(([type, label]) => {
+            const threshold = parseFloat(document.getElementById(`qualityThreshold_${type}`).value);
+            const penalty = parseFloat(document.getElementById(`qualityPenalty_${type}`).value);
+            const curve = document.getElementById(`qualityCurve_${type}`).value;
+            if (isNaN(threshold) || threshold < 0) {
+                throw new Error(`${label}的容许次数不能为负数`);
+            }
+            if (isNaN(penalty) || penalty < 0 || penalty > 1) {
+                throw new Error(`${label}的扣减系数必须在0-1之间`);
+            }
+            if (!PerformanceCalculator.QUALITY_CURVES[curve]) {
+                throw new Error(`${label}的扣减曲线无效`);
+            }
+            indicators[type] = { threshold, penalty, curve };
+        });
+
+        return {
+            enabled: document.getElementById('qualityEnabled').checked,
+            mode: document.getElementById('qualityMode').value,
+            minCoefficient: minCoefficient,
+            indicators: indicators
+        };
+    }
+
+    /**
+     * 渲染岗位系数表格
+     */
+    renderRoleCoefficients() {
+        const tbody = document.getElementById('roleCoefficientsTableBody');
+        const roles = this.config.roleCoefficientConfig.roles;
+
+        if (roles.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4" class="text-center text-muted">未设置岗位系数，个人份额只按职称和新入职人员系数调整</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = roles.map((role, index) => `
+            <tr>
+                <td><input type="text" class="form-control form-control-sm role-name-input" value="${role.name}" placeholder="如：总住院医师"></td>
+                <td><input type="number" class="form-control form-control-sm role-coefficient-input" min="0" step="0.01" value="${role.coefficient}"></td>
+                <td><input type="text" class="form-control form-control-sm role-description-input" value="${role.description || ''}"></td>
+                <td>
+                    <button type="button" class="btn btn-sm btn-outline-danger delete-role-coefficient-btn" data-index="${index}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * 从表单读取岗位系数表（各项可直接在表格中修改）
+     * @returns {Array<Object>} 岗位系数表 [{ name, coefficient, description }]
+     */
+    readRoleCoefficientsFromForm() {
+        return [...document.querySelectorAll('#roleCoefficientsTableBody tr')]
+            .filter(row => row.querySelector('.role-name-input'))
+            .map(row => ({
+                name: row.querySelector('.role-name-input').value.trim(),
+                coefficient: parseFloat(row.querySelector('.role-coefficient-input').value),
+                description: row.querySelector('.role-description-input').value.trim()
+            }));
+    }
+
+    /**
+     * 添加岗位系数（保存设置后生效）
      */
-    init() {
-        this.loadConfig();
-        this.setupEventListeners();
-        this.renderConfigForm();
-        this.updateStorageInfo();
+    addRoleCoefficient() {
+        const roles = this.readRoleCoefficientsFromForm();
+        roles.push({ name: '', coefficient: 1, description: '' });
+        this.config.roleCoefficientConfig = { ...this.config.roleCoefficientConfig, roles: roles };
+        this.renderRoleCoefficients();
     }
 
     /**
-     * 加载系统配置
+     * 删除岗位系数（保存设置后生效）
+     * @param {number} index - 岗位序号
      */
-    loadConfig() {
-        this.config = this.storageManager.getSystemConfig();
+    deleteRoleCoefficient(index) {
+        const roles = this.readRoleCoefficientsFromForm();
+        roles.splice(index, 1);
+        this.config.roleCoefficientConfig = { ...this.config.roleCoefficientConfig, roles: roles };
+        this.renderRoleCoefficients();
     }
 
     /**
-     * 设置事件监听器
+     * 渲染轮转地点表格（每项指标一列指标系数）
      */
-    setupEventListeners() {
-        // 保存配置
-        document.getElementById('saveConfigBtn').addEventListener('click', () => this.saveConfig());
-        
-        // 重置配置
-        document.getElementById('resetConfigBtn').addEventListener('click', () => this.resetConfig());
-        
-        // 职称系数管理
-        document.getElementById('addTitleBtn').addEventListener('click', () => this.showAddTitleModal());
-        document.getElementById('saveTitleBtn').addEventListener('click', () => this.saveTitle());
-        
-        // 数据管理
-        document.getElementById('exportConfigBtn').addEventListener('click', () => this.exportConfig());
-        document.getElementById('importConfigBtn').addEventListener('click', () => this.importConfig());
-        document.getElementById('exportDataBtn').addEventListener('click', () => this.exportAllData());
-        document.getElementById('importDataBtn').addEventListener('click', () => this.importAllData());
-        document.getElementById('clearHistoryBtn').addEventListener('click', () => this.clearHistory());
-        document.getElementById('resetSystemBtn').addEventListener('click', () => this.resetSystem());
-        
-        // 文件输入
-        document.getElementById('configFileInput').addEventListener('change', (e) => this.handleConfigFileImport(e));
-        document.getElementById('dataFileInput').addEventListener('change', (e) => this.handleDataFileImport(e));
-        
-        // 权重变更时实时验证
-        ['baseWeight', 'dischargeWeight', 'bedDayWeight', 'attendanceWeight'].forEach(id => {
-            document.getElementById(id).addEventListener('input', () => this.validateWeights());
+    renderLocations() {
+        const metrics = this.config.metrics;
+        const locations = this.config.locationConfig.locations;
+
+        document.getElementById('locationsTableHeader').innerHTML = `
+            <th>地点名称</th>
+            <th style="width: 110px;">地点系数</th>
+            ${metrics.map(metric => `<th style="width: 110px;">${metric.label}系数</th>`).join('')}
+            <th style="width: 80px;">操作</th>
+        `;
+
+        const tbody = document.getElementById('locationsTableBody');
+        if (locations.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="${metrics.length + 3}" class="text-center text-muted">未设置轮转地点，排班不影响分配</td></tr>`;
+            return;
+        }
+
+        tbody.innerHTML = locations.map(location => `
+            <tr data-location-id="${location.id}">
+                <td><input type="text" class="form-control form-control-sm location-name-input" value="${location.name}"></td>
+                <td><input type="number" class="form-control form-control-sm location-coefficient-input" min="0" step="0.01" value="${location.coefficient}"></td>
+                ${metrics.map(metric => `
+                <td><input type="number" class="form-control form-control-sm location-factor-input" data-metric-id="${metric.id}" min="0" step="0.01"
+                           value="${location.metricFactors[metric.id] ?? ''}" placeholder="1"></td>`).join('')}
+                <td>
+                    <button type="button" class="btn btn-sm btn-outline-danger delete-location-btn" data-location-id="${location.id}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * 从表单读取轮转地点（各项可直接在表格中修改，指标系数留空按1计算）
+     * @returns {Array<Object>} 轮转地点 [{ id, name, coefficient, metricFactors }]
+     */
+    readLocationsFromForm() {
+        return [...document.querySelectorAll('#locationsTableBody tr[data-location-id]')].map(row => {
+            const metricFactors = {};
+            row.querySelectorAll('.location-factor-input').forEach(input => {
+                if (input.value.trim() !== '') {
+                    metricFactors[input.dataset.metricId] = parseFloat(input.value);
+                }
+            });
+            return {
+                id: row.dataset.locationId,
+                name: row.querySelector('.location-name-input').value.trim(),
+                coefficient: parseFloat(row.querySelector('.location-coefficient-input').value),
+                metricFactors: metricFactors
+            };
         });
-        
-        // 模态框关闭
-        document.getElementById('titleModal').addEventListener('hidden.bs.modal', () => this.resetTitleForm());
     }
 
     /**
-     * 渲染配置表单
+     * 按页面中的指标列表重新生成轮转地点表格的指标系数列，保留已填写的内容
      */
-    renderConfigForm() {
-        // 绩效计算权重
-        document.getElementById('baseWeight').value = (this.config.weights.baseWeight * 100).toFixed(0);
-        document.getElementById('dischargeWeight').value = (this.config.weights.dischargeWeight * 100).toFixed(0);
-        document.getElementById('bedDayWeight').value = (this.config.weights.bedDayWeight * 100).toFixed(0);
-        document.getElementById('attendanceWeight').value = (this.config.weights.attendanceWeight * 100).toFixed(0);
-        
-        // 新入职人员系数
-        document.getElementById('uncertifiedCoeff').value = this.config.newEmployeeCoefficients.uncertified;
-        document.getElementById('withinThreeYearsCoeff').value = this.config.newEmployeeCoefficients.withinThreeYears;
-        document.getElementById('normalCoeff').value = this.config.newEmployeeCoefficients.normal;
-        
-        // 系统选项
-        document.getElementById('autoSave').checked = this.config.options.autoSave;
-        document.getElementById('confirmDelete').checked = this.config.options.confirmDelete;
-        document.getElementById('decimalPlaces').value = this.config.options.decimalPlaces;
-        document.getElementById('maxHistoryRecords').value = this.config.options.maxHistoryRecords;
-        
-        // 渲染职称系数表格
-        this.renderTitleCoefficients();
+    refreshLocationMetricColumns() {
+        const metricIds = this.config.metrics.map(metric => metric.id);
+        const locations = this.readLocationsFromForm().map(location => ({
+            ...location,
+            metricFactors: Object.fromEntries(Object.entries(location.metricFactors).filter(([metricId]) => metricIds.includes(metricId)))
+        }));
+        this.config.locationConfig = { locations: locations };
+        this.renderLocations();
     }
 
     /**
-     * 渲染职称系数表格
+     * 添加轮转地点（保存设置后生效）
      */
-    renderTitleCoefficients() {
-        const tbody = document.getElementById('titleCoeffTableBody');
-        tbody.innerHTML = '';
-        
-        Object.entries(this.config.titleCoefficients).forEach(([title, coefficient]) => {
-            const row = document.createElement('tr');
-            row.innerHTML = `
-                <td>${title}</td>
-                <td>${coefficient}</td>
+    addLocation() {
+        const locations = this.readLocationsFromForm();
+        locations.push({
+            id: 'location_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            name: `地点${locations.length + 1}`,
+            coefficient: 1,
+            metricFactors: {}
+        });
+        this.config.locationConfig = { locations: locations };
+        this.renderLocations();
+    }
+
+    /**
+     * 删除轮转地点（保存设置后生效），已排到该地点的日期不再计入排班天数
+     * @param {string} locationId - 轮转地点ID
+     */
+    deleteLocation(locationId) {
+        const locations = this.readLocationsFromForm();
+        const location = locations.find(item => item.id === locationId);
+        if (!location) return;
+        if (!confirm(`确定要删除轮转地点"${location.name}"吗？已排到该地点的日期将不再计入排班天数。`)) return;
+
+        this.config.locationConfig = { locations: locations.filter(item => item.id !== locationId) };
+        this.renderLocations();
+    }
+
+    /**
+     * 渲染专项奖金表格
+     */
+    renderSubPools() {
+        const tbody = document.getElementById('subPoolsTableBody');
+        const pools = this.config.subPoolConfig.pools;
+
+        if (pools.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">未设置专项奖金，奖金总额全部按指标分配</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = pools.map(pool => `
+            <tr data-pool-id="${pool.id}">
                 <td>
-                    <button class="btn btn-sm btn-outline-primary me-1" onclick="settingsController.editTitle('${title}')">
-                        <i class="fas fa-edit"></i>
-                    </button>
-                    <button class="btn btn-sm btn-outline-danger" onclick="settingsController.deleteTitle('${title}')">
+                    <input type="text" class="form-control form-control-sm sub-pool-name" value="${pool.name}">
+                </td>
+                <td>
+                    <select class="form-select form-select-sm sub-pool-mode">
+                        ${Object.entries(PerformanceCalculator.SUB_POOL_MODES).map(([mode, label]) => `
+                            <option value="${mode}" ${pool.mode === mode ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </td>
+                <td>
+                    <input type="number" class="form-control form-control-sm sub-pool-value" min="0" step="0.01" value="${pool.value}">
+                </td>
+                <td>
+                    <input type="text" class="form-control form-control-sm sub-pool-roles" value="${pool.roles.join('、')}" placeholder="如：总住院医师">
+                </td>
+                <td>
+                    <select class="form-select form-select-sm sub-pool-doctors" multiple size="3">
+                        ${this.doctors.map(doctor => `
+                            <option value="${doctor.id}" ${pool.doctorIds.includes(doctor.id) ? 'selected' : ''}>${doctor.name}</option>
+                        `).join('')}
+                    </select>
+                </td>
+                <td>
+                    <button type="button" class="btn btn-sm btn-outline-danger delete-sub-pool-btn" data-pool-id="${pool.id}">
                         <i class="fas fa-trash"></i>
                     </button>
                 </td>
-            `;
-            tbody.appendChild(row);
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * 从表单读取专项奖金（各项可直接在表格中修改）
+     * @returns {Array<Object>} 专项奖金列表
+     */
+    readSubPoolsFromForm() {
+        return this.config.subPoolConfig.pools.map(pool => {
+            const row = document.querySelector(`#subPoolsTableBody tr[data-pool-id="${pool.id}"]`);
+            if (!row) return pool;
+            return {
+                id: pool.id,
+                name: row.querySelector('.sub-pool-name').value.trim(),
+                mode: row.querySelector('.sub-pool-mode').value,
+                value: parseFloat(row.querySelector('.sub-pool-value').value),
+                roles: Doctor.parseRoles(row.querySelector('.sub-pool-roles').value),
+                doctorIds: [...row.querySelector('.sub-pool-doctors').selectedOptions].map(option => option.value)
+            };
         });
     }
 
     /**
-     * 验证权重总和
+     * 添加专项奖金（保存设置后生效）
      */
-    validateWeights() {
-        const baseWeight = parseFloat(document.getElementById('baseWeight').value) || 0;
-        const dischargeWeight = parseFloat(document.getElementById('dischargeWeight').value) || 0;
-        const bedDayWeight = parseFloat(document.getElementById('bedDayWeight').value) || 0;
-        const attendanceWeight = parseFloat(document.getElementById('attendanceWeight').value) || 0;
-        
-        const total = baseWeight + dischargeWeight + bedDayWeight + attendanceWeight;
-        const weightSumElement = document.getElementById('weightSum');
-        
-        weightSumElement.textContent = `当前总和: ${total}%`;
-        
-        if (total === 100) {
-            weightSumElement.className = 'text-success';
-        } else {
-            weightSumElement.className = 'text-danger';
-        }
-        
-        return total === 100;
+    addSubPool() {
+        const pools = this.readSubPoolsFromForm();
+        pools.push({
+            id: 'pool_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            name: `专项奖金${pools.length + 1}`,
+            mode: 'fixed',
+            value: 0,
+            roles: [],
+            doctorIds: []
+        });
+        this.config.subPoolConfig = { pools: pools };
+        this.renderSubPools();
     }
 
     /**
-     * 保存配置
+     * 删除专项奖金（保存设置后生效）
+     * @param {string} poolId - 专项奖金ID
      */
-    saveConfig() {
-        // 验证权重
-        if (!this.validateWeights()) {
-            this.showMessage('权重总和必须等于100%', 'danger');
+    deleteSubPool(poolId) {
+        const pools = this.readSubPoolsFromForm();
+        const pool = pools.find(item => item.id === poolId);
+        if (!pool) return;
+        if (!confirm(`确定要删除专项奖金"${pool.name}"吗？`)) return;
+
+        this.config.subPoolConfig = { pools: pools.filter(item => item.id !== poolId) };
+        this.renderSubPools();
+    }
+
+    /**
+     * 显示添加指标模态框
+     */
+    showAddMetricModal() {
+        this.editingMetricId = null;
+        this.resetMetricForm();
+        document.getElementById('metricModalTitle').textContent = '添加指标';
+        new bootstrap.Modal(document.getElementById('metricModal')).show();
+    }
+
+    /**
+     * 编辑指标
+     * @param {string} metricId - 指标标识
+     */
+    editMetric(metricId) {
+        const metric = this.getMetricsWithFormWeights().find(item => item.id === metricId);
+        if (!metric) return;
+
+        this.resetMetricForm();
+        this.editingMetricId = metricId;
+        document.getElementById('metricModalTitle').textContent = '编辑指标';
+        document.getElementById('metricId').value = metric.id;
+        document.getElementById('metricId').disabled = true;
+        document.getElementById('metricLabel').value = metric.label;
+        document.getElementById('metricUnit').value = metric.unit;
+        document.getElementById('metricWeight').value = metric.weight;
+        document.getElementById('metricAggregation').value = metric.aggregation;
+        document.getElementById('metricScoring').value = metric.scoring;
+        document.getElementById('metricCap').value = metric.cap ?? '';
+        document.getElementById('metricFormula').value = metric.formula || '';
+        document.getElementById('metricSensitivityUnit').value = metric.sensitivityUnit ?? 1;
+
+        new bootstrap.Modal(document.getElementById('metricModal')).show();
+    }
+
+    /**
+     * 保存指标（仅更新页面中的配置，需点击"保存设置"后生效）
+     */
+    saveMetric() {
+        const form = document.getElementById('metricForm');
+        if (!form.checkValidity()) {
+            form.classList.add('was-validated');
             return;
         }
-        
+
+        const definition = {
+            label: document.getElementById('metricLabel').value.trim(),
+            unit: document.getElementById('metricUnit').value.trim(),
+            weight: parseFloat(document.getElementById('metricWeight').value) || 0,
+            aggregation: document.getElementById('metricAggregation').value,
+            scoring: document.getElementById('metricScoring').value,
+            cap: document.getElementById('metricCap').value,
+            formula: document.getElementById('metricFormula').value.trim(),
+            sensitivityUnit: parseFloat(document.getElementById('metricSensitivityUnit').value) || 1
+        };
+
         try {
-            // 更新权重
-            this.config.weights = {
-                baseWeight: parseFloat(document.getElementById('baseWeight').value) / 100,
-                dischargeWeight: parseFloat(document.getElementById('dischargeWeight').value) / 100,
-                bedDayWeight: parseFloat(document.getElementById('bedDayWeight').value) / 100,
-                attendanceWeight: parseFloat(document.getElementById('attendanceWeight').value) / 100
-            };
-            
-            // 更新新入职人员系数
-            this.config.newEmployeeCoefficients = {
-                uncertified: parseFloat(document.getElementById('uncertifiedCoeff').value),
-                withinThreeYears: parseFloat(document.getElementById('withinThreeYearsCoeff').value),
-                normal: parseFloat(document.getElementById('normalCoeff').value)
-            };
-            
-            // 更新系统选项
-            this.config.options = {
-                autoSave: document.getElementById('autoSave').checked,
-                confirmDelete: document.getElementById('confirmDelete').checked,
-                decimalPlaces: parseInt(document.getElementById('decimalPlaces').value),
-                maxHistoryRecords: parseInt(document.getElementById('maxHistoryRecords').value)
+            const registry = new MetricRegistry(this.getMetricsWithFormWeights());
+            if (this.editingMetricId) {
+                registry.update(this.editingMetricId, definition);
+            } else {
+                registry.register({ ...definition, id: document.getElementById('metricId').value.trim() });
+            }
+
+            this.config.metrics = registry.toJSON();
+            this.renderMetrics();
+            this.refreshLocationMetricColumns();
+            this.renderDutyMetricOptions();
+
+            bootstrap.Modal.getInstance(document.getElementById('metricModal')).hide();
+            this.showMessage('指标已更新，请确认权重总和为100%后点击"保存设置"', 'info');
+
+        } catch (error) {
+            this.showMessage('保存指标失败：' + error.message, 'danger');
+        }
+    }
+
+    /**
+     * 删除指标（仅更新页面中的配置，需点击"保存设置"后生效）
+     * @param {string} metricId - 指标标识
+     */
+    deleteMetric(metricId) {
+        const metric = this.config.metrics.find(item => item.id === metricId);
+        if (!metric) return;
+        if (!confirm(`确定要删除指标"${metric.label}"吗？已录入的该指标数据将不再参与计算。`)) return;
+
+        try {
+            const registry = new MetricRegistry(this.getMetricsWithFormWeights());
+            registry.unregister(metricId);
+            this.config.metrics = registry.toJSON();
+            this.renderMetrics();
+            this.refreshLocationMetricColumns();
+            this.renderDutyMetricOptions();
+            this.showMessage('指标已删除，请调整权重后点击"保存设置"', 'info');
+        } catch (error) {
+            this.showMessage('删除指标失败：' + error.message, 'danger');
+        }
+    }
+
+    /**
+     * 重置指标表单
+     */
+    resetMetricForm() {
+        const form = document.getElementById('metricForm');
+        form.reset();
+        form.classList.remove('was-validated');
+        document.getElementById('metricId').disabled = false;
+
+        document.getElementById('metricAggregation').innerHTML = Object.entries(MetricRegistry.AGGREGATIONS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        document.getElementById('metricScoring').innerHTML = Object.entries(MetricRegistry.SCORING_METHODS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        document.getElementById('metricFormulaHelp').innerHTML = '可用变量：' + Object.entries(MetricRegistry.FORMULA_VARIABLES)
+            .map(([name, label]) => `<code>${name}</code> ${label}`).join('，') + '。得分为负时按0计，按得分占比分配该指标奖金';
+    }
+
+    /**
+     * 获取自定义公式可用的变量（按页面中的指标列表）
+     * @returns {Object} { coefficient, share }，各为变量名到说明的映射
+     */
+    getFormulaVariables() {
+        return PerformanceCalculator.getFormulaVariables(new MetricRegistry(this.config.metrics).getAll());
+    }
+
+    /**
+     * 渲染自定义公式的变量和函数说明，并重新校验已填写的公式
+     */
+    renderFormulaHelp() {
+        const variables = this.getFormulaVariables();
+        Object.keys(PerformanceCalculator.FORMULA_TYPES).forEach(type => {
+            document.getElementById(`${type}FormulaVariables`).innerHTML = '可用变量：' + Object.entries(variables[type])
+                .map(([name, label]) => `<code>${name}</code> ${label}`).join('，');
+            this.validateFormulaInput(type);
+        });
+        document.getElementById('formulaFunctions').innerHTML =
+            '支持 + − × ÷（* /）、% 取余、^ 乘方、比较（&lt; &lt;= &gt; &gt;= == !=，成立为1否则为0）、&amp;&amp; || ! 逻辑运算、' +
+            '条件 ? 成立时 : 不成立时；除数为0时结果为0。函数：' +
+            Object.values(Formula.FUNCTIONS).map(fn => fn.label).join('，') + '。';
+    }
+
+    /**
+     * 读取表单中的自定义公式
+     * @returns {Object} { coefficient, share }
+     */
+    readFormulaConfigFromForm() {
+        return {
+            coefficient: document.getElementById('coefficientFormula').value.trim(),
+            share: document.getElementById('shareFormula').value.trim()
+        };
+    }
+
+    /**
+     * 校验表单中的自定义公式并显示错误
+     * @param {string} type - 公式类型（coefficient或share）
+     * @returns {Object} 校验结果 { isValid, errors }
+     */
+    validateFormulaInput(type) {
+        const input = document.getElementById(`${type}Formula`);
+        const source = input.value.trim();
+        const validation = source ?
+            Formula.validate(source, this.getFormulaVariables()[type]) :
+            { isValid: true, errors: [] };
+
+        input.classList.toggle('is-invalid', !validation.isValid);
+        document.getElementById(`${type}FormulaError`).textContent = validation.errors.join('；');
+        return validation;
+    }
+
+    /**
+     * 用最近一次计算的数据预览自定义公式，对比不使用公式时的分配结果
+     * 预览使用页面中的指标和已保存的其他设置，不含多月平滑
+     */
+    previewFormulas() {
+        const container = document.getElementById('formulaPreview');
+
+        try {
+            const formulaConfig = this.readFormulaConfigFromForm();
+            if (!formulaConfig.coefficient && !formulaConfig.share) {
+                throw new Error('请先填写综合系数公式或分配份额公式');
+            }
+            Object.entries(PerformanceCalculator.FORMULA_TYPES).forEach(([type, label]) => {
+                const validation = this.validateFormulaInput(type);
+                if (!validation.isValid) {
+                    throw new Error(`${label}有误：${validation.errors.join('；')}`);
+                }
+            });
+
+            const data = this.storageManager.getCurrentData();
+            if (!data || !Array.isArray(data.doctors) || data.doctors.length === 0 || !(Number(data.totalBonus) > 0)) {
+                throw new Error('没有可预览的数据，请先在数据录入页完成一次绩效计算');
+            }
+
+            const [year, month] = String(data.currentMonth || '').split('-').map(Number);
+            const doctorsWithData = data.doctors
+                .filter(doctor => doctor && doctor.name)
+                .map(doctor => ({
+                    doctor: { ...doctor },
+                    workData: data.workData?.[doctor.id] || { doctorId: doctor.id, rewardPenalty: 0 }
+                }));
+            const baseConfig = {
+                ...this.config.toJSON(),
+                metrics: this.getMetricsWithFormWeights(),
+                smoothingConfig: { ...this.config.smoothingConfig, mode: 'none' }
             };
-            
-            // 验证配置
-            this.config.validateWeights();
-            
-            // 保存到存储
-            this.storageManager.updateSystemConfig(this.config);
-            
-            this.showMessage('配置保存成功', 'success');
-            
+            const options = year && month ? { year, month } : {};
+            const calculator = new PerformanceCalculator();
+            const before = calculator.calculateDepartmentPerformance(doctorsWithData, Number(data.totalBonus),
+                { ...baseConfig, formulaConfig: { coefficient: '', share: '' } }, options);
+            const after = calculator.calculateDepartmentPerformance(doctorsWithData, Number(data.totalBonus),
+                { ...baseConfig, formulaConfig }, options);
+
+            const rows = after.individualResults.map(result => {
+                const original = before.individualResults.find(item => item.doctorId === result.doctorId);
+                const formulas = result.breakdown?.formulas || {};
+                const difference = result.finalAllocation - (original?.finalAllocation || 0);
+                return `
+                    <tr>
+                        <td>${result.doctorName}</td>
+                        <td class="text-end">${formulas.coefficient ? formulas.coefficient.value.toFixed(4) : '—'}</td>
+                        <td class="text-end">${formulas.share ? (formulas.share.share * 100).toFixed(2) + '%' : '—'}</td>
+                        <td class="text-end">${(original?.finalAllocation || 0).toFixed(2)}</td>
+                        <td class="text-end">${result.finalAllocation.toFixed(2)}</td>
+                        <td class="text-end ${difference > 0 ? 'text-success' : difference < 0 ? 'text-danger' : ''}">${difference > 0 ? '+' : ''}${difference.toFixed(2)}</td>
+                    </tr>
+                `;
+            }).join('');
+
+            container.innerHTML = `
+                <div class="small text-muted mb-2">
+                    ${data.currentMonth || ''} 奖金总额${Number(data.totalBonus).toFixed(2)}元，${after.individualResults.length}人（预览不含多月平滑，未保存的其他设置不参与预览）
+                </div>
+                <div class="table-responsive mb-3">
+                    <table class="table table-sm table-bordered">
+                        <thead class="table-light">
+                            <tr>
+                                <th>姓名</th>
+                                <th class="text-end">综合系数</th>
+                                <th class="text-end">公式份额</th>
+                                <th class="text-end">不使用公式（元）</th>
+                                <th class="text-end">使用公式（元）</th>
+                                <th class="text-end">差额（元）</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            `;
         } catch (error) {
-            this.showMessage('保存失败：' + error.message, 'danger');
+            container.innerHTML = `<div class="alert alert-warning py-2">预览失败：${this.escapeHTML(error.message)}</div>`;
         }
     }
 
     /**
-     * 重置配置
+     * 转义HTML特殊字符（公式中可能含有比较运算符）
+     * @param {string} text - 文本
+     * @returns {string} 转义后的文本
      */
-    resetConfig() {
-        if (!confirm('确定要重置所有配置到默认值吗？')) return;
-        
-        this.config = new SystemConfig();
-        this.storageManager.updateSystemConfig(this.config);
-        this.renderConfigForm();
-        this.showMessage('配置已重置为默认值', 'success');
+    escapeHTML(text) {
+        return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
     }
 
     /**
      * 显示添加职称模态框
      */
     showAddTitleModal() {
-        document.getElementById('titleModalTitle').textContent = '添加职称';
-        document.getElementById('originalTitle').value = '';
+        this.editingTitle = null;
         this.resetTitleForm();
+        document.getElementById('titleModalTitle').textContent = '添加职称';
         new bootstrap.Modal(document.getElementById('titleModal')).show();
     }
 
     /**
      * 编辑职称
+     * @param {number} index - 职称在列表中的索引
      */
-    editTitle(title) {
+    editTitle(index) {
+        const title = this.config.titleCoefficients[index];
+        if (!title) return;
+
+        this.editingTitle = title.name;
         document.getElementById('titleModalTitle').textContent = '编辑职称';
-        document.getElementById('originalTitle').value = title;
-        document.getElementById('titleName').value = title;
-        document.getElementById('titleCoefficient').value = this.config.titleCoefficients[title];
-        
+        document.getElementById('titleName').value = title.name;
+        document.getElementById('titleCoeff').value = title.coefficient;
+        document.getElementById('titleDescription').value = title.description || '';
+        document.getElementById('titleMinAllocation').value = title.minAllocation ?? '';
+        document.getElementById('titleMaxAllocation').value = title.maxAllocation ?? '';
+
         new bootstrap.Modal(document.getElementById('titleModal')).show();
     }
 
     /**
      * 删除职称
+     * @param {number} index - 职称在列表中的索引
      */
-    deleteTitle(title) {
-        if (!confirm(`确定要删除职称"${title}"吗？`)) return;
-        
-        this.config.removeTitleCoefficient(title);
-        this.storageManager.updateSystemConfig(this.config);
+    async deleteTitle(index) {
+        const title = this.config.titleCoefficients[index];
+        if (!title) return;
+        if (!confirm(`确定要删除职称"${title.name}"吗？`)) return;
+
+        this.config.removeTitleCoefficient(title.name);
+        await this.storageManager.updateSystemConfig(this.config);
         this.renderTitleCoefficients();
         this.showMessage('职称删除成功', 'success');
     }
@@ -232,32 +1659,43 @@ class SettingsPageController {
     /**
      * 保存职称
      */
-    saveTitle() {
+    async saveTitle() {
         const form = document.getElementById('titleForm');
         if (!form.checkValidity()) {
             form.classList.add('was-validated');
             return;
         }
-        
-        const originalTitle = document.getElementById('originalTitle').value;
+
         const titleName = document.getElementById('titleName').value.trim();
-        const coefficient = parseFloat(document.getElementById('titleCoefficient').value);
-        
+        const coefficient = parseFloat(document.getElementById('titleCoeff').value);
+        const description = document.getElementById('titleDescription').value.trim();
+        const minValue = document.getElementById('titleMinAllocation').value;
+        const maxValue = document.getElementById('titleMaxAllocation').value;
+        const limits = {
+            minAllocation: minValue === '' ? null : parseFloat(minValue),
+            maxAllocation: maxValue === '' ? null : parseFloat(maxValue)
+        };
+
+        if (limits.minAllocation !== null && limits.maxAllocation !== null && limits.minAllocation > limits.maxAllocation) {
+            this.showMessage('绩效下限不能高于上限', 'danger');
+            return;
+        }
+
         try {
-            if (originalTitle && originalTitle !== titleName) {
-                // 删除原职称
-                this.config.removeTitleCoefficient(originalTitle);
+            if (this.editingTitle && this.editingTitle !== titleName) {
+                // 职称改名时删除原职称
+                this.config.removeTitleCoefficient(this.editingTitle);
             }
-            
+
             // 添加或更新职称
-            this.config.addTitleCoefficient(titleName, coefficient);
-            
-            this.storageManager.updateSystemConfig(this.config);
+            this.config.setTitleCoefficient(titleName, coefficient, description, limits);
+
+            await this.storageManager.updateSystemConfig(this.config);
             this.renderTitleCoefficients();
-            
+
             bootstrap.Modal.getInstance(document.getElementById('titleModal')).hide();
             this.showMessage('职称保存成功', 'success');
-            
+
         } catch (error) {
             this.showMessage('保存失败：' + error.message, 'danger');
         }
@@ -282,18 +1720,18 @@ class SettingsPageController {
                 exportTime: new Date().toISOString(),
                 version: '1.0'
             };
-            
+
             const blob = new Blob([JSON.stringify(configData, null, 2)], { type: 'application/json' });
             const url = URL.createObjectURL(blob);
-            
+
             const link = document.createElement('a');
             link.href = url;
             link.download = `系统配置_${new Date().toISOString().split('T')[0]}.json`;
             link.click();
-            
+
             URL.revokeObjectURL(url);
             this.showMessage('配置导出成功', 'success');
-            
+
         } catch (error) {
             this.showMessage('导出失败：' + error.message, 'danger');
         }
@@ -303,148 +1741,50 @@ class SettingsPageController {
      * 导入配置
      */
     importConfig() {
-        document.getElementById('configFileInput').click();
-    }
+        const fileInput = document.getElementById('importFile');
+        const file = fileInput.files[0];
+        if (!file) {
+            this.showMessage('请先选择配置文件', 'warning');
+            return;
+        }
 
-    /**
-     * 处理配置文件导入
-     */
-    handleConfigFileImport(event) {
-        const file = event.target.files[0];
-        if (!file) return;
-        
         const reader = new FileReader();
-        reader.onload = (e) => {
+        reader.onload = async (e) => {
             try {
                 const data = JSON.parse(e.target.result);
-                
+
                 if (!data.config) {
                     throw new Error('无效的配置文件格式');
                 }
-                
-                this.config = new SystemConfig(data.config);
-                this.storageManager.updateSystemConfig(this.config);
-                this.renderConfigForm();
-                
-                this.showMessage('配置导入成功', 'success');
-                
-            } catch (error) {
-                this.showMessage('导入失败：' + error.message, 'danger');
-            }
-        };
-        
-        reader.readAsText(file);
-        event.target.value = ''; // 清空文件输入
-    }
-
-    /**
-     * 导出所有数据
-     */
-    exportAllData() {
-        try {
-            const allData = {
-                doctors: this.storageManager.getAllDoctors().map(d => d.toJSON()),
-                performanceRecords: this.storageManager.getAllPerformanceRecords().map(r => r.toJSON()),
-                systemConfig: this.storageManager.getSystemConfig().toJSON(),
-                currentWorkData: this.storageManager.getAllCurrentWorkData(),
-                exportTime: new Date().toISOString(),
-                version: '1.0'
-            };
-            
-            const blob = new Blob([JSON.stringify(allData, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `绩效系统数据备份_${new Date().toISOString().split('T')[0]}.json`;
-            link.click();
-            
-            URL.revokeObjectURL(url);
-            this.showMessage('数据导出成功', 'success');
-            
-        } catch (error) {
-            this.showMessage('导出失败：' + error.message, 'danger');
-        }
-    }
 
-    /**
-     * 导入所有数据
-     */
-    importAllData() {
-        if (!confirm('导入数据将覆盖现有所有数据，确定继续吗？')) return;
-        
-        document.getElementById('dataFileInput').click();
-    }
-
-    /**
-     * 处理数据文件导入
-     */
-    handleDataFileImport(event) {
-        const file = event.target.files[0];
-        if (!file) return;
-        
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const data = JSON.parse(e.target.result);
-                
-                if (!data.doctors || !data.systemConfig) {
-                    throw new Error('无效的数据文件格式');
-                }
-                
-                // 清空现有数据
-                this.storageManager.clearAllData();
-                
-                // 导入系统配置
-                const config = new SystemConfig(data.systemConfig);
-                this.storageManager.updateSystemConfig(config);
-                
-                // 导入医生数据
-                data.doctors.forEach(doctorData => {
-                    const doctor = new Doctor(doctorData);
-                    this.storageManager.addDoctor(doctor);
-                });
-                
-                // 导入绩效记录
-                if (data.performanceRecords) {
-                    data.performanceRecords.forEach(recordData => {
-                        const record = new PerformanceRecord(recordData);
-                        this.storageManager.addPerformanceRecord(record);
-                    });
-                }
-                
-                // 导入当前工作数据
-                if (data.currentWorkData) {
-                    Object.entries(data.currentWorkData).forEach(([key, value]) => {
-                        this.storageManager.saveCurrentWorkData(key, value);
-                    });
+                const config = SystemConfig.fromJSON(data.config);
+                if (!config.validateWeights()) {
+                    throw new Error('配置文件中的权重总和不为100%');
                 }
-                
-                // 重新加载配置
-                this.loadConfig();
+
+                this.config = config;
+                await this.storageManager.updateSystemConfig(this.config);
                 this.renderConfigForm();
-                this.updateStorageInfo();
-                
-                this.showMessage('数据导入成功', 'success');
-                
+
+                this.showMessage('配置导入成功', 'success');
+
             } catch (error) {
                 this.showMessage('导入失败：' + error.message, 'danger');
             }
         };
-        
+
         reader.readAsText(file);
-        event.target.value = ''; // 清空文件输入
+        fileInput.value = ''; // 清空文件输入
     }
 
     /**
      * 清空历史记录
      */
-    clearHistory() {
+    async clearHistory() {
         if (!confirm('确定要清空所有历史记录吗？此操作不可恢复！')) return;
-        
+
         try {
-            this.storageManager.clearPerformanceRecords();
-            this.updateStorageInfo();
+            await this.storageManager.clearAllRecords();
             this.showMessage('历史记录清空成功', 'success');
         } catch (error) {
             this.showMessage('清空失败：' + error.message, 'danger');
@@ -454,69 +1794,22 @@ class SettingsPageController {
     /**
      * 重置系统
      */
-    resetSystem() {
+    async resetSystem() {
         if (!confirm('确定要重置整个系统吗？这将删除所有数据和配置，此操作不可恢复！')) return;
-        
+
         if (!confirm('请再次确认：这将删除所有医生信息、历史记录和系统配置！')) return;
-        
+
         try {
-            this.storageManager.clearAllData();
+            await this.storageManager.resetSystem();
             this.config = new SystemConfig();
-            this.storageManager.updateSystemConfig(this.config);
-            
             this.renderConfigForm();
-            this.updateStorageInfo();
-            
+
             this.showMessage('系统重置成功', 'success');
         } catch (error) {
             this.showMessage('重置失败：' + error.message, 'danger');
         }
     }
 
-    /**
-     * 更新存储信息
-     */
-    updateStorageInfo() {
-        const usage = this.storageManager.getStorageUsage();
-        
-        document.getElementById('storageInfo').innerHTML = `
-            <div class="row">
-                <div class="col-md-3">
-                    <div class="card text-center">
-                        <div class="card-body">
-                            <h5 class="text-primary">${usage.doctors}</h5>
-                            <p class="card-text">医生数量</p>
-                        </div>
-                    </div>
-                </div>
-                <div class="col-md-3">
-                    <div class="card text-center">
-                        <div class="card-body">
-                            <h5 class="text-success">${usage.performanceRecords}</h5>
-                            <p class="card-text">历史记录</p>
-                        </div>
-                    </div>
-                </div>
-                <div class="col-md-3">
-                    <div class="card text-center">
-                        <div class="card-body">
-                            <h5 class="text-info">${usage.currentWorkData}</h5>
-                            <p class="card-text">工作数据</p>
-                        </div>
-                    </div>
-                </div>
-                <div class="col-md-3">
-                    <div class="card text-center">
-                        <div class="card-body">
-                            <h5 class="text-warning">${(usage.totalSize / 1024).toFixed(2)} KB</h5>
-                            <p class="card-text">存储大小</p>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        `;
-    }
-
     /**
      * 显示消息
      */
@@ -527,10 +1820,10 @@ class SettingsPageController {
             ${message}
             <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
         `;
-        
-        const container = document.getElementById('messageContainer');
+
+        const container = document.getElementById('messageArea');
         container.appendChild(alertDiv);
-        
+
         // 自动移除消息
         setTimeout(() => {
             if (alertDiv.parentNode) {
@@ -544,4 +1837,4 @@ class SettingsPageController {
 let settingsController;
 document.addEventListener('DOMContentLoaded', () => {
     settingsController = new SettingsPageController();
-});
\ No newline at end of file
+});
@@ -14,7 +14,8 @@ class StorageManager {
             records: 'performance_system_records',
             config: 'performance_system_config',
             currentData: 'performance_system_current_data',
-            totalBonus: 'performance_system_total_bonus'
+            totalBonus: 'performance_system_total_bonus',
+            settlements: 'performance_system_settlements'
         };
         
         // 检查是否启用PocketBase
@@ -509,6 +510,79 @@ class StorageManager {
         return [...new Set(months)];
     }
 
+    // ==================== 年终结算记录管理 ====================
+
+    /**
+     * 获取所有年终结算记录
+     * @returns {Array<SettlementRecord>} 年终结算记录列表
+     */
+    async getSettlements() {
+        if (this.usePocketBase) {
+            const settlements = await this.pocketBaseStorage.getSettlements();
+            return settlements.map(s => SettlementRecord.fromJSON(s));
+        }
+        
+        if (!this.isStorageSupported()) return [];
+        
+        const settlementsJson = this.safeJSONParse(localStorage.getItem(this.storageKeys.settlements), []);
+        return settlementsJson.map(s => SettlementRecord.fromJSON(s));
+    }
+
+    /**
+     * 保存年终结算记录列表
+     * @param {Array<SettlementRecord>} settlements - 年终结算记录列表
+     * @returns {boolean} 是否保存成功
+     */
+    async saveSettlements(settlements) {
+        if (!this.isStorageSupported()) return false;
+        
+        try {
+            const settlementsJson = settlements
+                .map(s => s.toJSON ? s.toJSON() : s)
+                .sort((a, b) => String(b.year).localeCompare(String(a.year)));
+            localStorage.setItem(this.storageKeys.settlements, this.safeJSONStringify(settlementsJson));
+            return true;
+        } catch (e) {
+            console.error('保存年终结算记录失败:', e);
+            return false;
+        }
+    }
+
+    /**
+     * 添加年终结算记录（同一年度已有结算时替换）
+     * @param {SettlementRecord} settlement - 年终结算记录
+     * @returns {boolean} 是否添加成功
+     */
+    async addSettlement(settlement) {
+        if (this.usePocketBase) {
+            return await this.pocketBaseStorage.addSettlement(settlement.toJSON ? settlement.toJSON() : settlement);
+        }
+        
+        const settlements = (await this.getSettlements()).filter(s => s.year !== settlement.year);
+        settlements.push(settlement);
+        return await this.saveSettlements(settlements);
+    }
+
+    /**
+     * 删除年终结算记录
+     * @param {string} settlementId - 记录ID
+     * @returns {boolean} 是否删除成功
+     */
+    async deleteSettlement(settlementId) {
+        if (this.usePocketBase) {
+            return await this.pocketBaseStorage.deleteSettlement(settlementId);
+        }
+        
+        const settlements = await this.getSettlements();
+        const filteredSettlements = settlements.filter(s => s.id !== settlementId);
+        
+        if (filteredSettlements.length === settlements.length) {
+            throw new Error('年终结算记录不存在');
+        }
+        
+        return await this.saveSettlements(filteredSettlements);
+    }
+
     // ==================== 系统配置管理 ====================
 
     /**
@@ -553,10 +627,10 @@ class StorageManager {
 
     /**
      * 获取系统配置（别名方法）
-     * @returns {SystemConfig|null} 系统配置或null
+     * @returns {SystemConfig} 系统配置，未保存时返回默认配置
      */
-    getSystemConfig() {
-        return this.getConfig() || new SystemConfig();
+    async getSystemConfig() {
+        return (await this.getConfig()) || new SystemConfig();
     }
 
     /**
@@ -689,10 +763,12 @@ class StorageManager {
         const doctors = await this.getDoctors();
         const records = await this.getRecords();
         const config = await this.getConfig();
+        const settlements = await this.getSettlements();
         
         return {
             doctors: doctors.map(d => d.toJSON()),
             records: records.map(r => r.toJSON()),
+            settlements: settlements.map(s => s.toJSON()),
             config: config?.toJSON() || {},
             exportTime: new Date().toISOString(),
             version: '1.0.0'
@@ -732,6 +808,10 @@ class StorageManager {
                     const config = SystemConfig.fromJSON(data.config);
                     await this.saveConfig(config);
                 }
+                
+                if (data.settlements) {
+                    await this.saveSettlements(data.settlements.map(s => SettlementRecord.fromJSON(s)));
+                }
             } else {
                 // 合并模式：合并数据
                 if (data.doctors) {
@@ -767,6 +847,18 @@ class StorageManager {
                     
                     await this.saveRecords(mergedRecords);
                 }
+                
+                if (data.settlements) {
+                    const existingSettlements = await this.getSettlements();
+                    const mergedSettlements = [...existingSettlements];
+                    data.settlements.map(s => SettlementRecord.fromJSON(s)).forEach(newSettlement => {
+                        if (!existingSettlements.find(s => s.year === newSettlement.year)) {
+                            mergedSettlements.push(newSettlement);
+                        }
+                    });
+                    
+                    await this.saveSettlements(mergedSettlements);
+                }
             }
 
             return true;
@@ -798,6 +890,7 @@ class StorageManager {
         try {
             await this.saveDoctors([]);
             await this.saveRecords([]);
+            await this.saveSettlements([]);
             await this.saveConfig(new SystemConfig());
             this.clearCurrentData();
             return true;
@@ -12,6 +12,8 @@ const urlsToCache = [
   './js/settings.js',
   './js/results.js',
   './js/history.js',
+  './js/formula.js',
+  './js/metrics.js',
   './js/models.js',
   './js/storage.js',
   './js/debug.js',